@@ -25,26 +25,49 @@
 
 // Core (原 holo-rp-core)
 export { HoloRP, RenderableObject, RenderType } from './src/core/utils/holoRP';
-export { CanvasRenderTarget, WebXRRenderTarget, RenderTarget } from './src/core/utils/renderTarget';
+export { CanvasRenderTarget, WebXRRenderTarget, OffscreenRenderTarget, RenderTarget } from './src/core/utils/renderTarget';
 export { initAxisGridRenderer, renderAxisGrid, renderGrid, renderAxes } from './src/core/utils/axisGridRenderer';
 export * from './src/core/utils/webgl';
-export { Camera } from './src/core/utils/Camera';
+export { Camera, ALL_LAYERS } from './src/core/utils/Camera';
+export { Timeline, TimelineLoopMode } from './src/core/utils/Timeline';
+export { RenderStats, RenderStage } from './src/core/utils/renderStats';
+export { AdaptiveResolutionController } from './src/core/utils/adaptiveResolution';
+export { RenderPassStage, disposeRenderPass, restoreRenderPass } from './src/core/utils/renderPass';
+export { RenderTypeStage, registerRenderType, unregisterRenderType, getRenderTypeDefinition, getRegisteredRenderTypes } from './src/core/utils/renderTypeRegistry';
 export { DepthVisualizationRenderer } from './src/core/utils/depthVisualizationRenderer';
+export { COLORMAP_NAMES, sampleColormap, getColormapGradient, mapDepth, depthFromMappedValue, getProjectionNearFar } from './src/core/utils/colormaps';
+export { estimateNormals, encodePFM, encodeDepthPNG16 } from './src/core/utils/depthMapExport';
+export { PickingRenderer } from './src/core/utils/pickingRenderer';
+export { SelectionRenderer, normalizeSelectionStyle, createDefaultSelectionStyle } from './src/core/utils/selectionRenderer';
+export { PostProcessingRenderer, parseCubeLUT } from './src/core/utils/postProcessingRenderer';
+export { BackgroundRenderer } from './src/core/utils/backgroundRenderer';
+export { MAX_CLIP_PLANES, normalizeClipPlane, createSectionBoxPlanes, applyClippingUniforms } from './src/core/utils/clippingPlanes';
+export { clippingShaderChunk } from './src/core/shaders/clippingShaders';
+export { MAX_LIGHTS, SHADOW_TEXTURE_UNIT, LightType, normalizeLight, getCameraForward, bindLightsBlock } from './src/core/utils/lights';
+export { ShadowRenderer, computeShadowMatrices, transformBounds } from './src/core/utils/shadowRenderer';
+export { lightingShaderChunk } from './src/core/shaders/lightingShaders';
+export { EnvironmentMap } from './src/core/utils/environmentMap';
+export { ENVIRONMENT_SPECULAR_UNIT, ENVIRONMENT_IRRADIANCE_UNIT, environmentShaderChunk } from './src/core/shaders/environmentShaders';
+export { retainResource, releaseResource, releaseObjectResources, forgetObjectResources, getResourceRefCount, enableResourceTracking, resetResourceTracking, getResourceStats } from './src/core/utils/glResources';
 export { ShaderRegistry } from './src/core/utils/ShaderRegistry';
 export { Material } from './src/core/utils/Material';
 export { MaterialFactory } from './src/core/utils/MaterialFactory';
+export { MAX_MATERIAL_TEXTURE_UNIT, applyMaterialProperties } from './src/core/utils/materialUniforms';
 
 // Hooks
 export { useWebGL } from './src/hooks/useWebGL';
 export { useFpsCameraControl } from './src/hooks/useFpsCameraControl';
 export { useOrbitCameraControl } from './src/hooks/useOrbitCameraControl';
 export { useAutoInterpCamera } from './src/hooks/useAutoInterpCamera';
+export { useTimeline } from './src/hooks/useTimeline';
 export { usePanView } from './src/hooks/usePanView';
 export { usePlyLoader, loadPlyFile } from './src/hooks/usePlyLoader';
 export { useSplatLoader } from './src/hooks/useSplatLoader';
 
 // Components
 export { default as HoloEngineRuntime } from './src/components/HoloEngineRuntime';
+export { default as HoloStatsOverlay } from './src/components/HoloStatsOverlay';
+export { default as DepthLegend } from './src/components/DepthLegend';
 
 // Utils
 export * from './src/utils/raycasting';
@@ -52,7 +75,8 @@ export { globalGizmoDragging } from './src/utils/gizmoState';
 export { createDepthWorker } from './src/utils/depthWorker';
 export { loadAndSetup3DGSObject, create3DGSTexture, create3DGSIndexBuffer, create3DGSWorker } from './src/utils/ply3dgsLoader';
 export { loadAndSetupSplatObject, createSplatTexture, createSplatIndexBuffer, createSplatWorker, loadSplatObject } from './src/utils/splatObjectLoader';
-export { loadAndSetupMeshObject, parseOBJ, loadOBJFile, createMeshBuffers } from './src/utils/meshLoader';
+export { loadAndSetupMeshObject, parseOBJ, loadOBJFile, createMeshBuffers, computeMeshBounds } from './src/utils/meshLoader';
+export { createInstanceBuffers, createInstancedMeshObject, updateInstances, setInstanceMatrix, setInstanceColor } from './src/utils/instancedMeshLoader';
 export { createPointCloudBuffers, createPointCloudObject } from './src/utils/pointCloudLoader';
 export { createLinesObject, updateLinesObject } from './src/utils/linesLoader';
 export { SceneManager, SplatObject } from './src/utils/sceneManager';
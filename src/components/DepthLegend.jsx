@@ -0,0 +1,81 @@
+import { useMemo } from 'react';
+import { getColormapGradient, depthFromMappedValue } from '../core/utils/colormaps';
+
+const POSITION_STYLES = {
+  'top-left': { top: 8, left: 8 },
+  'top-right': { top: 8, right: 8 },
+  'bottom-left': { bottom: 8, left: 8 },
+  'bottom-right': { bottom: 8, right: 8 },
+};
+
+const containerStyle = {
+  position: 'absolute',
+  zIndex: 10,
+  width: 200,
+  padding: '6px 8px',
+  background: 'rgba(0, 0, 0, 0.65)',
+  color: '#e6e6e6',
+  font: '11px/1.45 Menlo, Consolas, monospace',
+  borderRadius: 4,
+  pointerEvents: 'none',
+  whiteSpace: 'nowrap',
+};
+
+const barStyle = {
+  height: 10,
+  marginTop: 4,
+  borderRadius: 2,
+};
+
+const ticksStyle = {
+  position: 'relative',
+  height: 14,
+  marginTop: 2,
+};
+
+// 刻度位置（色带上的比例）
+const TICKS = [0, 0.5, 1];
+
+function formatDepth(value) {
+  if (!Number.isFinite(value)) return '-';
+  return value >= 100 ? `${Math.round(value)}m` : `${value.toFixed(1)}m`;
+}
+
+function tickStyle(t) {
+  if (t === 0) return { position: 'absolute', left: 0 };
+  if (t === 1) return { position: 'absolute', right: 0 };
+  return { position: 'absolute', left: `${t * 100}%`, transform: 'translateX(-50%)' };
+}
+
+/**
+ * 深度可视化图例
+ * 显示 HoloRP.getDepthVisualizationInfo() 返回的配色和映射范围；刻度按深度映射曲线（对数拉伸 + gamma）换算为米
+ * 容器需为定位元素（position: relative 等）
+ * @param {Object} props
+ * @param {Object} props.info - { colormap, mode, near, far, gamma }
+ * @param {string} props.position - 位置：'bottom-left'（默认）| 'bottom-right' | 'top-left' | 'top-right'
+ * @param {Object} props.style - 额外样式
+ */
+export default function DepthLegend({ info, position = 'bottom-left', style = null }) {
+  const gradient = useMemo(() => (info ? getColormapGradient(info.colormap) : null), [info && info.colormap]);
+
+  if (!info) {
+    return null;
+  }
+
+  const title = info.mode === 'percentile' ? 'Depth (percentile)' : 'Depth';
+
+  return (
+    <div style={{ ...containerStyle, ...(POSITION_STYLES[position] || POSITION_STYLES['bottom-left']), ...style }}>
+      <div>{title}</div>
+      <div style={{ ...barStyle, background: gradient }} />
+      <div style={ticksStyle}>
+        {TICKS.map((t) => (
+          <span key={t} style={tickStyle(t)}>
+            {t === 0 ? '≤' : t === 1 ? '≥' : ''}{formatDepth(depthFromMappedValue(t, info.near, info.far, info.gamma))}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
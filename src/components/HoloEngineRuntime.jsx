@@ -11,6 +11,114 @@ import { initAxisGridRenderer } from '../core/utils/axisGridRenderer';
 import { SceneManager } from '../utils/sceneManager';
 import { HoloRP, RenderableObject, RenderType } from '../core/utils/holoRP';
 import { CanvasRenderTarget } from '../core/utils/renderTarget';
+import { AdaptiveResolutionController } from '../core/utils/adaptiveResolution';
+import HoloStatsOverlay from './HoloStatsOverlay';
+import DepthLegend from './DepthLegend';
+
+/**
+ * 同步父子关系：position/rotation/scale 为相对父对象的局部变换，世界矩阵由 RenderableObject 组合
+ */
+function syncObjectParent(sceneObj, renderObj, pipeline) {
+  const parentObj = sceneObj.parentId ? pipeline.getObject(sceneObj.parentId) : null;
+  if (renderObj.parent === parentObj) {
+    return;
+  }
+  try {
+    renderObj.setParent(parentObj);
+  } catch (err) {
+    console.warn('[HoloEngineRuntime] 设置父对象失败:', err.message);
+  }
+}
+
+/**
+ * 应用裁剪平面和剖切盒（参数非法时保留管线当前设置）
+ */
+function applyClipping(pipeline, clippingPlanes, sectionBox) {
+  try {
+    pipeline.setClippingPlanes(clippingPlanes);
+    pipeline.setSectionBox(sectionBox ? sectionBox.min : null, sectionBox ? sectionBox.max : null, sectionBox ? sectionBox.transform : null);
+  } catch (err) {
+    console.warn('[HoloEngineRuntime] 设置裁剪失败:', err.message);
+  }
+}
+
+/**
+ * 应用选中样式（参数非法时保留管线当前设置）
+ */
+function applySelectionStyle(pipeline, selectionStyle) {
+  if (!selectionStyle) return;
+  try {
+    pipeline.setSelectionStyle(selectionStyle);
+  } catch (err) {
+    console.warn('[HoloEngineRuntime] 设置选中样式失败:', err.message);
+  }
+}
+
+/**
+ * 应用高斯合成方式（参数非法时保留管线当前设置）
+ */
+function applySplatCompositing(pipeline, splatCompositing) {
+  try {
+    pipeline.setSplatCompositing(splatCompositing || 'per-object');
+  } catch (err) {
+    console.warn('[HoloEngineRuntime] 设置高斯合成方式失败:', err.message);
+  }
+}
+
+/**
+ * 应用光源、半球环境光和头灯（参数非法时保留管线当前设置）
+ */
+function applyLighting(pipeline, lights, ambientLight, headlight) {
+  try {
+    pipeline.setLights(lights);
+    pipeline.setAmbientLight(ambientLight);
+    pipeline.setHeadlight(headlight || false);
+  } catch (err) {
+    console.warn('[HoloEngineRuntime] 设置光源失败:', err.message);
+  }
+}
+
+/**
+ * 应用阴影选项（参数非法时保留管线当前设置）
+ */
+function applyShadows(pipeline, shadows) {
+  try {
+    pipeline.setShadowOptions(shadows);
+  } catch (err) {
+    console.warn('[HoloEngineRuntime] 设置阴影失败:', err.message);
+  }
+}
+
+/**
+ * 应用受控时间轴：提供 time 时内部时钟暂停，时间只由 time 决定；否则按 playing 播放/暂停
+ */
+function applyTimeline(pipeline, time, playing) {
+  if (time !== undefined && time !== null) {
+    pipeline.pause();
+    pipeline.setTime(time);
+  } else if (playing !== undefined && playing !== null) {
+    if (playing) {
+      pipeline.play();
+    } else {
+      pipeline.pause();
+    }
+  }
+}
+
+/**
+ * 视图矩阵是否与上一帧不同（按需渲染时用于判断相机是否仍在运动）
+ */
+function viewMatrixChanged(viewMatrix, lastViewMatrix) {
+  if (!viewMatrix || !lastViewMatrix) {
+    return viewMatrix !== lastViewMatrix;
+  }
+  for (let i = 0; i < 16; i++) {
+    if (viewMatrix[i] !== lastViewMatrix[i]) {
+      return true;
+    }
+  }
+  return false;
+}
 
 /**
  * Holo Engine 运行时
@@ -29,28 +137,94 @@ export default function HoloEngineRuntime({
   sceneVersion = 0, // 场景版本号，用于触发重新加载
   targetVerticalFOV = null, // 目标垂直 FOV（角度），如果提供则根据 canvas 高度动态计算 fy
   meshDebugMode = 0, // Mesh 调试模式：0=法线颜色, 1=位置颜色, 2=法线长度, 3=法线-位置差异
-  selectedObjectId = null, // 选中的对象ID，用于计算距离以调整移动速度
+  selectedObjectId = null, // 选中的对象ID，绘制选中描边，并用于计算距离以调整移动速度
   cameraSpeedMultiplier = 0.5, // 相机移动速度倍率（由 EditorViewer 计算）
   cameraMode = 'fly', // 相机模式：'fly' (FPS) 或 'orbit'，默认 'fly'（向前兼容）
   showDepthVisualization = false, // 是否显示深度可视化
   depthRange = 30.0, // 深度范围（米），用于调整颜色渐变的最远距离
   depthRangeNear = 10.0, // 近处深度范围（米），用于调整颜色渐变的起始距离
   depthGamma = 1.5, // Gamma 值，用于调整映射曲线的非线性程度
+  depthColormap = 'grayscale', // 深度可视化配色：'grayscale' | 'turbo' | 'viridis' | 'inferno' | 'jet'
+  depthRangeMode = 'absolute', // 深度映射范围：'absolute' 使用 depthRangeNear-depthRange（米）；'percentile' 按深度分布的百分位
+  depthPercentiles = null, // 百分位模式的 [下百分位, 上百分位]（0-100），默认 [2, 98]
+  showDepthLegend = false, // 显示深度可视化时是否显示图例（需要父容器为定位元素）
   depthOpacityThreshold = 0.13, // 深度写入的像素不透明度阈值（0.0-1.0）
-  centerOpacityThreshold = 0.65 // 深度写入的中心点不透明度阈值（0.0-1.0）
+  centerOpacityThreshold = 0.65, // 深度写入的中心点不透明度阈值（0.0-1.0）
+  time = undefined, // 4DGS 归一化时间（0-1），提供时为受控模式
+  playing = undefined, // 4DGS 时间轴是否播放，提供时为受控模式
+  onTimeUpdate = null, // 时间轴推进回调 (normalizedTime, seconds) => void
+  onPipelineRefReady = null, // 渲染管线 ref 就绪回调（可配合 useTimeline 使用）
+  showStats = false, // 是否显示渲染统计 HUD（需要父容器为定位元素）
+  onStats = null, // 每帧渲染统计回调 (stats) => void
+  postProcessing = null, // 后期处理配置 { fxaa, toneMapping, colorGrading, vignette, bloom }，见 HoloRP.setPostProcessing
+  background = null, // 场景背景 { type: 'color' | 'gradient' | 'equirect', ... }，见 HoloRP.setBackground
+  clippingPlanes = null, // 裁剪平面 [[a, b, c, d], ...]（世界空间），见 HoloRP.setClippingPlanes
+  sectionBox = null, // 剖切盒 { min, max, transform }，见 HoloRP.setSectionBox
+  selectionStyle = null, // 选中样式 { outlineColor, outlineWidth, tintColor }，见 HoloRP.setSelectionStyle
+  splatCompositing = 'per-object', // 多个高斯对象的合成方式：'per-object' | 'merged'，见 HoloRP.setSplatCompositing
+  lights = null, // 光源列表 [{ type: 'directional' | 'point' | 'spot', ... }]，null 为默认平行光，见 HoloRP.setLights
+  ambientLight = null, // 半球环境光 { skyColor, groundColor, intensity, up }，null 为默认，见 HoloRP.setAmbientLight
+  headlight = false, // 头灯：true 或 { enabled, color, intensity }，见 HoloRP.setHeadlight
+  environment = null, // 环境光照（IBL）{ image | url, intensity, rotation, up }，供 Standard 材质使用，见 HoloRP.setEnvironment
+  shadows = null, // 阴影选项 { mapSize, bias, normalBias, pcfRadius, bounds, distance }，见 HoloRP.setShadowOptions（投射阴影的平行光在 lights 中设置 castShadow）
+  onContextLost = null, // WebGL 上下文丢失回调 () => void（渲染循环暂停）
+  onContextRestored = null, // WebGL 上下文恢复回调 ({ lost }) => void，lost 为需要业务方重新加载的非场景对象 ID
+  renderMode = 'continuous', // 渲染模式：'continuous' 每帧重绘；'onDemand' 仅在相机、场景、排序结果、时间轴变化或 invalidate() 时重绘
+  adaptiveResolution = null // 自适应分辨率 { targetFps, minScale, maxScale, motionScale, refineDelay } 或 true（默认参数），null 表示原生分辨率
 }) {
   // 移除调试日志 - 功能已正常工作
   
-  const { gl, program, program3DGS, meshProgram, programPointCloud, programLines, uniforms, attributes, uniforms3DGS, attributes3DGS, meshUniforms, meshAttributes, pointCloudUniforms, pointCloudAttributes, linesUniforms, linesAttributes, error: webGLError } = useWebGL(canvasRef, { antialias: false });
+  const { gl, program, program3DGS, meshProgram, programPointCloud, programLines, uniforms, attributes, uniforms3DGS, attributes3DGS, meshUniforms, meshAttributes, pointCloudUniforms, pointCloudAttributes, linesUniforms, linesAttributes, shaderRegistry, contextLost, contextVersion, error: webGLError } = useWebGL(canvasRef, { antialias: false });
   
   const animationFrameRef = useRef(null);
   const renderPipelineRef = useRef(null);
   const renderTargetRef = useRef(null);
+
+  // 按需渲染：renderLoopRef 为当前渲染循环的帧函数（循环暂停时为 null），animationFrameRef 为 null 表示没有待执行的帧
+  const renderModeRef = useRef(renderMode);
+  const renderLoopRef = useRef(null);
+  const lastFrameTimeRef = useRef(null);
+  const lastRenderedViewRef = useRef(null);
+
+  const requestFrame = useCallback(() => {
+    if (animationFrameRef.current !== null || !renderLoopRef.current) {
+      return;
+    }
+    // 从空闲中唤醒：清除帧时间，第一帧不推进相机输入（避免跳动），也不计入自适应分辨率的帧耗时
+    lastFrameTimeRef.current = null;
+    animationFrameRef.current = requestAnimationFrame(renderLoopRef.current);
+  }, []);
+
+  useEffect(() => {
+    renderModeRef.current = renderMode;
+  }, [renderMode]);
+
+  // 自适应分辨率：控制器保留测量状态，props 变化时只更新参数
+  const resolutionControllerRef = useRef(null);
+  useEffect(() => {
+    if (!adaptiveResolution) {
+      resolutionControllerRef.current = null;
+      if (renderTargetRef.current) {
+        renderTargetRef.current.setResolutionScale(1);
+      }
+      return;
+    }
+    const options = adaptiveResolution === true ? {} : adaptiveResolution;
+    try {
+      if (resolutionControllerRef.current) {
+        resolutionControllerRef.current.configure(options);
+      } else {
+        resolutionControllerRef.current = new AdaptiveResolutionController(options);
+      }
+    } catch (err) {
+      console.warn('[HoloEngineRuntime] 设置自适应分辨率失败:', err.message);
+    }
+  }, [adaptiveResolution]);
   
   useEffect(() => {
     if (!gl || !program || !uniforms || !attributes || !canvasRef.current) return;
     
-    const extendedOptions = {};
+    const extendedOptions = { shaderRegistry };
     if (programPointCloud && pointCloudUniforms && pointCloudAttributes) {
       extendedOptions.pointCloudProgram = programPointCloud;
       extendedOptions.pointCloudUniforms = pointCloudUniforms;
@@ -68,7 +242,30 @@ export default function HoloEngineRuntime({
       extendedOptions
     );
     pipeline.initAxisGrid(initAxisGridRenderer);
+    if (showStatsRef.current || onStatsRef.current) {
+      pipeline.setOnStats(handleStats);
+    }
+    if (postProcessingRef.current) {
+      pipeline.setPostProcessing(postProcessingRef.current);
+    }
+    if (backgroundRef.current) {
+      pipeline.setBackground(backgroundRef.current);
+    }
+    applyClipping(pipeline, clippingPlanesRef.current, sectionBoxRef.current);
+    applySelectionStyle(pipeline, selectionStyleRef.current);
+    pipeline.setSelection(selectedObjectIdRef.current);
+    applySplatCompositing(pipeline, splatCompositingRef.current);
+    applyLighting(pipeline, lightsRef.current, ambientLightRef.current, headlightRef.current);
+    applyShadows(pipeline, shadowsRef.current);
+    applyTimeline(pipeline, timeRef.current, playingRef.current);
+    if (environmentRef.current) {
+      pipeline.setEnvironment(environmentRef.current);
+    }
+    pipeline.onInvalidate = requestFrame;
     renderPipelineRef.current = pipeline;
+    if (onPipelineRefReady) {
+      onPipelineRefReady(renderPipelineRef);
+    }
     
     // 创建 Canvas 渲染目标
     const renderTarget = new CanvasRenderTarget(canvasRef.current, gl);
@@ -84,7 +281,14 @@ export default function HoloEngineRuntime({
         renderTargetRef.current = null;
       }
     };
-  }, [gl, program, program3DGS, meshProgram, programPointCloud, programLines, uniforms, attributes, uniforms3DGS, attributes3DGS, meshUniforms, meshAttributes, pointCloudUniforms, pointCloudAttributes, linesUniforms, linesAttributes]);
+    // 上下文恢复后 program 会重新编译，由 handleContextRestored 替换，不重建管线（保留对象和配置）
+  }, [gl, shaderRegistry]);
+
+  // 场景对象的 GPU 资源在此上下文中创建，移除对象时由 SceneManager 释放
+  useEffect(() => {
+    if (!gl || !sceneManager) return;
+    sceneManager.attachContext(gl);
+  }, [gl, sceneManager]);
 
   // 单独更新 FOV（不重新创建渲染管线）
   // FOV 仅存在 Camera.targetVerticalFOV；HoloRP 用其 projectionMatrix getter
@@ -108,6 +312,92 @@ export default function HoloEngineRuntime({
     }
   }, [showDepthVisualization]);
 
+  // 单独更新后期处理配置（不重新创建渲染管线；管线重建时通过 ref 重新应用）
+  const postProcessingRef = useRef(postProcessing);
+  useEffect(() => {
+    postProcessingRef.current = postProcessing;
+    if (renderPipelineRef.current) {
+      renderPipelineRef.current.setPostProcessing(postProcessing);
+    }
+  }, [postProcessing]);
+
+  // 单独更新场景背景（不重新创建渲染管线；管线重建时通过 ref 重新应用）
+  const backgroundRef = useRef(background);
+  useEffect(() => {
+    backgroundRef.current = background;
+    if (renderPipelineRef.current) {
+      renderPipelineRef.current.setBackground(background);
+    }
+  }, [background]);
+
+  // 单独更新裁剪平面和剖切盒（只更新 uniform，不重新创建渲染管线或编译 program）
+  const clippingPlanesRef = useRef(clippingPlanes);
+  const sectionBoxRef = useRef(sectionBox);
+  useEffect(() => {
+    clippingPlanesRef.current = clippingPlanes;
+    sectionBoxRef.current = sectionBox;
+    if (renderPipelineRef.current) {
+      applyClipping(renderPipelineRef.current, clippingPlanes, sectionBox);
+    }
+  }, [clippingPlanes, sectionBox]);
+
+  // 单独更新光源（只更新 uniform buffer，不重新创建渲染管线；管线重建时通过 ref 重新应用）
+  const lightsRef = useRef(lights);
+  const ambientLightRef = useRef(ambientLight);
+  const headlightRef = useRef(headlight);
+  useEffect(() => {
+    lightsRef.current = lights;
+    ambientLightRef.current = ambientLight;
+    headlightRef.current = headlight;
+    if (renderPipelineRef.current) {
+      applyLighting(renderPipelineRef.current, lights, ambientLight, headlight);
+    }
+  }, [lights, ambientLight, headlight]);
+
+  // 单独更新阴影选项（管线重建时通过 ref 重新应用）
+  const shadowsRef = useRef(shadows);
+  useEffect(() => {
+    shadowsRef.current = shadows;
+    if (renderPipelineRef.current) {
+      applyShadows(renderPipelineRef.current, shadows);
+    }
+  }, [shadows]);
+
+  // 单独更新环境光照（环境图来源不变时不重新预过滤；管线重建时通过 ref 重新应用）
+  const environmentRef = useRef(environment);
+  useEffect(() => {
+    environmentRef.current = environment;
+    if (renderPipelineRef.current) {
+      renderPipelineRef.current.setEnvironment(environment);
+    }
+  }, [environment]);
+
+  // 单独更新选中对象和选中样式（不重新创建渲染管线；管线重建时通过 ref 重新应用）
+  const selectedObjectIdRef = useRef(selectedObjectId);
+  useEffect(() => {
+    selectedObjectIdRef.current = selectedObjectId;
+    if (renderPipelineRef.current) {
+      renderPipelineRef.current.setSelection(selectedObjectId);
+    }
+  }, [selectedObjectId]);
+
+  const selectionStyleRef = useRef(selectionStyle);
+  useEffect(() => {
+    selectionStyleRef.current = selectionStyle;
+    if (renderPipelineRef.current) {
+      applySelectionStyle(renderPipelineRef.current, selectionStyle);
+    }
+  }, [selectionStyle]);
+
+  // 单独更新高斯合成方式（不重新创建渲染管线；管线重建时通过 ref 重新应用）
+  const splatCompositingRef = useRef(splatCompositing);
+  useEffect(() => {
+    splatCompositingRef.current = splatCompositing;
+    if (renderPipelineRef.current) {
+      applySplatCompositing(renderPipelineRef.current, splatCompositing);
+    }
+  }, [splatCompositing]);
+
   // 单独更新深度范围（不重新创建渲染管线）
   useEffect(() => {
     if (renderPipelineRef.current) {
@@ -129,6 +419,40 @@ export default function HoloEngineRuntime({
     }
   }, [depthGamma]);
 
+  // 单独更新深度可视化配色（不重新创建渲染管线）
+  useEffect(() => {
+    if (!renderPipelineRef.current) return;
+    try {
+      renderPipelineRef.current.setDepthColormap(depthColormap);
+    } catch (err) {
+      console.warn('[HoloEngineRuntime] 设置深度配色失败:', err.message);
+    }
+  }, [depthColormap]);
+
+  // 单独更新深度映射范围模式（不重新创建渲染管线）
+  const depthPercentileLow = depthPercentiles ? depthPercentiles[0] : null;
+  const depthPercentileHigh = depthPercentiles ? depthPercentiles[1] : null;
+  useEffect(() => {
+    if (!renderPipelineRef.current) return;
+    try {
+      const options = depthPercentileLow !== null ? { percentiles: [depthPercentileLow, depthPercentileHigh] } : {};
+      renderPipelineRef.current.setDepthRangeMode(depthRangeMode, options);
+    } catch (err) {
+      console.warn('[HoloEngineRuntime] 设置深度映射范围失败:', err.message);
+    }
+  }, [depthRangeMode, depthPercentileLow, depthPercentileHigh]);
+
+  // 深度图例：映射范围在百分位模式下逐帧变化，按固定间隔从管线读取，避免每帧触发 React 重渲染
+  const [depthLegendInfo, setDepthLegendInfo] = useState(null);
+  const showDepthLegendRef = useRef(showDepthLegend);
+  const lastDepthLegendUpdateRef = useRef(0);
+  useEffect(() => {
+    showDepthLegendRef.current = showDepthLegend;
+    if (!showDepthLegend) {
+      setDepthLegendInfo(null);
+    }
+  }, [showDepthLegend]);
+
   // 设置深度写入的不透明度阈值
   useEffect(() => {
     if (renderPipelineRef.current) {
@@ -142,6 +466,66 @@ export default function HoloEngineRuntime({
     }
   }, [centerOpacityThreshold]);
 
+  // 受控时间轴：单独更新时间和播放状态（不重新创建渲染管线；管线重建时通过 ref 重新应用）
+  const timeRef = useRef(time);
+  const playingRef = useRef(playing);
+  useEffect(() => {
+    timeRef.current = time;
+    playingRef.current = playing;
+    if (renderPipelineRef.current) {
+      applyTimeline(renderPipelineRef.current, time, playing);
+    }
+  }, [time, playing]);
+
+  // 上下文丢失/恢复回调
+  const onContextLostRef = useRef(onContextLost);
+  const onContextRestoredRef = useRef(onContextRestored);
+  useEffect(() => {
+    onContextLostRef.current = onContextLost;
+    onContextRestoredRef.current = onContextRestored;
+  }, [onContextLost, onContextRestored]);
+
+  useEffect(() => {
+    if (contextLost && onContextLostRef.current) {
+      onContextLostRef.current();
+    }
+  }, [contextLost]);
+
+  // 时间轴回调放在 ref 中，避免渲染循环因回调变化而重建
+  const onTimeUpdateRef = useRef(onTimeUpdate);
+  const lastReportedTimeRef = useRef(null);
+  useEffect(() => {
+    onTimeUpdateRef.current = onTimeUpdate;
+  }, [onTimeUpdate]);
+
+  // 渲染统计：回调放在 ref 中，HUD 状态按固定间隔更新，避免每帧触发 React 重渲染
+  const [stats, setStats] = useState(null);
+  const showStatsRef = useRef(showStats);
+  const onStatsRef = useRef(onStats);
+  const lastStatsUpdateRef = useRef(0);
+  const handleStats = useCallback((frameStats) => {
+    if (onStatsRef.current) {
+      onStatsRef.current(frameStats);
+    }
+    if (showStatsRef.current) {
+      const now = performance.now();
+      if (now - lastStatsUpdateRef.current >= 250) {
+        lastStatsUpdateRef.current = now;
+        setStats(frameStats);
+      }
+    }
+  }, []);
+  useEffect(() => {
+    showStatsRef.current = showStats;
+    onStatsRef.current = onStats;
+    if (renderPipelineRef.current) {
+      renderPipelineRef.current.setOnStats(showStats || onStats ? handleStats : null);
+    }
+    if (!showStats) {
+      setStats(null);
+    }
+  }, [showStats, onStats, handleStats]);
+
   // 获取默认相机（使用 Camera 类）
   const getDefaultCamera = useCallback(() => {
     return new Camera({
@@ -275,7 +659,7 @@ export default function HoloEngineRuntime({
     },
     camerasVersion,
     null, // worldUpPitchAdjust
-    null, // onNotifyUserInput
+    requestFrame, // onNotifyUserInput：按需渲染时用户输入唤醒渲染循环
     disableLeftMouseButton,
     cameraSpeedMultiplier, // 相机移动速度倍率（由 EditorViewer 计算）
     !isOrbitMode // enabled: 只在非 Orbit 模式时启用
@@ -298,7 +682,7 @@ export default function HoloEngineRuntime({
     },
     camerasVersion,
     null, // worldUpPitchAdjust
-    null, // onNotifyUserInput
+    requestFrame, // onNotifyUserInput：按需渲染时用户输入唤醒渲染循环
     disableLeftMouseButton,
     cameraSpeedMultiplier, // 相机移动速度倍率（由 EditorViewer 计算）
     isOrbitMode // enabled: 只在 Orbit 模式时启用
@@ -323,6 +707,18 @@ export default function HoloEngineRuntime({
       renderObj = new RenderableObject(sceneObj.id);
       pipeline.addObject(renderObj);
     }
+
+    // 可见性与图层不依赖加载状态
+    renderObj.visible = sceneObj.visible !== false;
+    renderObj.clippable = sceneObj.clippable !== false;
+    renderObj.castShadow = sceneObj.castShadow === true;
+    renderObj.receiveShadow = sceneObj.receiveShadow === true;
+    if (Number.isInteger(sceneObj.layers)) {
+      renderObj.layers = sceneObj.layers >>> 0;
+    }
+
+    // 父子关系（父对象尚未同步时先脱离，全部同步后再次解析）
+    syncObjectParent(sceneObj, renderObj, pipeline);
     
     // 更新渲染对象的资源（如果场景对象已加载）
     if (sceneObj.loaded) {
@@ -339,44 +735,51 @@ export default function HoloEngineRuntime({
         }
       }
       
+      // GPU 资源通过 assignResources 赋值：渲染对象与场景对象各持有一个引用，两者都释放后才删除
       if (objType === 'mesh') {
         // Mesh 对象
         renderObj.renderType = RenderType.MESH;
-        renderObj.vertexBuffer = sceneObj.vertexBuffer;
-        renderObj.elementBuffer = sceneObj.elementBuffer;
         renderObj.elementCount = sceneObj.elementCount || 0;
-        renderObj.vertexAttributes = sceneObj.vertexAttributes;
         // 清除 splat 相关属性，避免混淆
-        renderObj.texture = null;
-        renderObj.indexBuffer = null;
+        renderObj.assignResources(pipeline.gl, {
+          vertexBuffer: sceneObj.vertexBuffer,
+          elementBuffer: sceneObj.elementBuffer,
+          vertexAttributes: sceneObj.vertexAttributes,
+          texture: null,
+          indexBuffer: null,
+          worker: null,
+        });
         renderObj.vertexCount = 0;
-        renderObj.worker = null;
       } else if (objType === '3dgs') {
         // 3DGS 对象
         renderObj.renderType = RenderType['3DGS'];
-        renderObj.texture = sceneObj.texture;
-        renderObj.indexBuffer = sceneObj.indexBuffer;
         renderObj.vertexCount = sceneObj.vertexCount || 0;
-        renderObj.worker = sceneObj.worker;
-        renderObj.shTexture = sceneObj.shTexture;
         renderObj.sphericalHarmonicsDegree = sceneObj.sphericalHarmonicsDegree || 0;
         // 清除 mesh 相关属性，避免混淆
-        renderObj.vertexBuffer = null;
-        renderObj.elementBuffer = null;
+        renderObj.assignResources(pipeline.gl, {
+          texture: sceneObj.texture,
+          indexBuffer: sceneObj.indexBuffer,
+          worker: sceneObj.worker,
+          shTexture: sceneObj.shTexture,
+          vertexBuffer: null,
+          elementBuffer: null,
+          vertexAttributes: null,
+        });
         renderObj.elementCount = 0;
-        renderObj.vertexAttributes = null;
       } else {
         // 4DGS 对象（默认）
         renderObj.renderType = RenderType['4DGS'];
-        renderObj.texture = sceneObj.texture;
-        renderObj.indexBuffer = sceneObj.indexBuffer;
         renderObj.vertexCount = sceneObj.vertexCount || 0;
-        renderObj.worker = sceneObj.worker;
         // 清除 mesh 相关属性，避免混淆
-        renderObj.vertexBuffer = null;
-        renderObj.elementBuffer = null;
+        renderObj.assignResources(pipeline.gl, {
+          texture: sceneObj.texture,
+          indexBuffer: sceneObj.indexBuffer,
+          worker: sceneObj.worker,
+          vertexBuffer: null,
+          elementBuffer: null,
+          vertexAttributes: null,
+        });
         renderObj.elementCount = 0;
-        renderObj.vertexAttributes = null;
       }
       
       // 计算模型矩阵（每次更新，因为位置/旋转/缩放可能变化）
@@ -402,6 +805,7 @@ export default function HoloEngineRuntime({
       // 场景对象未加载，标记为未就绪
       renderObj.ready = false;
     }
+    pipeline.invalidate();
   }, []);
   
   // 同步场景对象到渲染管线
@@ -428,8 +832,54 @@ export default function HoloEngineRuntime({
     sceneObjects.forEach(sceneObj => {
       syncObjectToPipeline(sceneObj, pipeline, workerReadyRef);
     });
+
+    // 父对象可能排在子对象之后，全部同步后再解析一次父子关系
+    sceneObjects.forEach(sceneObj => {
+      const renderObj = pipeline.getObject(sceneObj.id);
+      if (renderObj) {
+        syncObjectParent(sceneObj, renderObj, pipeline);
+      }
+    });
   }, [sceneManager, sceneVersion, syncObjectToPipeline]);
 
+  // WebGL 上下文恢复：管线保留，program 与内部资源重建，带 restoreResources 的对象从 CPU 数据重新上传；
+  // 场景对象重置为未加载，由下面的加载流程从 modelUrl 重新加载
+  useEffect(() => {
+    const pipeline = renderPipelineRef.current;
+    if (contextVersion === 0 || !pipeline) return;
+
+    if (renderTargetRef.current) {
+      renderTargetRef.current.discardLostResources();
+    }
+    const { lost } = pipeline.handleContextRestored({
+      splatProgram: program,
+      splatUniforms: uniforms,
+      splatAttributes: attributes,
+      splat3DGSProgram: program3DGS || program,
+      splat3DGSUniforms: program3DGS ? uniforms3DGS : uniforms,
+      splat3DGSAttributes: program3DGS ? attributes3DGS : attributes,
+      meshProgram: meshProgram || program,
+      meshUniforms: meshUniforms || uniforms,
+      meshAttributes: meshAttributes || attributes,
+      linesProgram: programLines,
+      linesUniforms,
+      linesAttributes,
+      pointCloudProgram: programPointCloud,
+      pointCloudUniforms,
+      pointCloudAttributes,
+    });
+
+    const reloadIds = new Set(sceneManager ? sceneManager.handleContextRestored() : []);
+    reloadIds.forEach(id => {
+      workerReadyRef.current.delete(id);
+      loadingRef.current.delete(id);
+    });
+
+    if (onContextRestoredRef.current) {
+      onContextRestoredRef.current({ lost: lost.filter(id => !reloadIds.has(id)) });
+    }
+  }, [contextVersion]);
+
   // 加载所有场景对象
   const { loadSplatFile } = useSplatLoader();
   
@@ -570,6 +1020,9 @@ export default function HoloEngineRuntime({
                 onFirstDepthSort: (vertexCount) => {
                   workerReadyRef.current.set(obj.id, true);
                   console.log(`[HoloEngineRuntime] 3DGS Worker 第一次深度排序完成: ${obj.id.substring(0, 8)}... (${vertexCount} 顶点)`);
+                  if (renderPipelineRef.current) {
+                    renderPipelineRef.current.invalidate();
+                  }
                   checkAllLoaded();
                 },
                 onWorkerError: (err) => {
@@ -644,6 +1097,7 @@ export default function HoloEngineRuntime({
                     if (renderObj) {
                       renderObj.ready = true;
                     }
+                    renderPipelineRef.current.invalidate();
                   }
                   
                   checkAllLoaded(); // 检查是否可以完成加载
@@ -677,7 +1131,9 @@ export default function HoloEngineRuntime({
               activeCamera.width = canvasWidth;
               activeCamera.height = canvasHeight;
               
-              const modelMatrix = obj.getModelMatrix(createTransformMatrix);
+              // 优先使用渲染对象的世界矩阵（含父对象变换）
+              const renderObj = renderPipelineRef.current ? renderPipelineRef.current.getObject(obj.id) : null;
+              const modelMatrix = renderObj ? renderObj.getModelMatrix() : obj.getModelMatrix(createTransformMatrix);
               const viewProj = activeCamera.getViewProjModelMatrix(modelMatrix);
               worker.postMessage({ view: viewProj });
               
@@ -712,12 +1168,11 @@ export default function HoloEngineRuntime({
         loadCompleteCheckRef.current = null;
       }
     };
-  }, [gl, sceneManager, loadSplatFile, getDefaultCamera, onLoadComplete, onError, sceneVersion, checkAllLoaded]);
-
-  const lastFrameTimeRef = useRef(performance.now());
+  }, [gl, sceneManager, loadSplatFile, getDefaultCamera, onLoadComplete, onError, sceneVersion, checkAllLoaded, contextVersion]);
 
   // 渲染循环
   const render = useCallback(() => {
+    animationFrameRef.current = null;
     if (!renderPipelineRef.current || !renderTargetRef.current || !sceneManager) {
       animationFrameRef.current = requestAnimationFrame(render);
       return;
@@ -734,10 +1189,25 @@ export default function HoloEngineRuntime({
 
     // 更新相机输入（业务逻辑：用户交互）
     const now = performance.now();
-    const deltaTime = (now - lastFrameTimeRef.current) / 1000;
+    const frameInterval = lastFrameTimeRef.current !== null ? now - lastFrameTimeRef.current : null;
+    const deltaTime = frameInterval !== null ? frameInterval / 1000 : 0;
     lastFrameTimeRef.current = now;
     updateCameraFromInput(deltaTime);
 
+    // 相机是否在上一帧之后移动过（按需渲染的续帧和自适应分辨率的运动降级使用）
+    const viewMatrix = cameraRef.current ? cameraRef.current.viewMatrix : null;
+    const cameraMoved = viewMatrixChanged(viewMatrix, lastRenderedViewRef.current);
+    lastRenderedViewRef.current = viewMatrix ? Array.from(viewMatrix) : null;
+
+    // 自适应分辨率：按帧间隔调整本帧的渲染缩放
+    const resolutionController = resolutionControllerRef.current;
+    if (resolutionController) {
+      const scale = resolutionController.update(frameInterval, { moving: cameraMoved, time: now });
+      if (scale !== renderTargetRef.current.resolutionScale) {
+        renderTargetRef.current.setResolutionScale(scale);
+      }
+    }
+
     // 更新渲染管线的视图矩阵和相机
     const pipeline = renderPipelineRef.current;
     if (cameraRef.current) {
@@ -770,12 +1240,38 @@ export default function HoloEngineRuntime({
       objectOrder // 对象顺序列表（按hierarchy顺序）
     );
 
-    animationFrameRef.current = requestAnimationFrame(render);
+    // 更新深度图例（与统计 HUD 相同的 250ms 间隔）
+    if (showDepthLegendRef.current && now - lastDepthLegendUpdateRef.current >= 250) {
+      lastDepthLegendUpdateRef.current = now;
+      const info = pipeline.getDepthVisualizationInfo();
+      setDepthLegendInfo((previous) => {
+        if (previous === info) return previous;
+        if (previous && info && previous.colormap === info.colormap && previous.mode === info.mode &&
+            previous.gamma === info.gamma && Math.abs(previous.near - info.near) < 0.01 && Math.abs(previous.far - info.far) < 0.01) {
+          return previous;
+        }
+        return info;
+      });
+    }
+
+    // 通知时间轴变化（仅在时间推进时回调）
+    if (onTimeUpdateRef.current && pipeline.timeline.time !== lastReportedTimeRef.current) {
+      lastReportedTimeRef.current = pipeline.timeline.time;
+      onTimeUpdateRef.current(pipeline.timeline.normalizedTime, pipeline.timeline.time);
+    }
+
+    // 按需渲染：相机仍在运动（惯性、环绕）、时间轴播放中或运动降级尚未恢复时继续下一帧，否则空闲，等待 requestFrame 唤醒
+    // 输入回调在本帧内已请求下一帧时 animationFrameRef 不为 null
+    if (animationFrameRef.current === null &&
+        (renderModeRef.current !== 'onDemand' || cameraMoved || pipeline.isAnimating() ||
+          (resolutionController && resolutionController.isRefining()))) {
+      animationFrameRef.current = requestAnimationFrame(render);
+    }
   }, [canvasRef, updateCameraFromInput, sceneManager]);
 
-  // 启动渲染循环
+  // 启动渲染循环（上下文丢失期间暂停，恢复后重新启动）
   useEffect(() => {
-    if (!gl || !uniforms) {
+    if (!gl || !uniforms || contextLost) {
       return;
     }
 
@@ -783,14 +1279,31 @@ export default function HoloEngineRuntime({
       return;
     }
 
+    renderLoopRef.current = render;
     animationFrameRef.current = requestAnimationFrame(render);
 
     return () => {
-      if (animationFrameRef.current) {
+      renderLoopRef.current = null;
+      if (animationFrameRef.current !== null) {
         cancelAnimationFrame(animationFrameRef.current);
+        animationFrameRef.current = null;
       }
     };
-  }, [gl, uniforms, render]);
+  }, [gl, uniforms, render, contextLost]);
+
+  // 按需渲染：任何 props 变化（sceneVersion、选中、后期处理等）后重绘一帧；切回连续模式时重新启动循环
+  useEffect(() => {
+    requestFrame();
+  });
+
+  // 按需渲染：canvas 尺寸变化时重绘
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(() => requestFrame());
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, [canvasRef, requestFrame]);
 
 
   // 处理错误
@@ -803,6 +1316,11 @@ export default function HoloEngineRuntime({
     }
   }, [webGLError, onError]);
 
-  return null;
+  return (
+    <>
+      {showStats && <HoloStatsOverlay stats={stats} />}
+      {showDepthLegend && showDepthVisualization && <DepthLegend info={depthLegendInfo} />}
+    </>
+  );
 }
 
@@ -0,0 +1,100 @@
+import { useMemo } from 'react';
+
+const POSITION_STYLES = {
+  'top-left': { top: 8, left: 8 },
+  'top-right': { top: 8, right: 8 },
+  'bottom-left': { bottom: 8, left: 8 },
+  'bottom-right': { bottom: 8, right: 8 },
+};
+
+const containerStyle = {
+  position: 'absolute',
+  zIndex: 10,
+  minWidth: 160,
+  padding: '6px 8px',
+  background: 'rgba(0, 0, 0, 0.65)',
+  color: '#e6e6e6',
+  font: '11px/1.45 Menlo, Consolas, monospace',
+  borderRadius: 4,
+  pointerEvents: 'none',
+  whiteSpace: 'nowrap',
+};
+
+const rowStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  gap: 12,
+};
+
+const headerStyle = {
+  marginTop: 4,
+  color: '#9ad',
+};
+
+function formatCount(value) {
+  if (value >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+  return String(Math.round(value));
+}
+
+function formatMs(value) {
+  return value === null || value === undefined ? '-' : `${value.toFixed(2)} ms`;
+}
+
+function Row({ label, value }) {
+  return (
+    <div style={rowStyle}>
+      <span>{label}</span>
+      <span>{value}</span>
+    </div>
+  );
+}
+
+/**
+ * 渲染统计 HUD
+ * 显示 HoloRP.getStats() / onStats 返回的统计数据；容器需为定位元素（position: relative 等）
+ * @param {Object} props
+ * @param {Object} props.stats - 渲染统计
+ * @param {string} props.position - 位置：'top-left'（默认）| 'top-right' | 'bottom-left' | 'bottom-right'
+ * @param {Object} props.style - 额外样式
+ */
+export default function HoloStatsOverlay({ stats, position = 'top-left', style = null }) {
+  const stageNames = useMemo(() => {
+    if (!stats) return [];
+    const names = new Set(Object.keys(stats.stageTimes || {}));
+    if (stats.gpuStageTimes) {
+      Object.keys(stats.gpuStageTimes).forEach((name) => names.add(name));
+    }
+    return Array.from(names);
+  }, [stats]);
+
+  if (!stats) {
+    return null;
+  }
+
+  const gpuTimes = stats.gpuStageTimes;
+
+  return (
+    <div style={{ ...containerStyle, ...(POSITION_STYLES[position] || POSITION_STYLES['top-left']), ...style }}>
+      <Row label="FPS" value={stats.fps ? stats.fps.toFixed(1) : '-'} />
+      <Row label="CPU" value={formatMs(stats.cpuTime)} />
+      <Row label="GPU" value={stats.gpuTimerSupported ? formatMs(stats.gpuTime) : 'n/a'} />
+      <Row label="Draw calls" value={stats.drawCalls} />
+      <Row label="Programs" value={stats.programSwitches} />
+      {stats.splats > 0 && <Row label="Splats" value={formatCount(stats.splats)} />}
+      {stats.points > 0 && <Row label="Points" value={formatCount(stats.points)} />}
+      {stats.lines > 0 && <Row label="Lines" value={formatCount(stats.lines)} />}
+      {stats.triangles > 0 && <Row label="Triangles" value={formatCount(stats.triangles)} />}
+      {stats.glObjects !== null && stats.glObjects !== undefined && <Row label="GL objects" value={stats.glObjects} />}
+      {stats.resolutionScale < 1 && <Row label="Resolution" value={`${Math.round(stats.resolutionScale * 100)}%`} />}
+      {stageNames.length > 0 && <div style={headerStyle}>Stage (CPU / GPU)</div>}
+      {stageNames.map((name) => (
+        <Row
+          key={name}
+          label={name}
+          value={`${formatMs(stats.stageTimes[name])} / ${gpuTimes ? formatMs(gpuTimes[name]) : '-'}`}
+        />
+      ))}
+    </div>
+  );
+}
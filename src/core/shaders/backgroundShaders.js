@@ -0,0 +1,66 @@
+// 场景背景 Shader
+// 全屏 quad，在每个视图最先绘制，不写入深度
+// mode: 0=纯色, 1=渐变（按完整画面纵向插值）, 2=等距柱状投影环境图（随相机旋转）
+
+/**
+ * 背景顶点着色器
+ */
+export const backgroundVertexShader = `
+  #version 300 es
+  precision highp float;
+
+  in vec2 position;
+  out vec2 vNdc;
+
+  void main() {
+    vNdc = position;
+    gl_Position = vec4(position, 0.0, 1.0);
+  }
+`.trim();
+
+/**
+ * 背景片段着色器（输出预乘 alpha，与高斯混合方式一致）
+ */
+export const backgroundFragmentShader = `
+  #version 300 es
+  precision highp float;
+
+  uniform int mode;
+  uniform vec4 color;
+  uniform vec4 topColor;
+  uniform vec4 bottomColor;
+  uniform vec4 viewRegionTransform;       // 子区域渲染时 NDC 的缩放与偏移 (sx, sy, tx, ty)
+  uniform mat4 inverseViewProjection;     // inverse(projection * 仅旋转的视图矩阵)
+  uniform mat3 environmentBasis;          // 世界方向 → 环境图局部方向（含 up 轴与水平旋转）
+  uniform sampler2D environmentMap;
+  uniform float intensity;
+
+  in vec2 vNdc;
+  out vec4 fragColor;
+
+  const float PI = 3.14159265359;
+
+  void main() {
+    if (mode == 0) {
+      fragColor = vec4(color.rgb * color.a, color.a);
+      return;
+    }
+
+    if (mode == 1) {
+      // 还原到完整画面的 NDC，分块截图时渐变保持连续
+      vec2 fullNdc = (vNdc - viewRegionTransform.zw) / viewRegionTransform.xy;
+      vec4 c = mix(bottomColor, topColor, clamp(fullNdc.y * 0.5 + 0.5, 0.0, 1.0));
+      fragColor = vec4(c.rgb * c.a, c.a);
+      return;
+    }
+
+    // 相机位于原点，反投影得到视线方向
+    vec4 p = inverseViewProjection * vec4(vNdc, 0.5, 1.0);
+    vec3 dir = environmentBasis * normalize(p.xyz / p.w);
+    vec2 uv = vec2(
+      atan(dir.z, dir.x) / (2.0 * PI) + 0.5,
+      acos(clamp(dir.y, -1.0, 1.0)) / PI
+    );
+    fragColor = vec4(texture(environmentMap, uv).rgb * intensity, 1.0);
+  }
+`.trim();
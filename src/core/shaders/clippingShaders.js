@@ -0,0 +1,25 @@
+// 裁剪平面 Shader 片段
+// 内置 shader 通过模板字符串插入；平面在世界空间，dot(plane.xyz, p) + plane.w < 0 的一侧被裁掉
+// 高斯和点云在顶点着色器中按中心点整体裁剪，Mesh 和线段在片段着色器中逐像素裁剪
+
+/**
+ * 同时生效的裁剪平面上限（自定义平面 + 剖切盒的 6 个面）
+ */
+export const MAX_CLIP_PLANES = 12;
+
+/**
+ * 裁剪 uniform 与 isClipped(worldPosition) 函数
+ * clipPlaneCount 为 0 时不裁剪（对象关闭裁剪时也传 0）
+ */
+export const clippingShaderChunk = `
+  uniform vec4 clipPlanes[${MAX_CLIP_PLANES}];
+  uniform int clipPlaneCount;
+
+  bool isClipped(vec3 worldPosition) {
+    for (int i = 0; i < ${MAX_CLIP_PLANES}; i++) {
+      if (i >= clipPlaneCount) break;
+      if (dot(clipPlanes[i].xyz, worldPosition) + clipPlanes[i].w < 0.0) return true;
+    }
+    return false;
+  }
+`;
@@ -0,0 +1,77 @@
+// 科学配色 Shader 片段
+// turbo / viridis / inferno 使用多项式拟合（t 的 6 次多项式，逐通道系数），jet 为分段线性；
+// 系数同时供 JS 端采样（colormaps.js，用于图例），保证图例与画面颜色一致
+
+/**
+ * 配色名称 -> shader 中的编号
+ */
+export const COLORMAP_IDS = {
+  grayscale: 0,
+  turbo: 1,
+  viridis: 2,
+  inferno: 3,
+  jet: 4,
+};
+
+/**
+ * 多项式配色系数 [c0, c1, ..., c6]，color(t) = Σ ci * t^i（各为 [r, g, b]）
+ */
+export const COLORMAP_POLYNOMIALS = {
+  turbo: [
+    [0.13572138, 0.09140261, 0.10667330],
+    [4.61539260, 2.19418839, 12.64194608],
+    [-42.66032258, 4.84296658, -60.58204836],
+    [132.13108234, -14.18503333, 110.36276771],
+    [-152.94239396, 4.27729857, -89.90310912],
+    [59.28637943, 2.82956604, 27.34824973],
+    [0.0, 0.0, 0.0],
+  ],
+  viridis: [
+    [0.2777273272234177, 0.005407344544966578, 0.3340998053353061],
+    [0.1050930431085774, 1.404613529898575, 1.384590162594685],
+    [-0.3308618287255563, 0.214847559468213, 0.09509516302823659],
+    [-4.634230498983486, -5.799100973351585, -19.33244095627987],
+    [6.228269936347081, 14.17993336680509, 56.69055260068105],
+    [4.776384997670288, -13.74514537774601, -65.35303263337234],
+    [-5.435455855934631, 4.645852612178535, 26.3124352495832],
+  ],
+  inferno: [
+    [0.0002189403691192265, 0.001651004631001012, -0.01948089843709184],
+    [0.1065134194856116, 0.5639564367884091, 3.932712388889277],
+    [11.60249308247187, -3.972853965665698, -15.9423941062914],
+    [-41.70399613139459, 17.43639888205313, 44.35414519872813],
+    [77.162935699427, -33.40235894210092, -81.80730925738993],
+    [-71.31942824499214, 32.62606426397723, 73.20951985803202],
+    [25.13112622477341, -12.24266895238567, -23.07032500287172],
+  ],
+};
+
+const glslFloat = (v) => (Number.isInteger(v) ? v.toFixed(1) : String(v));
+const glslVec3 = (c) => `vec3(${c.map(glslFloat).join(', ')})`;
+
+function polynomialFunction(name, coefficients) {
+  const horner = coefficients
+    .slice(1)
+    .reduceRight((inner, c) => `${glslVec3(c)} + t * (${inner})`, glslVec3([0, 0, 0]));
+  return `
+  vec3 colormap_${name}(float t) {
+    return ${glslVec3(coefficients[0])} + t * (${horner});
+  }`;
+}
+
+/**
+ * applyColormap(colormap, t) 函数：t 为 0-1（0=近，1=远），colormap 为 COLORMAP_IDS 中的编号
+ * 灰度为近白远黑，其余配色按 t 从色带起点到终点
+ */
+export const colormapShaderChunk = `
+  ${Object.entries(COLORMAP_POLYNOMIALS).map(([name, c]) => polynomialFunction(name, c)).join('\n')}
+
+  vec3 applyColormap(int colormap, float t) {
+    t = clamp(t, 0.0, 1.0);
+    if (colormap == ${COLORMAP_IDS.turbo}) return clamp(colormap_turbo(t), 0.0, 1.0);
+    if (colormap == ${COLORMAP_IDS.viridis}) return clamp(colormap_viridis(t), 0.0, 1.0);
+    if (colormap == ${COLORMAP_IDS.inferno}) return clamp(colormap_inferno(t), 0.0, 1.0);
+    if (colormap == ${COLORMAP_IDS.jet}) return clamp(vec3(1.5) - abs(4.0 * t - vec3(3.0, 2.0, 1.0)), 0.0, 1.0);
+    return vec3(1.0 - t);
+  }
+`;
@@ -0,0 +1,180 @@
+// 环境光照（IBL）Shader
+// 等距柱状投影环境图预过滤为两张同样是等距柱状投影的贴图：按粗糙度分级的镜面反射 mip 链和漫反射辐照度
+// 方向与纹理坐标的映射须与 backgroundShaders 一致：u = atan(z, x) / 2π + 0.5，v = acos(y) / π
+
+/**
+ * 环境贴图使用的纹理单元（避开材质纹理使用的低编号单元和阴影贴图单元）
+ */
+export const ENVIRONMENT_SPECULAR_UNIT = 13;
+export const ENVIRONMENT_IRRADIANCE_UNIT = 14;
+
+// 纹理坐标 <-> 方向，预过滤与材质 shader 共用
+const equirectChunk = `
+  vec2 directionToEquirect(vec3 d) {
+    return vec2(atan(d.z, d.x) / 6.28318530718 + 0.5, acos(clamp(d.y, -1.0, 1.0)) / 3.14159265359);
+  }
+
+  vec3 equirectToDirection(vec2 uv) {
+    float phi = (uv.x - 0.5) * 6.28318530718;
+    float theta = uv.y * 3.14159265359;
+    return vec3(sin(theta) * cos(phi), cos(theta), sin(theta) * sin(phi));
+  }
+`;
+
+// 低差异序列与切线空间
+const samplingChunk = `
+  vec2 hammersley(uint i, uint count) {
+    uint bits = i;
+    bits = (bits << 16u) | (bits >> 16u);
+    bits = ((bits & 0x55555555u) << 1u) | ((bits & 0xAAAAAAAAu) >> 1u);
+    bits = ((bits & 0x33333333u) << 2u) | ((bits & 0xCCCCCCCCu) >> 2u);
+    bits = ((bits & 0x0F0F0F0Fu) << 4u) | ((bits & 0xF0F0F0F0u) >> 4u);
+    bits = ((bits & 0x00FF00FFu) << 8u) | ((bits & 0xFF00FF00u) >> 8u);
+    return vec2(float(i) / float(count), float(bits) * 2.3283064365386963e-10);
+  }
+
+  mat3 tangentFrame(vec3 n) {
+    vec3 up = abs(n.y) < 0.999 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+    vec3 tangent = normalize(cross(up, n));
+    return mat3(tangent, cross(n, tangent), n);
+  }
+`;
+
+/**
+ * 预过滤顶点着色器（全屏 quad，vUv 与目标纹理的纹理坐标一致）
+ */
+export const environmentVertexShader = `
+  #version 300 es
+  precision highp float;
+
+  in vec2 position;
+  out vec2 vUv;
+
+  void main() {
+    vUv = position * 0.5 + 0.5;
+    gl_Position = vec4(position, 0.0, 1.0);
+  }
+`.trim();
+
+/**
+ * 镜面反射预过滤片段着色器
+ * 按 GGX 分布重要性采样（假设 N = V = R），每个样本按其覆盖的立体角选择源图 mip 级别以减少噪点
+ */
+export const environmentSpecularFragmentShader = `
+  #version 300 es
+  precision highp float;
+
+  uniform sampler2D sourceMap;
+  uniform vec2 sourceSize;      // 源图尺寸（像素）
+  uniform float sourceMaxLod;   // 源图最高 mip 级别（没有 mipmap 时为 0）
+  uniform float roughness;
+  uniform float minLod;         // 目标分辨率对应的源图 mip 级别（避免降采样走样）
+
+  in vec2 vUv;
+  out vec4 fragColor;
+
+  const uint SAMPLE_COUNT = 128u;
+  ${equirectChunk}
+  ${samplingChunk}
+  void main() {
+    vec3 n = equirectToDirection(vUv);
+    if (roughness <= 0.0) {
+      fragColor = vec4(textureLod(sourceMap, directionToEquirect(n), min(minLod, sourceMaxLod)).rgb, 1.0);
+      return;
+    }
+
+    mat3 frame = tangentFrame(n);
+    float a = roughness * roughness;
+    float a2 = a * a;
+    float texelSolidAngle = 12.5663706144 / (sourceSize.x * sourceSize.y);
+
+    vec3 color = vec3(0.0);
+    float weight = 0.0;
+    for (uint i = 0u; i < SAMPLE_COUNT; i++) {
+      vec2 xi = hammersley(i, SAMPLE_COUNT);
+      float cosTheta = sqrt((1.0 - xi.y) / (1.0 + (a2 - 1.0) * xi.y));
+      float sinTheta = sqrt(1.0 - cosTheta * cosTheta);
+      float phi = 6.28318530718 * xi.x;
+      vec3 h = frame * vec3(sinTheta * cos(phi), sinTheta * sin(phi), cosTheta);
+      vec3 l = 2.0 * dot(n, h) * h - n;
+      float NdotL = dot(n, l);
+      if (NdotL <= 0.0) continue;
+
+      // pdf = D(h) / 4（N = V 时 NdotH = VdotH）
+      float d = (cosTheta * cosTheta) * (a2 - 1.0) + 1.0;
+      float pdf = a2 / (3.14159265359 * d * d) * 0.25;
+      float sampleSolidAngle = 1.0 / (float(SAMPLE_COUNT) * pdf + 1e-4);
+      float lod = clamp(0.5 * log2(sampleSolidAngle / texelSolidAngle) + 1.0, minLod, sourceMaxLod);
+
+      color += textureLod(sourceMap, directionToEquirect(l), lod).rgb * NdotL;
+      weight += NdotL;
+    }
+    fragColor = vec4(color / max(weight, 1e-4), 1.0);
+  }
+`.trim();
+
+/**
+ * 漫反射辐照度片段着色器
+ * 余弦加权采样，输出为辐照度 / π（乘以漫反射颜色即为 Lambert 反射的出射辐亮度）
+ */
+export const environmentIrradianceFragmentShader = `
+  #version 300 es
+  precision highp float;
+
+  uniform sampler2D sourceMap;
+  uniform vec2 sourceSize;
+  uniform float sourceMaxLod;
+
+  in vec2 vUv;
+  out vec4 fragColor;
+
+  const uint SAMPLE_COUNT = 512u;
+  ${equirectChunk}
+  ${samplingChunk}
+  void main() {
+    vec3 n = equirectToDirection(vUv);
+    mat3 frame = tangentFrame(n);
+    float texelSolidAngle = 12.5663706144 / (sourceSize.x * sourceSize.y);
+
+    vec3 color = vec3(0.0);
+    for (uint i = 0u; i < SAMPLE_COUNT; i++) {
+      vec2 xi = hammersley(i, SAMPLE_COUNT);
+      float cosTheta = sqrt(1.0 - xi.y);
+      float sinTheta = sqrt(xi.y);
+      float phi = 6.28318530718 * xi.x;
+      vec3 l = frame * vec3(sinTheta * cos(phi), sinTheta * sin(phi), cosTheta);
+
+      // pdf = cos / π
+      float sampleSolidAngle = 3.14159265359 / (float(SAMPLE_COUNT) * max(cosTheta, 1e-3));
+      float lod = clamp(0.5 * log2(sampleSolidAngle / texelSolidAngle) + 1.0, 0.0, sourceMaxLod);
+      color += textureLod(sourceMap, directionToEquirect(l), lod).rgb;
+    }
+    fragColor = vec4(color / float(SAMPLE_COUNT), 1.0);
+  }
+`.trim();
+
+/**
+ * 材质 shader 使用的环境光照片段
+ * - sampleEnvironmentSpecular(direction, roughness)：预过滤的镜面反射（按粗糙度选择 mip 级别）
+ * - sampleEnvironmentIrradiance(normal)：漫反射辐照度 / π
+ * - useEnvironment 为 false 时没有环境贴图（绑定的是默认纹理），材质应改用 getHemisphereLight
+ * 方向为世界空间，environmentBasis 变换到环境图的局部空间（up 与水平旋转，与 equirect 背景的参数含义一致）
+ */
+export const environmentShaderChunk = `
+  uniform sampler2D environmentSpecular;
+  uniform sampler2D environmentIrradiance;
+  uniform bool useEnvironment;
+  uniform float environmentIntensity;
+  uniform float environmentMaxLod;
+  uniform mat3 environmentBasis;
+  ${equirectChunk}
+  vec3 sampleEnvironmentSpecular(vec3 direction, float roughness) {
+    vec2 uv = directionToEquirect(environmentBasis * direction);
+    return textureLod(environmentSpecular, uv, roughness * environmentMaxLod).rgb * environmentIntensity;
+  }
+
+  vec3 sampleEnvironmentIrradiance(vec3 normal) {
+    vec2 uv = directionToEquirect(environmentBasis * normal);
+    return textureLod(environmentIrradiance, uv, 0.0).rgb * environmentIntensity;
+  }
+`;
@@ -0,0 +1,123 @@
+// 光照 Shader 片段
+// 光源列表通过 std140 uniform block（Lights）上传，所有 Lit program 共享同一个缓冲，修改光源不需要重新编译 program
+// 布局须与 lights.js 中的 packLights 一致；阴影贴图的矩阵和参数也在 block 中，贴图绑定到固定纹理单元
+
+/**
+ * 同时生效的光源上限（含头灯）
+ */
+export const MAX_LIGHTS = 8;
+
+/**
+ * uniform block 名称与绑定点
+ */
+export const LIGHTS_BLOCK_NAME = 'Lights';
+export const LIGHTS_BLOCK_BINDING = 0;
+
+/**
+ * 阴影贴图使用的纹理单元（避开各 shader 常用的低编号单元）
+ */
+export const SHADOW_TEXTURE_UNIT = 15;
+
+/**
+ * 光源类型在 shader 中的编号
+ */
+export const LIGHT_TYPE_IDS = {
+  directional: 0,
+  point: 1,
+  spot: 2,
+};
+
+/**
+ * Lights uniform block 与 computeLighting(baseColor, normal, worldPosition) 函数
+ * 自定义 BRDF 可直接使用 getLightRadiance（第 i 个光源的方向与入射辐照）、getHemisphereLight 和 getShadow
+ * - 平行光：direction 为光线传播方向
+ * - 点光源/聚光灯：按 glTF KHR_lights_punctual 的平方反比衰减，range > 0 时在 range 处平滑衰减到 0
+ * - 聚光灯：在外锥角与内锥角之间平滑过渡
+ * - 环境光为半球光：按法线与 up 的夹角在地面色和天空色之间插值
+ * - 阴影：shadowParams.x 指定的平行光乘以 getShadow 的结果（receiveShadow 为 false 的对象不计算）；
+ *   getShadow 按法线偏移后投影到阴影贴图，做 (2r+1)² 次硬件比较的 PCF，超出阴影贴图范围视为不在阴影中
+ */
+export const lightingShaderChunk = `
+  layout(std140) uniform ${LIGHTS_BLOCK_NAME} {
+    vec4 lightPositionType[${MAX_LIGHTS}];   // xyz = 位置，w = 类型
+    vec4 lightDirectionRange[${MAX_LIGHTS}]; // xyz = 方向，w = 范围（0 = 无限）
+    vec4 lightColorIntensity[${MAX_LIGHTS}]; // rgb = 颜色，a = 强度
+    vec4 lightSpotCone[${MAX_LIGHTS}];       // x = cos(外锥角)，y = cos(内锥角)
+    vec4 hemisphereSky;                  // rgb = 天空色 * 强度
+    vec4 hemisphereGround;               // rgb = 地面色 * 强度
+    vec4 hemisphereUp;                   // xyz = 上方向
+    ivec4 lightCount;                    // x = 光源数量
+    mat4 shadowMatrix;                   // 世界坐标 -> 阴影贴图坐标（0-1）
+    vec4 shadowParams;                   // x = 投射阴影的光源序号（-1 = 无），y = 深度偏移，z = 法线偏移（世界单位），w = PCF 半径（texel）
+  };
+
+  uniform highp sampler2DShadow shadowMap;
+  uniform bool receiveShadow;
+
+  float getShadow(vec3 worldPosition, vec3 normal) {
+    if (shadowParams.x < 0.0) return 1.0;
+    vec4 projected = shadowMatrix * vec4(worldPosition + normal * shadowParams.z, 1.0);
+    vec3 coord = projected.xyz / projected.w;
+    if (any(lessThan(coord, vec3(0.0))) || any(greaterThan(coord, vec3(1.0)))) return 1.0;
+
+    vec2 texel = 1.0 / vec2(textureSize(shadowMap, 0));
+    int radius = int(shadowParams.w);
+    float lit = 0.0;
+    float samples = 0.0;
+    for (int x = -2; x <= 2; x++) {
+      for (int y = -2; y <= 2; y++) {
+        if (abs(x) > radius || abs(y) > radius) continue;
+        lit += texture(shadowMap, vec3(coord.xy + vec2(float(x), float(y)) * texel, coord.z - shadowParams.y));
+        samples += 1.0;
+      }
+    }
+    return lit / samples;
+  }
+
+  // 半球环境光（按方向与 up 的夹角在地面色和天空色之间插值）
+  vec3 getHemisphereLight(vec3 direction) {
+    float hemi = dot(direction, hemisphereUp.xyz) * 0.5 + 0.5;
+    return mix(hemisphereGround.rgb, hemisphereSky.rgb, hemi);
+  }
+
+  // 第 i 个光源：L 为指向光源的单位向量，返回颜色 × 强度 × 衰减（不含阴影）
+  vec3 getLightRadiance(int i, vec3 worldPosition, out vec3 L) {
+    int lightType = int(lightPositionType[i].w);
+    float attenuation = 1.0;
+    if (lightType == ${LIGHT_TYPE_IDS.directional}) {
+      L = normalize(-lightDirectionRange[i].xyz);
+    } else {
+      vec3 toLight = lightPositionType[i].xyz - worldPosition;
+      float distance2 = max(dot(toLight, toLight), 1e-4);
+      L = toLight * inversesqrt(distance2);
+      attenuation = 1.0 / distance2;
+      float range = lightDirectionRange[i].w;
+      if (range > 0.0) {
+        float ratio = distance2 / (range * range);
+        float falloff = clamp(1.0 - ratio * ratio, 0.0, 1.0);
+        attenuation *= falloff * falloff;
+      }
+      if (lightType == ${LIGHT_TYPE_IDS.spot}) {
+        float cd = dot(normalize(lightDirectionRange[i].xyz), -L);
+        attenuation *= smoothstep(lightSpotCone[i].x, lightSpotCone[i].y, cd);
+      }
+    }
+    return lightColorIntensity[i].rgb * lightColorIntensity[i].a * attenuation;
+  }
+
+  vec3 computeLighting(vec3 baseColor, vec3 normal, vec3 worldPosition) {
+    vec3 lighting = getHemisphereLight(normal);
+    int shadowLight = receiveShadow ? int(shadowParams.x) : -1;
+    float shadow = shadowLight >= 0 ? getShadow(worldPosition, normal) : 1.0;
+
+    for (int i = 0; i < ${MAX_LIGHTS}; i++) {
+      if (i >= lightCount.x) break;
+      vec3 L;
+      vec3 radiance = getLightRadiance(i, worldPosition, L);
+      if (i == shadowLight) radiance *= shadow;
+      lighting += radiance * max(dot(normal, L), 0.0);
+    }
+
+    return baseColor * lighting;
+  }
+`;
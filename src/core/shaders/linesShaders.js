@@ -3,6 +3,8 @@
  * 与 axisGridRenderer 相同格式：position + color，gl.LINES
  */
 
+import { clippingShaderChunk } from './clippingShaders';
+
 export const linesVertexShaderSource = `#version 300 es
 precision highp float;
 
@@ -14,11 +16,13 @@ in vec3 position;
 in vec3 color;
 
 out vec3 vColor;
+out vec3 vClipPosition;
 
 void main() {
   vec4 world = model * vec4(position, 1.0);
   gl_Position = projection * view * world;
   vColor = color;
+  vClipPosition = world.xyz;
 }
 `;
 
@@ -26,11 +30,13 @@ export const linesFragmentShaderSource = `#version 300 es
 precision highp float;
 
 in vec3 vColor;
+in vec3 vClipPosition;
 uniform float alpha;
-
+${clippingShaderChunk}
 out vec4 fragColor;
 
 void main() {
+  if (isClipped(vClipPosition)) discard;
   fragColor = vec4(vColor, alpha);
 }
 `;
@@ -0,0 +1,183 @@
+// 合并绘制 Shader（HoloRP 'merged' 合成方式）
+// 多个 4DGS/3DGS 对象的高斯按全局排序结果在一次实例化绘制中交错绘制：
+// 实例属性 index 的高 4 位为对象槽位，低 28 位为对象内的高斯序号；每个槽位有自己的纹理、model 矩阵、时间和裁剪开关
+// 解码与投影与 splatShaders（4DGS）/ gaussian3dShaders（3DGS）一致，片段着色器复用 4DGS 的实现
+
+import { clippingShaderChunk } from './clippingShaders';
+
+/**
+ * 一次合并绘制的对象上限（WebGL2 保证顶点着色器至少有 16 个纹理单元）
+ */
+export const MAX_MERGED_SPLAT_OBJECTS = 16;
+
+/**
+ * 槽位在 index 中的位移（低 28 位为对象内的高斯序号）
+ */
+export const MERGED_SLOT_SHIFT = 28;
+
+// GLSL ES 3.00 的 sampler 数组只能用常量下标，按槽位逐个分支
+const fetchBranches = Array.from({ length: MAX_MERGED_SPLAT_OBJECTS - 1 }, (_, i) =>
+  `if (slot == ${i}) return texelFetch(u_textures[${i}], coord, 0);`
+).join('\n    ');
+
+export const mergedSplatVertexShaderSource = `
+  #version 300 es
+  precision highp float;
+  precision highp int;
+
+  uniform highp usampler2D u_textures[${MAX_MERGED_SPLAT_OBJECTS}];
+  uniform mat4 models[${MAX_MERGED_SPLAT_OBJECTS}];
+  uniform float times[${MAX_MERGED_SPLAT_OBJECTS}];     // 4DGS 对象片段内的时间
+  uniform int splatTypes[${MAX_MERGED_SPLAT_OBJECTS}];  // 0=4DGS, 1=3DGS
+  uniform bool clippable[${MAX_MERGED_SPLAT_OBJECTS}];  // 对象是否受裁剪平面影响
+  uniform mat4 projection, view;
+  uniform vec2 focal;
+  uniform vec2 viewport;
+  uniform bool viewRegionEnabled;   // 是否只渲染完整画面的子区域（分块截图）
+  uniform vec4 viewRegionTransform; // 子区域 NDC 变换 (scaleX, scaleY, offsetX, offsetY)
+  ${clippingShaderChunk}
+  in vec2 position;
+  in uint index;
+
+  out vec4 vColor;
+  out vec2 vPosition;
+
+  uvec4 fetchSplat(int slot, ivec2 coord) {
+    ${fetchBranches}
+    return texelFetch(u_textures[${MAX_MERGED_SPLAT_OBJECTS - 1}], coord, 0);
+  }
+
+  void main () {
+      gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+
+      int slot = int(index >> ${MERGED_SLOT_SHIFT}u);
+      uint local = index & 0x0fffffffu;
+      mat4 model = models[slot];
+
+      vec3 center;
+      vec4 rot;
+      vec3 gaussianScale;
+      float opacity;
+      uint rgba;
+      if (splatTypes[slot] == 0) {
+        // 4DGS：每行 1024 个高斯，每个 4 个纹素（静态 2 个 + 运动 2 个）
+        ivec2 base = ivec2(int((local & 0x3ffu) << 2), int(local >> 10));
+        uvec4 motion1 = fetchSplat(slot, base + ivec2(3, 0));
+        vec2 trbf = unpackHalf2x16(motion1.w);
+        float dt = times[slot] - trbf.x;
+
+        opacity = exp(-1.0 * pow(dt / trbf.y, 2.0));
+        if (opacity < 0.02) return;
+
+        uvec4 motion0 = fetchSplat(slot, base + ivec2(2, 0));
+        uvec4 static0 = fetchSplat(slot, base);
+        uvec4 static1 = fetchSplat(slot, base + ivec2(1, 0));
+
+        vec2 m0 = unpackHalf2x16(motion0.x), m1 = unpackHalf2x16(motion0.y), m2 = unpackHalf2x16(motion0.z),
+             m3 = unpackHalf2x16(motion0.w), m4 = unpackHalf2x16(motion1.x);
+        vec4 trot = vec4(unpackHalf2x16(motion1.y).xy, unpackHalf2x16(motion1.z).xy) * dt;
+        vec3 tpos = (vec3(m0.xy, m1.x) * dt + vec3(m1.y, m2.xy) * dt*dt + vec3(m3.xy, m4.x) * dt*dt*dt);
+
+        center = uintBitsToFloat(static0.xyz) + tpos;
+        rot = vec4(unpackHalf2x16(static0.w).xy, unpackHalf2x16(static1.x).xy) + trot;
+        gaussianScale = vec3(unpackHalf2x16(static1.y).xy, unpackHalf2x16(static1.z).x);
+        rgba = static1.w;
+      } else {
+        // 3DGS：每行 256 个高斯，每个 4 个纹素
+        ivec2 base = ivec2(int((local & 0xffu) << 2), int(local >> 8));
+        uvec4 static0 = fetchSplat(slot, base);
+        uvec4 static1 = fetchSplat(slot, base + ivec2(1, 0));
+
+        center = uintBitsToFloat(static0.xyz);
+        rot = vec4(unpackHalf2x16(static0.w).xy, unpackHalf2x16(static1.x).xy);
+        gaussianScale = vec3(unpackHalf2x16(static1.y).xy, unpackHalf2x16(static1.z).x);
+        rgba = static1.w;
+        opacity = float((rgba >> 24) & 0xffu) / 255.0;
+      }
+
+      vec4 worldCenter = model * vec4(center, 1);
+      if (clippable[slot] && isClipped(worldCenter.xyz)) return;
+      vec4 cam = view * worldCenter;
+      vec4 pos = projection * cam;
+
+      // 子区域渲染时投影已包含区域变换，剔除需在完整画面空间中进行，避免区域边缘的大高斯被误剔除
+      vec2 cullXY = viewRegionEnabled
+        ? (pos.xy - viewRegionTransform.zw * pos.w) / viewRegionTransform.xy
+        : pos.xy;
+      float clip = 1.2 * pos.w;
+      if (pos.z < -clip || cullXY.x < -clip || cullXY.x > clip || cullXY.y < -clip || cullXY.y > clip) return;
+
+      vec3 modelScale = vec3(
+        length(model[0].xyz),
+        length(model[1].xyz),
+        length(model[2].xyz)
+      );
+      vec3 scale = gaussianScale * modelScale;
+
+      rot /= sqrt(dot(rot, rot));
+
+      mat3 R = mat3(
+        1.0 - 2.0 * (rot.z * rot.z + rot.w * rot.w), 2.0 * (rot.y * rot.z - rot.x * rot.w), 2.0 * (rot.y * rot.w + rot.x * rot.z),
+        2.0 * (rot.y * rot.z + rot.x * rot.w), 1.0 - 2.0 * (rot.y * rot.y + rot.w * rot.w), 2.0 * (rot.z * rot.w - rot.x * rot.y),
+        2.0 * (rot.y * rot.w - rot.x * rot.z), 2.0 * (rot.z * rot.w + rot.x * rot.y), 1.0 - 2.0 * (rot.y * rot.y + rot.z * rot.z));
+
+      mat3 S = mat3(scale.x, 0.0, 0.0, 0.0, scale.y, 0.0, 0.0, 0.0, scale.z);
+      mat3 M = S * R;
+      mat3 Vrk = 4.0 * transpose(M) * M;
+
+      vec3 modelCol0 = model[0].xyz;
+      vec3 modelCol1 = model[1].xyz;
+      vec3 modelCol2 = model[2].xyz;
+      float len0 = length(modelCol0);
+      float len1 = length(modelCol1);
+      float len2 = length(modelCol2);
+      vec3 rotCol0 = len0 > 1e-6 ? modelCol0 / len0 : vec3(1.0, 0.0, 0.0);
+      vec3 rotCol1 = len1 > 1e-6 ? modelCol1 / len1 : vec3(0.0, 1.0, 0.0);
+      vec3 rotCol2 = len2 > 1e-6 ? modelCol2 / len2 : vec3(0.0, 0.0, 1.0);
+      vec3 v0 = normalize(rotCol0);
+      vec3 v1 = rotCol1 - dot(rotCol1, v0) * v0;
+      v1 = normalize(v1);
+      vec3 v2 = rotCol2 - dot(rotCol2, v0) * v0 - dot(rotCol2, v1) * v1;
+      v2 = normalize(v2);
+      if (dot(cross(v0, v1), v2) < 0.0) {
+        v2 = -v2;
+      }
+      mat3 modelRot = mat3(v0, v1, v2);
+      Vrk = modelRot * Vrk * transpose(modelRot);
+
+      mat3 J = mat3(
+        focal.x / cam.z, 0., -(focal.x * cam.x) / (cam.z * cam.z),
+        0., -focal.y / cam.z, (focal.y * cam.y) / (cam.z * cam.z),
+        0., 0., 0.
+      );
+      mat3 T = transpose(mat3(view)) * J;
+      mat3 cov2d = transpose(T) * Vrk * T;
+
+      float mid = (cov2d[0][0] + cov2d[1][1]) / 2.0;
+      float radius = length(vec2((cov2d[0][0] - cov2d[1][1]) / 2.0, cov2d[0][1]));
+      float lambda1 = mid + radius, lambda2 = mid - radius;
+
+      if(lambda2 < 0.0) return;
+      vec2 diagonalVector = normalize(vec2(cov2d[0][1], lambda1 - cov2d[0][0]));
+      vec2 majorAxis = min(sqrt(2.0 * lambda1), 1024.0) * diagonalVector;
+      vec2 minorAxis = min(sqrt(2.0 * lambda2), 1024.0) * vec2(diagonalVector.y, -diagonalVector.x);
+
+      vColor =
+        clamp(pos.z/pos.w+1.0, 0.0, 1.0) *
+        vec4(1.0, 1.0, 1.0, opacity) *
+        vec4(
+          (rgba) & 0xffu,
+          (rgba >> 8) & 0xffu,
+          (rgba >> 16) & 0xffu,
+          (rgba >> 24) & 0xffu) / 255.0;
+
+      vec2 vCenter = vec2(pos) / pos.w;
+      float depthNDC = pos.z / pos.w;
+      gl_Position = vec4(
+          vCenter
+          + position.x * majorAxis / viewport
+          + position.y * minorAxis / viewport, depthNDC, 1.0);
+
+      vPosition = position;
+  }
+`.trim();
@@ -0,0 +1,125 @@
+// GPU 拾取 Shader
+// 输出两个颜色附件：location 0 = 对象 ID（RGBA8 编码），location 1 = 打包后的深度值
+// 与正常渲染一致应用裁剪平面：高斯/点云由复用的顶点着色器裁剪，Mesh/线段在 pickingClippedFragmentShader 中裁剪
+
+import { clippingShaderChunk } from './clippingShaders';
+
+/**
+ * 深度打包函数（[0, 1) 的浮点深度打包到 RGBA8 的四个通道）
+ */
+const packDepthFunction = `
+  vec4 packDepth(float depth) {
+    vec4 enc = fract(depth * vec4(1.0, 255.0, 65025.0, 16581375.0));
+    enc -= enc.yzww * vec4(1.0 / 255.0, 1.0 / 255.0, 1.0 / 255.0, 0.0);
+    return enc;
+  }
+`;
+
+/**
+ * Mesh 拾取顶点着色器（只需要位置，输出世界坐标用于裁剪）
+ */
+export const pickingMeshVertexShader = `
+  #version 300 es
+  precision highp float;
+
+  uniform mat4 projection, view, model;
+
+  in vec3 position;
+  out vec3 vClipPosition;
+
+  void main() {
+    vec4 world = model * vec4(position, 1.0);
+    vClipPosition = world.xyz;
+    gl_Position = projection * view * world;
+  }
+`.trim();
+
+/**
+ * 实例化 Mesh 拾取顶点着色器（所有实例写入同一个对象 ID）
+ */
+export const pickingInstancedMeshVertexShader = `
+  #version 300 es
+  precision highp float;
+
+  uniform mat4 projection, view, model;
+
+  in vec3 position;
+  in mat4 instanceMatrix;
+  out vec3 vClipPosition;
+
+  void main() {
+    vec4 world = model * instanceMatrix * vec4(position, 1.0);
+    vClipPosition = world.xyz;
+    gl_Position = projection * view * world;
+  }
+`.trim();
+
+/**
+ * 通用拾取片段着色器（点云）
+ * 点云直接复用自身的顶点着色器，其输出的 vColor 在这里不需要
+ */
+export const pickingFragmentShader = `
+  #version 300 es
+  precision highp float;
+
+  uniform vec4 objectId;
+
+  layout(location = 0) out vec4 outId;
+  layout(location = 1) out vec4 outDepth;
+  ${packDepthFunction}
+  void main() {
+    outId = objectId;
+    outDepth = packDepth(gl_FragCoord.z);
+  }
+`.trim();
+
+/**
+ * 带裁剪的拾取片段着色器（Mesh / 实例化 Mesh / 线段，顶点着色器须输出世界坐标 vClipPosition）
+ */
+export const pickingClippedFragmentShader = `
+  #version 300 es
+  precision highp float;
+
+  in vec3 vClipPosition;
+
+  uniform vec4 objectId;
+  ${clippingShaderChunk}
+  layout(location = 0) out vec4 outId;
+  layout(location = 1) out vec4 outDepth;
+  ${packDepthFunction}
+  void main() {
+    if (isClipped(vClipPosition)) discard;
+    outId = objectId;
+    outDepth = packDepth(gl_FragCoord.z);
+  }
+`.trim();
+
+/**
+ * 高斯拾取片段着色器（4DGS / 3DGS，复用各自的顶点着色器）
+ * 与 depthWriteOnly 遍使用相同的不透明度阈值，只有足够不透明的像素才算命中
+ */
+export const pickingSplatFragmentShader = `
+  #version 300 es
+  precision highp float;
+
+  in vec4 vColor;
+  in vec2 vPosition;
+
+  uniform vec4 objectId;
+  uniform float depthOpacityThreshold;
+  uniform float centerOpacityThreshold;
+
+  layout(location = 0) out vec4 outId;
+  layout(location = 1) out vec4 outDepth;
+  ${packDepthFunction}
+  void main() {
+    float A = -dot(vPosition, vPosition);
+    if (A < -4.0) discard;
+    float B = exp(A) * vColor.a;
+    if (vColor.a < centerOpacityThreshold) discard;
+    if (B < depthOpacityThreshold) discard;
+
+    outId = objectId;
+    outDepth = packDepth(gl_FragCoord.z);
+  }
+`.trim();
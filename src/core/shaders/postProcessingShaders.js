@@ -0,0 +1,196 @@
+// 后期处理 Shader
+// 顺序：Bloom（提取高亮 + 模糊）→ 合成（曝光/色调映射 → LUT 调色 → 暗角）→ FXAA
+// 场景颜色为预乘 alpha（高斯使用预乘混合），调色前先反预乘，处理完再乘回 alpha
+
+/**
+ * 全屏 quad 顶点着色器
+ */
+export const postProcessingVertexShader = `
+  #version 300 es
+  precision highp float;
+
+  in vec2 position;
+  out vec2 vUv;
+
+  void main() {
+    vUv = position * 0.5 + 0.5;
+    gl_Position = vec4(position, 0.0, 1.0);
+  }
+`.trim();
+
+/**
+ * Bloom 高亮提取
+ * 亮度超过阈值的部分按软膝曲线保留
+ */
+export const bloomExtractFragmentShader = `
+  #version 300 es
+  precision highp float;
+
+  uniform sampler2D sceneTexture;
+  uniform float threshold;
+  uniform float knee;
+
+  in vec2 vUv;
+  out vec4 fragColor;
+
+  void main() {
+    vec3 color = texture(sceneTexture, vUv).rgb;
+    float brightness = max(color.r, max(color.g, color.b));
+    float soft = clamp(brightness - threshold + knee, 0.0, 2.0 * knee);
+    soft = soft * soft / (4.0 * knee + 1e-4);
+    float contribution = max(soft, brightness - threshold) / max(brightness, 1e-4);
+    fragColor = vec4(color * contribution, 1.0);
+  }
+`.trim();
+
+/**
+ * 可分离高斯模糊（9 tap，direction 为单位纹素偏移 × 半径）
+ */
+export const blurFragmentShader = `
+  #version 300 es
+  precision highp float;
+
+  uniform sampler2D sourceTexture;
+  uniform vec2 direction;
+
+  in vec2 vUv;
+  out vec4 fragColor;
+
+  void main() {
+    vec3 color = texture(sourceTexture, vUv).rgb * 0.2270270270;
+    color += texture(sourceTexture, vUv + direction * 1.3846153846).rgb * 0.3162162162;
+    color += texture(sourceTexture, vUv - direction * 1.3846153846).rgb * 0.3162162162;
+    color += texture(sourceTexture, vUv + direction * 3.2307692308).rgb * 0.0702702703;
+    color += texture(sourceTexture, vUv - direction * 3.2307692308).rgb * 0.0702702703;
+    fragColor = vec4(color, 1.0);
+  }
+`.trim();
+
+/**
+ * 合成：Bloom 叠加、曝光与色调映射、LUT 调色、暗角
+ */
+export const compositeFragmentShader = `
+  #version 300 es
+  precision highp float;
+  precision highp sampler3D;
+
+  uniform sampler2D sceneTexture;
+  uniform sampler2D bloomTexture;
+  uniform sampler3D lutTexture;
+
+  uniform bool bloomEnabled;
+  uniform float bloomIntensity;
+
+  uniform bool toneMappingEnabled;
+  uniform int toneMappingMode;   // 0=Reinhard, 1=ACES
+  uniform float exposure;
+
+  uniform bool lutEnabled;
+  uniform float lutSize;
+  uniform float lutIntensity;
+
+  uniform bool vignetteEnabled;
+  uniform float vignetteIntensity;
+  uniform float vignetteSmoothness;
+  uniform vec4 viewRegionTransform; // 子区域 NDC 变换 (scaleX, scaleY, offsetX, offsetY)，完整画面为 (1, 1, 0, 0)
+
+  in vec2 vUv;
+  out vec4 fragColor;
+
+  vec3 toneMapACES(vec3 x) {
+    const float a = 2.51;
+    const float b = 0.03;
+    const float c = 2.43;
+    const float d = 0.59;
+    const float e = 0.14;
+    return clamp((x * (a * x + b)) / (x * (c * x + d) + e), 0.0, 1.0);
+  }
+
+  void main() {
+    vec4 scene = texture(sceneTexture, vUv);
+    float alpha = scene.a;
+    vec3 color = alpha > 0.0 ? scene.rgb / alpha : scene.rgb;
+
+    if (bloomEnabled) {
+      vec3 bloom = texture(bloomTexture, vUv).rgb * bloomIntensity;
+      color += bloom;
+      // 透明背景上的光晕也需要可见
+      alpha = clamp(max(alpha, max(bloom.r, max(bloom.g, bloom.b))), 0.0, 1.0);
+    }
+
+    if (toneMappingEnabled) {
+      color *= exposure;
+      color = toneMappingMode == 1 ? toneMapACES(color) : color / (1.0 + color);
+    }
+    color = clamp(color, 0.0, 1.0);
+
+    if (lutEnabled) {
+      // 按纹素中心采样，避免边缘颜色偏移
+      vec3 lutCoord = color * ((lutSize - 1.0) / lutSize) + 0.5 / lutSize;
+      color = mix(color, texture(lutTexture, lutCoord).rgb, lutIntensity);
+    }
+
+    if (vignetteEnabled) {
+      // 分块渲染时换算到完整画面的 UV，整张图只有一个暗角
+      vec2 frameNdc = (vUv * 2.0 - 1.0 - viewRegionTransform.zw) / viewRegionTransform.xy;
+      vec2 centered = frameNdc * 0.5;
+      float dist = length(centered) * 1.41421356;
+      float vignette = smoothstep(1.0, 1.0 - max(vignetteSmoothness, 1e-3), dist);
+      color *= mix(1.0, vignette, vignetteIntensity);
+    }
+
+    fragColor = vec4(color * alpha, alpha);
+  }
+`.trim();
+
+/**
+ * FXAA（基于 Timothy Lottes 的 FXAA 3.11 简化版）
+ */
+export const fxaaFragmentShader = `
+  #version 300 es
+  precision highp float;
+
+  uniform sampler2D sourceTexture;
+  uniform vec2 inverseResolution;
+
+  in vec2 vUv;
+  out vec4 fragColor;
+
+  const float FXAA_REDUCE_MIN = 1.0 / 128.0;
+  const float FXAA_REDUCE_MUL = 1.0 / 8.0;
+  const float FXAA_SPAN_MAX = 8.0;
+
+  float luma(vec3 color) {
+    return dot(color, vec3(0.299, 0.587, 0.114));
+  }
+
+  void main() {
+    vec4 center = texture(sourceTexture, vUv);
+    float lumaNW = luma(texture(sourceTexture, vUv + vec2(-1.0, -1.0) * inverseResolution).rgb);
+    float lumaNE = luma(texture(sourceTexture, vUv + vec2(1.0, -1.0) * inverseResolution).rgb);
+    float lumaSW = luma(texture(sourceTexture, vUv + vec2(-1.0, 1.0) * inverseResolution).rgb);
+    float lumaSE = luma(texture(sourceTexture, vUv + vec2(1.0, 1.0) * inverseResolution).rgb);
+    float lumaM = luma(center.rgb);
+
+    float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+    float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+
+    vec2 dir = vec2(
+      -((lumaNW + lumaNE) - (lumaSW + lumaSE)),
+      ((lumaNW + lumaSW) - (lumaNE + lumaSE))
+    );
+    float dirReduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.25 * FXAA_REDUCE_MUL, FXAA_REDUCE_MIN);
+    float rcpDirMin = 1.0 / (min(abs(dir.x), abs(dir.y)) + dirReduce);
+    dir = clamp(dir * rcpDirMin, vec2(-FXAA_SPAN_MAX), vec2(FXAA_SPAN_MAX)) * inverseResolution;
+
+    vec4 rgbA = 0.5 * (
+      texture(sourceTexture, vUv + dir * (1.0 / 3.0 - 0.5)) +
+      texture(sourceTexture, vUv + dir * (2.0 / 3.0 - 0.5)));
+    vec4 rgbB = rgbA * 0.5 + 0.25 * (
+      texture(sourceTexture, vUv + dir * -0.5) +
+      texture(sourceTexture, vUv + dir * 0.5));
+
+    float lumaB = luma(rgbB.rgb);
+    fragColor = (lumaB < lumaMin || lumaB > lumaMax) ? rgbA : rgbB;
+  }
+`.trim();
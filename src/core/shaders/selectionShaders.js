@@ -0,0 +1,73 @@
+// 选中描边 Shader
+// 选中对象先用拾取 program 绘制到遮罩纹理（alpha > 0 表示覆盖），再全屏合成：
+// 遮罩内叠加高亮色，遮罩外 outlineWidth 像素内有覆盖像素时绘制描边
+// 输出预乘 alpha，与高斯混合方式一致
+
+/**
+ * 描边搜索的最大半径（像素）
+ */
+export const MAX_OUTLINE_WIDTH = 8;
+
+/**
+ * 全屏 quad 顶点着色器
+ */
+export const selectionVertexShader = `
+  #version 300 es
+  precision highp float;
+
+  in vec2 position;
+
+  void main() {
+    gl_Position = vec4(position, 0.0, 1.0);
+  }
+`.trim();
+
+/**
+ * 描边与高亮合成片段着色器
+ */
+export const selectionOutlineFragmentShader = `
+  #version 300 es
+  precision highp float;
+
+  uniform sampler2D maskTexture;
+  uniform ivec4 viewportRect;   // 当前视图在遮罩中的像素范围 (x, y, width, height)，采样不越出视图
+  uniform vec4 outlineColor;
+  uniform float outlineWidth;
+  uniform vec4 tintColor;       // alpha 为 0 时不叠加高亮
+
+  out vec4 fragColor;
+
+  const int MAX_WIDTH = ${MAX_OUTLINE_WIDTH};
+  const int DIRECTIONS = 8;
+
+  float coverage(ivec2 p) {
+    ivec2 lo = viewportRect.xy;
+    ivec2 hi = viewportRect.xy + viewportRect.zw - 1;
+    return texelFetch(maskTexture, clamp(p, lo, hi), 0).a;
+  }
+
+  void main() {
+    ivec2 pixel = ivec2(gl_FragCoord.xy);
+
+    if (coverage(pixel) > 0.0) {
+      if (tintColor.a <= 0.0) discard;
+      fragColor = vec4(tintColor.rgb * tintColor.a, tintColor.a);
+      return;
+    }
+
+    // 在 8 个方向上逐像素向外查找覆盖像素
+    float found = 0.0;
+    for (int step = 1; step <= MAX_WIDTH; step++) {
+      if (float(step) > outlineWidth) break;
+      for (int i = 0; i < DIRECTIONS; i++) {
+        float angle = float(i) * 0.78539816;
+        ivec2 offset = ivec2(round(vec2(cos(angle), sin(angle)) * float(step)));
+        found = max(found, coverage(pixel + offset));
+      }
+      if (found > 0.0) break;
+    }
+    if (found <= 0.0) discard;
+
+    fragColor = vec4(outlineColor.rgb * outlineColor.a, outlineColor.a);
+  }
+`.trim();
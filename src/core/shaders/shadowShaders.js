@@ -0,0 +1,18 @@
+// 阴影贴图 Shader
+// 顶点着色器复用 Mesh 拾取的 pickingMeshVertexShader（只需要位置，输出世界坐标用于裁剪）；片段着色器只写深度
+
+import { clippingShaderChunk } from './clippingShaders';
+
+/**
+ * 阴影深度片段着色器（被裁剪平面裁掉的部分不投射阴影）
+ */
+export const shadowDepthFragmentShader = `
+  #version 300 es
+  precision highp float;
+
+  in vec3 vClipPosition;
+  ${clippingShaderChunk}
+  void main() {
+    if (isClipped(vClipPosition)) discard;
+  }
+`.trim();
@@ -10,6 +10,11 @@
 
 import { multiply4, invert4 } from './webgl';
 
+/**
+ * 所有图层（相机默认的图层掩码）
+ */
+export const ALL_LAYERS = 0xFFFFFFFF;
+
 export class Camera {
   /**
    * 创建相机实例
@@ -27,6 +32,7 @@ export class Camera {
    * @param {number} options.znear - 近裁剪平面，默认 0.2
    * @param {number} options.zfar - 远裁剪平面，默认 200
    * @param {number|string} options.id - 相机 ID，默认 0
+   * @param {number} options.layerMask - 图层掩码，只渲染 layers 与之相交的对象，默认 ALL_LAYERS
    */
   constructor(options = {}) {
     // ========== 核心属性（数据源）==========
@@ -47,6 +53,7 @@ export class Camera {
 
     // ========== 其他属性 ==========
     this._id = options.id ?? 0;
+    this._layerMask = (options.layerMask ?? ALL_LAYERS) >>> 0;
 
     // ========== 缓存（用于性能优化）==========
     this._rotationCache = null;
@@ -101,6 +108,18 @@ export class Camera {
     this._invalidateCache();
   }
 
+  get layerMask() {
+    return this._layerMask;
+  }
+
+  set layerMask(value) {
+    if (!Number.isInteger(value)) {
+      throw new Error('layerMask must be an integer bitmask');
+    }
+    // 图层掩码不影响矩阵，无需清除缓存
+    this._layerMask = value >>> 0;
+  }
+
   get worldUp() {
     return [...this._worldUp];
   }
@@ -479,6 +498,7 @@ export class Camera {
       forwardHorizontalRef: [...this._forwardHorizontalRef],
       worldUp: [...this._worldUp],
       targetVerticalFOV: this._targetVerticalFOV, // 包含 FOV 信息，供 HoloRP 使用
+      layerMask: this._layerMask,
     };
   }
 
@@ -504,6 +524,7 @@ export class Camera {
         targetVerticalFOV: plainObject.targetVerticalFOV,
         znear: plainObject.znear,
         zfar: plainObject.zfar,
+        layerMask: plainObject.layerMask,
       });
     }
 
@@ -553,6 +574,7 @@ export class Camera {
         targetVerticalFOV: plainObject.targetVerticalFOV,
         znear: plainObject.znear,
         zfar: plainObject.zfar,
+        layerMask: plainObject.layerMask,
       });
     }
 
@@ -571,6 +593,7 @@ export class Camera {
       targetVerticalFOV: plainObject.targetVerticalFOV,
       znear: plainObject.znear,
       zfar: plainObject.zfar,
+      layerMask: plainObject.layerMask,
     });
   }
 
@@ -593,6 +616,7 @@ export class Camera {
       targetVerticalFOV: this._targetVerticalFOV,
       znear: this._znear,
       zfar: this._zfar,
+      layerMask: this._layerMask,
     });
   }
 }
@@ -15,12 +15,15 @@ export class Material {
    * @param {boolean} options.depthWrite - 是否写入深度
    * @param {boolean} options.depthTest - 是否深度测试
    * @param {number} options.alpha - 透明度（0-1），用于 transparent 模式
+   * @param {boolean} options.renderAfterSplats - 是否在高斯之后绘制（叠加在高斯之上，如阴影接收面）
+   * @param {string} options.shaderName - program 在 ShaderRegistry 中的名称（上下文恢复后 refresh 用它重新获取 program）
    */
   constructor(name, program, uniforms, attributes, options = {}) {
     this.name = name;
     this.program = program;
     this.uniforms = uniforms;
     this.attributes = attributes;
+    this.shaderName = options.shaderName || null;
     
     // 渲染状态
     this.blendMode = options.blendMode || 'opaque';
@@ -28,11 +31,36 @@ export class Material {
     this.depthWrite = options.depthWrite !== false;
     this.depthTest = options.depthTest !== false;
     this.alpha = options.alpha !== undefined ? options.alpha : 1.0;
+    this.renderAfterSplats = !!options.renderAfterSplats;
     
     // 自定义属性（用于存储额外的 uniform 值）
     this.properties = options.properties || {};
   }
 
+  /**
+   * 是否为实例化 shader（带 instanceMatrix attribute）
+   * @returns {boolean}
+   */
+  get instanced() {
+    return this.attributes?.instanceMatrix !== undefined;
+  }
+
+  /**
+   * 从 ShaderRegistry 重新获取 program 和 uniform/attribute 位置（ShaderRegistry.restore 之后调用）
+   * @param {ShaderRegistry} shaderRegistry - Shader 注册表
+   * @returns {boolean} 是否更新成功（未记录 shaderName 或 shader 未注册时返回 false）
+   */
+  refresh(shaderRegistry) {
+    const shader = this.shaderName && shaderRegistry ? shaderRegistry.get(this.shaderName) : null;
+    if (!shader || !shader.program) {
+      return false;
+    }
+    this.program = shader.program;
+    this.uniforms = shader.uniforms;
+    this.attributes = shader.attributes;
+    return true;
+  }
+
   /**
    * 设置属性值
    * @param {string} name - 属性名称
@@ -67,7 +95,9 @@ export class Material {
         depthWrite: this.depthWrite,
         depthTest: this.depthTest,
         alpha: this.alpha,
+        renderAfterSplats: this.renderAfterSplats,
         properties: { ...this.properties },
+        shaderName: this.shaderName,
       }
     );
   }
@@ -7,6 +7,14 @@ import { Material } from './Material';
 import { meshUnlitVertexShaderSource, meshUnlitFragmentShaderSource } from '../../shaders/meshUnlitShaders';
 import { meshLitVertexShaderSource, meshLitFragmentShaderSource } from '../../shaders/meshLitShaders';
 import { meshTransparentVertexShaderSource, meshTransparentFragmentShaderSource } from '../../shaders/meshTransparentShaders';
+import {
+  meshLitInstancedVertexShaderSource,
+  meshLitInstancedFragmentShaderSource,
+  meshUnlitInstancedVertexShaderSource,
+  meshUnlitInstancedFragmentShaderSource,
+} from '../../shaders/meshInstancedShaders';
+import { meshShadowCatcherVertexShaderSource, meshShadowCatcherFragmentShaderSource } from '../../shaders/meshShadowCatcherShaders';
+import { meshStandardVertexShaderSource, meshStandardFragmentShaderSource } from '../../shaders/meshStandardShaders';
 
 // 内置 shader 的 uniform 和 attribute 名称
 const MESH_UNIFORMS = [
@@ -16,24 +24,45 @@ const MESH_UNIFORMS = [
   'color',
   'diffuseTexture',
   'useTexture',
-  'lightDirection',
-  'lightColor',
-  'lightIntensity',
-  'ambientIntensity',
   'debugMode',
   'cameraPosition',
   'backFaceColor',
   'backFaceOpacity',
   'showBackFace',
   'alpha',
+  'receiveShadow',
+  'shadowColor',
 ];
 
+// Standard shader 额外的 uniform（材质参数与环境光照）
+const MESH_STANDARD_UNIFORMS = [
+  ...MESH_UNIFORMS,
+  'alphaMode',
+  'alphaCutoff',
+  'environmentSpecular',
+  'environmentIrradiance',
+  'useEnvironment',
+  'environmentIntensity',
+  'environmentMaxLod',
+  'environmentBasis',
+];
+
+// glTF alphaMode 在 shader 中的编号
+const ALPHA_MODES = { OPAQUE: 0, MASK: 1, BLEND: 2 };
+
 const MESH_ATTRIBUTES = [
   'position',
   'normal',
   'uv',
 ];
 
+// 实例化 shader 额外的逐实例 attribute（instanceMatrix 占 4 个连续 location）
+const MESH_INSTANCED_ATTRIBUTES = [
+  ...MESH_ATTRIBUTES,
+  'instanceMatrix',
+  'instanceColor',
+];
+
 export class MaterialFactory {
   /**
    * 初始化内置 shader（在 ShaderRegistry 中注册）
@@ -72,18 +101,62 @@ export class MaterialFactory {
         MESH_ATTRIBUTES
       );
     }
+
+    // 注册实例化 shader（INSTANCED_MESH 使用）
+    if (!shaderRegistry.has('mesh-lit-instanced')) {
+      shaderRegistry.register(
+        'mesh-lit-instanced',
+        meshLitInstancedVertexShaderSource,
+        meshLitInstancedFragmentShaderSource,
+        MESH_UNIFORMS,
+        MESH_INSTANCED_ATTRIBUTES
+      );
+    }
+    if (!shaderRegistry.has('mesh-unlit-instanced')) {
+      shaderRegistry.register(
+        'mesh-unlit-instanced',
+        meshUnlitInstancedVertexShaderSource,
+        meshUnlitInstancedFragmentShaderSource,
+        MESH_UNIFORMS,
+        MESH_INSTANCED_ATTRIBUTES
+      );
+    }
+
+    // 注册阴影接收面 shader
+    if (!shaderRegistry.has('mesh-shadow-catcher')) {
+      shaderRegistry.register(
+        'mesh-shadow-catcher',
+        meshShadowCatcherVertexShaderSource,
+        meshShadowCatcherFragmentShaderSource,
+        MESH_UNIFORMS,
+        MESH_ATTRIBUTES
+      );
+    }
+
+    // 注册 Standard（PBR）shader
+    if (!shaderRegistry.has('mesh-standard')) {
+      shaderRegistry.register(
+        'mesh-standard',
+        meshStandardVertexShaderSource,
+        meshStandardFragmentShaderSource,
+        MESH_STANDARD_UNIFORMS,
+        MESH_ATTRIBUTES
+      );
+    }
   }
 
   /**
    * 创建 Unlit Material
    * @param {ShaderRegistry} shaderRegistry - Shader 注册表
    * @param {Object} options - Material 选项
+   * @param {boolean} options.instanced - 是否使用实例化 shader（INSTANCED_MESH 对象使用）
    * @returns {Material}
    */
   static createUnlit(shaderRegistry, options = {}) {
-    const shader = shaderRegistry.get('mesh-unlit');
+    const shaderName = options.instanced ? 'mesh-unlit-instanced' : 'mesh-unlit';
+    const shader = shaderRegistry.get(shaderName);
     if (!shader) {
-      throw new Error('mesh-unlit shader 未注册，请先调用 MaterialFactory.initializeBuiltinShaders()');
+      throw new Error(`${shaderName} shader 未注册，请先调用 MaterialFactory.initializeBuiltinShaders()`);
     }
 
     return new Material(
@@ -98,6 +171,7 @@ export class MaterialFactory {
         depthTest: options.depthTest !== false,
         alpha: options.alpha !== undefined ? options.alpha : 1.0,
         properties: options.properties || {},
+        shaderName,
       }
     );
   }
@@ -106,12 +180,14 @@ export class MaterialFactory {
    * 创建 Lit Material
    * @param {ShaderRegistry} shaderRegistry - Shader 注册表
    * @param {Object} options - Material 选项
+   * @param {boolean} options.instanced - 是否使用实例化 shader（INSTANCED_MESH 对象使用）
    * @returns {Material}
    */
   static createLit(shaderRegistry, options = {}) {
-    const shader = shaderRegistry.get('mesh-lit');
+    const shaderName = options.instanced ? 'mesh-lit-instanced' : 'mesh-lit';
+    const shader = shaderRegistry.get(shaderName);
     if (!shader) {
-      throw new Error('mesh-lit shader 未注册，请先调用 MaterialFactory.initializeBuiltinShaders()');
+      throw new Error(`${shaderName} shader 未注册，请先调用 MaterialFactory.initializeBuiltinShaders()`);
     }
 
     return new Material(
@@ -126,6 +202,7 @@ export class MaterialFactory {
         depthTest: options.depthTest !== false,
         alpha: options.alpha !== undefined ? options.alpha : 1.0,
         properties: options.properties || {},
+        shaderName,
       }
     );
   }
@@ -154,6 +231,108 @@ export class MaterialFactory {
         depthTest: options.depthTest !== false,
         alpha: options.alpha !== undefined ? options.alpha : 0.5,
         properties: options.properties || {},
+        shaderName: 'mesh-transparent',
+      }
+    );
+  }
+
+  /**
+   * 创建阴影接收面 Material（Shadow Catcher）
+   * 只绘制投射到表面上的阴影，其余部分透明；在高斯之后绘制，用于把 Mesh 的阴影叠加到高斯场景的地面上
+   * 对象不需要设置 receiveShadow；阴影的光源和范围见 HoloRP.setShadowOptions
+   * @param {ShaderRegistry} shaderRegistry - Shader 注册表
+   * @param {Object} options - Material 选项
+   * @param {number[]} options.shadowColor - 阴影颜色 [r, g, b]（默认黑色）
+   * @param {number} options.opacity - 完全处于阴影中时的不透明度（0-1，默认 0.5）
+   * @returns {Material}
+   */
+  static createShadowCatcher(shaderRegistry, options = {}) {
+    const shader = shaderRegistry.get('mesh-shadow-catcher');
+    if (!shader) {
+      throw new Error('mesh-shadow-catcher shader 未注册，请先调用 MaterialFactory.initializeBuiltinShaders()');
+    }
+
+    return new Material(
+      'ShadowCatcher',
+      shader.program,
+      shader.uniforms,
+      shader.attributes,
+      {
+        blendMode: 'transparent',
+        cullMode: options.cullMode || 'none',
+        depthWrite: false,
+        depthTest: options.depthTest !== false,
+        alpha: options.opacity !== undefined ? options.opacity : 0.5,
+        renderAfterSplats: true,
+        properties: { shadowColor: options.shadowColor || [0, 0, 0], ...options.properties },
+        shaderName: 'mesh-shadow-catcher',
+      }
+    );
+  }
+
+  /**
+   * 创建 Standard Material（PBR，glTF metallic-roughness）
+   * 参数与 glTF 2.0 的 pbrMetallicRoughness 一致：颜色因子为线性值，颜色贴图为 sRGB，因子与贴图相乘；
+   * 贴图为 WebGLTexture（不生效的传 null），也可以之后通过 setProperty 修改同名属性
+   * 环境光照见 HoloRP.setEnvironment，未设置环境贴图时使用半球环境光
+   * @param {ShaderRegistry} shaderRegistry - Shader 注册表
+   * @param {Object} options - Material 选项
+   * @param {number[]} options.baseColor - 基础色 [r, g, b, a]（线性，默认白色）
+   * @param {number} options.metallic - 金属度（0-1，默认 1）
+   * @param {number} options.roughness - 粗糙度（0-1，默认 1）
+   * @param {number[]} options.emissive - 自发光 [r, g, b]（线性，默认黑色）
+   * @param {WebGLTexture} options.baseColorTexture - 基础色贴图（未提供时使用对象的 diffuseTexture）
+   * @param {WebGLTexture} options.metallicRoughnessTexture - 金属度/粗糙度贴图（B = 金属度，G = 粗糙度）
+   * @param {WebGLTexture} options.normalTexture - 切线空间法线贴图
+   * @param {number} options.normalScale - 法线贴图强度（默认 1）
+   * @param {WebGLTexture} options.occlusionTexture - 环境光遮蔽贴图（R 通道，只影响环境光照）
+   * @param {number} options.occlusionStrength - 环境光遮蔽强度（0-1，默认 1）
+   * @param {WebGLTexture} options.emissiveTexture - 自发光贴图
+   * @param {string} options.alphaMode - 'OPAQUE' | 'MASK' | 'BLEND'（默认 'OPAQUE'）
+   * @param {number} options.alphaCutoff - MASK 模式的 alpha 阈值（默认 0.5）
+   * @param {boolean} options.doubleSided - 是否双面（不剔除背面，背面法线翻转）
+   * @returns {Material}
+   */
+  static createStandard(shaderRegistry, options = {}) {
+    const shader = shaderRegistry.get('mesh-standard');
+    if (!shader) {
+      throw new Error('mesh-standard shader 未注册，请先调用 MaterialFactory.initializeBuiltinShaders()');
+    }
+    const alphaMode = options.alphaMode || 'OPAQUE';
+    if (!(alphaMode in ALPHA_MODES)) {
+      throw new Error(`createStandard: 未知的 alphaMode "${alphaMode}"`);
+    }
+    const baseColor = options.baseColor || [1, 1, 1, 1];
+    const blend = alphaMode === 'BLEND';
+
+    return new Material(
+      'Standard',
+      shader.program,
+      shader.uniforms,
+      shader.attributes,
+      {
+        blendMode: blend ? 'transparent' : 'opaque',
+        cullMode: options.doubleSided ? 'none' : (options.cullMode || 'back'),
+        depthWrite: options.depthWrite !== undefined ? options.depthWrite !== false : !blend,
+        depthTest: options.depthTest !== false,
+        alpha: options.alpha !== undefined ? options.alpha : 1.0,
+        properties: {
+          baseColorFactor: [baseColor[0], baseColor[1], baseColor[2], baseColor.length >= 4 ? baseColor[3] : 1],
+          metallicFactor: options.metallic !== undefined ? options.metallic : 1,
+          roughnessFactor: options.roughness !== undefined ? options.roughness : 1,
+          emissiveFactor: options.emissive || [0, 0, 0],
+          normalScale: options.normalScale !== undefined ? options.normalScale : 1,
+          occlusionStrength: options.occlusionStrength !== undefined ? options.occlusionStrength : 1,
+          baseColorTexture: options.baseColorTexture || null,
+          metallicRoughnessTexture: options.metallicRoughnessTexture || null,
+          normalTexture: options.normalTexture || null,
+          occlusionTexture: options.occlusionTexture || null,
+          emissiveTexture: options.emissiveTexture || null,
+          alphaMode: ALPHA_MODES[alphaMode],
+          alphaCutoff: options.alphaCutoff !== undefined ? options.alphaCutoff : 0.5,
+          ...options.properties,
+        },
+        shaderName: 'mesh-standard',
       }
     );
   }
@@ -189,6 +368,7 @@ export class MaterialFactory {
         depthTest: options.depthTest !== false,
         alpha: options.alpha !== undefined ? options.alpha : 1.0,
         properties: options.properties || {},
+        shaderName,
       }
     );
   }
@@ -26,6 +26,25 @@ export class ShaderRegistry {
       this.unregister(name);
     }
 
+    const shaderInfo = {
+      name,
+      vertexSource,
+      fragmentSource,
+      uniformNames,
+      attributeNames,
+      ...this._compile(vertexSource, fragmentSource, uniformNames, attributeNames),
+    };
+    
+    this.shaders.set(name, shaderInfo);
+    
+    return shaderInfo;
+  }
+
+  /**
+   * 编译 program 并获取 uniform / attribute 位置
+   * @private
+   */
+  _compile(vertexSource, fragmentSource, uniformNames, attributeNames) {
     const gl = this.gl;
     
     // 编译 shader
@@ -52,21 +71,28 @@ export class ShaderRegistry {
         attributes[attrName] = location;
       }
     }
-    
-    const shaderInfo = {
-      name,
-      vertexSource,
-      fragmentSource,
-      program,
-      uniforms,
-      attributes,
-      vertexShader,
-      fragmentShader,
-    };
-    
-    this.shaders.set(name, shaderInfo);
-    
-    return shaderInfo;
+
+    return { program, uniforms, attributes, vertexShader, fragmentShader };
+  }
+
+  /**
+   * WebGL 上下文恢复后按保存的源码重新编译全部 shader
+   * 原 shaderInfo 对象原地更新，持有它的调用方（如 renderTypeRegistry）无需重新获取；
+   * Material 保存的是 program 本身，需调用 Material.refresh
+   * @returns {Array<string>} 编译失败的 shader 名称（失败的 shader program 为 null）
+   */
+  restore() {
+    const failed = [];
+    for (const [name, shaderInfo] of this.shaders) {
+      try {
+        Object.assign(shaderInfo, this._compile(shaderInfo.vertexSource, shaderInfo.fragmentSource, shaderInfo.uniformNames, shaderInfo.attributeNames));
+      } catch (err) {
+        console.error(`[ShaderRegistry] Shader "${name}" 恢复失败:`, err);
+        Object.assign(shaderInfo, { program: null, uniforms: {}, attributes: {}, vertexShader: null, fragmentShader: null });
+        failed.push(name);
+      }
+    }
+    return failed;
   }
 
   /**
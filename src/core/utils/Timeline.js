@@ -0,0 +1,253 @@
+/**
+ * 时间轴类
+ * 驱动 4DGS 的 time uniform，替代原先基于 Date.now() 的正弦往返
+ *
+ * 设计原则：
+ * - 时间以秒为单位，范围 [0, duration]，对外同时提供归一化时间（0-1）
+ * - 时钟可注入（默认 performance.now），离线渲染/测试时可传入固定时钟，保证结果可复现
+ * - 只在 update() 中推进时间，每帧调用一次，同一帧内所有对象看到相同的时间
+ */
+
+/**
+ * 循环模式枚举
+ */
+export const TimelineLoopMode = {
+  LOOP: 'loop',          // 到达终点后回到起点
+  PINGPONG: 'pingpong',  // 到达终点后反向播放
+  ONCE: 'once'           // 播放一次，到达终点后停止
+};
+
+const defaultClock = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+export class Timeline {
+  /**
+   * 创建时间轴
+   * @param {Object} options - 初始化选项
+   * @param {Function} options.clock - 时钟函数，返回毫秒，默认 performance.now
+   * @param {number} options.duration - 时间轴总时长（秒），默认 3
+   * @param {number} options.playbackRate - 播放速率，默认 1
+   * @param {string} options.loopMode - 循环模式：'loop' | 'pingpong' | 'once'，默认 'pingpong'
+   * @param {boolean} options.playing - 是否自动播放，默认 true
+   */
+  constructor(options = {}) {
+    this._clock = typeof options.clock === 'function' ? options.clock : defaultClock;
+    this._duration = options.duration > 0 ? options.duration : 3.0;
+    this._playbackRate = Number.isFinite(options.playbackRate) ? options.playbackRate : 1.0;
+    this._loopMode = Object.values(TimelineLoopMode).includes(options.loopMode)
+      ? options.loopMode
+      : TimelineLoopMode.PINGPONG;
+    this._playing = options.playing !== false;
+
+    this._time = 0;          // 当前时间（秒）
+    this._direction = 1;     // pingpong 模式下的播放方向（1=正向，-1=反向）
+    this._lastTick = null;   // 上次 update 时的时钟读数（毫秒）
+    this._listeners = new Set();
+  }
+
+  // ========== Getter/Setter ==========
+
+  get time() {
+    return this._time;
+  }
+
+  get duration() {
+    return this._duration;
+  }
+
+  set duration(value) {
+    if (!(value > 0)) {
+      console.warn('[Timeline] duration 必须大于 0，已忽略:', value);
+      return;
+    }
+    this._duration = value;
+    this._time = Math.min(this._time, value);
+    this._notify();
+  }
+
+  get normalizedTime() {
+    return this._duration > 0 ? this._time / this._duration : 0;
+  }
+
+  get playbackRate() {
+    return this._playbackRate;
+  }
+
+  set playbackRate(value) {
+    this._playbackRate = Number.isFinite(value) ? value : 1.0;
+  }
+
+  get loopMode() {
+    return this._loopMode;
+  }
+
+  set loopMode(value) {
+    if (!Object.values(TimelineLoopMode).includes(value)) {
+      console.warn('[Timeline] 未知的循环模式，已忽略:', value);
+      return;
+    }
+    this._loopMode = value;
+    if (value !== TimelineLoopMode.PINGPONG) {
+      this._direction = 1;
+    }
+  }
+
+  get playing() {
+    return this._playing;
+  }
+
+  // ========== 播放控制 ==========
+
+  /**
+   * 设置时钟函数
+   * @param {Function|null} clock - 返回毫秒的函数，传 null 恢复默认时钟
+   */
+  setClock(clock) {
+    this._clock = typeof clock === 'function' ? clock : defaultClock;
+    this._lastTick = null;
+  }
+
+  /**
+   * 开始播放
+   * once 模式下已到终点时从头开始
+   */
+  play() {
+    if (this._loopMode === TimelineLoopMode.ONCE && this._time >= this._duration) {
+      this._time = 0;
+    }
+    this._playing = true;
+    this._lastTick = null;
+    this._notify();
+  }
+
+  /**
+   * 暂停播放
+   */
+  pause() {
+    this._playing = false;
+    this._lastTick = null;
+    this._notify();
+  }
+
+  /**
+   * 跳转到指定时间（不改变播放状态）
+   * @param {number} seconds - 目标时间（秒），会被限制在 [0, duration]
+   */
+  seek(seconds) {
+    if (!Number.isFinite(seconds)) {
+      return;
+    }
+    this._time = Math.max(0, Math.min(this._duration, seconds));
+    this._lastTick = null;
+    this._notify();
+  }
+
+  /**
+   * 按归一化时间设置当前时间（不改变播放状态）
+   * @param {number} t - 归一化时间（0-1）
+   */
+  setTime(t) {
+    if (!Number.isFinite(t)) {
+      return;
+    }
+    this.seek(t * this._duration);
+  }
+
+  /**
+   * 订阅时间轴状态变化（播放、暂停、跳转、时长变化、销毁）
+   * 播放中每帧的时间推进不会通知，需要逐帧读取时间的调用方在 playing 为 true 时自行轮询
+   * @param {Function} listener - 回调 (timeline) => void
+   * @returns {Function} 取消订阅函数
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => {
+      this._listeners.delete(listener);
+    };
+  }
+
+  /**
+   * 销毁时间轴：通知订阅者后清空订阅（所属渲染管线销毁时调用）
+   */
+  dispose() {
+    this._playing = false;
+    this._notify();
+    this._listeners.clear();
+  }
+
+  /**
+   * 推进时间轴（每帧调用一次）
+   * @returns {number} 推进后的当前时间（秒）
+   */
+  update() {
+    const now = this._clock();
+    if (this._playing && this._lastTick !== null) {
+      const delta = ((now - this._lastTick) / 1000) * this._playbackRate;
+      if (delta !== 0) {
+        this._advance(delta);
+      }
+    }
+    this._lastTick = now;
+    return this._time;
+  }
+
+  /**
+   * 计算对象的本地归一化时间
+   * 对象在时间轴上从 offset 开始，持续 duration 秒（为 null 时使用整条时间轴），结果限制在 [0, 1]
+   * @param {number} offset - 对象在时间轴上的起始时间（秒）
+   * @param {number|null} duration - 对象片段时长（秒）
+   * @returns {number}
+   */
+  getLocalTime(offset = 0, duration = null) {
+    const length = duration > 0 ? duration : this._duration;
+    const local = (this._time - (offset || 0)) / length;
+    return Math.max(0, Math.min(1, local));
+  }
+
+  /**
+   * 通知订阅者
+   * @private
+   */
+  _notify() {
+    for (const listener of this._listeners) {
+      listener(this);
+    }
+  }
+
+  /**
+   * 按当前循环模式推进时间
+   * @private
+   */
+  _advance(delta) {
+    const duration = this._duration;
+
+    if (this._loopMode === TimelineLoopMode.LOOP) {
+      const t = this._time + delta;
+      this._time = ((t % duration) + duration) % duration;
+      return;
+    }
+
+    if (this._loopMode === TimelineLoopMode.PINGPONG) {
+      // 一个完整往返周期为 2*duration，先取余避免大步长时反复折返
+      let t = this._time + (delta % (duration * 2)) * this._direction;
+      while (t > duration || t < 0) {
+        if (t > duration) {
+          t = duration * 2 - t;
+          this._direction = -1;
+        } else {
+          t = -t;
+          this._direction = 1;
+        }
+      }
+      this._time = t;
+      return;
+    }
+
+    // once：到达端点后停止
+    let t = this._time + delta;
+    if (t >= duration || t <= 0) {
+      t = Math.max(0, Math.min(duration, t));
+      this._playing = false;
+    }
+    this._time = t;
+  }
+}
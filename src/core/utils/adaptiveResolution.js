@@ -0,0 +1,152 @@
+/**
+ * 自适应分辨率控制器
+ * 根据测得的帧耗时调整渲染分辨率缩放（CanvasRenderTarget.setResolutionScale），使帧率保持在目标附近
+ *
+ * - 帧耗时超出预算时按像素数比例降低缩放；有余量时逐步提高
+ * - 降低缩放时记录当时的缩放为上限，一段时间内不再升到该值，避免在两档之间来回切换
+ * - 可选运动降级：相机运动期间使用更低的缩放，停止 refineDelay 毫秒后恢复
+ * - 帧耗时通常取帧间隔，受垂直同步限制，目标帧率应不高于显示器刷新率
+ */
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+const SCALE_STEP = 0.05;          // 提高缩放的步长，降低时也按此步长取整
+const ADJUST_INTERVAL = 500;      // 两次调整之间的最短间隔（毫秒），等待新缩放下的耗时稳定
+const CEILING_RETRY = 5000;       // 降级后多久允许再次尝试升到降级前的缩放（毫秒）
+const MAX_FRAME_TIME = 250;       // 超过该值的帧间隔视为空闲或页面隐藏，不计入
+
+/**
+ * 规范化控制器选项
+ * @private
+ */
+function normalizeOptions(options) {
+  const {
+    targetFps = 30,
+    minScale = 0.5,
+    maxScale = 1,
+    motionScale = null,
+    refineDelay = 250,
+  } = options;
+  if (!(targetFps > 0)) {
+    throw new Error('AdaptiveResolutionController: targetFps 须大于 0');
+  }
+  if (!(minScale > 0 && minScale <= maxScale && maxScale <= 1)) {
+    throw new Error('AdaptiveResolutionController: 须满足 0 < minScale <= maxScale <= 1');
+  }
+  if (motionScale !== null && !(motionScale > 0 && motionScale <= 1)) {
+    throw new Error('AdaptiveResolutionController: motionScale 须在 (0, 1] 内或为 null');
+  }
+  if (!(refineDelay >= 0)) {
+    throw new Error('AdaptiveResolutionController: refineDelay 须为非负数');
+  }
+  return { targetFps, minScale, maxScale, motionScale, refineDelay };
+}
+
+export class AdaptiveResolutionController {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} options.targetFps - 目标帧率（默认 30）
+   * @param {number} options.minScale - 最低缩放（默认 0.5）
+   * @param {number} options.maxScale - 最高缩放（默认 1）
+   * @param {number|null} options.motionScale - 相机运动期间的缩放上限，null 表示运动时不降级（默认 null）
+   * @param {number} options.refineDelay - 相机停止后恢复缩放的延迟（毫秒，默认 250）
+   */
+  constructor(options = {}) {
+    this.options = normalizeOptions(options);
+    this.scale = this.options.maxScale;   // 按帧耗时调整的缩放
+    this.outputScale = this.scale;        // 最近一次 update 返回的缩放（含运动降级）
+    this._avgFrameTime = 0;
+    this._lastAdjust = 0;
+    this._ceiling = this.options.maxScale;
+    this._ceilingTime = 0;
+    this._motionUntil = 0;
+  }
+
+  /**
+   * 更新选项（未指定的字段保留当前值），当前缩放限制到新范围内
+   * @param {Object} options - 见构造函数
+   */
+  configure(options = {}) {
+    this.options = normalizeOptions({ ...this.options, ...options });
+    const { minScale, maxScale } = this.options;
+    this.scale = Math.min(maxScale, Math.max(minScale, this.scale));
+    this._ceiling = Math.min(this._ceiling, maxScale);
+  }
+
+  /**
+   * 恢复到最高缩放并清除测量数据
+   */
+  reset() {
+    this.scale = this.options.maxScale;
+    this.outputScale = this.scale;
+    this._avgFrameTime = 0;
+    this._lastAdjust = 0;
+    this._ceiling = this.options.maxScale;
+    this._ceilingTime = 0;
+    this._motionUntil = 0;
+  }
+
+  /**
+   * 记录一帧的耗时并返回下一帧使用的缩放
+   * @param {number|null} frameTime - 帧耗时（毫秒），null 表示本帧不计入（如从空闲中唤醒）
+   * @param {Object} state - 状态
+   * @param {boolean} state.moving - 相机是否在运动
+   * @param {number} state.time - 当前时间（毫秒，默认 performance.now）
+   * @returns {number} 缩放（0-1]
+   */
+  update(frameTime, state = {}) {
+    const { moving = false, time = now() } = state;
+    const { targetFps, minScale, maxScale, motionScale, refineDelay } = this.options;
+
+    if (moving && motionScale !== null) {
+      this._motionUntil = time + refineDelay;
+    }
+    const inMotion = motionScale !== null && time < this._motionUntil;
+
+    // 运动降级期间的耗时对应的是更低的分辨率，不用于调整
+    if (!inMotion && Number.isFinite(frameTime) && frameTime > 0 && frameTime <= MAX_FRAME_TIME) {
+      this._avgFrameTime = this._avgFrameTime > 0 ? this._avgFrameTime * 0.8 + frameTime * 0.2 : frameTime;
+      if (time - this._lastAdjust >= ADJUST_INTERVAL) {
+        this._adjust(1000 / targetFps, minScale, maxScale, time);
+      }
+    }
+
+    this.outputScale = inMotion ? Math.min(this.scale, motionScale) : this.scale;
+    return this.outputScale;
+  }
+
+  /**
+   * 运动降级尚未恢复（最近一帧低于按帧耗时调整的缩放），按需渲染时需继续绘制直到恢复
+   * @returns {boolean}
+   */
+  isRefining() {
+    return this.outputScale < this.scale;
+  }
+
+  /**
+   * 按平均帧耗时调整缩放
+   * @private
+   */
+  _adjust(budget, minScale, maxScale, time) {
+    const avg = this._avgFrameTime;
+    let next = this.scale;
+    if (avg > budget * 1.1 && this.scale > minScale) {
+      // 像素数与缩放的平方成正比
+      next = Math.floor((this.scale * Math.sqrt(budget / avg)) / SCALE_STEP) * SCALE_STEP;
+      next = Math.max(minScale, Math.min(next, this.scale - SCALE_STEP));
+      this._ceiling = this.scale;
+      this._ceilingTime = time;
+    } else if (avg < budget * 1.02 && this.scale < maxScale) {
+      const candidate = Math.min(maxScale, this.scale + SCALE_STEP);
+      if (candidate < this._ceiling - 1e-6 || time - this._ceilingTime >= CEILING_RETRY) {
+        next = candidate;
+      }
+    }
+    next = Math.round(next * 1000) / 1000;
+    if (next !== this.scale) {
+      this.scale = next;
+      this._avgFrameTime = 0;
+      this._lastAdjust = time;
+    }
+  }
+}
@@ -0,0 +1,371 @@
+/**
+ * 场景背景渲染器
+ * 在每个视图最先绘制全屏背景（纯色、渐变或等距柱状投影环境图），不写入深度，
+ * 因此 Mesh、点云和高斯都绘制在背景之上
+ */
+
+import { createShader, createProgram, multiply4, invert4 } from './webgl';
+import { backgroundVertexShader, backgroundFragmentShader } from '../shaders/backgroundShaders';
+
+const BACKGROUND_MODES = { color: 0, gradient: 1, equirect: 2 };
+
+/**
+ * 解析颜色：[r, g, b] / [r, g, b, a]（0-1）或 '#rrggbb' / '#rrggbbaa'
+ * @param {Array<number>|string} value - 颜色
+ * @param {Array<number>} fallback - 解析失败时的默认值
+ * @returns {Array<number>} [r, g, b, a]
+ */
+function parseColor(value, fallback) {
+  if (Array.isArray(value) && value.length >= 3) {
+    return [value[0], value[1], value[2], value.length >= 4 ? value[3] : 1];
+  }
+  if (typeof value === 'string' && /^#([0-9a-f]{6}|[0-9a-f]{8})$/i.test(value)) {
+    const hex = value.slice(1);
+    const channels = [];
+    for (let i = 0; i < hex.length; i += 2) {
+      channels.push(parseInt(hex.slice(i, i + 2), 16) / 255);
+    }
+    if (channels.length === 3) {
+      channels.push(1);
+    }
+    return channels;
+  }
+  if (value !== undefined) {
+    console.warn('[BackgroundRenderer] 无法解析颜色，已使用默认值:', value);
+  }
+  return fallback;
+}
+
+/**
+ * 计算环境图基：把世界方向变换到以 up 为 +Y 的局部坐标，并绕 up 旋转 rotation（弧度）
+ * @returns {Float32Array} 3x3 矩阵（列主序）
+ */
+export function createEnvironmentBasis(up, rotation) {
+  const len = Math.hypot(up[0], up[1], up[2]) || 1;
+  const u = [up[0] / len, up[1] / len, up[2] / len];
+  const ref = Math.abs(u[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+  // e2 = normalize(ref × u)，e0 = u × e2
+  let e2 = [ref[1] * u[2] - ref[2] * u[1], ref[2] * u[0] - ref[0] * u[2], ref[0] * u[1] - ref[1] * u[0]];
+  const e2Len = Math.hypot(e2[0], e2[1], e2[2]);
+  e2 = [e2[0] / e2Len, e2[1] / e2Len, e2[2] / e2Len];
+  const e0 = [u[1] * e2[2] - u[2] * e2[1], u[2] * e2[0] - u[0] * e2[2], u[0] * e2[1] - u[1] * e2[0]];
+
+  const c = Math.cos(rotation);
+  const s = Math.sin(rotation);
+  const r0 = [e0[0] * c + e2[0] * s, e0[1] * c + e2[1] * s, e0[2] * c + e2[2] * s];
+  const r2 = [e2[0] * c - e0[0] * s, e2[1] * c - e0[1] * s, e2[2] * c - e0[2] * s];
+
+  // 行为 r0、u、r2
+  return new Float32Array([
+    r0[0], u[0], r2[0],
+    r0[1], u[1], r2[1],
+    r0[2], u[2], r2[2],
+  ]);
+}
+
+/**
+ * 场景背景渲染器类
+ */
+export class BackgroundRenderer {
+  /**
+   * @param {WebGL2RenderingContext} gl
+   * @param {Object} options
+   * @param {Function} options.onLoad - 通过 url 异步加载的环境图上传完成后调用（用于请求重绘）
+   */
+  constructor(gl, options = {}) {
+    this.gl = gl;
+    this.onLoad = options.onLoad || null;
+
+    this.config = null;              // 规范化后的配置，null 表示不绘制背景
+    this.environmentTexture = null;
+    this.environmentBasis = createEnvironmentBasis([0, 1, 0], 0);
+    this._environmentSource = null;  // 当前纹理对应的 image / url
+    this._loadToken = 0;             // 异步加载序号（新配置会使旧请求失效）
+
+    // Shader 资源
+    this.program = null;
+    this.vertexShader = null;
+    this.fragmentShader = null;
+    this.uniforms = {};
+    this.attributes = {};
+    this.quadBuffer = null;
+
+    this._initShader();
+    this._initQuad();
+  }
+
+  /**
+   * 初始化背景 shader
+   * @private
+   */
+  _initShader() {
+    const gl = this.gl;
+
+    try {
+      this.vertexShader = createShader(gl, gl.VERTEX_SHADER, backgroundVertexShader);
+      this.fragmentShader = createShader(gl, gl.FRAGMENT_SHADER, backgroundFragmentShader);
+      this.program = createProgram(gl, this.vertexShader, this.fragmentShader);
+
+      const names = [
+        'mode', 'color', 'topColor', 'bottomColor', 'viewRegionTransform',
+        'inverseViewProjection', 'environmentBasis', 'environmentMap', 'intensity'
+      ];
+      this.uniforms = {};
+      for (const name of names) {
+        this.uniforms[name] = gl.getUniformLocation(this.program, name);
+      }
+      this.attributes = {
+        position: gl.getAttribLocation(this.program, 'position')
+      };
+    } catch (err) {
+      console.error('[BackgroundRenderer] Shader 初始化失败:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * 初始化全屏 quad
+   * @private
+   */
+  _initQuad() {
+    const gl = this.gl;
+
+    const quadVertices = new Float32Array([
+      -1.0, -1.0,  // 左下
+       1.0, -1.0,  // 右下
+      -1.0,  1.0,  // 左上
+       1.0,  1.0   // 右上
+    ]);
+
+    this.quadBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, quadVertices, gl.STATIC_DRAW);
+  }
+
+  /**
+   * 设置背景
+   * @param {Object|null} background - null 或 { type: 'none' } 表示不绘制背景
+   * @param {string} background.type - 'color' | 'gradient' | 'equirect'
+   * @param {Array<number>|string} background.color - 纯色（type='color'）
+   * @param {Array<number>|string} background.top - 渐变顶部颜色（type='gradient'）
+   * @param {Array<number>|string} background.bottom - 渐变底部颜色（type='gradient'）
+   * @param {TexImageSource|Object} background.image - 环境图（type='equirect'）：Image/ImageBitmap/Canvas，或 { width, height, data }（RGBA，Uint8Array 或 Float32Array）
+   * @param {string} background.url - 环境图地址（未提供 image 时异步加载）
+   * @param {number} background.intensity - 环境图亮度倍率，默认 1
+   * @param {number} background.rotation - 绕 up 轴的旋转（弧度），默认 0
+   * @param {Array<number>} background.up - 环境图的上方向（世界坐标），默认 [0, 1, 0]
+   */
+  setBackground(background) {
+    if (!background || background.type === 'none') {
+      this.config = null;
+      this._setEnvironmentSource(null);
+      return;
+    }
+    if (!(background.type in BACKGROUND_MODES)) {
+      console.warn('[BackgroundRenderer] 未知的背景类型:', background.type);
+      return;
+    }
+
+    this.config = {
+      type: background.type,
+      color: parseColor(background.color, [0, 0, 0, 1]),
+      top: parseColor(background.top, [0.35, 0.45, 0.6, 1]),
+      bottom: parseColor(background.bottom, [0.08, 0.08, 0.1, 1]),
+      intensity: Number.isFinite(background.intensity) ? background.intensity : 1.0,
+    };
+
+    if (background.type === 'equirect') {
+      this.environmentBasis = createEnvironmentBasis(
+        Array.isArray(background.up) ? background.up : [0, 1, 0],
+        Number.isFinite(background.rotation) ? background.rotation : 0
+      );
+      this._setEnvironmentSource(background.image || background.url || null);
+    } else {
+      this._setEnvironmentSource(null);
+    }
+  }
+
+  /**
+   * 更新环境图（来源未变化时复用已上传的纹理）
+   * @private
+   */
+  _setEnvironmentSource(source) {
+    if (source === this._environmentSource) {
+      return;
+    }
+    this._environmentSource = source;
+    this._loadToken++;
+
+    if (!source) {
+      this._deleteEnvironmentTexture();
+      return;
+    }
+
+    if (typeof source === 'string') {
+      if (typeof Image === 'undefined') {
+        console.warn('[BackgroundRenderer] 当前环境不支持通过 url 加载环境图');
+        return;
+      }
+      const token = this._loadToken;
+      const image = new Image();
+      image.crossOrigin = 'anonymous';
+      image.onload = () => {
+        // 加载期间背景已被更换或渲染器已销毁
+        if (token === this._loadToken && this.program) {
+          this._uploadEnvironment(image);
+          if (this.onLoad) {
+            this.onLoad();
+          }
+        }
+      };
+      image.onerror = () => {
+        console.error('[BackgroundRenderer] 环境图加载失败:', source);
+      };
+      image.src = source;
+      return;
+    }
+
+    this._uploadEnvironment(source);
+  }
+
+  /**
+   * 上传环境图到纹理
+   * @private
+   */
+  _uploadEnvironment(source) {
+    const gl = this.gl;
+
+    if (!this.environmentTexture) {
+      this.environmentTexture = gl.createTexture();
+    }
+    gl.bindTexture(gl.TEXTURE_2D, this.environmentTexture);
+    if (source && source.data && Number.isFinite(source.width) && Number.isFinite(source.height)) {
+      const isFloat = source.data instanceof Float32Array;
+      gl.texImage2D(
+        gl.TEXTURE_2D, 0, isFloat ? gl.RGBA16F : gl.RGBA,
+        source.width, source.height, 0,
+        gl.RGBA, isFloat ? gl.FLOAT : gl.UNSIGNED_BYTE, source.data
+      );
+    } else {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+    }
+    // 不生成 mipmap：经度方向的接缝处导数跳变会选中最低级 mipmap
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+  }
+
+  /**
+   * @private
+   */
+  _deleteEnvironmentTexture() {
+    if (this.environmentTexture) {
+      this.gl.deleteTexture(this.environmentTexture);
+      this.environmentTexture = null;
+    }
+  }
+
+  /**
+   * 是否有需要绘制的背景（环境图未加载完成时返回 false）
+   * @returns {boolean}
+   */
+  isActive() {
+    if (!this.config) {
+      return false;
+    }
+    return this.config.type !== 'equirect' || !!this.environmentTexture;
+  }
+
+  /**
+   * 绘制背景（调用方负责设置视口和 framebuffer）
+   * @param {Array<number>} projectionMatrix - 投影矩阵
+   * @param {Array<number>} viewMatrix - 视图矩阵
+   * @param {Array<number>|null} viewRegionTransform - 子区域变换 [sx, sy, tx, ty]
+   * @returns {boolean} 是否绘制
+   */
+  render(projectionMatrix, viewMatrix, viewRegionTransform = null) {
+    const gl = this.gl;
+    const config = this.config;
+
+    if (!this.program || !this.isActive()) {
+      return false;
+    }
+
+    gl.useProgram(this.program);
+    const u = this.uniforms;
+    gl.uniform1i(u.mode, BACKGROUND_MODES[config.type]);
+    gl.uniform4fv(u.color, config.color);
+    gl.uniform4fv(u.topColor, config.top);
+    gl.uniform4fv(u.bottomColor, config.bottom);
+    gl.uniform4fv(u.viewRegionTransform, viewRegionTransform || [1, 1, 0, 0]);
+    gl.uniform1f(u.intensity, config.intensity);
+
+    if (config.type === 'equirect') {
+      // 只保留视图矩阵的旋转，背景跟随相机转动但不随平移变化
+      const rotation = viewMatrix.slice();
+      rotation[12] = 0;
+      rotation[13] = 0;
+      rotation[14] = 0;
+      const inverse = invert4(multiply4(projectionMatrix, rotation));
+      if (!inverse) {
+        return false;
+      }
+      gl.uniformMatrix4fv(u.inverseViewProjection, false, inverse);
+      gl.uniformMatrix3fv(u.environmentBasis, false, this.environmentBasis);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, this.environmentTexture);
+      gl.uniform1i(u.environmentMap, 0);
+    }
+
+    // 不参与深度测试、不写入深度，后续对象直接覆盖背景
+    gl.disable(gl.DEPTH_TEST);
+    gl.depthMask(false);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.CULL_FACE);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    if (this.attributes.position >= 0) {
+      gl.enableVertexAttribArray(this.attributes.position);
+      gl.vertexAttribPointer(this.attributes.position, 2, gl.FLOAT, false, 0, 0);
+    }
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    if (this.attributes.position >= 0) {
+      gl.disableVertexAttribArray(this.attributes.position);
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.depthMask(true);
+    gl.enable(gl.DEPTH_TEST);
+    return true;
+  }
+
+  /**
+   * 清理所有资源
+   */
+  dispose() {
+    const gl = this.gl;
+
+    this._loadToken++;
+    this._environmentSource = null;
+    this._deleteEnvironmentTexture();
+
+    if (this.program) {
+      gl.deleteProgram(this.program);
+      this.program = null;
+    }
+    if (this.vertexShader) {
+      gl.deleteShader(this.vertexShader);
+      this.vertexShader = null;
+    }
+    if (this.fragmentShader) {
+      gl.deleteShader(this.fragmentShader);
+      this.fragmentShader = null;
+    }
+    if (this.quadBuffer) {
+      gl.deleteBuffer(this.quadBuffer);
+      this.quadBuffer = null;
+    }
+  }
+}
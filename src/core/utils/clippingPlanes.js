@@ -0,0 +1,88 @@
+/**
+ * 裁剪平面与剖切盒
+ * 平面统一为世界空间的 [a, b, c, d]（法向已归一化），保留 a*x + b*y + c*z + d >= 0 的一侧；
+ * 剖切盒转换为 6 个朝内的平面。uniform 每次绘制时上传，修改平面不需要重新编译 program
+ */
+
+import { invert4 } from './webgl';
+import { MAX_CLIP_PLANES } from '../shaders/clippingShaders';
+
+export { MAX_CLIP_PLANES };
+
+// program -> { planes, count }，uniform 位置按 program 缓存
+const locationCache = new WeakMap();
+
+/**
+ * 规范化裁剪平面
+ * @param {number[]|{normal: number[], constant: number}} plane - [a, b, c, d] 或 { normal, constant }
+ * @returns {number[]} 归一化后的 [a, b, c, d]
+ */
+export function normalizeClipPlane(plane) {
+  const values = Array.isArray(plane) || ArrayBuffer.isView(plane)
+    ? Array.from(plane)
+    : (plane && plane.normal ? [...plane.normal, plane.constant || 0] : null);
+  if (!values || values.length !== 4 || values.some((v) => !Number.isFinite(v))) {
+    throw new Error('normalizeClipPlane: 平面须为 [a, b, c, d] 或 { normal: [x, y, z], constant }');
+  }
+  const length = Math.hypot(values[0], values[1], values[2]);
+  if (length < 1e-8) {
+    throw new Error('normalizeClipPlane: 平面法向不能为零向量');
+  }
+  return values.map((v) => v / length);
+}
+
+/**
+ * 把剖切盒转换为 6 个世界空间裁剪平面（保留盒内部分）
+ * @param {number[]} min - 盒局部空间的最小角 [x, y, z]
+ * @param {number[]} max - 盒局部空间的最大角 [x, y, z]
+ * @param {number[]|null} transform - 盒的 4x4 变换矩阵（列主序），null 表示与世界轴对齐
+ * @returns {number[][]} 6 个 [a, b, c, d]
+ */
+export function createSectionBoxPlanes(min, max, transform = null) {
+  if (!min || !max || min.length < 3 || max.length < 3) {
+    throw new Error('createSectionBoxPlanes: min 和 max 须为 [x, y, z]');
+  }
+  // 局部空间中朝内的 6 个面
+  const localPlanes = [
+    [1, 0, 0, -min[0]], [-1, 0, 0, max[0]],
+    [0, 1, 0, -min[1]], [0, -1, 0, max[1]],
+    [0, 0, 1, -min[2]], [0, 0, -1, max[2]],
+  ];
+  if (!transform) {
+    return localPlanes;
+  }
+  const inverse = invert4(transform);
+  if (!inverse) {
+    throw new Error('createSectionBoxPlanes: transform 不可逆');
+  }
+  // 平面作为行向量变换：plane' = plane × inverse(M)
+  return localPlanes.map((p) => normalizeClipPlane([0, 1, 2, 3].map((col) =>
+    p[0] * inverse[col * 4] + p[1] * inverse[col * 4 + 1] + p[2] * inverse[col * 4 + 2] + p[3] * inverse[col * 4 + 3]
+  )));
+}
+
+/**
+ * 上传裁剪 uniform（program 不含裁剪 uniform 时忽略）
+ * @param {WebGL2RenderingContext} gl
+ * @param {WebGLProgram} program - 当前使用的 program
+ * @param {{ planes: Float32Array, count: number }|null} clipping - 打包后的平面
+ * @param {boolean} enabled - 对象是否参与裁剪（RenderableObject.clippable）
+ */
+export function applyClippingUniforms(gl, program, clipping, enabled = true) {
+  let locations = locationCache.get(program);
+  if (!locations) {
+    locations = {
+      planes: gl.getUniformLocation(program, 'clipPlanes'),
+      count: gl.getUniformLocation(program, 'clipPlaneCount'),
+    };
+    locationCache.set(program, locations);
+  }
+  if (!locations.count) {
+    return;
+  }
+  const count = enabled && clipping ? clipping.count : 0;
+  gl.uniform1i(locations.count, count);
+  if (count > 0 && locations.planes) {
+    gl.uniform4fv(locations.planes, clipping.planes);
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * 深度可视化配色与深度映射（JS 端，与 depthVisualizationShaders 中的计算一致）
+ * 用于图例绘制，以及把图例位置换算回深度值
+ */
+
+import { COLORMAP_IDS, COLORMAP_POLYNOMIALS } from '../shaders/colormapShaders';
+
+/**
+ * 支持的配色名称
+ */
+export const COLORMAP_NAMES = Object.keys(COLORMAP_IDS);
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+// 与 shader 中 mapDepth 的对数拉伸系数一致
+const LOG_SCALE = 2.0;
+
+/**
+ * 采样配色
+ * @param {string} name - 配色名称（见 COLORMAP_NAMES）
+ * @param {number} t - 0-1（0=近，1=远）
+ * @returns {number[]} [r, g, b]（0-1）
+ */
+export function sampleColormap(name, t) {
+  t = clamp01(t);
+  const coefficients = COLORMAP_POLYNOMIALS[name];
+  if (coefficients) {
+    return [0, 1, 2].map((channel) =>
+      clamp01(coefficients.reduceRight((sum, c) => sum * t + c[channel], 0))
+    );
+  }
+  if (name === 'jet') {
+    return [3, 2, 1].map((offset) => clamp01(1.5 - Math.abs(4 * t - offset)));
+  }
+  return [1 - t, 1 - t, 1 - t];
+}
+
+/**
+ * 生成配色的 CSS 渐变（用于图例色带）
+ * @param {string} name - 配色名称
+ * @param {string} direction - 渐变方向（默认 'to right'，即近处在左）
+ * @param {number} steps - 采样段数（默认 16）
+ * @returns {string} linear-gradient(...)
+ */
+export function getColormapGradient(name, direction = 'to right', steps = 16) {
+  const stops = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    const [r, g, b] = sampleColormap(name, t).map((v) => Math.round(v * 255));
+    stops.push(`rgb(${r}, ${g}, ${b}) ${(t * 100).toFixed(1)}%`);
+  }
+  return `linear-gradient(${direction}, ${stops.join(', ')})`;
+}
+
+/**
+ * 把线性深度映射到 0-1：[near, far] 内对数拉伸后应用 gamma，范围外截断
+ * @param {number} depth - 线性深度（米）
+ * @param {number} near - 映射起点（米）
+ * @param {number} far - 映射终点（米）
+ * @param {number} gamma - Gamma 值（>1 时增强近处）
+ * @returns {number}
+ */
+export function mapDepth(depth, near, far, gamma = 1) {
+  if (!(far > near)) {
+    return 0;
+  }
+  const normalized = clamp01((depth - near) / (far - near));
+  const logMapped = Math.log(1 + normalized * LOG_SCALE) / Math.log(1 + LOG_SCALE);
+  return gamma > 0 ? Math.pow(logMapped, 1 / gamma) : logMapped;
+}
+
+/**
+ * mapDepth 的逆运算：图例位置 t 对应的深度
+ * @param {number} t - 0-1
+ * @param {number} near - 映射起点（米）
+ * @param {number} far - 映射终点（米）
+ * @param {number} gamma - Gamma 值
+ * @returns {number} 深度（米）
+ */
+export function depthFromMappedValue(t, near, far, gamma = 1) {
+  const logMapped = gamma > 0 ? Math.pow(clamp01(t), gamma) : clamp01(t);
+  const normalized = (Math.pow(1 + LOG_SCALE, logMapped) - 1) / LOG_SCALE;
+  return near + normalized * (far - near);
+}
+
+/**
+ * 从投影矩阵取出深度线性化参数 [A, B, C, D]（列主序 m10, m14, m11, m15，B/D 按相机朝向调整符号）
+ * 线性深度 = -(B - ndc * D) / (ndc * C - A)，为相机前方的正距离；透视与正交投影通用，
+ * 相机朝 -z（OpenGL 约定）与朝 +z（Camera 类）均适用
+ * @param {number[]} projectionMatrix - 4x4 投影矩阵
+ * @returns {number[]} [A, B, C, D]
+ */
+export function getDepthProjectionParams(projectionMatrix) {
+  const a = projectionMatrix[10];
+  const c = projectionMatrix[11];
+  // 透视投影 w = C * z + D，C 的符号即相机朝向；正交投影按 A 的符号判断
+  const forward = c !== 0 ? Math.sign(c) : Math.sign(a) || -1;
+  return [a, -forward * projectionMatrix[14], c, -forward * projectionMatrix[15]];
+}
+
+/**
+ * 把 NDC 深度线性化为相机前方的距离（与深度可视化 shader 的 linearizeDepth 一致）
+ * @param {number} ndc - NDC 深度（-1 到 1）
+ * @param {number[]} params - getDepthProjectionParams 的结果
+ * @returns {number}
+ */
+export function linearizeDepth(ndc, params) {
+  const [a, b, c, d] = params;
+  return -(b - ndc * d) / (ndc * c - a);
+}
+
+/**
+ * 从投影矩阵计算近/远平面距离
+ * @param {number[]} projectionMatrix - 4x4 投影矩阵
+ * @returns {{ near: number, far: number }} far 为无穷远投影时为 Infinity
+ */
+export function getProjectionNearFar(projectionMatrix) {
+  const params = getDepthProjectionParams(projectionMatrix);
+  const far = linearizeDepth(1, params);
+  return { near: linearizeDepth(-1, params), far: Number.isFinite(far) && far > 0 ? far : Infinity };
+}
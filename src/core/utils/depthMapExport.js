@@ -0,0 +1,253 @@
+/**
+ * 深度图导出工具
+ * 由 HoloRP.renderDepthMap 的结果估计法线，并编码为 16 位 PNG / PFM，便于与 COLMAP/MVS 深度图离线对比
+ *
+ * 数据布局均为图像约定：按行存储，第一行为图像顶部；深度为沿光轴的 z 深度（米），0 表示无效像素
+ * 相机空间与 Camera 类一致（x 向右、y 向下、z 向前，同 COLMAP/OpenCV）
+ */
+
+// PNG 16 位深度的最大值
+const PNG16_MAX = 0xFFFF;
+
+/**
+ * 由深度图估计相机空间法线
+ * 每个像素按内参反投影为三维点，横/纵方向各取深度差较小的一侧邻居做差分后叉乘，避免跨越物体边缘；
+ * 法线朝向相机，无效像素（或两个方向都没有有效邻居）的法线为 0
+ * @param {Float32Array} depth - 深度图（米，0 为无效）
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {Object} intrinsics - 相机内参 { fx, fy, cx, cy }（像素）
+ * @returns {Float32Array} 法线，每像素 3 个分量
+ */
+export function estimateNormals(depth, width, height, intrinsics) {
+  const { fx, fy, cx, cy } = intrinsics;
+  const normals = new Float32Array(width * height * 3);
+
+  const point = (x, y, out) => {
+    const z = depth[y * width + x];
+    out[0] = ((x + 0.5 - cx) * z) / fx;
+    out[1] = ((y + 0.5 - cy) * z) / fy;
+    out[2] = z;
+    return out;
+  };
+
+  // 取深度差较小的一侧邻居，返回 [步长方向, 邻居坐标]，两侧都无效时返回 null
+  const pickNeighbor = (x, y, dx, dy) => {
+    const z = depth[y * width + x];
+    let best = null;
+    let bestDiff = Infinity;
+    for (const sign of [1, -1]) {
+      const nx = x + dx * sign;
+      const ny = y + dy * sign;
+      if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+      const nz = depth[ny * width + nx];
+      if (!(nz > 0)) continue;
+      const diff = Math.abs(nz - z);
+      if (diff < bestDiff) {
+        bestDiff = diff;
+        best = [sign, nx, ny];
+      }
+    }
+    return best;
+  };
+
+  const p = [0, 0, 0];
+  const q = [0, 0, 0];
+  const tx = [0, 0, 0];
+  const ty = [0, 0, 0];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!(depth[y * width + x] > 0)) continue;
+
+      const nx = pickNeighbor(x, y, 1, 0);
+      const ny = pickNeighbor(x, y, 0, 1);
+      if (!nx || !ny) continue;
+
+      point(x, y, p);
+      point(nx[1], nx[2], q);
+      for (let i = 0; i < 3; i++) tx[i] = (q[i] - p[i]) * nx[0];
+      point(ny[1], ny[2], q);
+      for (let i = 0; i < 3; i++) ty[i] = (q[i] - p[i]) * ny[0];
+
+      let n0 = ty[1] * tx[2] - ty[2] * tx[1];
+      let n1 = ty[2] * tx[0] - ty[0] * tx[2];
+      let n2 = ty[0] * tx[1] - ty[1] * tx[0];
+      const length = Math.hypot(n0, n1, n2);
+      if (!(length > 0)) continue;
+
+      // 朝向相机：与视线方向（相机指向该点）夹角大于 90°
+      const facing = n0 * p[0] + n1 * p[1] + n2 * p[2] > 0 ? -1 : 1;
+      const offset = (y * width + x) * 3;
+      normals[offset] = (n0 / length) * facing;
+      normals[offset + 1] = (n1 / length) * facing;
+      normals[offset + 2] = (n2 / length) * facing;
+    }
+  }
+
+  return normals;
+}
+
+/**
+ * 编码为 PFM（Portable Float Map，小端序）
+ * PFM 的行顺序为自下而上，这里按图像约定的输入自动翻转
+ * @param {Float32Array} data - 数据（按行，第一行为图像顶部）
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {number} channels - 通道数：1（深度，'Pf'）或 3（法线，'PF'）
+ * @returns {Blob} image/x-portable-floatmap
+ */
+export function encodePFM(data, width, height, channels = 1) {
+  if (channels !== 1 && channels !== 3) {
+    throw new Error('encodePFM: channels 须为 1 或 3');
+  }
+  if (data.length < width * height * channels) {
+    throw new Error(`encodePFM: 数据长度不足 ${width}x${height}x${channels}`);
+  }
+
+  const header = new TextEncoder().encode(`${channels === 3 ? 'PF' : 'Pf'}\n${width} ${height}\n-1.0\n`);
+  const rowLength = width * channels;
+  const body = new DataView(new ArrayBuffer(rowLength * height * 4));
+  for (let row = 0; row < height; row++) {
+    const src = (height - 1 - row) * rowLength;
+    const dst = row * rowLength * 4;
+    for (let i = 0; i < rowLength; i++) {
+      body.setFloat32(dst + i * 4, data[src + i], true);
+    }
+  }
+
+  return new Blob([header, body.buffer], { type: 'image/x-portable-floatmap' });
+}
+
+/**
+ * 编码为 16 位灰度 PNG
+ * 像素值 = round(depth * scale)，默认 scale=1000 即毫米；超出 16 位的值截断为 65535，无效像素为 0
+ * @param {Float32Array} depth - 深度图（米，按行，第一行为图像顶部）
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {Object} options - 选项
+ * @param {number} options.scale - 每米对应的像素值（默认 1000）
+ * @returns {Promise<Blob>} image/png
+ */
+export async function encodeDepthPNG16(depth, width, height, options = {}) {
+  const { scale = 1000 } = options;
+  if (!(scale > 0)) {
+    throw new Error('encodeDepthPNG16: scale 须大于 0');
+  }
+  if (depth.length < width * height) {
+    throw new Error(`encodeDepthPNG16: 数据长度不足 ${width}x${height}`);
+  }
+
+  // 每行前加过滤类型字节（0 = 不过滤），样本为大端序
+  const rowBytes = width * 2 + 1;
+  const raw = new Uint8Array(rowBytes * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const d = depth[y * width + x];
+      const value = d > 0 ? Math.min(PNG16_MAX, Math.round(d * scale)) : 0;
+      const offset = y * rowBytes + 1 + x * 2;
+      raw[offset] = value >> 8;
+      raw[offset + 1] = value & 0xFF;
+    }
+  }
+
+  const ihdr = new Uint8Array(13);
+  const view = new DataView(ihdr.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  ihdr[8] = 16;  // 位深
+  ihdr[9] = 0;   // 灰度
+
+  const compressed = await zlibCompress(raw);
+  const signature = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+  return new Blob([
+    signature,
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', compressed),
+    pngChunk('IEND', new Uint8Array(0)),
+  ], { type: 'image/png' });
+}
+
+/**
+ * zlib 压缩：优先使用 CompressionStream，不可用时写入不压缩的 deflate 存储块
+ * @private
+ */
+async function zlibCompress(data) {
+  if (typeof CompressionStream !== 'undefined') {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  const MAX_BLOCK = 0xFFFF;
+  const blockCount = Math.max(1, Math.ceil(data.length / MAX_BLOCK));
+  const out = new Uint8Array(2 + blockCount * 5 + data.length + 4);
+  out[0] = 0x78;
+  out[1] = 0x01;
+  let offset = 2;
+  for (let i = 0; i < blockCount; i++) {
+    const block = data.subarray(i * MAX_BLOCK, (i + 1) * MAX_BLOCK);
+    out[offset] = i === blockCount - 1 ? 1 : 0;
+    out[offset + 1] = block.length & 0xFF;
+    out[offset + 2] = block.length >> 8;
+    out[offset + 3] = ~block.length & 0xFF;
+    out[offset + 4] = (~block.length >> 8) & 0xFF;
+    out.set(block, offset + 5);
+    offset += 5 + block.length;
+  }
+  new DataView(out.buffer).setUint32(offset, adler32(data));
+  return out;
+}
+
+/**
+ * 生成 PNG 数据块（长度 + 类型 + 数据 + CRC）
+ * @private
+ */
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+let crcTable = null;
+
+/**
+ * CRC-32（PNG 数据块校验）
+ * @private
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Adler-32（zlib 数据校验）
+ * @private
+ */
+function adler32(bytes) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
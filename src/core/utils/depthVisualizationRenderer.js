@@ -1,10 +1,15 @@
 /**
  * 深度可视化渲染器
- * 使用 FBO + 深度纹理实现深度可视化
+ * 使用 FBO + 深度纹理实现深度可视化：按投影矩阵线性化深度，映射范围可为固定米数或按深度分布的百分位
  */
 
 import { createShader, createProgram } from './webgl';
 import { depthVisualizationVertexShader, depthVisualizationFragmentShader } from '../shaders/depthVisualizationShaders';
+import { COLORMAP_IDS } from '../shaders/colormapShaders';
+import { getDepthProjectionParams, getProjectionNearFar } from './colormaps';
+
+// 百分位统计的采样分辨率（深度纹理降采样到 SAMPLE_SIZE x SAMPLE_SIZE 后回读）
+const SAMPLE_SIZE = 64;
 
 /**
  * 深度可视化渲染器类
@@ -29,6 +34,10 @@ export class DepthVisualizationRenderer {
     
     // 全屏 quad 缓冲区
     this.quadBuffer = null;
+
+    // 百分位统计使用的采样 FBO（首次统计时创建）
+    this.sampleFramebuffer = null;
+    this.sampleTexture = null;
     
     // 初始化
     this._initShader();
@@ -53,11 +62,13 @@ export class DepthVisualizationRenderer {
       // 获取 uniform 位置
       this.uniforms = {
         depthTexture: gl.getUniformLocation(this.program, 'depthTexture'),
-        near: gl.getUniformLocation(this.program, 'near'),
-        far: gl.getUniformLocation(this.program, 'far'),
-        depthRange: gl.getUniformLocation(this.program, 'depthRange'),
-        depthRangeNear: gl.getUniformLocation(this.program, 'depthRangeNear'),
-        gamma: gl.getUniformLocation(this.program, 'gamma')
+        projParams: gl.getUniformLocation(this.program, 'projParams'),
+        rangeNear: gl.getUniformLocation(this.program, 'rangeNear'),
+        rangeFar: gl.getUniformLocation(this.program, 'rangeFar'),
+        gamma: gl.getUniformLocation(this.program, 'gamma'),
+        colormap: gl.getUniformLocation(this.program, 'colormap'),
+        encodeDepth: gl.getUniformLocation(this.program, 'encodeDepth'),
+        encodeFar: gl.getUniformLocation(this.program, 'encodeFar')
       };
       
       // 获取 attribute 位置
@@ -199,48 +210,96 @@ export class DepthVisualizationRenderer {
   }
 
   /**
-   * 渲染深度可视化（全屏 quad）
-   * @param {number} near - 近平面距离
-   * @param {number} far - 远平面距离
-   * @param {number} colorMode - 颜色模式：0=灰度, 1=彩虹, 2=热力图
-   * @param {number} depthRange - 深度范围（米），用于映射，例如 10.0 表示关注 0-10 米范围。如果 <= 0 则使用原始 NDC 深度
-   * @param {number} depthRangeNear - 近处深度范围（米），用于调整颜色渐变的起始距离
-   * @param {number} gamma - Gamma 值，用于调整映射曲线的非线性程度（>1 时增强近处，<1 时增强远处）
+   * 渲染深度可视化（全屏 quad，输出到当前绑定的 framebuffer）
+   * @param {number[]} projectionMatrix - 渲染场景时使用的投影矩阵（用于线性化深度）
+   * @param {Object} options - 选项
+   * @param {string} options.colormap - 配色：'grayscale'（默认）| 'turbo' | 'viridis' | 'inferno' | 'jet'
+   * @param {number} options.rangeNear - 映射起点（米），更近的深度取色带起点
+   * @param {number} options.rangeFar - 映射终点（米），更远的深度取色带终点
+   * @param {number} options.gamma - Gamma 值，用于调整映射曲线的非线性程度（>1 时增强近处，<1 时增强远处）
    */
-  renderDepthVisualization(near = 0.1, far = 1000.0, colorMode = 0, depthRange = 30.0, depthRangeNear = 10.0, gamma = 1.5) {
+  renderDepthVisualization(projectionMatrix, options = {}) {
+    const { colormap = 'grayscale', rangeNear = 10.0, rangeFar = 30.0, gamma = 1.5 } = options;
     const gl = this.gl;
     
-    if (!this.program || !this.depthTexture) {
+    if (!this.program || !this.depthTexture || !projectionMatrix) {
       return;
     }
     
-    // 使用深度可视化 shader
-    gl.useProgram(this.program);
-    
-    // 绑定深度纹理
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, this.depthTexture);
-    if (this.uniforms.depthTexture !== null) {
-      gl.uniform1i(this.uniforms.depthTexture, 0);
-    }
-    
-    // 设置 uniform
-    if (this.uniforms.near !== null) {
-      gl.uniform1f(this.uniforms.near, near);
-    }
-    if (this.uniforms.far !== null) {
-      gl.uniform1f(this.uniforms.far, far);
-    }
-    if (this.uniforms.depthRange !== null) {
-      gl.uniform1f(this.uniforms.depthRange, depthRange);
+    this._beginQuad(projectionMatrix);
+    gl.uniform1f(this.uniforms.rangeNear, rangeNear);
+    gl.uniform1f(this.uniforms.rangeFar, rangeFar);
+    gl.uniform1f(this.uniforms.gamma, gamma);
+    gl.uniform1i(this.uniforms.colormap, COLORMAP_IDS[colormap] ?? COLORMAP_IDS.grayscale);
+    gl.uniform1i(this.uniforms.encodeDepth, 0);
+    this._drawQuad();
+  }
+
+  /**
+   * 统计当前深度纹理的深度分布（降采样回读），返回指定百分位对应的深度
+   * 会改变 framebuffer 绑定和视口，调用后需重新绑定输出
+   * @param {number[]} projectionMatrix - 渲染场景时使用的投影矩阵
+   * @param {number} low - 下百分位（0-100）
+   * @param {number} high - 上百分位（0-100）
+   * @returns {{ near: number, far: number }|null} 深度（米），没有前景像素时为 null
+   */
+  measureDepthRange(projectionMatrix, low, high) {
+    const gl = this.gl;
+    if (!this.program || !this.depthTexture || !projectionMatrix || !this._ensureSampleFramebuffer()) {
+      return null;
     }
-    if (this.uniforms.depthRangeNear !== null) {
-      gl.uniform1f(this.uniforms.depthRangeNear, depthRangeNear);
+
+    // 线性深度按远平面归一化后打包（无穷远投影时退回 1000 米）
+    const { far } = getProjectionNearFar(projectionMatrix);
+    const encodeFar = Number.isFinite(far) ? far : 1000.0;
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.sampleFramebuffer);
+    gl.viewport(0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+    this._beginQuad(projectionMatrix);
+    gl.uniform1i(this.uniforms.encodeDepth, 1);
+    gl.uniform1f(this.uniforms.encodeFar, encodeFar);
+    this._drawQuad();
+
+    const pixels = new Uint8Array(SAMPLE_SIZE * SAMPLE_SIZE * 4);
+    gl.pixelStorei(gl.PACK_ALIGNMENT, 1);
+    gl.readPixels(0, 0, SAMPLE_SIZE, SAMPLE_SIZE, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    const depths = [];
+    for (let i = 0; i < pixels.length; i += 4) {
+      if (pixels[i + 3] > 0) {
+        depths.push(((pixels[i] * 65536 + pixels[i + 1] * 256 + pixels[i + 2]) / 16777215) * encodeFar);
+      }
     }
-    if (this.uniforms.gamma !== null) {
-      gl.uniform1f(this.uniforms.gamma, gamma);
+    if (depths.length === 0) {
+      return null;
     }
+    const sorted = Float32Array.from(depths).sort();
+    const at = (p) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.round((p / 100) * (sorted.length - 1))))];
+    return { near: at(low), far: at(high) };
+  }
+
+  /**
+   * 切换到深度可视化 program 并设置公共 uniform
+   * @private
+   */
+  _beginQuad(projectionMatrix) {
+    const gl = this.gl;
+    gl.useProgram(this.program);
     
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.depthTexture);
+    gl.uniform1i(this.uniforms.depthTexture, 0);
+    gl.uniform4fv(this.uniforms.projParams, getDepthProjectionParams(projectionMatrix));
+  }
+
+  /**
+   * 绘制全屏 quad
+   * @private
+   */
+  _drawQuad() {
+    const gl = this.gl;
+
     // 禁用深度测试和混合（全屏覆盖）
     gl.disable(gl.DEPTH_TEST);
     gl.disable(gl.BLEND);
@@ -262,6 +321,52 @@ export class DepthVisualizationRenderer {
     gl.bindTexture(gl.TEXTURE_2D, null);
   }
 
+  /**
+   * 创建百分位统计使用的采样 FBO
+   * @returns {boolean} 是否可用
+   * @private
+   */
+  _ensureSampleFramebuffer() {
+    const gl = this.gl;
+    if (this.sampleFramebuffer) {
+      return true;
+    }
+    this.sampleTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this.sampleTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, SAMPLE_SIZE, SAMPLE_SIZE, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    this.sampleFramebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.sampleFramebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.sampleTexture, 0);
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+      console.error('[DepthVisualizationRenderer] 采样 FBO 不完整:', status);
+      this._disposeSampleFramebuffer();
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 清理采样 FBO
+   * @private
+   */
+  _disposeSampleFramebuffer() {
+    const gl = this.gl;
+    if (this.sampleFramebuffer) {
+      gl.deleteFramebuffer(this.sampleFramebuffer);
+      this.sampleFramebuffer = null;
+    }
+    if (this.sampleTexture) {
+      gl.deleteTexture(this.sampleTexture);
+      this.sampleTexture = null;
+    }
+  }
+
   /**
    * 清理 FBO 资源
    */
@@ -295,6 +400,7 @@ export class DepthVisualizationRenderer {
     
     // 清理 FBO
     this.disposeFramebuffer();
+    this._disposeSampleFramebuffer();
     
     // 清理 shader
     if (this.program) {
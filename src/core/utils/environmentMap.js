@@ -0,0 +1,366 @@
+/**
+ * 环境光照贴图（IBL）
+ * 把等距柱状投影环境图预过滤为镜面反射 mip 链（每级对应一个粗糙度）和漫反射辐照度贴图，供 Standard 材质采样
+ * 8 位图像按 sRGB 解码，Float32Array 数据视为线性 HDR；支持 EXT_color_buffer_float 时结果保存为半浮点，否则为 sRGB 8 位
+ * 预过滤只在环境图来源变化时进行，intensity、rotation、up 只影响采样时的 uniform
+ */
+
+import { createShader, createProgram } from './webgl';
+import { createEnvironmentBasis } from './backgroundRenderer';
+import {
+  environmentVertexShader,
+  environmentSpecularFragmentShader,
+  environmentIrradianceFragmentShader,
+} from '../shaders/environmentShaders';
+
+const SPECULAR_WIDTH = 256;
+const SPECULAR_LEVELS = 6;     // 256x128 到 8x4，粗糙度 0、0.2 … 1
+const IRRADIANCE_WIDTH = 64;
+
+/**
+ * 环境光照贴图类
+ */
+export class EnvironmentMap {
+  /**
+   * @param {WebGL2RenderingContext} gl
+   * @param {Object} options
+   * @param {Function} options.onLoad - 异步加载的环境图预过滤完成后调用（用于请求重绘）
+   */
+  constructor(gl, options = {}) {
+    this.gl = gl;
+    this.onLoad = options.onLoad || null;
+
+    this.intensity = 1.0;
+    this.basis = createEnvironmentBasis([0, 1, 0], 0);
+    this.maxLod = SPECULAR_LEVELS - 1;
+    this.specularTexture = null;
+    this.irradianceTexture = null;
+    this._source = null;             // 当前贴图对应的 image / url / data
+    this._loadToken = 0;             // 异步加载序号（新配置会使旧请求失效）
+
+    const hdr = !!gl.getExtension('EXT_color_buffer_float');
+    this._hdr = hdr;
+    this._format = hdr ? gl.RGBA16F : gl.SRGB8_ALPHA8;
+
+    this.programs = {};
+    this.shaders = [];
+    this.quadBuffer = null;
+    this.framebuffer = null;
+
+    this._initShaders();
+    this._initQuad();
+  }
+
+  /**
+   * 初始化预过滤 shader
+   * @private
+   */
+  _initShaders() {
+    const gl = this.gl;
+    const sources = {
+      specular: environmentSpecularFragmentShader,
+      irradiance: environmentIrradianceFragmentShader,
+    };
+
+    try {
+      const vertexShader = createShader(gl, gl.VERTEX_SHADER, environmentVertexShader);
+      this.shaders.push(vertexShader);
+      for (const [key, source] of Object.entries(sources)) {
+        const fragmentShader = createShader(gl, gl.FRAGMENT_SHADER, source);
+        this.shaders.push(fragmentShader);
+        const program = createProgram(gl, vertexShader, fragmentShader);
+        const uniforms = {};
+        for (const name of ['sourceMap', 'sourceSize', 'sourceMaxLod', 'roughness', 'minLod']) {
+          uniforms[name] = gl.getUniformLocation(program, name);
+        }
+        this.programs[key] = { program, uniforms, position: gl.getAttribLocation(program, 'position') };
+      }
+    } catch (err) {
+      console.error('[EnvironmentMap] Shader 初始化失败:', err);
+      this._disposePrograms();
+      throw err;
+    }
+  }
+
+  /**
+   * 初始化全屏 quad
+   * @private
+   */
+  _initQuad() {
+    const gl = this.gl;
+    this.quadBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    this.framebuffer = gl.createFramebuffer();
+  }
+
+  /**
+   * 设置环境图
+   * @param {Object|null} environment - null 表示清除
+   * @param {TexImageSource|Object} environment.image - 等距柱状投影环境图：Image/ImageBitmap/Canvas，或 { width, height, data }（RGBA，Uint8Array 或 Float32Array）
+   * @param {string} environment.url - 环境图地址（未提供 image 时异步加载）
+   * @param {number} environment.intensity - 亮度倍率，默认 1
+   * @param {number} environment.rotation - 绕 up 轴的旋转（弧度），默认 0
+   * @param {Array<number>} environment.up - 环境图的上方向（世界坐标），默认 [0, 1, 0]
+   */
+  setEnvironment(environment) {
+    if (!environment) {
+      this._setSource(null);
+      return;
+    }
+    this.intensity = Number.isFinite(environment.intensity) ? environment.intensity : 1.0;
+    this.basis = createEnvironmentBasis(
+      Array.isArray(environment.up) ? environment.up : [0, 1, 0],
+      Number.isFinite(environment.rotation) ? environment.rotation : 0
+    );
+    this._setSource(environment.image || environment.url || null);
+  }
+
+  /**
+   * 更新环境图来源（来源未变化时复用已预过滤的贴图）
+   * @private
+   */
+  _setSource(source) {
+    if (source === this._source) {
+      return;
+    }
+    this._source = source;
+    this._loadToken++;
+
+    if (!source) {
+      this._deleteTextures();
+      return;
+    }
+
+    if (typeof source === 'string') {
+      if (typeof Image === 'undefined') {
+        console.warn('[EnvironmentMap] 当前环境不支持通过 url 加载环境图');
+        return;
+      }
+      const token = this._loadToken;
+      const image = new Image();
+      image.crossOrigin = 'anonymous';
+      image.onload = () => {
+        // 加载期间环境图已被更换或已销毁
+        if (token === this._loadToken && this.quadBuffer) {
+          this._prefilter(image);
+          if (this.onLoad) {
+            this.onLoad();
+          }
+        }
+      };
+      image.onerror = () => {
+        console.error('[EnvironmentMap] 环境图加载失败:', source);
+      };
+      image.src = source;
+      return;
+    }
+
+    this._prefilter(source);
+  }
+
+  /**
+   * 上传源图并预过滤到镜面反射和辐照度贴图
+   * @private
+   */
+  _prefilter(source) {
+    const gl = this.gl;
+    const previousFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+    const previousViewport = gl.getParameter(gl.VIEWPORT);
+
+    const sourceTexture = gl.createTexture();
+    try {
+      const { width, height, mipmapped } = this._uploadSource(sourceTexture, source);
+      if (!(width > 0 && height > 0)) {
+        throw new Error('环境图尺寸无效');
+      }
+      const sourceMaxLod = mipmapped ? Math.floor(Math.log2(Math.max(width, height))) : 0;
+
+      this._deleteTextures();
+      this.specularTexture = this._createTarget(SPECULAR_WIDTH, SPECULAR_LEVELS);
+      this.irradianceTexture = this._createTarget(IRRADIANCE_WIDTH, 1);
+
+      gl.disable(gl.DEPTH_TEST);
+      gl.disable(gl.BLEND);
+      gl.disable(gl.CULL_FACE);
+      gl.disable(gl.SCISSOR_TEST);
+      gl.depthMask(false);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, sourceTexture);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+
+      for (let level = 0; level < SPECULAR_LEVELS; level++) {
+        const levelWidth = SPECULAR_WIDTH >> level;
+        this._draw(this.programs.specular, this.specularTexture, level, levelWidth, {
+          sourceSize: [width, height],
+          sourceMaxLod,
+          roughness: level / (SPECULAR_LEVELS - 1),
+          minLod: Math.max(0, Math.log2(width / levelWidth)),
+        });
+      }
+      this._draw(this.programs.irradiance, this.irradianceTexture, 0, IRRADIANCE_WIDTH, {
+        sourceSize: [width, height],
+        sourceMaxLod,
+      });
+    } catch (err) {
+      console.error('[EnvironmentMap] 环境图预过滤失败:', err);
+      this._deleteTextures();
+    } finally {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, previousFramebuffer);
+      gl.viewport(previousViewport[0], previousViewport[1], previousViewport[2], previousViewport[3]);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+      gl.deleteTexture(sourceTexture);
+      gl.depthMask(true);
+      gl.enable(gl.DEPTH_TEST);
+    }
+  }
+
+  /**
+   * 上传源图（8 位按 sRGB 上传，由硬件解码为线性）
+   * @private
+   * @returns {{ width: number, height: number, mipmapped: boolean }}
+   */
+  _uploadSource(texture, source) {
+    const gl = this.gl;
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+
+    let width;
+    let height;
+    let mipmapped = true;
+    if (source && source.data && Number.isFinite(source.width) && Number.isFinite(source.height)) {
+      const isFloat = source.data instanceof Float32Array;
+      width = source.width;
+      height = source.height;
+      gl.texImage2D(
+        gl.TEXTURE_2D, 0, isFloat ? gl.RGBA16F : gl.SRGB8_ALPHA8,
+        width, height, 0,
+        gl.RGBA, isFloat ? gl.FLOAT : gl.UNSIGNED_BYTE, source.data
+      );
+      // 半浮点纹理只有在可渲染时才能生成 mipmap
+      mipmapped = !isFloat || this._hdr;
+    } else {
+      width = source.naturalWidth || source.videoWidth || source.width;
+      height = source.naturalHeight || source.videoHeight || source.height;
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.SRGB8_ALPHA8, gl.RGBA, gl.UNSIGNED_BYTE, source);
+    }
+
+    if (mipmapped) {
+      gl.generateMipmap(gl.TEXTURE_2D);
+    }
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, mipmapped ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return { width, height, mipmapped };
+  }
+
+  /**
+   * 创建预过滤目标纹理（宽高比 2:1）
+   * @private
+   */
+  _createTarget(width, levels) {
+    const gl = this.gl;
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texStorage2D(gl.TEXTURE_2D, levels, this._format, width, width / 2);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, levels > 1 ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return texture;
+  }
+
+  /**
+   * 把源图（已绑定到 TEXTURE0）过滤到目标纹理的一个 mip 级别
+   * @private
+   */
+  _draw(pass, target, level, width, values) {
+    const gl = this.gl;
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target, level);
+    if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+      throw new Error('预过滤 framebuffer 不完整');
+    }
+    gl.viewport(0, 0, width, width / 2);
+
+    gl.useProgram(pass.program);
+    const u = pass.uniforms;
+    gl.uniform1i(u.sourceMap, 0);
+    gl.uniform2fv(u.sourceSize, values.sourceSize);
+    gl.uniform1f(u.sourceMaxLod, values.sourceMaxLod);
+    if (u.roughness) {
+      gl.uniform1f(u.roughness, values.roughness);
+      gl.uniform1f(u.minLod, values.minLod);
+    }
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    if (pass.position >= 0) {
+      gl.enableVertexAttribArray(pass.position);
+      gl.vertexAttribPointer(pass.position, 2, gl.FLOAT, false, 0, 0);
+      gl.vertexAttribDivisor(pass.position, 0);
+    }
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    if (pass.position >= 0) {
+      gl.disableVertexAttribArray(pass.position);
+    }
+  }
+
+  /**
+   * 是否有可用的环境贴图（url 加载完成前返回 false）
+   * @returns {boolean}
+   */
+  isReady() {
+    return !!(this.specularTexture && this.irradianceTexture);
+  }
+
+  /**
+   * @private
+   */
+  _deleteTextures() {
+    const gl = this.gl;
+    if (this.specularTexture) {
+      gl.deleteTexture(this.specularTexture);
+      this.specularTexture = null;
+    }
+    if (this.irradianceTexture) {
+      gl.deleteTexture(this.irradianceTexture);
+      this.irradianceTexture = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _disposePrograms() {
+    const gl = this.gl;
+    for (const pass of Object.values(this.programs)) {
+      gl.deleteProgram(pass.program);
+    }
+    this.programs = {};
+    for (const shader of this.shaders) {
+      gl.deleteShader(shader);
+    }
+    this.shaders = [];
+  }
+
+  /**
+   * 清理所有资源
+   */
+  dispose() {
+    const gl = this.gl;
+
+    this._loadToken++;
+    this._source = null;
+    this._deleteTextures();
+    this._disposePrograms();
+
+    if (this.quadBuffer) {
+      gl.deleteBuffer(this.quadBuffer);
+      this.quadBuffer = null;
+    }
+    if (this.framebuffer) {
+      gl.deleteFramebuffer(this.framebuffer);
+      this.framebuffer = null;
+    }
+  }
+}
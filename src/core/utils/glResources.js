@@ -0,0 +1,221 @@
+/**
+ * GL 资源引用计数与存活统计
+ *
+ * - 引用计数：资源创建者持有 1 个引用；多个对象共用同一资源（同一资产加载多次）时，
+ *   每个额外的持有者调用 retainResource，释放时调用 releaseResource，计数归零才真正删除
+ * - 存活统计：enableResourceTracking(gl) 包装 gl.create* / gl.delete*，统计当前存活的 GL 对象数量，
+ *   用于排查长时间运行的编辑器会话中的显存泄漏
+ * 深度排序 Worker 也按同样方式计数，计数归零时 terminate
+ */
+
+// resource -> 引用计数（未记录的资源视为只有创建者持有，计数为 1）
+const refCounts = new WeakMap();
+
+// gl -> { live: { kind: Set }, created: { kind: number }, deleted: { kind: number } }
+const trackers = new WeakMap();
+
+// 资源类型 -> [create 方法, delete 方法]
+const RESOURCE_KINDS = {
+  buffers: ['createBuffer', 'deleteBuffer'],
+  textures: ['createTexture', 'deleteTexture'],
+  framebuffers: ['createFramebuffer', 'deleteFramebuffer'],
+  renderbuffers: ['createRenderbuffer', 'deleteRenderbuffer'],
+  programs: ['createProgram', 'deleteProgram'],
+  shaders: ['createShader', 'deleteShader'],
+  vertexArrays: ['createVertexArray', 'deleteVertexArray'],
+  queries: ['createQuery', 'deleteQuery'],
+};
+
+/**
+ * 按资源类型调用对应的 gl.delete*
+ * @private
+ */
+function deleteResource(gl, resource) {
+  if (typeof resource.terminate === 'function') {
+    resource.terminate();
+  } else if (!gl) {
+    return;
+  } else if (typeof WebGLTexture !== 'undefined' && resource instanceof WebGLTexture) {
+    gl.deleteTexture(resource);
+  } else if (typeof WebGLBuffer !== 'undefined' && resource instanceof WebGLBuffer) {
+    gl.deleteBuffer(resource);
+  } else if (typeof WebGLFramebuffer !== 'undefined' && resource instanceof WebGLFramebuffer) {
+    gl.deleteFramebuffer(resource);
+  } else if (typeof WebGLRenderbuffer !== 'undefined' && resource instanceof WebGLRenderbuffer) {
+    gl.deleteRenderbuffer(resource);
+  } else if (typeof WebGLProgram !== 'undefined' && resource instanceof WebGLProgram) {
+    gl.deleteProgram(resource);
+  } else if (typeof WebGLShader !== 'undefined' && resource instanceof WebGLShader) {
+    gl.deleteShader(resource);
+  } else if (typeof WebGLVertexArrayObject !== 'undefined' && resource instanceof WebGLVertexArrayObject) {
+    gl.deleteVertexArray(resource);
+  } else {
+    console.warn('[glResources] 无法识别的资源类型，未删除:', resource);
+  }
+}
+
+/**
+ * 渲染对象/场景对象上持有 GPU 资源的字段（Mesh 的 vertexAttributes 中另有 position/normal/uv 缓冲）
+ */
+export const OBJECT_RESOURCE_FIELDS = [
+  'texture', 'indexBuffer', 'shTexture', 'shTextureR', 'shTextureG', 'shTextureB',
+  'vertexBuffer', 'elementBuffer', 'instanceMatrixBuffer', 'instanceColorBuffer',
+  'positionBuffer', 'colorBuffer', 'pointPositionBuffer', 'pointColorBuffer', 'worker',
+];
+
+/**
+ * Mesh vertexAttributes 中单独持有的缓冲（interleavedBuffer 与 vertexBuffer 相同，不重复计数）
+ * @param {Object|null} vertexAttributes
+ * @returns {Array}
+ */
+export function getVertexAttributeBuffers(vertexAttributes) {
+  if (!vertexAttributes) {
+    return [];
+  }
+  return [vertexAttributes.positionBuffer, vertexAttributes.normalBuffer, vertexAttributes.uvBuffer].filter(Boolean);
+}
+
+/**
+ * 释放对象持有的全部资源引用并清空字段（RenderableObject.dispose、SplatObject.dispose 使用）
+ * @param {WebGL2RenderingContext|null} gl
+ * @param {Object} target - 持有资源字段的对象
+ */
+export function releaseObjectResources(gl, target) {
+  for (const field of OBJECT_RESOURCE_FIELDS) {
+    if (target[field]) {
+      releaseResource(gl, target[field]);
+      target[field] = null;
+    }
+  }
+  if (target.vertexAttributes) {
+    getVertexAttributeBuffers(target.vertexAttributes).forEach((buffer) => releaseResource(gl, buffer));
+    target.vertexAttributes = null;
+  }
+}
+
+/**
+ * 丢弃对象上已失效的 GL 资源句柄（上下文丢失后使用：不调用 gl.delete*，排序 Worker 保留）
+ * @param {Object} target - 持有资源字段的对象
+ */
+export function forgetObjectResources(target) {
+  for (const field of OBJECT_RESOURCE_FIELDS) {
+    if (field !== 'worker' && target[field]) {
+      target[field] = null;
+    }
+  }
+  if (target.vertexAttributes) {
+    target.vertexAttributes = null;
+  }
+}
+
+/**
+ * 增加资源的引用（共用已有资源时调用）
+ * @param {*} resource - WebGL 资源或 Worker（null 时忽略）
+ * @returns {*} 传入的资源
+ */
+export function retainResource(resource) {
+  if (resource) {
+    refCounts.set(resource, (refCounts.get(resource) ?? 1) + 1);
+  }
+  return resource;
+}
+
+/**
+ * 释放资源的一个引用，计数归零时删除
+ * @param {WebGL2RenderingContext|null} gl - 为 null 时只减少计数和终止 Worker，不删除 GL 资源
+ * @param {*} resource - WebGL 资源或 Worker（null 时忽略）
+ * @returns {boolean} 引用是否已归零
+ */
+export function releaseResource(gl, resource) {
+  if (!resource) {
+    return false;
+  }
+  const count = (refCounts.get(resource) ?? 1) - 1;
+  if (count > 0) {
+    refCounts.set(resource, count);
+    return false;
+  }
+  refCounts.delete(resource);
+  deleteResource(gl, resource);
+  return true;
+}
+
+/**
+ * 获取资源当前的引用计数
+ * @param {*} resource - WebGL 资源
+ * @returns {number} 未共用的资源为 1，null 为 0
+ */
+export function getResourceRefCount(resource) {
+  return resource ? (refCounts.get(resource) ?? 1) : 0;
+}
+
+/**
+ * 启用 GL 对象存活统计（包装 gl.create* / gl.delete*，重复调用无副作用）
+ * 应在创建任何资源之前调用，之前创建的资源不计入
+ * @param {WebGL2RenderingContext} gl
+ */
+export function enableResourceTracking(gl) {
+  if (!gl || trackers.has(gl)) {
+    return;
+  }
+  const tracker = { live: {}, created: {}, deleted: {} };
+  for (const [kind, [createName, deleteName]] of Object.entries(RESOURCE_KINDS)) {
+    const create = gl[createName];
+    const remove = gl[deleteName];
+    if (typeof create !== 'function' || typeof remove !== 'function') {
+      continue;
+    }
+    const live = new Set();
+    tracker.live[kind] = live;
+    tracker.created[kind] = 0;
+    tracker.deleted[kind] = 0;
+    gl[createName] = function (...args) {
+      const resource = create.apply(gl, args);
+      if (resource) {
+        live.add(resource);
+        tracker.created[kind]++;
+      }
+      return resource;
+    };
+    gl[deleteName] = function (resource) {
+      if (resource && live.delete(resource)) {
+        tracker.deleted[kind]++;
+      }
+      return remove.call(gl, resource);
+    };
+  }
+  trackers.set(gl, tracker);
+}
+
+/**
+ * 上下文丢失后清空存活统计（失效的对象不再计入，累计创建/删除数量保留）
+ * @param {WebGL2RenderingContext} gl
+ */
+export function resetResourceTracking(gl) {
+  const tracker = gl ? trackers.get(gl) : null;
+  if (!tracker) {
+    return;
+  }
+  for (const set of Object.values(tracker.live)) {
+    set.clear();
+  }
+}
+
+/**
+ * 获取当前存活的 GL 对象数量
+ * @param {WebGL2RenderingContext} gl
+ * @returns {{ live: Object, created: Object, deleted: Object, total: number }|null} 各类型的存活/累计创建/累计删除数量，未启用统计时为 null
+ */
+export function getResourceStats(gl) {
+  const tracker = gl ? trackers.get(gl) : null;
+  if (!tracker) {
+    return null;
+  }
+  const live = {};
+  let total = 0;
+  for (const [kind, set] of Object.entries(tracker.live)) {
+    live[kind] = set.size;
+    total += set.size;
+  }
+  return { live, created: { ...tracker.created }, deleted: { ...tracker.deleted }, total };
+}
@@ -3,21 +3,71 @@
  * 只负责渲染多个模型和处理视角变换，不包含业务逻辑（如模型加载、用户交互等）
  */
 
-import { multiply4, identity4, createTransformMatrix } from './webgl';
+import { multiply4, invert4, identity4, createTransformMatrix, createViewRegionMatrix, getViewRegionTransform } from './webgl';
 import { renderAxisGrid, renderGrid, renderAxes } from './axisGridRenderer';
-import { RenderTarget, CanvasRenderTarget } from './renderTarget';
+import { RenderTarget, CanvasRenderTarget, OffscreenRenderTarget } from './renderTarget';
 import { DepthVisualizationRenderer } from './depthVisualizationRenderer';
-import { Camera } from './Camera';
+import { PostProcessingRenderer } from './postProcessingRenderer';
+import { BackgroundRenderer } from './backgroundRenderer';
+import { PickingRenderer, decodePickIndex, decodePickDepth } from './pickingRenderer';
+import { ShadowRenderer, computeShadowMatrices, transformBounds, createDefaultShadowMap } from './shadowRenderer';
+import { EnvironmentMap } from './environmentMap';
+import { applyMaterialProperties } from './materialUniforms';
+import { ENVIRONMENT_SPECULAR_UNIT, ENVIRONMENT_IRRADIANCE_UNIT } from '../shaders/environmentShaders';
+import { SelectionRenderer, normalizeSelectionStyle, createDefaultSelectionStyle } from './selectionRenderer';
+import { MergedSplatRenderer } from './mergedSplatRenderer';
+import { Camera, ALL_LAYERS } from './Camera';
+import { Timeline } from './Timeline';
+import { RenderStats, RenderStage } from './renderStats';
+import { normalizeRenderPass, createRenderPassContext, resetRenderPassState, disposeRenderPass, restoreRenderPass, RenderPassStage } from './renderPass';
+import { registerRenderType, unregisterRenderType, getRenderTypeDefinition, ensureRenderTypePrograms } from './renderTypeRegistry';
+import { ShaderRegistry } from './ShaderRegistry';
+import { MaterialFactory } from './MaterialFactory';
+import { MAX_CLIP_PLANES, normalizeClipPlane, createSectionBoxPlanes, applyClippingUniforms } from './clippingPlanes';
+import { OBJECT_RESOURCE_FIELDS, getVertexAttributeBuffers, releaseObjectResources, forgetObjectResources, retainResource, releaseResource, getResourceStats } from './glResources';
+import { COLORMAP_NAMES, getDepthProjectionParams } from './colormaps';
+import {
+  MAX_LIGHTS,
+  LIGHTS_BLOCK_BINDING,
+  LIGHTS_BUFFER_SIZE,
+  SHADOW_TEXTURE_UNIT,
+  LightType,
+  createDefaultLights,
+  createDefaultAmbientLight,
+  createDefaultHeadlight,
+  normalizeLight,
+  normalizeAmbientLight,
+  normalizeHeadlight,
+  getCameraForward,
+  packLights,
+  bindLightsBlock,
+  applyLegacyLightUniforms,
+} from './lights';
+import { estimateNormals } from './depthMapExport';
 
 /**
- * 渲染类型枚举
+ * 渲染类型枚举（内置类型；第三方类型通过 HoloRP.registerRenderType 注册）
  */
 export const RenderType = {
   '4DGS': '4dgs',       // 4D Gaussian Splatting（动态/时间相关）
   '3DGS': '3dgs',       // 3D Gaussian Splatting（静态，支持SH）
   MESH: 'mesh',         // 网格模型
+  INSTANCED_MESH: 'instanced_mesh', // 实例化网格（同一网格按逐实例变换/颜色一次绘制多份）
   LINES: 'lines',       // 线段（相机锥体、连线等）
-  POINT_CLOUD: 'point_cloud'  // 点云（纯色 quad，无时间/高斯）
+  POINT_CLOUD: 'point_cloud', // 点云（纯色 quad，无时间/高斯）
+  GROUP: 'group'        // 分组节点（只有变换，不绘制，用于组织子对象）
+};
+
+/**
+ * 阴影默认选项（见 HoloRP.setShadowOptions）
+ */
+const DEFAULT_SHADOW_OPTIONS = {
+  mapSize: 2048,
+  bias: 0.0005,
+  normalBias: 1.5,
+  pcfRadius: 1,
+  bounds: null,
+  distance: 20,
 };
 
 /**
@@ -42,6 +92,10 @@ export class RenderableObject {
     this.shTextureG = null;        // WebGLTexture (3DGS用，G通道SH系数，可选)
     this.shTextureB = null;        // WebGLTexture (3DGS用，B通道SH系数，可选)
     this.sphericalHarmonicsDegree = 0;  // SH阶数（0=无SH，1=1阶，2=2阶，3=3阶）
+
+    // 4DGS 时间相关（对象在时间轴上的片段）
+    this.timeOffset = 0;           // 对象在时间轴上的起始时间（秒）
+    this.timeDuration = null;      // 对象片段时长（秒），null 表示占满整条时间轴
     
     // Mesh 相关资源
     this.vertexBuffer = null;      // WebGLBuffer (mesh的顶点数据)
@@ -49,6 +103,13 @@ export class RenderableObject {
     this.elementCount = 0;        // 索引数量 (mesh用)
     this.vertexAttributes = null;  // 顶点属性配置 {position, normal, uv, stride}
 
+    // INSTANCED_MESH 相关资源（网格资源同 Mesh，另加逐实例缓冲）
+    this.instanceMatrixBuffer = null; // WebGLBuffer (N × mat4，列主序)
+    this.instanceColorBuffer = null;  // WebGLBuffer (N × r,g,b,a)，0–1 float
+    this.instanceCount = 0;           // 绘制的实例数量
+    this.instanceMatrices = null;     // Float32Array，实例矩阵的 CPU 副本（单个更新时同步）
+    this.instanceColors = null;       // Float32Array，实例颜色的 CPU 副本
+
     // LINES 相关资源（positionBuffer/colorBuffer 复用，或 linesVertexCount）
     this.positionBuffer = null;   // WebGLBuffer (position x,y,z) - 用于LINES
     this.colorBuffer = null;      // WebGLBuffer (color r,g,b) - 用于LINES
@@ -60,18 +121,161 @@ export class RenderableObject {
     this.pointCount = 0;
     this.pointSize = 2.0;             // 点尺寸（像素），对象内部参数
 
+    // 层级变换：modelMatrix 为相对父对象的局部矩阵，世界矩阵按需计算并缓存
+    this.parent = null;            // 父对象（RenderableObject），通过 setParent/add 设置
+    this.children = [];            // 子对象列表（只读，通过 add/remove 修改）
+    this._modelMatrix = null;
+    this._worldMatrix = null;
+    this._worldMatrixDirty = true;
+
     // 通用资源
-    this.modelMatrix = null;       // 4x4 模型变换矩阵（如果为 null 则使用单位矩阵）
+    this.modelMatrix = null;       // 4x4 局部变换矩阵（如果为 null 则使用单位矩阵；无父对象时即世界矩阵），须整体赋值，见 modelMatrix 访问器
     this.ready = false;            // 是否准备好渲染
     this.material = null;          // 材质（可选，用于mesh）
+    this.visible = true;           // 是否可见（隐藏时保留 GPU 资源，不参与渲染和拾取）
+    this.layers = 1;               // 图层位掩码（默认第 0 层），与相机 layerMask 相交时才渲染
+    this.clippable = true;         // 是否受裁剪平面和剖切盒影响
+    this.castShadow = false;       // 是否投射阴影（仅 MESH，见 HoloRP.setShadowOptions）
+    this.receiveShadow = false;    // 是否接收阴影（MESH / INSTANCED_MESH，材质 shader 须包含 lightingShaderChunk）
+    this.localBounds = null;       // 局部坐标包围盒 { min, max }（Mesh 加载时计算，用于自动确定阴影范围）
+    this.restoreResources = null;  // WebGL 上下文恢复后重建 GPU 资源的回调 (gl, obj) => void，由创建方提供（未提供时需重新加载）
+  }
+
+  /**
+   * 对象在指定图层掩码下是否可见（任一祖先隐藏时子对象也隐藏；图层不继承）
+   * @param {number} layerMask - 相机/视图的图层掩码
+   * @returns {boolean}
+   */
+  isVisibleTo(layerMask = ALL_LAYERS) {
+    if ((this.layers & layerMask) === 0) {
+      return false;
+    }
+    for (let node = this; node; node = node.parent) {
+      if (node.visible === false) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 局部变换矩阵（赋值时自动使自身和子对象的世界矩阵失效）
+   * 更新变换须整体赋值新数组；原地修改数组元素无法被检测到，世界矩阵仍是缓存的旧值，须随后调用 markTransformDirty()
+   */
+  get modelMatrix() {
+    return this._modelMatrix;
+  }
+
+  set modelMatrix(value) {
+    this._modelMatrix = value;
+    this.markTransformDirty();
+  }
+
+  /**
+   * 标记世界矩阵需要重新计算（原地修改 modelMatrix 数组后需手动调用）
+   */
+  markTransformDirty() {
+    // 子对象的世界矩阵依赖父对象，已失效时子树必然也已失效
+    if (this._worldMatrixDirty) {
+      return;
+    }
+    this._worldMatrixDirty = true;
+    for (const child of this.children) {
+      child.markTransformDirty();
+    }
+  }
+
+  /**
+   * 设置父对象
+   * @param {RenderableObject|null} parent - 父对象，null 表示脱离层级
+   */
+  setParent(parent) {
+    if (parent === this.parent) {
+      return;
+    }
+    if (parent !== null && !(parent instanceof RenderableObject)) {
+      throw new Error('setParent: parent 须为 RenderableObject 实例或 null');
+    }
+    for (let node = parent; node; node = node.parent) {
+      if (node === this) {
+        throw new Error(`setParent: 不能把 "${this.id}" 挂到自身或其子对象下`);
+      }
+    }
+
+    if (this.parent) {
+      const index = this.parent.children.indexOf(this);
+      if (index > -1) {
+        this.parent.children.splice(index, 1);
+      }
+    }
+    this.parent = parent;
+    if (parent) {
+      parent.children.push(this);
+    }
+    // 强制子树重新计算（当前可能处于未失效状态）
+    this._worldMatrixDirty = false;
+    this.markTransformDirty();
   }
 
   /**
-   * 获取模型变换矩阵
+   * 添加子对象
+   * @param {RenderableObject} child - 子对象
+   * @returns {RenderableObject} this
+   */
+  add(child) {
+    child.setParent(this);
+    return this;
+  }
+
+  /**
+   * 移除子对象
+   * @param {RenderableObject} child - 子对象
+   * @returns {RenderableObject} this
+   */
+  remove(child) {
+    if (child && child.parent === this) {
+      child.setParent(null);
+    }
+    return this;
+  }
+
+  /**
+   * 所有子对象脱离层级，并把当前世界矩阵写入子对象的 modelMatrix（画面中的位置不变）
+   */
+  detachChildren() {
+    for (const child of [...this.children]) {
+      child.modelMatrix = child.getWorldMatrix();
+      child.setParent(null);
+    }
+  }
+
+  /**
+   * 获取局部变换矩阵
+   * @returns {number[]} 4x4 矩阵（16元素数组）
+   */
+  getLocalMatrix() {
+    return this._modelMatrix || identity4();
+  }
+
+  /**
+   * 获取世界变换矩阵（parent.worldMatrix × modelMatrix，结果缓存到变换失效为止）
+   * @returns {number[]} 4x4 矩阵（16元素数组）
+   */
+  getWorldMatrix() {
+    if (this._worldMatrixDirty || !this._worldMatrix) {
+      const local = this.getLocalMatrix();
+      this._worldMatrix = this.parent ? multiply4(this.parent.getWorldMatrix(), local) : local;
+      this._worldMatrixDirty = false;
+    }
+    return this._worldMatrix;
+  }
+
+  /**
+   * 获取模型变换矩阵（世界矩阵，渲染、排序和拾取都使用它）
    * @returns {number[]} 4x4 矩阵（16元素数组）
    */
   getModelMatrix() {
-    return this.modelMatrix || identity4();
+    return this.getWorldMatrix();
   }
 
   /**
@@ -79,26 +283,102 @@ export class RenderableObject {
    * @returns {boolean}
    */
   isReady() {
-    if (this.renderType === RenderType['4DGS'] || this.renderType === RenderType['3DGS']) {
-      return this.ready && this.texture && this.indexBuffer && this.vertexCount > 0;
-    }
-    if (this.renderType === RenderType.MESH) {
-      return this.ready && this.vertexBuffer && this.elementBuffer && this.elementCount > 0;
-    }
-    if (this.renderType === RenderType.LINES) {
-      return this.ready && this.positionBuffer && this.linesVertexCount >= 2;
+    // 各类型的就绪条件由渲染类型注册表提供
+    const definition = getRenderTypeDefinition(this.renderType);
+    return definition ? definition.isReady(this) : false;
+  }
+
+  /**
+   * 引用其他对象的 GPU 资源（纹理、缓冲、排序 Worker 等），新资源增加引用，被替换的资源释放一个引用
+   * 多个对象共用同一资产时使用：每个对象 dispose 时只释放自己的引用，最后一个释放时才真正删除
+   * @param {WebGL2RenderingContext} gl
+   * @param {Object} resources - 包含资源字段的对象（如另一个 RenderableObject 或场景对象），只处理其中存在的字段
+   */
+  assignResources(gl, resources) {
+    for (const field of OBJECT_RESOURCE_FIELDS) {
+      if (!(field in resources)) continue;
+      const value = resources[field] || null;
+      if (this[field] !== value) {
+        retainResource(value);
+        releaseResource(gl, this[field]);
+        this[field] = value;
+      }
     }
-    if (this.renderType === RenderType.POINT_CLOUD) {
-      return this.ready && this.pointPositionBuffer && this.pointColorBuffer && this.pointCount > 0;
+    if ('vertexAttributes' in resources && resources.vertexAttributes !== this.vertexAttributes) {
+      const next = resources.vertexAttributes || null;
+      getVertexAttributeBuffers(next).forEach(retainResource);
+      getVertexAttributeBuffers(this.vertexAttributes).forEach((buffer) => releaseResource(gl, buffer));
+      this.vertexAttributes = next;
     }
-    return false;
+  }
+
+  /**
+   * 释放对象持有的 GPU 资源引用（共用的资源在最后一个持有者释放时删除）并终止排序 Worker
+   * 材质由创建方管理，不会被释放。重复调用无副作用
+   * @param {WebGL2RenderingContext} gl
+   */
+  dispose(gl) {
+    releaseObjectResources(gl, this);
+    this.instanceMatrices = null;
+    this.instanceColors = null;
+    this.vertexCount = 0;
+    this.elementCount = 0;
+    this.instanceCount = 0;
+    this.linesVertexCount = 0;
+    this.pointCount = 0;
+    this.ready = false;
+  }
+
+  /**
+   * 上下文丢失后丢弃已失效的 GPU 资源句柄（不调用 gl.delete*；排序 Worker 和 CPU 副本保留），对象标记为未就绪
+   */
+  discardLostResources() {
+    forgetObjectResources(this);
+    this.ready = false;
   }
 }
 
+/**
+ * 内置渲染类型使用的 program 及 uniform/attribute 位置字段（setPrograms 可替换）
+ */
+const PROGRAM_FIELDS = [
+  'splatProgram', 'splatUniforms', 'splatAttributes',
+  'splat3DGSProgram', 'splat3DGSUniforms', 'splat3DGSAttributes',
+  'meshProgram', 'meshUniforms', 'meshAttributes',
+  'linesProgram', 'linesUniforms', 'linesAttributes',
+  'pointCloudProgram', 'pointCloudUniforms', 'pointCloudAttributes',
+];
+
+// 深度可视化百分位模式的统计间隔（毫秒），统计需要回读像素
+const DEPTH_PERCENTILE_INTERVAL = 200;
+
+// 截图前等待 Worker 按截图视图排序的超时（毫秒），超时后按已有顺序绘制
+const CAPTURE_SORT_TIMEOUT = 2000;
+
 /**
  * Holo 渲染管线类
  */
 export class HoloRP {
+  /**
+   * 注册渲染类型（全局，所有 HoloRP 实例共享）
+   * 注册后 renderType 为该类型的对象会在每个视图中由 definition.render 绘制
+   * @param {string} type - 类型名称
+   * @param {Object} definition - { render(ctx, objects), isReady(obj), programs, stage }，见 renderTypeRegistry.js
+   * @returns {Object} 注册后的定义
+   */
+  static registerRenderType(type, definition) {
+    return registerRenderType(type, definition);
+  }
+
+  /**
+   * 注销渲染类型（内置类型不可注销）
+   * @param {string} type - 类型名称
+   * @returns {boolean}
+   */
+  static unregisterRenderType(type) {
+    return unregisterRenderType(type);
+  }
+
   constructor(gl, splatProgram, splat3DGSProgram, meshProgram, splatUniforms, splat3DGSUniforms, meshUniforms, splatAttributes, splat3DGSAttributes, meshAttributes, extendedOptions = {}) {
     this.gl = gl;
     
@@ -165,6 +445,12 @@ export class HoloRP {
     this.pointCloudUniforms = opts.pointCloudUniforms || null;
     this.pointCloudAttributes = opts.pointCloudAttributes || null;
 
+    // 第三方渲染类型的 program 在首次绘制时编译到 ShaderRegistry（未传入时内部创建）
+    this.shaderRegistry = opts.shaderRegistry || null;
+    this._ownsShaderRegistry = false;
+    this._defaultInstancedMaterial = undefined;  // INSTANCED_MESH 默认材质（undefined 表示尚未创建）
+    this._warnedNonInstancedMaterials = new WeakSet();
+
     // 渲染对象列表
     this.objects = new Map(); // id -> RenderableObject
     
@@ -173,6 +459,50 @@ export class HoloRP {
     this.axisGridRenderer = null;    // 坐标轴和网格渲染器
     this.defaultTexture = null;      // 默认纹理（用于 mesh，当没有纹理时）
     this.depthVisualizationRenderer = null; // 深度可视化渲染器
+    this.pickingRenderer = null;     // GPU 拾取渲染器（首次 pick 或有选中对象时创建）
+    this.selectionRenderer = null;   // 选中描边渲染器（首次有选中对象时创建）
+    this.mergedSplatRenderer = null; // 跨对象合并排序的高斯渲染器（'merged' 合成方式首次绘制多个高斯对象时创建）
+    this.postProcessingRenderer = null; // 后期处理渲染器（首次 setPostProcessing 时创建）
+    this.backgroundRenderer = null;  // 场景背景渲染器（首次 setBackground 时创建）
+    this._background = null;         // 最近一次 setBackground 的参数（上下文恢复后重新应用）
+    this._axisGridInitializer = null; // initAxisGrid 传入的初始化函数
+
+    // 裁剪平面（世界空间）与剖切盒，合并打包后每次绘制上传到各 program
+    this.clippingPlanes = [];        // 自定义平面 [[a, b, c, d], ...]
+    this.sectionBox = null;          // { min, max, transform }
+    this.clipping = { planes: new Float32Array(MAX_CLIP_PLANES * 4), count: 0 };
+
+    // 光源（世界空间），每个视图打包上传到 Lights uniform block；默认值与之前内置的单个平行光一致
+    this.lights = createDefaultLights();
+    this.ambientLight = createDefaultAmbientLight();
+    this.headlight = createDefaultHeadlight();
+    this.lightsBuffer = null;        // Lights uniform buffer（_initSharedResources 中创建）
+    this._lightsData = new ArrayBuffer(LIGHTS_BUFFER_SIZE);
+    this._legacyLight = null;        // 旧版单光源 uniform 的值（见 applyLegacyLightUniforms）
+
+    // 阴影：第一个 castShadow 的平行光每帧渲染一次阴影贴图，所有视图共用
+    this.shadowOptions = { ...DEFAULT_SHADOW_OPTIONS };
+    this.shadowRenderer = null;      // 阴影贴图渲染器（首次有投射阴影的光源和对象时创建）
+    this.defaultShadowMap = null;    // 没有阴影时绑定的 1x1 深度纹理（_initSharedResources 中创建）
+    this._shadowState = null;        // 本帧的阴影 { light, matrix, bias, normalBias, pcfRadius }，没有阴影时为 null
+    this._shadowRendererFailed = false;
+
+    // 环境光照（IBL）：Standard 材质采样预过滤的环境贴图，所有视图共用
+    this.environmentMap = null;      // 环境贴图（首次 setEnvironment 时创建）
+    this._environment = null;        // 最近一次 setEnvironment 的参数（上下文恢复后重新应用）
+
+    // 高斯合成方式：'per-object' 逐对象排序绘制；'merged' 所有高斯对象一起排序后交错绘制
+    this.splatCompositing = 'per-object';
+    this._mergedSplatRendererFailed = false;
+    this._splatSortListeners = new WeakSet(); // 已监听排序结果的 Worker（结果返回后请求重绘）
+    this._sortStrategySent = new WeakMap();   // worker -> 上次发送的排序策略（Worker 收到策略会强制重新排序，只在变化时发送）
+    this._splatSortHeld = false;              // 截图等待按截图视图排序期间不向 Worker 发送屏幕视图
+
+    // 选中对象（描边/高亮）
+    this.selectedIds = [];
+    this.selectionStyle = null;      // 选中样式（null 表示默认），渲染器创建时应用
+    this._selectionSuppressed = false; // 为 true 时不绘制选中描边（截图）
+    this._selectionRendererFailed = false;
     
     // 渲染状态
     this.viewMatrix = null;          // 当前视图矩阵
@@ -185,8 +515,28 @@ export class HoloRP {
     this.depthRange = 30.0;          // 深度范围（米），用于映射，例如 30.0 表示关注 10-30 米范围
     this.depthRangeNear = 10.0;      // 近处深度范围（米），用于调整颜色渐变的起始距离
     this.depthGamma = 1.5;           // Gamma 值，用于调整映射曲线的非线性程度（>1 时增强近处，<1 时增强远处）
+    this.depthColormap = 'grayscale'; // 深度可视化配色：'grayscale' | 'turbo' | 'viridis' | 'inferno' | 'jet'
+    this.depthRangeMode = 'absolute'; // 映射范围：'absolute' 使用 depthRangeNear-depthRange（米）；'percentile' 按深度分布的百分位
+    this.depthPercentiles = [2, 98]; // 百分位模式的上下百分位
+    this._depthPercentileRange = null; // 百分位模式最近一次统计的范围 { near, far }（米）
+    this._depthPercentileTime = 0;
+    this._depthVisualizationInfo = null; // 最近一帧深度可视化使用的配色和范围（图例使用）
     this.depthOpacityThreshold = 0.13; // 深度写入的像素不透明度阈值（0.0-1.0），过滤当前像素的透明度，默认0.13
     this.centerOpacityThreshold = 0.65; // 深度写入的中心点不透明度阈值（0.0-1.0），过滤高斯点中心位置的透明度，默认0.65
+
+    // 4DGS 时间轴（时钟可通过 extendedOptions.clock 注入）
+    this.timeline = new Timeline({ clock: opts.clock });
+    this._backgroundSuppressed = false; // 为 true 时不绘制背景（透明背景截图）
+
+    // 渲染统计（绘制调用、program 切换、各阶段耗时）
+    this.stats = new RenderStats(gl);
+    this.onStats = null;             // 每帧统计回调 (stats) => void
+
+    // 按需渲染：场景或排序结果变化时调用，由外部调度下一帧 () => void
+    this.onInvalidate = null;
+
+    // 自定义渲染 Pass（按 order 排序）
+    this.renderPasses = [];
     
     // 初始化共享资源
     this._initSharedResources();
@@ -222,6 +572,14 @@ export class HoloRP {
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    // 创建光源 uniform buffer（内容在每个视图渲染前上传）
+    this.lightsBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.UNIFORM_BUFFER, this.lightsBuffer);
+    gl.bufferData(gl.UNIFORM_BUFFER, LIGHTS_BUFFER_SIZE, gl.DYNAMIC_DRAW);
+    gl.bindBuffer(gl.UNIFORM_BUFFER, null);
+
+    this.defaultShadowMap = createDefaultShadowMap(gl);
   }
 
   /**
@@ -229,6 +587,7 @@ export class HoloRP {
    * @param {Function} initAxisGridRenderer - 初始化函数
    */
   initAxisGrid(initAxisGridRenderer) {
+    this._axisGridInitializer = initAxisGridRenderer; // 上下文恢复后重新初始化
     try {
       this.axisGridRenderer = initAxisGridRenderer(this.gl, this.splatProgram);
     } catch (err) {
@@ -247,14 +606,71 @@ export class HoloRP {
       return;
     }
     this.objects.set(obj.id, obj);
+    this.invalidate();
   }
 
   /**
-   * 移除渲染对象
+   * 移除渲染对象（默认同时释放它持有的 GPU 资源引用，见 RenderableObject.dispose）
+   * 对象的子对象脱离层级并保持当前世界变换，不再引用被移除的对象
    * @param {string} id - 对象 ID
+   * @param {Object} options - 选项
+   * @param {boolean} options.dispose - 是否释放对象资源（默认 true；之后还要重新添加同一对象时传 false）
    */
-  removeObject(id) {
+  removeObject(id, options = {}) {
+    const { dispose = true } = options;
+    const obj = this.objects.get(id);
+    if (obj) {
+      // 先按完整层级固定子对象的世界变换，再从父对象的 children 中移除
+      obj.detachChildren();
+      obj.setParent(null);
+    }
     this.objects.delete(id);
+    if (this.mergedSplatRenderer) {
+      this.mergedSplatRenderer.forget(id);
+    }
+    if (obj && dispose) {
+      obj.dispose(this.gl);
+    }
+    this.invalidate();
+  }
+
+  /**
+   * 标记画面需要重绘（按需渲染模式下调度下一帧；连续渲染时无影响）
+   * 直接修改对象或管线设置后调用
+   */
+  invalidate() {
+    if (this.onInvalidate) {
+      this.onInvalidate();
+    }
+  }
+
+  /**
+   * 画面是否会随时间变化（时间轴播放中），按需渲染时据此继续调度下一帧
+   * @returns {boolean}
+   */
+  isAnimating() {
+    return this.timeline.playing;
+  }
+
+  /**
+   * 设置对象的父对象（子对象的 modelMatrix 变为相对父对象的局部变换）
+   * @param {string} objectId - 子对象ID
+   * @param {string|null} parentId - 父对象ID，null 表示脱离层级
+   * @returns {boolean} 是否设置成功
+   */
+  setObjectParent(objectId, parentId) {
+    const obj = this.objects.get(objectId);
+    const parent = parentId === null || parentId === undefined ? null : this.objects.get(parentId);
+    if (!obj || parent === undefined) {
+      return false;
+    }
+    try {
+      obj.setParent(parent);
+    } catch (err) {
+      console.warn('[HoloRP] 设置父对象失败:', err.message);
+      return false;
+    }
+    return true;
   }
 
   /**
@@ -275,9 +691,12 @@ export class HoloRP {
   }
 
   /**
-   * 清空所有渲染对象
+   * 清空所有渲染对象并释放它们的 GPU 资源引用
    */
   clearObjects() {
+    for (const obj of this.objects.values()) {
+      obj.dispose(this.gl);
+    }
     this.objects.clear();
   }
 
@@ -333,6 +752,593 @@ export class HoloRP {
     }
   }
 
+  /**
+   * 设置后期处理效果（未传入的效果及参数使用默认值，传 null 关闭全部效果）
+   * 执行顺序固定：Bloom → 曝光/色调映射 → LUT 调色 → 暗角 → FXAA
+   * 仅作用于 Canvas/离屏渲染目标；深度可视化开启时跳过
+   * @param {Object} config - 后期处理配置
+   * @param {Object} config.fxaa - { enabled }
+   * @param {Object} config.toneMapping - { enabled, mode: 'aces' | 'reinhard', exposure }
+   * @param {Object} config.colorGrading - { enabled, lut: { size, data } | null, intensity }
+   * @param {Object} config.vignette - { enabled, intensity, smoothness }
+   * @param {Object} config.bloom - { enabled, threshold, intensity, radius }
+   */
+  setPostProcessing(config) {
+    if (!this.postProcessingRenderer) {
+      if (!config) {
+        return;
+      }
+      try {
+        this.postProcessingRenderer = new PostProcessingRenderer(this.gl);
+      } catch (err) {
+        console.error('[HoloRP] 初始化后期处理渲染器失败:', err);
+        return;
+      }
+    }
+    this.postProcessingRenderer.setConfig(config);
+  }
+
+  /**
+   * 获取当前后期处理配置
+   * @returns {Object|null}
+   */
+  getPostProcessing() {
+    return this.postProcessingRenderer ? this.postProcessingRenderer.config : null;
+  }
+
+  /**
+   * 设置场景背景（在每个视图最先绘制，不写入深度）
+   * @param {Object|null} background - null 或 { type: 'none' } 表示不绘制背景（使用渲染目标的清除颜色）
+   * @param {string} background.type - 'color' | 'gradient' | 'equirect'
+   * @param {Array<number>|string} background.color - 纯色 [r, g, b, a] 或 '#rrggbb'（type='color'）
+   * @param {Array<number>|string} background.top - 渐变顶部颜色（type='gradient'）
+   * @param {Array<number>|string} background.bottom - 渐变底部颜色（type='gradient'）
+   * @param {TexImageSource|Object} background.image - 等距柱状投影环境图（type='equirect'）
+   * @param {string} background.url - 环境图地址（未提供 image 时异步加载）
+   * @param {number} background.intensity - 环境图亮度倍率
+   * @param {number} background.rotation - 绕 up 轴的旋转（弧度）
+   * @param {Array<number>} background.up - 环境图的上方向，默认 [0, 1, 0]
+   */
+  setBackground(background) {
+    this._background = background || null;
+    if (!this.backgroundRenderer) {
+      if (!background || background.type === 'none') {
+        return;
+      }
+      try {
+        this.backgroundRenderer = new BackgroundRenderer(this.gl, {
+          onLoad: () => this.invalidate(),
+        });
+      } catch (err) {
+        console.error('[HoloRP] 初始化背景渲染器失败:', err);
+        return;
+      }
+    }
+    this.backgroundRenderer.setBackground(background);
+    this.invalidate();
+  }
+
+  /**
+   * 设置环境光照（IBL），等距柱状投影环境图预过滤后供 Standard 材质使用
+   * 与背景相互独立：需要同时显示环境图时另外调用 setBackground({ type: 'equirect', ... })，参数含义一致
+   * @param {Object|null} environment - null 表示清除（Standard 材质改用半球环境光）
+   * @param {TexImageSource|Object} environment.image - 环境图：Image/ImageBitmap/Canvas（按 sRGB 解码），
+   *   或 { width, height, data }（RGBA，Uint8Array 按 sRGB 解码，Float32Array 为线性 HDR）
+   * @param {string} environment.url - 环境图地址（未提供 image 时异步加载，完成后重绘）
+   * @param {number} environment.intensity - 亮度倍率，默认 1
+   * @param {number} environment.rotation - 绕 up 轴的旋转（弧度），默认 0
+   * @param {Array<number>} environment.up - 环境图的上方向，默认 [0, 1, 0]
+   */
+  setEnvironment(environment) {
+    this._environment = environment || null;
+    if (!this.environmentMap) {
+      if (!environment) {
+        return;
+      }
+      try {
+        this.environmentMap = new EnvironmentMap(this.gl, {
+          onLoad: () => {
+            this.stats.invalidateProgram();
+            this.invalidate();
+          },
+        });
+      } catch (err) {
+        console.error('[HoloRP] 初始化环境贴图失败:', err);
+        return;
+      }
+    }
+    this.environmentMap.setEnvironment(environment);
+    this.stats.invalidateProgram();
+    this.invalidate();
+  }
+
+  /**
+   * 获取最近一次 setEnvironment 的参数
+   * @returns {Object|null}
+   */
+  getEnvironment() {
+    return this._environment;
+  }
+
+  /**
+   * 设置裁剪平面（世界空间，保留 a*x + b*y + c*z + d >= 0 的一侧），与剖切盒同时生效
+   * @param {Array<number[]|Object>|null} planes - [a, b, c, d] 或 { normal: [x, y, z], constant } 的数组，null 或空数组表示清除
+   */
+  setClippingPlanes(planes) {
+    this.clippingPlanes = (planes || []).map(normalizeClipPlane);
+    this._updateClipping();
+    this.invalidate();
+  }
+
+  /**
+   * 获取当前裁剪平面（归一化后）
+   * @returns {number[][]}
+   */
+  getClippingPlanes() {
+    return this.clippingPlanes.map((plane) => plane.slice());
+  }
+
+  /**
+   * 设置剖切盒（只保留盒内部分）
+   * @param {number[]|null} min - 盒局部空间最小角 [x, y, z]，null 表示清除剖切盒
+   * @param {number[]} max - 盒局部空间最大角 [x, y, z]
+   * @param {number[]|null} transform - 盒的 4x4 变换矩阵（可旋转），null 表示与世界轴对齐
+   */
+  setSectionBox(min, max, transform = null) {
+    if (!min) {
+      this.sectionBox = null;
+    } else {
+      // 先生成平面，参数非法时抛出错误且不修改当前剖切盒
+      const planes = createSectionBoxPlanes(min, max, transform);
+      this.sectionBox = { min: min.slice(0, 3), max: max.slice(0, 3), transform: transform ? transform.slice() : null, planes };
+    }
+    this._updateClipping();
+    this.invalidate();
+  }
+
+  /**
+   * 获取当前剖切盒
+   * @returns {{ min: number[], max: number[], transform: number[]|null }|null}
+   */
+  getSectionBox() {
+    if (!this.sectionBox) {
+      return null;
+    }
+    const { min, max, transform } = this.sectionBox;
+    return { min: min.slice(), max: max.slice(), transform: transform ? transform.slice() : null };
+  }
+
+  /**
+   * 合并自定义平面和剖切盒平面，打包为 uniform 数据
+   * @private
+   */
+  _updateClipping() {
+    const planes = [...this.clippingPlanes, ...(this.sectionBox ? this.sectionBox.planes : [])];
+    if (planes.length > MAX_CLIP_PLANES) {
+      console.warn(`[HoloRP] 裁剪平面数量 ${planes.length} 超过上限 ${MAX_CLIP_PLANES}，多余的平面将被忽略`);
+    }
+    const count = Math.min(planes.length, MAX_CLIP_PLANES);
+    this.clipping.planes.fill(0);
+    for (let i = 0; i < count; i++) {
+      this.clipping.planes.set(planes[i], i * 4);
+    }
+    this.clipping.count = count;
+  }
+
+  /**
+   * 设置对象是否受裁剪平面和剖切盒影响
+   * @param {string} objectId - 对象ID
+   * @param {boolean} clippable - 是否参与裁剪
+   */
+  setObjectClippable(objectId, clippable) {
+    const obj = this.objects.get(objectId);
+    if (obj) {
+      obj.clippable = clippable !== false;
+      this.invalidate();
+    }
+  }
+
+  /**
+   * 设置光源列表（替换全部光源，头灯单独设置）
+   * 光源须为世界空间，格式见 lights.js normalizeLight；与头灯合计超过 MAX_LIGHTS 时多余的光源被忽略
+   * @param {Object[]|null} lights - [{ type: 'directional' | 'point' | 'spot', color, intensity, direction, position, range, innerConeAngle, outerConeAngle }, ...]，
+   *   null 恢复默认光源（方向 [-1, 5, 1]、强度 0.6 的白色平行光），[] 表示只有环境光
+   */
+  setLights(lights) {
+    this.lights = lights ? lights.map(normalizeLight) : createDefaultLights();
+    this._warnLightOverflow();
+    this.invalidate();
+  }
+
+  /**
+   * 获取当前光源列表（规范化后的副本）
+   * @returns {Object[]}
+   */
+  getLights() {
+    return this.lights.map((light) => ({ ...light }));
+  }
+
+  /**
+   * 设置半球环境光（未指定的字段保持当前值）
+   * 环境光按法线与 up 的夹角在 groundColor 和 skyColor 之间插值，再乘以 intensity；两种颜色相同时为均匀环境光
+   * @param {Object|null} ambient - { skyColor: [r, g, b], groundColor: [r, g, b], intensity: number, up: [x, y, z] }，null 恢复默认（白色，强度 0.6）
+   */
+  setAmbientLight(ambient) {
+    this.ambientLight = ambient ? normalizeAmbientLight(ambient, this.ambientLight) : createDefaultAmbientLight();
+    this.invalidate();
+  }
+
+  /**
+   * 获取半球环境光
+   * @returns {{ skyColor: number[], groundColor: number[], intensity: number, up: number[] }}
+   */
+  getAmbientLight() {
+    const { skyColor, groundColor, intensity, up } = this.ambientLight;
+    return { skyColor: skyColor.slice(), groundColor: groundColor.slice(), intensity, up: up.slice() };
+  }
+
+  /**
+   * 设置头灯（沿相机朝向照射的平行光，每个视图按各自的相机计算；未指定的字段保持当前值）
+   * 开启时占用一个光源槽位
+   * @param {Object|boolean} headlight - { enabled, color, intensity }，传布尔值只切换开关
+   */
+  setHeadlight(headlight) {
+    const options = typeof headlight === 'boolean' ? { enabled: headlight } : (headlight || {});
+    this.headlight = normalizeHeadlight(options, this.headlight);
+    this._warnLightOverflow();
+    this.invalidate();
+  }
+
+  /**
+   * 获取头灯设置
+   * @returns {{ enabled: boolean, color: number[], intensity: number }}
+   */
+  getHeadlight() {
+    return { ...this.headlight, color: this.headlight.color.slice() };
+  }
+
+  /**
+   * 光源数量超过上限时警告
+   * @private
+   */
+  _warnLightOverflow() {
+    const count = this.lights.length + (this.headlight.enabled ? 1 : 0);
+    if (count > MAX_LIGHTS) {
+      console.warn(`[HoloRP] 光源数量 ${count} 超过上限 ${MAX_LIGHTS}，多余的光源将被忽略`);
+    }
+  }
+
+  /**
+   * 设置阴影选项（未指定的字段保持当前值）
+   * 阴影由第一个 castShadow 的平行光投射（见 setLights），castShadow 的 MESH 对象写入阴影贴图，
+   * receiveShadow 的对象采样阴影；阴影贴图覆盖一个包围球，范围越小阴影越清晰
+   * @param {Object|null} options - 选项，null 恢复默认
+   * @param {number} options.mapSize - 阴影贴图边长（像素，默认 2048）
+   * @param {number} options.bias - 深度偏移（阴影贴图深度 0-1，默认 0.0005），出现自阴影条纹时增大
+   * @param {number} options.normalBias - 沿法线的偏移（texel，默认 1.5），斜面出现条纹时增大
+   * @param {number} options.pcfRadius - PCF 半径（texel，0-2 的整数，默认 1），越大阴影边缘越柔和
+   * @param {{ min: number[], max: number[] }|null} options.bounds - 阴影范围（世界空间包围盒），
+   *   null（默认）时取投射阴影对象的包围盒（localBounds），都没有包围盒时取相机周围 distance 范围
+   * @param {number} options.distance - 自动范围的兜底半径（世界单位，默认 20）
+   */
+  setShadowOptions(options) {
+    const owner = 'setShadowOptions';
+    const next = options ? { ...this.shadowOptions, ...options } : { ...DEFAULT_SHADOW_OPTIONS };
+    const maxSize = this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE) || 4096;
+    if (!Number.isInteger(next.mapSize) || next.mapSize < 16 || next.mapSize > maxSize) {
+      throw new Error(`${owner}: mapSize 须为 16-${maxSize} 的整数`);
+    }
+    if (!Number.isFinite(next.bias) || next.bias < 0 || !Number.isFinite(next.normalBias) || next.normalBias < 0) {
+      throw new Error(`${owner}: bias 和 normalBias 须为非负数`);
+    }
+    if (!Number.isInteger(next.pcfRadius) || next.pcfRadius < 0 || next.pcfRadius > 2) {
+      throw new Error(`${owner}: pcfRadius 须为 0-2 的整数`);
+    }
+    if (!(next.distance > 0)) {
+      throw new Error(`${owner}: distance 须大于 0`);
+    }
+    if (next.bounds) {
+      const { min, max } = next.bounds;
+      const valid = min && max && [0, 1, 2].every((i) => Number.isFinite(min[i]) && Number.isFinite(max[i]) && min[i] <= max[i]);
+      if (!valid) {
+        throw new Error(`${owner}: bounds 须为 { min: [x, y, z], max: [x, y, z] } 且 min <= max`);
+      }
+      next.bounds = { min: min.slice(0, 3), max: max.slice(0, 3) };
+    }
+    this.shadowOptions = next;
+    this.invalidate();
+  }
+
+  /**
+   * 获取阴影选项
+   * @returns {{ mapSize: number, bias: number, normalBias: number, pcfRadius: number, bounds: Object|null, distance: number }}
+   */
+  getShadowOptions() {
+    const { bounds } = this.shadowOptions;
+    return {
+      ...this.shadowOptions,
+      bounds: bounds ? { min: bounds.min.slice(), max: bounds.max.slice() } : null,
+    };
+  }
+
+  /**
+   * 设置对象是否投射/接收阴影（未指定的字段保持当前值）
+   * @param {string} objectId - 对象 ID
+   * @param {{ castShadow: boolean, receiveShadow: boolean }} flags
+   */
+  setObjectShadow(objectId, flags = {}) {
+    const obj = this.objects.get(objectId);
+    if (!obj) {
+      return;
+    }
+    if (flags.castShadow !== undefined) {
+      obj.castShadow = !!flags.castShadow;
+    }
+    if (flags.receiveShadow !== undefined) {
+      obj.receiveShadow = !!flags.receiveShadow;
+    }
+    this.invalidate();
+  }
+
+  /**
+   * 渲染本帧的阴影贴图（每帧一次，所有视图共用），结果记录到 _shadowState
+   * 没有投射阴影的平行光或对象时不渲染
+   * @private
+   */
+  _renderShadowMap(layerMask) {
+    this._shadowState = null;
+    const light = this.lights.find((l) => l.castShadow);
+    if (!light || this._shadowRendererFailed) {
+      return;
+    }
+
+    // 投射阴影只支持 MESH；自动范围取有包围盒的投射对象（接收面通常很大，计入后阴影会变模糊）
+    const casters = [];
+    for (const obj of this.objects.values()) {
+      if (obj.renderType === RenderType.MESH && obj.castShadow && obj.isVisibleTo(layerMask) && obj.isReady()) {
+        casters.push(obj);
+      }
+    }
+    const fitted = casters.filter((obj) => obj.localBounds);
+    if (casters.length === 0) {
+      return;
+    }
+
+    if (!this.shadowRenderer) {
+      try {
+        this.shadowRenderer = new ShadowRenderer(this.gl);
+      } catch (err) {
+        console.error('[HoloRP] 阴影渲染器初始化失败，已关闭阴影:', err);
+        this._shadowRendererFailed = true;
+        return;
+      }
+    }
+
+    const { mapSize, bias, normalBias, pcfRadius, distance } = this.shadowOptions;
+    let bounds = this.shadowOptions.bounds;
+    if (!bounds && fitted.length > 0) {
+      bounds = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+      for (const obj of fitted) {
+        const world = transformBounds(obj.localBounds, obj.getModelMatrix());
+        for (let i = 0; i < 3; i++) {
+          bounds.min[i] = Math.min(bounds.min[i], world.min[i]);
+          bounds.max[i] = Math.max(bounds.max[i], world.max[i]);
+        }
+      }
+    }
+
+    let center;
+    let radius;
+    if (bounds) {
+      center = [0, 1, 2].map((i) => (bounds.min[i] + bounds.max[i]) / 2);
+      radius = Math.max(1e-3, Math.hypot(bounds.max[0] - bounds.min[0], bounds.max[1] - bounds.min[1], bounds.max[2] - bounds.min[2]) / 2);
+    } else {
+      const cameraToWorld = this.viewMatrix ? invert4(this.viewMatrix) : null;
+      center = cameraToWorld ? [cameraToWorld[12], cameraToWorld[13], cameraToWorld[14]] : [0, 0, 0];
+      radius = distance;
+    }
+
+    const { lightMatrix, shadowMatrix, texelSize } = computeShadowMatrices(light.direction, center, radius, mapSize);
+
+    this.stats.beginStage(RenderStage.SHADOW_MAP);
+    try {
+      this.shadowRenderer.setupFramebuffer(mapSize);
+      const drawCalls = this.shadowRenderer.render(casters, lightMatrix, this.clipping);
+      for (let i = 0; i < drawCalls; i++) {
+        this.stats.recordDraw();
+      }
+      this._shadowState = { light, matrix: shadowMatrix, bias, normalBias: normalBias * texelSize, pcfRadius };
+    } catch (err) {
+      console.error('[HoloRP] 阴影贴图渲染失败:', err);
+    }
+    this.stats.invalidateProgram();
+    this.stats.endStage();
+  }
+
+  /**
+   * 打包并上传本视图的光源（头灯方向取本视图的相机朝向）并绑定阴影贴图和环境贴图，同时更新旧版单光源 uniform 的值
+   * @private
+   */
+  _updateLights(viewMatrix, projectionMatrix) {
+    const gl = this.gl;
+    const lights = this.headlight.enabled
+      ? [{
+        type: LightType.DIRECTIONAL,
+        direction: getCameraForward(viewMatrix, projectionMatrix),
+        color: this.headlight.color,
+        intensity: this.headlight.intensity,
+      }, ...this.lights]
+      : this.lights;
+
+    const shadow = this._shadowState ? { ...this._shadowState, lightIndex: lights.indexOf(this._shadowState.light) } : null;
+    packLights(this._lightsData, lights, this.ambientLight, shadow);
+    if (this.lightsBuffer) {
+      gl.bindBuffer(gl.UNIFORM_BUFFER, this.lightsBuffer);
+      gl.bufferSubData(gl.UNIFORM_BUFFER, 0, this._lightsData);
+      gl.bindBuffer(gl.UNIFORM_BUFFER, null);
+      gl.bindBufferBase(gl.UNIFORM_BUFFER, LIGHTS_BLOCK_BINDING, this.lightsBuffer);
+    }
+
+    // shadowMap 固定使用 SHADOW_TEXTURE_UNIT，没有阴影时绑定默认贴图（sampler2DShadow 须对应比较模式的深度纹理）
+    const shadowMap = this._shadowState ? this.shadowRenderer.depthTexture : this.defaultShadowMap;
+    gl.activeTexture(gl.TEXTURE0 + SHADOW_TEXTURE_UNIT);
+    gl.bindTexture(gl.TEXTURE_2D, shadowMap);
+
+    // 环境贴图固定使用 ENVIRONMENT_*_UNIT，没有时绑定默认纹理（材质的 useEnvironment 为 false）
+    const environment = this.environmentMap && this.environmentMap.isReady() ? this.environmentMap : null;
+    gl.activeTexture(gl.TEXTURE0 + ENVIRONMENT_SPECULAR_UNIT);
+    gl.bindTexture(gl.TEXTURE_2D, environment ? environment.specularTexture : this.defaultTexture);
+    gl.activeTexture(gl.TEXTURE0 + ENVIRONMENT_IRRADIANCE_UNIT);
+    gl.bindTexture(gl.TEXTURE_2D, environment ? environment.irradianceTexture : this.defaultTexture);
+    gl.activeTexture(gl.TEXTURE0);
+
+    // 旧版 shader 只支持一个平行光：取第一个平行光（没有时强度为 0），环境光取天空色与地面色的平均
+    const directional = lights.slice(0, MAX_LIGHTS).find((light) => light.type === LightType.DIRECTIONAL);
+    const { skyColor, groundColor, intensity } = this.ambientLight;
+    const ambientAverage = (skyColor[0] + skyColor[1] + skyColor[2] + groundColor[0] + groundColor[1] + groundColor[2]) / 6;
+    this._legacyLight = {
+      direction: directional ? directional.direction : [0, -1, 0],
+      color: directional ? directional.color : [1, 1, 1],
+      intensity: directional ? directional.intensity : 0,
+      ambientIntensity: ambientAverage * intensity,
+    };
+  }
+
+  /**
+   * 设置多个高斯对象的合成方式
+   * 'per-object'（默认）：每个对象按自己的排序完整绘制，对象之间按列表顺序叠加，重叠区域的混合顺序可能错误；
+   * 'merged'：所有可见的 4DGS/3DGS 对象的高斯按各自的 model 矩阵一起从远到近排序（合并排序 Worker），
+   * 在一次绘制中按全局顺序交错绘制，重叠对象之间的混合顺序与单个对象内部一致。
+   * 合并模式固定从远到近（忽略 sortStrategy），最多 16 个对象参与合并；对象的高斯中心送达之前、
+   * 没有排序 Worker 或超出上限的对象，以及新的合并排序结果返回之前，按逐对象方式绘制
+   * @param {'per-object'|'merged'} mode - 合成方式
+   */
+  setSplatCompositing(mode) {
+    if (mode !== 'per-object' && mode !== 'merged') {
+      throw new Error(`setSplatCompositing: 未知的合成方式 "${mode}"，可选 'per-object' | 'merged'`);
+    }
+    if (mode === 'per-object' && this.mergedSplatRenderer) {
+      // 合并排序保存了所有对象高斯中心的副本，退出合并模式时释放
+      this.mergedSplatRenderer.dispose();
+      this.mergedSplatRenderer = null;
+    }
+    this.splatCompositing = mode;
+    this.invalidate();
+  }
+
+  /**
+   * 获取高斯合成方式
+   * @returns {'per-object'|'merged'}
+   */
+  getSplatCompositing() {
+    return this.splatCompositing;
+  }
+
+  /**
+   * 确保合并高斯渲染器已创建（创建失败后不再重试，按逐对象方式绘制）
+   * @returns {boolean}
+   * @private
+   */
+  _ensureMergedSplatRenderer() {
+    if (this.mergedSplatRenderer) {
+      return true;
+    }
+    if (this._mergedSplatRendererFailed) {
+      return false;
+    }
+    try {
+      this.mergedSplatRenderer = new MergedSplatRenderer(this.gl, { onSorted: () => this.invalidate() });
+      return true;
+    } catch (err) {
+      console.error('[HoloRP] 创建合并高斯渲染器失败，已按逐对象方式绘制:', err);
+      this._mergedSplatRendererFailed = true;
+      return false;
+    }
+  }
+
+  /**
+   * 设置选中对象（绘制屏幕空间描边和可选高亮；选中分组/父对象时包含全部子对象）
+   * ID 在渲染时解析，尚未添加的对象添加后自动生效
+   * @param {string[]|string|null} ids - 对象 ID 列表，null 或空数组表示取消选中
+   */
+  setSelection(ids) {
+    if (ids === null || ids === undefined) {
+      this.selectedIds = [];
+    } else {
+      this.selectedIds = (Array.isArray(ids) ? ids : [ids]).filter((id) => id !== null && id !== undefined);
+    }
+    this.invalidate();
+  }
+
+  /**
+   * 获取选中对象 ID 列表
+   * @returns {string[]}
+   */
+  getSelection() {
+    return [...this.selectedIds];
+  }
+
+  /**
+   * 设置选中样式
+   * @param {Object} style - { outlineColor, outlineWidth, tintColor }，见 SelectionRenderer.setStyle
+   */
+  setSelectionStyle(style) {
+    this.selectionStyle = normalizeSelectionStyle(style || {}, this.selectionStyle || createDefaultSelectionStyle());
+    if (this.selectionRenderer) {
+      this.selectionRenderer.style = this.selectionStyle;
+    }
+    this.invalidate();
+  }
+
+  /**
+   * 解析选中的渲染对象（展开子对象、去重）
+   * @private
+   */
+  _getSelectedObjects() {
+    const result = new Set();
+    const collect = (obj) => {
+      if (result.has(obj)) return;
+      result.add(obj);
+      for (const child of obj.children) {
+        collect(child);
+      }
+    };
+    for (const id of this.selectedIds) {
+      const obj = this.objects.get(id);
+      if (obj) {
+        collect(obj);
+      }
+    }
+    return [...result].filter((obj) => obj.renderType !== RenderType.GROUP);
+  }
+
+  /**
+   * 创建选中描边所需的渲染器（失败时返回 false，之后不再重试）
+   * @private
+   */
+  _ensureSelectionRenderer() {
+    if (this.selectionRenderer) {
+      return true;
+    }
+    if (this._selectionRendererFailed) {
+      return false;
+    }
+    try {
+      if (!this.pickingRenderer) {
+        this.pickingRenderer = new PickingRenderer(this.gl);
+      }
+      this.selectionRenderer = new SelectionRenderer(this.gl);
+      if (this.selectionStyle) {
+        this.selectionRenderer.style = this.selectionStyle;
+      }
+      return true;
+    } catch (err) {
+      console.error('[HoloRP] 创建选中描边渲染器失败:', err);
+      this._selectionRendererFailed = true;
+      return false;
+    }
+  }
+
   /**
    * 设置深度范围（用于映射）
    * @param {number} range - 深度范围（米），例如 10.0 表示关注 0-10 米范围。如果 <= 0 则使用原始 NDC 深度
@@ -350,43 +1356,277 @@ export class HoloRP {
   }
 
   /**
-   * 设置深度映射的 Gamma 值
-   * @param {number} gamma - Gamma 值，用于调整映射曲线的非线性程度（>1 时增强近处，<1 时增强远处）
+   * 设置深度可视化配色
+   * @param {string} colormap - 'grayscale'（近白远黑）| 'turbo' | 'viridis' | 'inferno' | 'jet'
+   */
+  setDepthColormap(colormap) {
+    if (!COLORMAP_NAMES.includes(colormap)) {
+      throw new Error(`setDepthColormap: 不支持的配色 ${colormap}，可选 ${COLORMAP_NAMES.join(' / ')}`);
+    }
+    this.depthColormap = colormap;
+  }
+
+  /**
+   * 设置深度可视化的映射范围模式
+   * @param {string} mode - 'absolute'：使用 setDepthRangeNear / setDepthRange 设置的米数；
+   *                        'percentile'：按当前画面深度分布的百分位自动确定（每 200 毫秒统计一次）
+   * @param {Object} options - 选项
+   * @param {number[]} options.percentiles - [下百分位, 上百分位]（0-100，默认 [2, 98]）
+   */
+  setDepthRangeMode(mode, options = {}) {
+    if (mode !== 'absolute' && mode !== 'percentile') {
+      throw new Error(`setDepthRangeMode: mode 须为 'absolute' 或 'percentile'，收到 ${mode}`);
+    }
+    if (options.percentiles !== undefined) {
+      const [low, high] = options.percentiles || [];
+      if (!(low >= 0 && high <= 100 && low < high)) {
+        throw new Error('setDepthRangeMode: percentiles 须为 [low, high]，0 <= low < high <= 100');
+      }
+      this.depthPercentiles = [low, high];
+    }
+    if (mode !== this.depthRangeMode) {
+      this._depthPercentileRange = null;
+    }
+    this.depthRangeMode = mode;
+  }
+
+  /**
+   * 获取最近一帧深度可视化使用的配色和映射范围（用于图例）
+   * @returns {{ colormap: string, mode: string, near: number, far: number, gamma: number }|null} 未显示深度可视化时为 null
+   */
+  getDepthVisualizationInfo() {
+    return this.showDepthVisualization ? this._depthVisualizationInfo : null;
+  }
+
+  /**
+   * 设置深度映射的 Gamma 值
+   * @param {number} gamma - Gamma 值，用于调整映射曲线的非线性程度（>1 时增强近处，<1 时增强远处）
+   */
+  setDepthGamma(gamma) {
+    this.depthGamma = gamma !== undefined && gamma !== null ? Math.max(0.1, Math.min(5.0, gamma)) : 1.5;
+  }
+
+  /**
+   * 设置深度写入的像素不透明度阈值
+   * @param {number} threshold - 像素不透明度阈值（0.0-1.0），只有像素不透明度超过此值才会写入深度
+   */
+  setDepthOpacityThreshold(threshold) {
+    this.depthOpacityThreshold = threshold !== undefined && threshold !== null ? Math.max(0.0, Math.min(1.0, threshold)) : 0.13;
+  }
+
+  /**
+   * 设置对象是否可见
+   * @param {string} objectId - 对象ID
+   * @param {boolean} visible - 是否可见
+   */
+  setObjectVisible(objectId, visible) {
+    const obj = this.objects.get(objectId);
+    if (obj) {
+      obj.visible = visible !== false;
+    }
+  }
+
+  /**
+   * 设置对象的图层位掩码
+   * @param {string} objectId - 对象ID
+   * @param {number} layers - 图层位掩码（如 1 << 2 表示第 2 层）
+   */
+  setObjectLayers(objectId, layers) {
+    const obj = this.objects.get(objectId);
+    if (obj && Number.isInteger(layers)) {
+      obj.layers = layers >>> 0;
+    }
+  }
+
+  /**
+   * 设置对象的排序策略（用于3DGS/4DGS）
+   * @param {string} objectId - 对象ID
+   * @param {string} strategy - 排序策略：'none'（不排序）、'front-to-back'（从近到远）、'back-to-front'（从远到近）
+   */
+  setObjectSortStrategy(objectId, strategy) {
+    const obj = this.objects.get(objectId);
+    if (obj && (obj.renderType === RenderType['3DGS'] || obj.renderType === RenderType['4DGS'])) {
+      obj.sortStrategy = strategy || 'back-to-front';
+      // 如果worker已创建，立即更新排序策略
+      if (obj.worker) {
+        obj.worker.postMessage({ sortStrategy: obj.sortStrategy });
+      }
+    }
+  }
+
+  /**
+   * 设置深度写入的中心点不透明度阈值
+   * @param {number} threshold - 中心点不透明度阈值（0.0-1.0），只有中心点不透明度超过此值的高斯点才会写入深度
+   */
+  setCenterOpacityThreshold(threshold) {
+    this.centerOpacityThreshold = threshold !== undefined && threshold !== null ? Math.max(0.0, Math.min(1.0, threshold)) : 0.65;
+  }
+
+  /**
+   * 设置时间轴时钟
+   * @param {Function|null} clock - 返回毫秒的函数，传 null 恢复 performance.now
+   */
+  setClock(clock) {
+    this.timeline.setClock(clock);
+  }
+
+  /**
+   * 按归一化时间设置时间轴（0-1，不改变播放状态）
+   * @param {number} t - 归一化时间
+   */
+  setTime(t) {
+    this.timeline.setTime(t);
+    this.invalidate();
+  }
+
+  /**
+   * 跳转到指定时间（秒，不改变播放状态）
+   * @param {number} seconds - 目标时间
+   */
+  seek(seconds) {
+    this.timeline.seek(seconds);
+    this.invalidate();
+  }
+
+  /**
+   * 开始播放时间轴
+   */
+  play() {
+    this.timeline.play();
+    this.invalidate();
+  }
+
+  /**
+   * 暂停时间轴
+   */
+  pause() {
+    this.timeline.pause();
+    this.invalidate();
+  }
+
+  /**
+   * 设置播放速率
+   * @param {number} rate - 播放速率（负数表示倒放）
+   */
+  setPlaybackRate(rate) {
+    this.timeline.playbackRate = rate;
+  }
+
+  /**
+   * 设置时间轴循环模式
+   * @param {string} mode - 'loop' | 'pingpong' | 'once'
+   */
+  setLoopMode(mode) {
+    this.timeline.loopMode = mode;
+  }
+
+  /**
+   * 设置时间轴总时长
+   * @param {number} seconds - 总时长（秒）
+   */
+  setTimelineDuration(seconds) {
+    this.timeline.duration = seconds;
+  }
+
+  /**
+   * 设置对象在时间轴上的片段（用于在同一场景中编排多个 4DGS 片段）
+   * @param {string} objectId - 对象ID
+   * @param {number} offset - 起始时间（秒）
+   * @param {number|null} duration - 片段时长（秒），null 表示占满整条时间轴
+   */
+  setObjectTimeRange(objectId, offset = 0, duration = null) {
+    const obj = this.objects.get(objectId);
+    if (obj) {
+      obj.timeOffset = offset || 0;
+      obj.timeDuration = duration > 0 ? duration : null;
+    }
+  }
+
+  /**
+   * 设置每帧统计回调（设置后自动启用 GPU 计时）
+   * @param {Function|null} callback - (stats) => void，传 null 取消
+   */
+  setOnStats(callback) {
+    this.onStats = typeof callback === 'function' ? callback : null;
+    this.stats.enabled = !!this.onStats;
+  }
+
+  /**
+   * 启用/关闭 GPU 计时（只通过 getStats 轮询时使用）
+   * @param {boolean} enabled
+   */
+  setStatsEnabled(enabled) {
+    this.stats.enabled = !!enabled;
+  }
+
+  /**
+   * 获取最近一帧的渲染统计
+   * @returns {Object} { drawCalls, programSwitches, splats, splatsPerObject, points, lines, triangles, cpuTime, stageTimes, gpuStageTimes, gpuTime, fps, ... }
+   */
+  getStats() {
+    return this.stats.getStats();
+  }
+
+  /**
+   * 注册自定义渲染 Pass
+   * 同名 Pass 会被替换
+   * @param {Object} pass - Pass 描述
+   * @param {string} pass.name - 名称（唯一）
+   * @param {string} pass.stage - 阶段：'beforeSplats' | 'afterSplats' | 'overlay' | 'post'
+   * @param {Function} pass.render - 渲染函数 (ctx) => void，ctx 含 gl、view、viewMatrix、projectionMatrix、viewport 及状态辅助函数
+   * @param {boolean} pass.enabled - 是否启用，默认 true
+   * @param {number} pass.order - 同一阶段内的执行顺序（升序），默认 0
+   * @param {Function} pass.dispose - 释放 Pass 自己创建的 GPU 资源 (gl) => void（可选），移除/替换 Pass 或销毁管线时调用
+   * @returns {Object} 注册后的 Pass
    */
-  setDepthGamma(gamma) {
-    this.depthGamma = gamma !== undefined && gamma !== null ? Math.max(0.1, Math.min(5.0, gamma)) : 1.5;
+  addPass(pass) {
+    const normalized = normalizeRenderPass(pass);
+    const index = this.renderPasses.findIndex(p => p.name === normalized.name);
+    if (index >= 0) {
+      console.warn(`[HoloRP] Pass "${normalized.name}" 已存在，将被替换`);
+      const [replaced] = this.renderPasses.splice(index, 1);
+      if (replaced.dispose !== normalized.dispose) {
+        disposeRenderPass(replaced, this.gl);
+      }
+    }
+    this.renderPasses.push(normalized);
+    this.renderPasses.sort((a, b) => a.order - b.order);
+    return normalized;
   }
 
   /**
-   * 设置深度写入的像素不透明度阈值
-   * @param {number} threshold - 像素不透明度阈值（0.0-1.0），只有像素不透明度超过此值才会写入深度
+   * 移除自定义渲染 Pass
+   * @param {string} name - Pass 名称
+   * @returns {boolean} 是否移除成功
    */
-  setDepthOpacityThreshold(threshold) {
-    this.depthOpacityThreshold = threshold !== undefined && threshold !== null ? Math.max(0.0, Math.min(1.0, threshold)) : 0.13;
+  removePass(name) {
+    const index = this.renderPasses.findIndex(p => p.name === name);
+    if (index < 0) {
+      return false;
+    }
+    const [removed] = this.renderPasses.splice(index, 1);
+    disposeRenderPass(removed, this.gl);
+    return true;
   }
 
   /**
-   * 设置对象的排序策略（用于3DGS/4DGS）
-   * @param {string} objectId - 对象ID
-   * @param {string} strategy - 排序策略：'none'（不排序）、'front-to-back'（从近到远）、'back-to-front'（从远到近）
+   * 启用/禁用自定义渲染 Pass
+   * @param {string} name - Pass 名称
+   * @param {boolean} enabled - 是否启用
    */
-  setObjectSortStrategy(objectId, strategy) {
-    const obj = this.objects.get(objectId);
-    if (obj && (obj.renderType === RenderType['3DGS'] || obj.renderType === RenderType['4DGS'])) {
-      obj.sortStrategy = strategy || 'back-to-front';
-      // 如果worker已创建，立即更新排序策略
-      if (obj.worker) {
-        obj.worker.postMessage({ sortStrategy: obj.sortStrategy });
-      }
+  setPassEnabled(name, enabled) {
+    const pass = this.renderPasses.find(p => p.name === name);
+    if (pass) {
+      pass.enabled = !!enabled;
     }
   }
 
   /**
-   * 设置深度写入的中心点不透明度阈值
-   * @param {number} threshold - 中心点不透明度阈值（0.0-1.0），只有中心点不透明度超过此值的高斯点才会写入深度
+   * 获取已注册的渲染 Pass
+   * @returns {Object[]}
    */
-  setCenterOpacityThreshold(threshold) {
-    this.centerOpacityThreshold = threshold !== undefined && threshold !== null ? Math.max(0.0, Math.min(1.0, threshold)) : 0.65;
+  getPasses() {
+    return this.renderPasses.slice();
   }
 
   /**
@@ -408,6 +1648,11 @@ export class HoloRP {
       return;
     }
 
+    // 上下文丢失期间 GL 调用全部无效，等待 handleContextRestored
+    if (gl.isContextLost()) {
+      return;
+    }
+
     if (!renderTarget || !(renderTarget instanceof RenderTarget)) {
       return;
     }
@@ -422,16 +1667,34 @@ export class HoloRP {
       return;
     }
 
-    // 先获取视图列表以获取视口信息（用于 FBO 尺寸）
+    // 推进时间轴：只在主帧（Canvas / XR 目标）推进，所有视图/对象共享同一时间；
+    // 离屏渲染（缩略图、截图分块）使用当前时间，不会让时间轴前进，也不计入渲染统计
+    const isMainFrame = !(renderTarget instanceof OffscreenRenderTarget);
+    if (isMainFrame) {
+      this.timeline.update();
+    }
+
+    // 先获取视图列表以获取视口信息（用于 FBO 尺寸）；没有视图时不开始统计帧
     const initialViews = renderTarget.getViews();
     if (initialViews.length === 0) {
+      renderTarget.endFrame();
       return;
     }
 
+    this.stats.beginFrame(isMainFrame);
+
     // 获取第一个视图的视口（用于 FBO 尺寸）
     const firstView = initialViews[0];
     const viewport = firstView.viewport;
 
+    // 图层掩码：取本次渲染使用的相机（离屏目标可指定自己的相机，如截图排除编辑器图层），XR 取管线相机；
+    // 视图可通过 ViewInfo.layerMask 单独覆盖
+    const frameCamera = (renderTarget instanceof OffscreenRenderTarget && renderTarget.camera) || this.camera;
+    const frameLayerMask = frameCamera instanceof Camera ? frameCamera.layerMask : ALL_LAYERS;
+
+    // 阴影贴图：在绑定场景 framebuffer 之前渲染（每帧一次，所有视图共用，投射对象按本次渲染的图层掩码筛选）
+    this._renderShadowMap(frameLayerMask);
+
     // 如果启用深度可视化，设置 FBO
     let useDepthVisualization = this.showDepthVisualization && this.depthVisualizationRenderer;
     if (useDepthVisualization) {
@@ -448,21 +1711,48 @@ export class HoloRP {
       }
     }
 
+    // 后期处理：场景先渲染到后期处理 FBO（XR 目标与深度可视化不使用）
+    let usePostProcessing = !useDepthVisualization &&
+      !!this.postProcessingRenderer && this.postProcessingRenderer.isActive() &&
+      (renderTarget instanceof CanvasRenderTarget || renderTarget instanceof OffscreenRenderTarget);
+    if (usePostProcessing) {
+      try {
+        this.postProcessingRenderer.setupFramebuffer(viewport.width, viewport.height);
+        usePostProcessing = this.postProcessingRenderer.bindSceneFramebuffer();
+      } catch (err) {
+        console.error('[HoloRP] 后期处理 FBO 创建失败，已回退到直接渲染:', err);
+        usePostProcessing = false;
+      }
+      if (usePostProcessing) {
+        // 与渲染目标使用相同的清除颜色（离屏目标有自己的清除颜色）
+        const previousClearColor = renderTarget.clearColor ? gl.getParameter(gl.COLOR_CLEAR_VALUE) : null;
+        if (previousClearColor) {
+          gl.clearColor(renderTarget.clearColor[0], renderTarget.clearColor[1], renderTarget.clearColor[2], renderTarget.clearColor[3]);
+        }
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT | gl.STENCIL_BUFFER_BIT);
+        if (previousClearColor) {
+          gl.clearColor(previousClearColor[0], previousClearColor[1], previousClearColor[2], previousClearColor[3]);
+        }
+      }
+    }
+
     // 使用 program（若有 splat 则先切到 splat，否则由各类型绘制时再切换）
     if (this.splatProgram) {
-      gl.useProgram(this.program);
+      this.stats.useProgram(this.program);
     }
 
-    // 如果未使用深度可视化，绑定默认 framebuffer
-    if (!useDepthVisualization) {
+    // 如果未使用深度可视化和后期处理，绑定默认 framebuffer
+    if (!useDepthVisualization && !usePostProcessing) {
       renderTarget.bindFramebuffer();
     }
 
-    // 如果是 Canvas 模式，先计算投影矩阵并设置到 RenderTarget
+    // 如果是 Canvas/离屏模式，先计算投影矩阵并设置到 RenderTarget
+    // 离屏目标可以指定自己的相机（如缩略图），否则使用管线当前相机和视图矩阵
     let computedProjectionMatrix = null;
-    if (renderTarget instanceof CanvasRenderTarget) {
+    if (renderTarget instanceof CanvasRenderTarget || renderTarget instanceof OffscreenRenderTarget) {
       const viewport = renderTarget.currentView.viewport;
-      let activeCamera = this.camera;
+      const targetCamera = renderTarget instanceof OffscreenRenderTarget ? renderTarget.camera : null;
+      let activeCamera = targetCamera || this.camera;
       if (!activeCamera || !(activeCamera instanceof Camera)) {
         console.warn('[HoloRP] camera 须为 Camera 实例，已使用默认 Camera');
         activeCamera = new Camera({
@@ -473,20 +1763,69 @@ export class HoloRP {
           targetVerticalFOV: null,
         });
       }
-      activeCamera.width = viewport.width;
-      activeCamera.height = viewport.height;
-      computedProjectionMatrix = activeCamera.projectionMatrix;
+      // 子区域渲染：相机按完整画面尺寸计算投影，再左乘区域矩阵；焦距按输出像素与区域像素之比缩放
+      const viewRegion = renderTarget instanceof OffscreenRenderTarget ? renderTarget.viewRegion : null;
+      // Canvas 分辨率缩放：相机按 canvas 尺寸计算投影（视野不变），焦距按缩放后的像素缩放
+      const scaledCanvas = renderTarget instanceof CanvasRenderTarget && renderTarget.width > 0 &&
+        (renderTarget.width !== viewport.width || renderTarget.height !== viewport.height);
+      // 离屏渲染只临时借用相机尺寸计算投影和焦距，结束后恢复，不影响调用方相机和管线相机
+      const savedWidth = activeCamera.width;
+      const savedHeight = activeCamera.height;
+      activeCamera.width = viewRegion ? viewRegion.fullWidth : (scaledCanvas ? renderTarget.width : viewport.width);
+      activeCamera.height = viewRegion ? viewRegion.fullHeight : (scaledCanvas ? renderTarget.height : viewport.height);
+      const cameraFx = activeCamera.fx;
+      const cameraFy = activeCamera.fy;
+      computedProjectionMatrix = viewRegion
+        ? multiply4(createViewRegionMatrix(viewRegion), activeCamera.projectionMatrix)
+        : activeCamera.projectionMatrix;
+      if (renderTarget instanceof OffscreenRenderTarget) {
+        activeCamera.width = savedWidth;
+        activeCamera.height = savedHeight;
+      }
       renderTarget.setProjectionMatrix(computedProjectionMatrix);
-      renderTarget.setViewMatrix(this.viewMatrix);
-      renderTarget.setFocal(activeCamera.fx, activeCamera.fy);
+      renderTarget.setViewMatrix(targetCamera ? targetCamera.viewMatrix : this.viewMatrix);
+      if (viewRegion) {
+        renderTarget.setFocal(
+          cameraFx * (viewport.width / viewRegion.width),
+          cameraFy * (viewport.height / viewRegion.height)
+        );
+      } else if (scaledCanvas) {
+        renderTarget.setFocal(
+          cameraFx * (viewport.width / renderTarget.width),
+          cameraFy * (viewport.height / renderTarget.height)
+        );
+      } else {
+        renderTarget.setFocal(cameraFx, cameraFy);
+      }
     }
 
     // 重新获取视图列表（投影矩阵已设置）
     const views = renderTarget.getViews();
     if (views.length === 0) {
+      renderTarget.endFrame();
+      this.stats.endFrame();
       return;
     }
 
+    // 选中描边：遮罩覆盖所有视图（XR 多视图共用一个 framebuffer）；深度可视化和截图时不绘制
+    let selectedObjects = [];
+    if (this.selectedIds.length > 0 && !useDepthVisualization && !this._selectionSuppressed && this._ensureSelectionRenderer()) {
+      selectedObjects = this._getSelectedObjects();
+      if (selectedObjects.length > 0) {
+        const maskWidth = Math.max(...views.map(v => v.viewport.x + v.viewport.width));
+        const maskHeight = Math.max(...views.map(v => v.viewport.y + v.viewport.height));
+        try {
+          this.selectionRenderer.setupFramebuffer(maskWidth, maskHeight);
+        } catch (err) {
+          console.error('[HoloRP] 选中遮罩 FBO 创建失败:', err);
+          selectedObjects = [];
+        }
+      }
+    }
+    const bindSceneFramebuffer = usePostProcessing
+      ? () => this.postProcessingRenderer.bindSceneFramebuffer()
+      : () => renderTarget.bindFramebuffer();
+
     // 为每个视图渲染
     for (const viewInfo of views) {
       // 设置视口
@@ -514,6 +1853,20 @@ export class HoloRP {
         continue;
       }
 
+      // 场景背景：最先绘制，不写入深度
+      if (this.backgroundRenderer && !this._backgroundSuppressed && this.backgroundRenderer.isActive()) {
+        this.stats.beginStage(RenderStage.BACKGROUND);
+        if (this.backgroundRenderer.render(projectionMatrix, viewMatrix, viewInfo.viewRegionTransform || null)) {
+          this.stats.recordDraw();
+        }
+        this.stats.invalidateProgram();
+        this.stats.endStage();
+        // 以下 uniform 设置作用于当前 program，需切回 splat program
+        if (this.splatProgram) {
+          this.stats.useProgram(this.program);
+        }
+      }
+
       // 设置投影矩阵、viewport、focal uniform（splat 用）
       if (this.uniforms && this.uniforms.projection && projectionMatrix) {
         gl.uniformMatrix4fv(this.uniforms.projection, false, projectionMatrix);
@@ -532,9 +1885,8 @@ export class HoloRP {
         gl.uniformMatrix4fv(this.uniforms.view, false, viewMatrix);
       }
 
-      const time = Math.sin(Date.now() / 1000) / 2 + 1 / 2;
       if (this.uniforms && this.uniforms.time) {
-        gl.uniform1f(this.uniforms.time, time);
+        gl.uniform1f(this.uniforms.time, this.timeline.normalizedTime);
       }
 
       // 获取所有对象并按类型分组
@@ -565,33 +1917,53 @@ export class HoloRP {
       const meshObjects = [];
       const lineObjects = [];
       const pointCloudObjects = [];
+      const customObjects = new Map();  // 第三方类型：type -> objects
 
+      const layerMask = viewInfo.layerMask ?? frameLayerMask;
       for (const obj of objects) {
+        // 隐藏对象和图层不匹配的对象不参与本视图渲染
+        if (obj.renderType === RenderType.GROUP || !obj.isVisibleTo(layerMask)) {
+          continue;
+        }
         if (obj.renderType === RenderType['4DGS'] || obj.renderType === RenderType['3DGS']) {
           gsObjects.push(obj);
-        } else if (obj.renderType === RenderType.MESH) {
+        } else if (obj.renderType === RenderType.MESH || obj.renderType === RenderType.INSTANCED_MESH) {
           meshObjects.push(obj);
         } else if (obj.renderType === RenderType.LINES) {
           lineObjects.push(obj);
         } else if (obj.renderType === RenderType.POINT_CLOUD) {
           pointCloudObjects.push(obj);
+        } else if (getRenderTypeDefinition(obj.renderType)) {
+          if (!customObjects.has(obj.renderType)) {
+            customObjects.set(obj.renderType, []);
+          }
+          customObjects.get(obj.renderType).push(obj);
         }
       }
 
+      // 光源按本视图的相机朝向（头灯）打包上传，Mesh 与第三方渲染类型共用
+      this._updateLights(viewMatrix, projectionMatrix);
+
+      // renderAfterSplats 的材质（如阴影接收面）留到高斯之后绘制
+      const lateMaterialGroups = [];
+
       // 先渲染所有 Mesh（使用深度测试）
       if (meshObjects.length > 0) {
+        this.stats.beginStage(RenderStage.MESH);
         // 按 Material 分组（减少 program 切换）
         const objectsByMaterial = new Map();
         const objectsWithoutMaterial = [];
         
         for (const obj of meshObjects) {
-          if (obj.material) {
-            const mat = obj.material;
+          // 实例化网格没有 Material 时使用默认的实例化 Lit 材质（默认 program 不支持逐实例 attribute）
+          const mat = obj.material
+            || (obj.renderType === RenderType.INSTANCED_MESH ? this._getDefaultInstancedMaterial() : null);
+          if (mat) {
             if (!objectsByMaterial.has(mat)) {
               objectsByMaterial.set(mat, []);
             }
             objectsByMaterial.get(mat).push(obj);
-          } else {
+          } else if (obj.renderType === RenderType.MESH) {
             // 向后兼容：没有 Material 的对象使用默认 program
             objectsWithoutMaterial.push(obj);
           }
@@ -606,6 +1978,10 @@ export class HoloRP {
         });
         
         for (const [material, objects] of materialGroups) {
+          if (material.renderAfterSplats) {
+            lateMaterialGroups.push([material, objects]);
+            continue;
+          }
           this._renderMeshWithMaterial(objects, material, viewMatrix, projectionMatrix);
         }
         
@@ -613,7 +1989,7 @@ export class HoloRP {
         if (objectsWithoutMaterial.length > 0 && this.meshProgram) {
           gl.enable(gl.DEPTH_TEST);
           gl.disable(gl.BLEND);
-          gl.useProgram(this.meshProgram);
+          this.stats.useProgram(this.meshProgram);
           
           // 设置 mesh shader 的 uniform
           if (this.meshUniforms.projection && projectionMatrix) {
@@ -631,27 +2007,9 @@ export class HoloRP {
             gl.uniform1i(this.meshUniforms.useTexture, false);
           }
           
-          // 设置默认平行光（从右上方照射）
-          if (this.meshUniforms.lightDirection) {
-            const lightDir = [-1, 5, 1];
-            const len = Math.sqrt(lightDir[0] * lightDir[0] + lightDir[1] * lightDir[1] + lightDir[2] * lightDir[2]);
-            const normalizedDir = [lightDir[0] / len, lightDir[1] / len, lightDir[2] / len];
-            gl.uniform3f(
-              this.meshUniforms.lightDirection,
-              normalizedDir[0],
-              normalizedDir[1],
-              normalizedDir[2]
-            );
-          }
-          if (this.meshUniforms.lightColor) {
-            gl.uniform3f(this.meshUniforms.lightColor, 1.0, 1.0, 1.0);
-          }
-          if (this.meshUniforms.lightIntensity) {
-            gl.uniform1f(this.meshUniforms.lightIntensity, 0.6);
-          }
-          if (this.meshUniforms.ambientIntensity) {
-            gl.uniform1f(this.meshUniforms.ambientIntensity, 0.6);
-          }
+          // 光源（Lights uniform block，旧版 shader 使用单光源 uniform）
+          bindLightsBlock(gl, this.meshProgram);
+          applyLegacyLightUniforms(gl, this.meshUniforms, this._legacyLight);
           
           // 设置调试模式（-1=正常光照, 0=法线颜色）
           if (this.meshUniforms.debugMode !== undefined && this.meshUniforms.debugMode !== null) {
@@ -668,6 +2026,9 @@ export class HoloRP {
             if (this.meshUniforms.useTexture != null) {
               gl.uniform1i(this.meshUniforms.useTexture, obj.diffuseTexture != null ? 1 : 0);
             }
+            if (this.meshUniforms.receiveShadow != null) {
+              gl.uniform1i(this.meshUniforms.receiveShadow, obj.receiveShadow ? 1 : 0);
+            }
             this._renderMesh(obj, viewMatrix, projectionMatrix);
           }
         }
@@ -675,6 +2036,7 @@ export class HoloRP {
 
       // 渲染点云（纯色 quad，无混合，在 4DGS/3DGS 之前）
       if (pointCloudObjects.length > 0 && this.pointCloudProgram && this.pointCloudUniforms) {
+        this.stats.beginStage(RenderStage.POINT_CLOUD);
         this._renderPointCloud(pointCloudObjects, viewMatrix, projectionMatrix, viewInfo);
       }
 
@@ -682,26 +2044,62 @@ export class HoloRP {
       // 将4DGS和3DGS分开处理，使用不同的shader
       const objects4DGS = gsObjects.filter(obj => obj.renderType === RenderType['4DGS']);
       const objects3DGS = gsObjects.filter(obj => obj.renderType === RenderType['3DGS']);
+
+      const passParams = { renderTarget, viewInfo, viewIndex: views.indexOf(viewInfo), viewMatrix, projectionMatrix };
+      this._renderCustomTypes(RenderPassStage.BEFORE_SPLATS, customObjects, passParams);
+      this._runPasses(RenderPassStage.BEFORE_SPLATS, passParams);
       
+      // 合并模式：能参与合并的对象一起排序后交错绘制，其余对象先逐对象绘制
+      let separate4DGS = objects4DGS;
+      let separate3DGS = objects3DGS;
+      let mergedObjects = [];
+      if (this.splatCompositing === 'merged' && gsObjects.length > 1 && this._ensureMergedSplatRenderer()) {
+        mergedObjects = this._prepareMergedSplats(gsObjects, viewMatrix, projectionMatrix, onUpdateWorker);
+        if (mergedObjects.length > 0) {
+          separate4DGS = objects4DGS.filter(obj => !mergedObjects.includes(obj));
+          separate3DGS = objects3DGS.filter(obj => !mergedObjects.includes(obj));
+        }
+      }
+
       // 渲染 4DGS 对象
-      if (objects4DGS.length > 0 && this.splatProgram) {
-        this._renderGSObjects(objects4DGS, viewMatrix, projectionMatrix, onUpdateWorker, 
+      if (separate4DGS.length > 0 && this.splatProgram) {
+        this.stats.beginStage(RenderStage.SPLAT_4DGS);
+        this._renderGSObjects(separate4DGS, viewMatrix, projectionMatrix, onUpdateWorker, 
           this.splatProgram, this.splatUniforms, this.splatAttributes, viewInfo, true);
       }
       
       // 渲染 3DGS 对象
-      if (objects3DGS.length > 0 && this.splat3DGSProgram) {
-        this._renderGSObjects(objects3DGS, viewMatrix, projectionMatrix, onUpdateWorker, 
+      if (separate3DGS.length > 0 && this.splat3DGSProgram) {
+        this.stats.beginStage(RenderStage.SPLAT_3DGS);
+        this._renderGSObjects(separate3DGS, viewMatrix, projectionMatrix, onUpdateWorker, 
           this.splat3DGSProgram, this.splat3DGSUniforms, this.splat3DGSAttributes, viewInfo, false);
       }
 
+      if (mergedObjects.length > 0) {
+        this.stats.beginStage(RenderStage.SPLAT_MERGED);
+        this._renderMergedSplats(mergedObjects, viewMatrix, projectionMatrix, viewInfo);
+      }
+
+      // 阴影接收面等叠加在高斯之上（深度测试，不写深度）
+      if (lateMaterialGroups.length > 0) {
+        this.stats.beginStage(RenderStage.MESH);
+        for (const [material, objects] of lateMaterialGroups) {
+          this._renderMeshWithMaterial(objects, material, viewMatrix, projectionMatrix);
+        }
+      }
+
+      this._renderCustomTypes(RenderPassStage.AFTER_SPLATS, customObjects, passParams);
+      this._runPasses(RenderPassStage.AFTER_SPLATS, passParams);
+
       // 绘制 LINES 对象（相机锥体、连线等）
       if (lineObjects.length > 0 && this.linesProgram && this.linesUniforms) {
+        this.stats.beginStage(RenderStage.LINES);
         this._renderLines(lineObjects, viewMatrix, projectionMatrix);
       }
 
       // 绘制坐标轴和网格（如果启用）- 只在第一个视图绘制（避免重复）
       if (this.axisGridRenderer && viewMatrix && views.indexOf(viewInfo) === 0) {
+        this.stats.beginStage(RenderStage.AXIS_GRID);
         try {
           // 分别控制 Grid 和 Axes 的显示
           const shouldRenderGrid = this.enableAxisGrid && this.showGrid;
@@ -722,40 +2120,250 @@ export class HoloRP {
         } catch (err) {
           console.error('[HoloRP] 绘制坐标轴网格失败:', err);
         }
+        this.stats.invalidateProgram();
+      }
+
+      // 选中描边与高亮（位于场景之上、OVERLAY 之下）
+      if (selectedObjects.length > 0) {
+        // XR 目标的深度无法复制，不做遮挡测试
+        const sceneDepth = renderTarget instanceof CanvasRenderTarget || renderTarget instanceof OffscreenRenderTarget;
+        this._renderSelection(selectedObjects, viewInfo, viewMatrix, projectionMatrix, layerMask, bindSceneFramebuffer, sceneDepth);
+      }
+
+      this._renderCustomTypes(RenderPassStage.OVERLAY, customObjects, passParams);
+      this._runPasses(RenderPassStage.OVERLAY, passParams);
+      this.stats.endStage();
+    }
+
+    // 后期处理：从场景 FBO 合成到渲染目标
+    if (usePostProcessing) {
+      this.stats.beginStage(RenderStage.POST_PROCESSING);
+      const drawCalls = this.postProcessingRenderer.render(() => renderTarget.bindFramebuffer(), views[0].viewRegionTransform || null);
+      for (let i = 0; i < drawCalls; i++) {
+        this.stats.recordDraw();
       }
+      this.stats.invalidateProgram();
+      this.stats.endStage();
     }
 
     // 如果使用深度可视化，渲染深度可视化到默认 framebuffer
     if (useDepthVisualization && this.depthVisualizationRenderer) {
-      // 解绑 FBO，切换到默认 framebuffer
+      this.stats.beginStage(RenderStage.DEPTH_VISUALIZATION);
+
+      // 解绑 FBO；线性化使用实际的投影矩阵（Canvas/离屏为当前相机，XR 为第一个视图的投影）
       this.depthVisualizationRenderer.unbindFramebuffer();
+      const depthProjection = views[0].projectionMatrix || computedProjectionMatrix;
+      const range = this._getDepthVisualizationRange(depthProjection);
+
+      // 切换到渲染目标（百分位统计会改变 framebuffer 绑定）
       renderTarget.bindFramebuffer();
-      
-      // 设置视口
       gl.viewport(0, 0, viewport.width, viewport.height);
-      
-      // 计算 near/far（从投影矩阵或使用默认值）
-      // 注意：WebGL 投影矩阵的 near/far 信息在矩阵中，但提取比较复杂
-      // 这里使用合理的默认值，或者可以从相机参数计算
-      const near = 0.1;
-      const far = 1000.0;
-      
-      // 如果有相机信息，可以尝试从投影矩阵计算
-      // 但为了简化，先使用固定值
-      
-      // 渲染深度可视化（传递深度范围参数，固定使用灰度模式）
-      this.depthVisualizationRenderer.renderDepthVisualization(
-        near,
-        far,
-        0, // 固定使用灰度模式
-        this.depthRange,
-        this.depthRangeNear,
-        this.depthGamma
-      );
-    }
+
+      this.depthVisualizationRenderer.renderDepthVisualization(depthProjection, {
+        colormap: this.depthColormap,
+        rangeNear: range.near,
+        rangeFar: range.far,
+        gamma: this.depthGamma,
+      });
+      this._depthVisualizationInfo = {
+        colormap: this.depthColormap,
+        mode: this.depthRangeMode,
+        near: range.near,
+        far: range.far,
+        gamma: this.depthGamma,
+      };
+      this.stats.recordDraw();
+      this.stats.invalidateProgram();
+    }
+
+    // 后期 Pass：所有视图完成后执行一次，视口为整个渲染目标
+    this._runPasses(RenderPassStage.POST, {
+      renderTarget,
+      viewInfo: views[0],
+      viewIndex: 0,
+      viewMatrix: views[0].viewMatrix || this.viewMatrix,
+      projectionMatrix: views[0].projectionMatrix || computedProjectionMatrix,
+      viewport: { x: 0, y: 0, width: viewport.width, height: viewport.height },
+    });
 
     // 结束一帧渲染
     renderTarget.endFrame();
+
+    const stats = this.stats.endFrame();
+    if (!stats) {
+      return;
+    }
+    const resources = getResourceStats(gl);
+    stats.glObjects = resources ? resources.total : null;
+    stats.resolutionScale = renderTarget instanceof CanvasRenderTarget ? renderTarget.resolutionScale : 1;
+    if (this.onStats) {
+      try {
+        this.onStats(stats);
+      } catch (err) {
+        console.error('[HoloRP] onStats 回调出错:', err);
+      }
+    }
+  }
+
+  /**
+   * 深度可视化的映射范围：固定米数，或按百分位统计（每 DEPTH_PERCENTILE_INTERVAL 毫秒统计一次并平滑）
+   * @returns {{ near: number, far: number }}
+   * @private
+   */
+  _getDepthVisualizationRange(projectionMatrix) {
+    if (this.depthRangeMode !== 'percentile') {
+      return { near: this.depthRangeNear, far: this.depthRange };
+    }
+    const time = performance.now();
+    if (!this._depthPercentileRange || time - this._depthPercentileTime >= DEPTH_PERCENTILE_INTERVAL) {
+      this._depthPercentileTime = time;
+      const [low, high] = this.depthPercentiles;
+      const measured = this.depthVisualizationRenderer.measureDepthRange(projectionMatrix, low, high);
+      if (measured) {
+        const previous = this._depthPercentileRange;
+        this._depthPercentileRange = previous
+          ? { near: previous.near * 0.5 + measured.near * 0.5, far: previous.far * 0.5 + measured.far * 0.5 }
+          : measured;
+        // 范围尚未收敛时继续重绘（按需渲染模式下画面静止也要更新到最终范围）
+        const span = Math.max(measured.far - measured.near, 1e-3);
+        if (!previous || Math.abs(previous.near - measured.near) > span * 0.01 || Math.abs(previous.far - measured.far) > span * 0.01) {
+          this.invalidate();
+        }
+      }
+    }
+    return this._depthPercentileRange || { near: this.depthRangeNear, far: this.depthRange };
+  }
+
+  /**
+   * 绘制一个视图的选中描边，完成后重新绑定场景 framebuffer 和视口
+   * @private
+   */
+  _renderSelection(selectedObjects, viewInfo, viewMatrix, projectionMatrix, layerMask, bindSceneFramebuffer, sceneDepth) {
+    const gl = this.gl;
+    const objects = selectedObjects.filter(obj => obj.isVisibleTo(layerMask));
+    if (objects.length === 0) {
+      return;
+    }
+
+    this.stats.beginStage(RenderStage.SELECTION);
+    try {
+      const drawCalls = this.selectionRenderer.render(this.pickingRenderer, objects, {
+        projectionMatrix,
+        viewMatrix,
+        viewport: { width: viewInfo.viewport.width, height: viewInfo.viewport.height },
+        fx: viewInfo.fx,
+        fy: viewInfo.fy,
+        viewRegionTransform: viewInfo.viewRegionTransform || null,
+        quadBuffer: this.vertexBuffer,
+        getObjectTime: (obj) => this.timeline.getLocalTime(obj.timeOffset, obj.timeDuration),
+        depthOpacityThreshold: this.depthOpacityThreshold,
+        centerOpacityThreshold: this.centerOpacityThreshold,
+        clipping: this.clipping,
+      }, viewInfo.viewport, bindSceneFramebuffer, sceneDepth);
+      for (let i = 0; i < drawCalls; i++) {
+        this.stats.recordDraw();
+      }
+    } catch (err) {
+      console.error('[HoloRP] 绘制选中描边失败:', err);
+      bindSceneFramebuffer();
+    }
+    this.stats.invalidateProgram();
+
+    gl.viewport(viewInfo.viewport.x, viewInfo.viewport.y, viewInfo.viewport.width, viewInfo.viewport.height);
+    if (this.splatProgram) {
+      this.stats.useProgram(this.program);
+    }
+  }
+
+  /**
+   * 执行指定阶段的自定义 Pass
+   * 每个 Pass 执行后恢复默认 GL 状态，单个 Pass 出错不影响其余渲染
+   * @private
+   */
+  _runPasses(stage, params) {
+    if (this.renderPasses.length === 0) {
+      return;
+    }
+    const passes = this.renderPasses.filter(p => p.enabled && p.stage === stage);
+    if (passes.length === 0) {
+      return;
+    }
+
+    const ctx = createRenderPassContext(this, { ...params, stage });
+    for (const pass of passes) {
+      this.stats.beginStage(`pass:${pass.name}`);
+      try {
+        pass.render(ctx);
+      } catch (err) {
+        console.error(`[HoloRP] 执行 Pass "${pass.name}" 时出错:`, err);
+      }
+      resetRenderPassState(this.gl, ctx.viewport);
+      this.stats.invalidateProgram();
+    }
+  }
+
+  /**
+   * 获取用于编译第三方类型和默认材质 program 的 ShaderRegistry
+   * @private
+   */
+  _getShaderRegistry() {
+    if (!this.shaderRegistry) {
+      this.shaderRegistry = new ShaderRegistry(this.gl);
+      this._ownsShaderRegistry = true;
+    }
+    return this.shaderRegistry;
+  }
+
+  /**
+   * 获取没有指定 Material 的 INSTANCED_MESH 对象使用的默认材质（首次使用时创建）
+   * @private
+   * @returns {Material|null} 创建失败时返回 null，对象不绘制
+   */
+  _getDefaultInstancedMaterial() {
+    if (this._defaultInstancedMaterial === undefined) {
+      try {
+        const shaderRegistry = this._getShaderRegistry();
+        MaterialFactory.initializeBuiltinShaders(shaderRegistry);
+        this._defaultInstancedMaterial = MaterialFactory.createLit(shaderRegistry, { instanced: true });
+      } catch (err) {
+        console.error('[HoloRP] 创建默认实例化材质失败:', err);
+        this._defaultInstancedMaterial = null;
+      }
+    }
+    return this._defaultInstancedMaterial;
+  }
+
+  /**
+   * 绘制指定阶段的第三方渲染类型
+   * program 在首次绘制时编译；编译失败的类型会被跳过，每次绘制后恢复默认 GL 状态
+   * @private
+   */
+  _renderCustomTypes(stage, customObjects, params) {
+    if (customObjects.size === 0) {
+      return;
+    }
+
+    for (const [type, objects] of customObjects) {
+      const definition = getRenderTypeDefinition(type);
+      if (!definition || definition.builtin || definition.stage !== stage) {
+        continue;
+      }
+      const readyObjects = objects.filter(obj => obj.isReady());
+      if (readyObjects.length === 0) {
+        continue;
+      }
+
+      this.stats.beginStage(`type:${type}`);
+      const ctx = createRenderPassContext(this, { ...params, stage });
+      try {
+        ctx.programs = ensureRenderTypePrograms(this._getShaderRegistry(), type);
+        definition.render(ctx, readyObjects);
+      } catch (err) {
+        console.error(`[HoloRP] 绘制渲染类型 "${type}" 时出错:`, err);
+      }
+      resetRenderPassState(this.gl, ctx.viewport);
+      this.stats.invalidateProgram();
+    }
   }
 
   /**
@@ -787,51 +2395,17 @@ export class HoloRP {
     );
     gl.blendEquationSeparate(gl.FUNC_ADD, gl.FUNC_ADD);
     
-    gl.useProgram(program);
-    
-    // 设置 shader 的 uniform
-    if (uniforms.projection && projectionMatrix) {
-      gl.uniformMatrix4fv(uniforms.projection, false, projectionMatrix);
-    }
-    if (uniforms.viewport) {
-      gl.uniform2fv(uniforms.viewport, new Float32Array([
-        viewInfo.viewport.width,
-        viewInfo.viewport.height
-      ]));
-    }
-    if (uniforms.focal) {
-      gl.uniform2fv(uniforms.focal, new Float32Array([viewInfo.fx, viewInfo.fy]));
-    }
-    if (uniforms.view && viewMatrix) {
-      gl.uniformMatrix4fv(uniforms.view, false, viewMatrix);
-    }
-    
-    // 4DGS需要time uniform，3DGS不需要
-    if (is4DGS && uniforms.time) {
-      const time = Math.sin(Date.now() / 1000) / 2 + 1 / 2;
-      gl.uniform1f(uniforms.time, time);
-    }
-    
-    // 设置深度写入的不透明度阈值
-    if (uniforms.depthOpacityThreshold !== undefined && uniforms.depthOpacityThreshold !== null) {
-      gl.uniform1f(uniforms.depthOpacityThreshold, this.depthOpacityThreshold);
-    }
-    if (uniforms.centerOpacityThreshold !== undefined && uniforms.centerOpacityThreshold !== null) {
-      gl.uniform1f(uniforms.centerOpacityThreshold, this.centerOpacityThreshold);
-    }
-    
-    // 绑定共享的顶点缓冲区（position）
-    const aPosition = attributes?.position;
-    if (aPosition !== undefined && aPosition >= 0 && this.vertexBuffer) {
-      gl.enableVertexAttribArray(aPosition);
-      gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
-      gl.vertexAttribPointer(aPosition, 2, gl.FLOAT, false, 0, 0);
-    }
+    this._beginSplatProgram(program, uniforms, attributes, viewMatrix, projectionMatrix, viewInfo);
     
     // 为每个点云分配不同的stencil值，并渲染
     for (let i = 0; i < objects.length; i++) {
       const obj = objects[i];
       const stencilValue = i + 1;
+
+      // 每个对象绘制两遍（颜色 + 深度），实例数只统计一次
+      if (obj.isReady()) {
+        this.stats.recordSplats(obj.id, obj.vertexCount);
+      }
       
       gl.stencilFunc(gl.ALWAYS, stencilValue, 0xFF);
       gl.stencilMask(0xFF);
@@ -872,72 +2446,267 @@ export class HoloRP {
     }
   }
 
+  /**
+   * 合并模式：选出可参与合并的对象并请求合并排序
+   * 最近的合并排序结果与这些对象不一致时（对象刚加入、显隐变化等）返回空数组，本帧全部按逐对象方式绘制
+   * @returns {RenderableObject[]} 本帧参与合并绘制的对象（顺序即槽位）
+   * @private
+   */
+  _prepareMergedSplats(objects, viewMatrix, projectionMatrix, onUpdateWorker) {
+    const programs = {
+      [RenderType['4DGS']]: this.splatProgram,
+      [RenderType['3DGS']]: this.splat3DGSProgram,
+    };
+    const renderer = this.mergedSplatRenderer;
+    const { merged } = renderer.prepare(objects.filter(obj => programs[obj.renderType] && obj.isReady()));
+    if (merged.length < 2) {
+      return [];
+    }
+    if (onUpdateWorker && !this._splatSortHeld) {
+      renderer.sort(merged, viewMatrix || identity4(), projectionMatrix);
+    }
+    return renderer.getSortedOrder(merged) || [];
+  }
+
+  /**
+   * 按合并排序结果绘制多个 4DGS/3DGS 对象（一次颜色绘制 + 一次深度绘制）
+   * @private
+   */
+  _renderMergedSplats(objects, viewMatrix, projectionMatrix, viewInfo) {
+    for (const obj of objects) {
+      this.stats.recordSplats(obj.id, obj.vertexCount);
+    }
+    try {
+      const drawCalls = this.mergedSplatRenderer.render(objects, {
+        viewMatrix: viewMatrix || identity4(),
+        projectionMatrix,
+        viewInfo,
+        quadBuffer: this.vertexBuffer,
+        clipping: this.clipping,
+        is4DGS: (obj) => obj.renderType === RenderType['4DGS'],
+        getObjectTime: (obj) => this.timeline.getLocalTime(obj.timeOffset, obj.timeDuration),
+        depthOpacityThreshold: this.depthOpacityThreshold,
+        centerOpacityThreshold: this.centerOpacityThreshold,
+      });
+      for (let i = 0; i < drawCalls; i++) {
+        this.stats.recordDraw();
+      }
+    } catch (err) {
+      console.error('[HoloRP] 合并绘制高斯对象时出错:', err);
+    }
+    this.stats.invalidateProgram();
+  }
+
+  /**
+   * 监听对象 Worker 的排序结果并标记重绘（按需渲染时排序结果返回后才能画出新的顺序）
+   * @private
+   */
+  _trackSplatSort(obj) {
+    if (!obj.worker || typeof obj.worker.addEventListener !== 'function' || this._splatSortListeners.has(obj.worker)) {
+      return;
+    }
+    obj.worker.addEventListener('message', (e) => {
+      if (e.data && e.data.depthIndex) {
+        this.invalidate();
+      }
+    });
+    this._splatSortListeners.add(obj.worker);
+  }
+
+  /**
+   * 切换到 4DGS/3DGS program 并设置视图相关 uniform 和共享顶点缓冲
+   * @private
+   */
+  _beginSplatProgram(program, uniforms, attributes, viewMatrix, projectionMatrix, viewInfo) {
+    const gl = this.gl;
+
+    this.stats.useProgram(program);
+    
+    // 设置 shader 的 uniform
+    if (uniforms.projection && projectionMatrix) {
+      gl.uniformMatrix4fv(uniforms.projection, false, projectionMatrix);
+    }
+    if (uniforms.viewport) {
+      gl.uniform2fv(uniforms.viewport, new Float32Array([
+        viewInfo.viewport.width,
+        viewInfo.viewport.height
+      ]));
+    }
+    if (uniforms.focal) {
+      gl.uniform2fv(uniforms.focal, new Float32Array([viewInfo.fx, viewInfo.fy]));
+    }
+    if (uniforms.view && viewMatrix) {
+      gl.uniformMatrix4fv(uniforms.view, false, viewMatrix);
+    }
+
+    // 子区域渲染（分块截图）时，视锥剔除需要还原到完整画面空间
+    if (uniforms.viewRegionEnabled) {
+      gl.uniform1i(uniforms.viewRegionEnabled, viewInfo.viewRegionTransform ? 1 : 0);
+    }
+    if (uniforms.viewRegionTransform && viewInfo.viewRegionTransform) {
+      gl.uniform4fv(uniforms.viewRegionTransform, viewInfo.viewRegionTransform);
+    }
+    
+    // 设置深度写入的不透明度阈值
+    if (uniforms.depthOpacityThreshold !== undefined && uniforms.depthOpacityThreshold !== null) {
+      gl.uniform1f(uniforms.depthOpacityThreshold, this.depthOpacityThreshold);
+    }
+    if (uniforms.centerOpacityThreshold !== undefined && uniforms.centerOpacityThreshold !== null) {
+      gl.uniform1f(uniforms.centerOpacityThreshold, this.centerOpacityThreshold);
+    }
+    
+    // 绑定共享的顶点缓冲区（position）
+    const aPosition = attributes?.position;
+    if (aPosition !== undefined && aPosition >= 0 && this.vertexBuffer) {
+      gl.enableVertexAttribArray(aPosition);
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+      gl.vertexAttribPointer(aPosition, 2, gl.FLOAT, false, 0, 0);
+    }
+  }
+
   /**
    * 渲染单个 4DGS/3DGS 对象
    * @private
    */
   _renderSplat(obj, viewMatrix, projectionMatrix, onUpdateWorker, program = null, uniforms = null, attributes = null, is4DGS = true) {
     const gl = this.gl;
-    const modelMatrix = obj.getModelMatrix();
+
+    this._trackSplatSort(obj);
+    this._updateSplatWorker(obj, viewMatrix, projectionMatrix, onUpdateWorker);
     
-    // 更新 Worker（用于深度排序）
-    if (onUpdateWorker && obj.worker) {
-      const viewModel = multiply4(viewMatrix || identity4(), modelMatrix);
+    if (!obj.isReady()) {
+      return;
+    }
+
+    try {
+      this._bindSplatObject(obj, program, uniforms, attributes, is4DGS);
+
+      // 绘制该对象
+      gl.drawArraysInstanced(gl.TRIANGLE_FAN, 0, 4, obj.vertexCount);
+      this.stats.recordDraw();
+    } catch (err) {
+      console.error(`[HoloRP] 绘制 ${obj.renderType} 对象 ${obj.id} 时出错:`, err);
+    }
+  }
+
+  /**
+   * 向对象的深度排序 Worker 发送当前视图投影矩阵（含 model 矩阵）
+   * @private
+   */
+  _updateSplatWorker(obj, viewMatrix, projectionMatrix, onUpdateWorker) {
+    if (onUpdateWorker && obj.worker && !this._splatSortHeld) {
+      const viewModel = multiply4(viewMatrix || identity4(), obj.getModelMatrix());
       const viewProj = multiply4(projectionMatrix, viewModel);
       if (viewProj && Array.isArray(viewProj) && viewProj.length >= 16) {
-        // 先更新排序策略（如果需要）
+        // 先更新排序策略（如果需要，只在变化时发送）
         const sortStrategy = obj.sortStrategy || 'back-to-front';
-        obj.worker.postMessage({ sortStrategy });
+        if (this._sortStrategySent.get(obj.worker) !== sortStrategy) {
+          obj.worker.postMessage({ sortStrategy });
+          this._sortStrategySent.set(obj.worker, sortStrategy);
+        }
         // 然后更新view矩阵
         onUpdateWorker(obj.id, obj.worker, viewProj);
       }
     }
-    
-    if (!obj.isReady()) {
-      return;
+  }
+
+  /**
+   * 按指定视图重新排序可见的高斯对象，等待各 Worker 返回结果（结果已写入对象的索引缓冲）
+   * 用于截图相机与屏幕相机不同的情况；之后屏幕渲染会按屏幕视图重新排序
+   * @returns {Promise<void>}
+   * @private
+   */
+  _sortSplatsForView(viewMatrix, projectionMatrix, layerMask) {
+    const pending = [];
+    const splats = [];
+    for (const obj of this.objects.values()) {
+      const isSplat = obj.renderType === RenderType['4DGS'] || obj.renderType === RenderType['3DGS'];
+      const worker = obj.worker;
+      if (!isSplat || !worker || typeof worker.addEventListener !== 'function' ||
+          !obj.isReady() || !obj.isVisibleTo(layerMask)) {
+        continue;
+      }
+      splats.push(obj);
+      const viewProj = multiply4(projectionMatrix, multiply4(viewMatrix, obj.getModelMatrix()));
+      pending.push(new Promise((resolve) => {
+        // 索引缓冲由创建 Worker 时设置的 onmessage 上传，先于这里的监听执行
+        const onMessage = (e) => {
+          const sorted = e.data && e.data.depthIndex && e.data.viewProj;
+          if (sorted && sorted.length === viewProj.length && sorted.every((v, i) => v === viewProj[i])) {
+            finish();
+          }
+        };
+        const finish = () => {
+          clearTimeout(timer);
+          worker.removeEventListener('message', onMessage);
+          resolve();
+        };
+        const timer = setTimeout(() => {
+          console.warn(`[HoloRP] 对象 ${obj.id} 截图视图排序超时，使用当前排序结果`);
+          finish();
+        }, CAPTURE_SORT_TIMEOUT);
+        worker.addEventListener('message', onMessage);
+        worker.postMessage({ view: viewProj, force: true });
+      }));
+    }
+    // 合并模式同时按该视图合并排序（逐对象的结果用于不参与合并的对象和合并结果不可用时）
+    if (this.splatCompositing === 'merged' && this.mergedSplatRenderer) {
+      const { merged } = this.mergedSplatRenderer.prepare(splats);
+      if (merged.length > 1) {
+        pending.push(this.mergedSplatRenderer.sortForView(merged, viewMatrix, projectionMatrix, CAPTURE_SORT_TIMEOUT));
+      }
     }
+    return Promise.all(pending);
+  }
+
+  /**
+   * 绑定 4DGS/3DGS 对象的纹理、model 矩阵和排序索引
+   * @private
+   */
+  _bindSplatObject(obj, program, uniforms, attributes, is4DGS) {
+    const gl = this.gl;
+    const modelMatrix = obj.getModelMatrix();
 
     // 使用传入的uniforms和attributes，如果没有则使用默认的
     const activeUniforms = uniforms || this.splatUniforms;
     const activeAttributes = attributes || this.splatAttributes;
-    
-    try {
-      // 设置该对象的 model 矩阵
-      if (activeUniforms.model) {
-        gl.uniformMatrix4fv(activeUniforms.model, false, modelMatrix);
-      }
 
-      // 绑定该对象的纹理
-      gl.activeTexture(gl.TEXTURE0);
-      gl.bindTexture(gl.TEXTURE_2D, obj.texture);
-      
-      // 3DGS需要绑定SH纹理（如果存在）
-      if (!is4DGS && obj.shTexture && activeUniforms.shTexture) {
-        gl.activeTexture(gl.TEXTURE1);
-        gl.bindTexture(gl.TEXTURE_2D, obj.shTexture);
-        gl.uniform1i(activeUniforms.shTexture, 1);
-      }
-      
-      // 设置SH阶数（3DGS）
-      if (!is4DGS && activeUniforms.sphericalHarmonicsDegree !== undefined && activeUniforms.sphericalHarmonicsDegree !== null) {
-        gl.uniform1i(activeUniforms.sphericalHarmonicsDegree, obj.sphericalHarmonicsDegree || 0);
-      }
-
-      // 绑定该对象的索引缓冲区
-      if (obj.indexBuffer) {
-        const aIndex = activeAttributes?.index;
-        if (aIndex !== undefined && aIndex >= 0) {
-          gl.enableVertexAttribArray(aIndex);
-          gl.bindBuffer(gl.ARRAY_BUFFER, obj.indexBuffer);
-          gl.vertexAttribIPointer(aIndex, 1, gl.INT, false, 0, 0);
-          gl.vertexAttribDivisor(aIndex, 1);
-        }
-      }
+    // 设置该对象的 model 矩阵
+    if (activeUniforms.model) {
+      gl.uniformMatrix4fv(activeUniforms.model, false, modelMatrix);
+    }
+    applyClippingUniforms(gl, program || this.program, this.clipping, obj.clippable);
 
-      // 绘制该对象
-      gl.drawArraysInstanced(gl.TRIANGLE_FAN, 0, 4, obj.vertexCount);
-    } catch (err) {
-      console.error(`[HoloRP] 绘制 ${obj.renderType} 对象 ${obj.id} 时出错:`, err);
+    // 4DGS 使用对象自身片段内的时间，3DGS 不需要
+    if (is4DGS && activeUniforms.time) {
+      gl.uniform1f(activeUniforms.time, this.timeline.getLocalTime(obj.timeOffset, obj.timeDuration));
+    }
+
+    // 绑定该对象的纹理
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, obj.texture);
+    
+    // 3DGS需要绑定SH纹理（如果存在）
+    if (!is4DGS && obj.shTexture && activeUniforms.shTexture) {
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, obj.shTexture);
+      gl.uniform1i(activeUniforms.shTexture, 1);
+    }
+    
+    // 设置SH阶数（3DGS）
+    if (!is4DGS && activeUniforms.sphericalHarmonicsDegree !== undefined && activeUniforms.sphericalHarmonicsDegree !== null) {
+      gl.uniform1i(activeUniforms.sphericalHarmonicsDegree, obj.sphericalHarmonicsDegree || 0);
+    }
+
+    // 绑定该对象的索引缓冲区
+    if (obj.indexBuffer) {
+      const aIndex = activeAttributes?.index;
+      if (aIndex !== undefined && aIndex >= 0) {
+        gl.enableVertexAttribArray(aIndex);
+        gl.bindBuffer(gl.ARRAY_BUFFER, obj.indexBuffer);
+        gl.vertexAttribIPointer(aIndex, 1, gl.INT, 0, 0);
+        gl.vertexAttribDivisor(aIndex, 1);
+      }
     }
   }
 
@@ -989,7 +2758,7 @@ export class HoloRP {
     }
     
     // 使用 Material 的 program
-    gl.useProgram(material.program);
+    this.stats.useProgram(material.program);
     
     // 设置通用 uniform
     if (material.uniforms.projection && projectionMatrix) {
@@ -1004,22 +2773,9 @@ export class HoloRP {
       gl.uniform3f(material.uniforms.color, 0.8, 0.8, 0.8);
     }
     
-    // 设置光照 uniform（如果存在）
-    if (material.uniforms.lightDirection) {
-      const lightDir = [-1, 5, 1];
-      const len = Math.sqrt(lightDir[0] * lightDir[0] + lightDir[1] * lightDir[1] + lightDir[2] * lightDir[2]);
-      const normalizedDir = [lightDir[0] / len, lightDir[1] / len, lightDir[2] / len];
-      gl.uniform3f(material.uniforms.lightDirection, normalizedDir[0], normalizedDir[1], normalizedDir[2]);
-    }
-    if (material.uniforms.lightColor) {
-      gl.uniform3f(material.uniforms.lightColor, 1.0, 1.0, 1.0);
-    }
-    if (material.uniforms.lightIntensity) {
-      gl.uniform1f(material.uniforms.lightIntensity, 0.6);
-    }
-    if (material.uniforms.ambientIntensity) {
-      gl.uniform1f(material.uniforms.ambientIntensity, 0.6);
-    }
+    // 设置光照（program 包含 Lights block 时绑定共享 buffer，声明了旧版单光源 uniform 时一并设置）
+    bindLightsBlock(gl, material.program);
+    applyLegacyLightUniforms(gl, material.uniforms, this._legacyLight);
     
     // 设置调试模式
     if (material.uniforms.debugMode !== undefined && material.uniforms.debugMode !== null) {
@@ -1035,6 +2791,30 @@ export class HoloRP {
     if (material.uniforms.showBackFace !== undefined && material.uniforms.showBackFace !== null) {
       gl.uniform1i(material.uniforms.showBackFace, false);
     }
+
+    // 相机位置（镜面反射）
+    if (material.uniforms.cameraPosition != null && viewMatrix) {
+      const cameraToWorld = invert4(viewMatrix);
+      if (cameraToWorld) {
+        gl.uniform3f(material.uniforms.cameraPosition, cameraToWorld[12], cameraToWorld[13], cameraToWorld[14]);
+      }
+    }
+
+    // 环境光照（贴图已在 _updateLights 中绑定）
+    if (material.uniforms.useEnvironment != null) {
+      const environment = this.environmentMap && this.environmentMap.isReady() ? this.environmentMap : null;
+      gl.uniform1i(material.uniforms.useEnvironment, environment ? 1 : 0);
+      gl.uniform1i(material.uniforms.environmentSpecular, ENVIRONMENT_SPECULAR_UNIT);
+      gl.uniform1i(material.uniforms.environmentIrradiance, ENVIRONMENT_IRRADIANCE_UNIT);
+      if (environment) {
+        gl.uniform1f(material.uniforms.environmentIntensity, environment.intensity);
+        gl.uniform1f(material.uniforms.environmentMaxLod, environment.maxLod);
+        gl.uniformMatrix3fv(material.uniforms.environmentBasis, false, environment.basis);
+      }
+    }
+
+    // 材质属性（与 uniform 同名的属性，如阴影接收面的 shadowColor、Standard 的各项参数与贴图）
+    applyMaterialProperties(gl, material, 1, this.defaultTexture);
     
     // 渲染所有使用此 Material 的对象
     for (const obj of objects) {
@@ -1046,6 +2826,10 @@ export class HoloRP {
       if (material.uniforms.model) {
         gl.uniformMatrix4fv(material.uniforms.model, false, modelMatrix);
       }
+      applyClippingUniforms(gl, material.program, this.clipping, obj.clippable);
+      if (material.uniforms.receiveShadow != null) {
+        gl.uniform1i(material.uniforms.receiveShadow, obj.receiveShadow ? 1 : 0);
+      }
       
       // 设置纹理
       const tex = obj.diffuseTexture != null ? obj.diffuseTexture : this.defaultTexture;
@@ -1117,9 +2901,84 @@ export class HoloRP {
       }
       
       // 绘制
-      if (obj.elementBuffer && obj.elementCount > 0) {
+      if (obj.renderType === RenderType.INSTANCED_MESH) {
+        if (!material.instanced) {
+          if (!this._warnedNonInstancedMaterials.has(material)) {
+            this._warnedNonInstancedMaterials.add(material);
+            console.warn(`[HoloRP] Material "${material.name}" 不是实例化材质，INSTANCED_MESH 对象 ${obj.id} 将不绘制（请使用 { instanced: true } 创建）`);
+          }
+          continue;
+        }
+        this._bindInstanceAttributes(material, obj);
+        gl.drawElementsInstanced(gl.TRIANGLES, obj.elementCount, gl.UNSIGNED_SHORT, 0, obj.instanceCount);
+        this.stats.recordDraw();
+        this.stats.recordTriangles(obj.elementCount / 3 * obj.instanceCount);
+      } else if (obj.elementBuffer && obj.elementCount > 0) {
+        if (material.instanced) {
+          this._bindInstanceAttributes(material, null);
+        }
         gl.drawElements(gl.TRIANGLES, obj.elementCount, gl.UNSIGNED_SHORT, 0);
+        this.stats.recordDraw();
+        this.stats.recordTriangles(obj.elementCount / 3);
+      }
+    }
+
+    if (material.instanced) {
+      this._unbindInstanceAttributes(material);
+    }
+  }
+
+  /**
+   * 绑定逐实例 attribute（instanceMatrix 的 4 列 + instanceColor，divisor 为 1）
+   * obj 为 null 时（普通 Mesh 使用实例化材质）使用单位矩阵和白色常量值，按单个实例绘制
+   * @private
+   */
+  _bindInstanceAttributes(material, obj) {
+    const gl = this.gl;
+    const matrixLocation = material.attributes.instanceMatrix;
+    const colorLocation = material.attributes.instanceColor;
+
+    if (obj && obj.instanceMatrixBuffer) {
+      gl.bindBuffer(gl.ARRAY_BUFFER, obj.instanceMatrixBuffer);
+      for (let i = 0; i < 4; i++) {
+        gl.enableVertexAttribArray(matrixLocation + i);
+        gl.vertexAttribPointer(matrixLocation + i, 4, gl.FLOAT, false, 64, i * 16);
+        gl.vertexAttribDivisor(matrixLocation + i, 1);
       }
+    } else {
+      for (let i = 0; i < 4; i++) {
+        gl.disableVertexAttribArray(matrixLocation + i);
+        gl.vertexAttrib4f(matrixLocation + i, i === 0 ? 1 : 0, i === 1 ? 1 : 0, i === 2 ? 1 : 0, i === 3 ? 1 : 0);
+      }
+    }
+
+    if (colorLocation === undefined) {
+      return;
+    }
+    if (obj && obj.instanceColorBuffer) {
+      gl.bindBuffer(gl.ARRAY_BUFFER, obj.instanceColorBuffer);
+      gl.enableVertexAttribArray(colorLocation);
+      gl.vertexAttribPointer(colorLocation, 4, gl.FLOAT, false, 0, 0);
+      gl.vertexAttribDivisor(colorLocation, 1);
+    } else {
+      gl.disableVertexAttribArray(colorLocation);
+      gl.vertexAttrib4f(colorLocation, 1, 1, 1, 1);
+    }
+  }
+
+  /**
+   * 恢复逐实例 attribute 的 divisor 并禁用（避免影响后续复用相同 location 的 program）
+   * @private
+   */
+  _unbindInstanceAttributes(material) {
+    const gl = this.gl;
+    const locations = [0, 1, 2, 3].map((i) => material.attributes.instanceMatrix + i);
+    if (material.attributes.instanceColor !== undefined) {
+      locations.push(material.attributes.instanceColor);
+    }
+    for (const location of locations) {
+      gl.vertexAttribDivisor(location, 0);
+      gl.disableVertexAttribArray(location);
     }
   }
 
@@ -1141,6 +3000,7 @@ export class HoloRP {
       if (this.meshUniforms.model) {
         gl.uniformMatrix4fv(this.meshUniforms.model, false, modelMatrix);
       }
+      applyClippingUniforms(gl, this.meshProgram, this.clipping, obj.clippable);
 
       // 绑定顶点缓冲区
       const attrs = obj.vertexAttributes || {};
@@ -1202,6 +3062,8 @@ export class HoloRP {
       
       // 使用 drawElements 绘制
       gl.drawElements(gl.TRIANGLES, obj.elementCount, gl.UNSIGNED_SHORT, 0);
+      this.stats.recordDraw();
+      this.stats.recordTriangles(obj.elementCount / 3);
     } catch (err) {
       console.error(`[HoloRP] 绘制 Mesh 对象 ${obj.id} 时出错:`, err);
     }
@@ -1218,7 +3080,7 @@ export class HoloRP {
     const attrs = this.linesAttributes;
     if (!prog || !uniforms || !attrs) return;
 
-    gl.useProgram(prog);
+    this.stats.useProgram(prog);
     gl.enable(gl.DEPTH_TEST);
     gl.depthFunc(gl.LEQUAL);
     gl.depthMask(true);
@@ -1252,6 +3114,7 @@ export class HoloRP {
       if (uniforms.model) {
         gl.uniformMatrix4fv(uniforms.model, false, model);
       }
+      applyClippingUniforms(gl, prog, this.clipping, obj.clippable);
       
       // 设置 alpha uniform（如果对象有 alpha 属性，否则使用 1.0）
       if (uniforms.alpha !== null && uniforms.alpha !== undefined) {
@@ -1266,6 +3129,8 @@ export class HoloRP {
       gl.vertexAttribPointer(attrs.position, 3, gl.FLOAT, false, 24, 0);
       gl.vertexAttribPointer(attrs.color, 3, gl.FLOAT, false, 24, 12);
       gl.drawArrays(gl.LINES, 0, obj.linesVertexCount);
+      this.stats.recordDraw();
+      this.stats.recordLines(obj.linesVertexCount / 2);
     }
 
     gl.disableVertexAttribArray(attrs.color);
@@ -1284,7 +3149,7 @@ export class HoloRP {
     const attrs = this.pointCloudAttributes;
     if (!prog || !uniforms || !attrs) return;
 
-    gl.useProgram(prog);
+    this.stats.useProgram(prog);
     gl.enable(gl.DEPTH_TEST);
     gl.depthFunc(gl.LEQUAL);
     gl.depthMask(true);
@@ -1339,6 +3204,7 @@ export class HoloRP {
         if (uniforms.model) {
           gl.uniformMatrix4fv(uniforms.model, false, model);
         }
+        applyClippingUniforms(gl, prog, this.clipping, obj.clippable);
         const ptSize = typeof obj.pointSize === 'number' ? obj.pointSize : 2.0;
         if (uniforms.pointSize !== undefined && uniforms.pointSize !== null) {
           gl.uniform1f(uniforms.pointSize, ptSize);
@@ -1360,6 +3226,8 @@ export class HoloRP {
         gl.vertexAttribDivisor(aInstanceColor, 1);
 
         gl.drawArraysInstanced(gl.TRIANGLE_FAN, 0, 4, obj.pointCount);
+        this.stats.recordDraw();
+        this.stats.recordPoints(obj.pointCount);
 
         gl.vertexAttribDivisor(aInstancePos, 0);
         gl.vertexAttribDivisor(aInstanceColor, 0);
@@ -1378,6 +3246,7 @@ export class HoloRP {
         if (uniforms.model) {
           gl.uniformMatrix4fv(uniforms.model, false, model);
         }
+        applyClippingUniforms(gl, prog, this.clipping, obj.clippable);
         const ptSize = typeof obj.pointSize === 'number' ? obj.pointSize : 2.0;
         if (uniforms.pointSize !== undefined && uniforms.pointSize !== null) {
           gl.uniform1f(uniforms.pointSize, ptSize);
@@ -1399,6 +3268,8 @@ export class HoloRP {
         gl.vertexAttribDivisor(aInstanceColor, 1);
 
         gl.drawArraysInstanced(gl.TRIANGLE_FAN, 0, 4, obj.pointCount);
+        this.stats.recordDraw();
+        this.stats.recordPoints(obj.pointCount);
 
         gl.vertexAttribDivisor(aInstancePos, 0);
         gl.vertexAttribDivisor(aInstanceColor, 0);
@@ -1413,12 +3284,492 @@ export class HoloRP {
     gl.depthMask(true);
   }
 
+  /**
+   * GPU 拾取：返回屏幕坐标处最前面的对象
+   * 只渲染该像素对应的 1×1 子区域到 ID 缓冲，高斯使用与深度写入相同的不透明度阈值（depthOpacityThreshold / centerOpacityThreshold）
+   * @param {number} x - 像素 x（相对 canvas 左上角，与相机 width 同一坐标系）
+   * @param {number} y - 像素 y（相对 canvas 左上角，向下为正）
+   * @param {Object} options - 选项
+   * @param {Camera} options.camera - 拾取相机（默认使用当前相机和视图矩阵）
+   * @param {Function} options.filter - 对象过滤函数 (obj) => boolean，返回 false 的对象不参与拾取
+   * @returns {{ objectId: string, depth: number, worldPosition: number[] }|null} 未命中返回 null；depth 为相机空间深度
+   */
+  pick(x, y, options = {}) {
+    const gl = this.gl;
+    const { camera = this.camera, filter = null } = options;
+
+    if (!gl) {
+      return null;
+    }
+    if (!(camera instanceof Camera)) {
+      console.warn('[HoloRP] pick 需要 Camera 实例');
+      return null;
+    }
+
+    const width = camera.width;
+    const height = camera.height;
+    const px = Math.floor(x);
+    const py = Math.floor(y);
+    if (!(width > 0) || !(height > 0) || !(px >= 0 && px < width) || !(py >= 0 && py < height)) {
+      return null;
+    }
+
+    const viewMatrix = options.camera ? camera.viewMatrix : this.viewMatrix;
+    if (!viewMatrix || viewMatrix.length !== 16) {
+      return null;
+    }
+
+    if (!this.pickingRenderer) {
+      try {
+        this.pickingRenderer = new PickingRenderer(gl);
+      } catch (err) {
+        console.error('[HoloRP] 创建拾取渲染器失败:', err);
+        return null;
+      }
+    }
+
+    // 只拾取当前相机可见的对象
+    let objects = this.getAllObjects().filter(obj => obj.isVisibleTo(camera.layerMask));
+    if (typeof filter === 'function') {
+      objects = objects.filter(filter);
+    }
+
+    // 只渲染光标下的一个像素：投影左乘子区域矩阵，焦距保持完整画面的值
+    const region = { x: px, y: py, width: 1, height: 1, fullWidth: width, fullHeight: height };
+    const projectionMatrix = multiply4(createViewRegionMatrix(region), camera.projectionMatrix);
+
+    let index = -1;
+    let windowDepth = 1;
+    try {
+      this.pickingRenderer.setupFramebuffer(1, 1);
+      this.pickingRenderer.render(objects, {
+        projectionMatrix,
+        viewMatrix,
+        viewport: { width: 1, height: 1 },
+        fx: camera.fx,
+        fy: camera.fy,
+        viewRegionTransform: getViewRegionTransform(region),
+        quadBuffer: this.vertexBuffer,
+        getObjectTime: (obj) => this.timeline.getLocalTime(obj.timeOffset, obj.timeDuration),
+        depthOpacityThreshold: this.depthOpacityThreshold,
+        centerOpacityThreshold: this.centerOpacityThreshold,
+        clipping: this.clipping,
+      });
+      const { ids, depths } = this.pickingRenderer.readPixels(0, 0, 1, 1);
+      index = decodePickIndex(ids);
+      windowDepth = decodePickDepth(depths);
+    } catch (err) {
+      console.error('[HoloRP] 拾取失败:', err);
+      return null;
+    }
+
+    if (index < 0 || index >= objects.length) {
+      return null;
+    }
+
+    // 子区域中心即像素中心（区域 NDC 原点），按窗口深度反投影到世界坐标
+    const inverseViewProj = invert4(multiply4(projectionMatrix, viewMatrix));
+    if (!inverseViewProj) {
+      return null;
+    }
+    const ndcZ = windowDepth * 2 - 1;
+    const m = inverseViewProj;
+    const w = m[11] * ndcZ + m[15];
+    const worldPosition = [
+      (m[8] * ndcZ + m[12]) / w,
+      (m[9] * ndcZ + m[13]) / w,
+      (m[10] * ndcZ + m[14]) / w,
+    ];
+    const depth = viewMatrix[2] * worldPosition[0]
+      + viewMatrix[6] * worldPosition[1]
+      + viewMatrix[10] * worldPosition[2]
+      + viewMatrix[14];
+
+    return {
+      objectId: objects[index].id,
+      depth,
+      worldPosition,
+    };
+  }
+
+  /**
+   * 渲染指定相机的度量深度图（及估计法线），用于与重建结果离线对比
+   * 复用拾取渲染器：高斯使用与深度写入相同的不透明度阈值，Mesh/实例化 Mesh/线段/点云按几何写入深度，并应用裁剪平面；
+   * 尺寸超过单个 FBO 上限时分块渲染。深度从 24 位打包的窗口深度线性化，远处精度取决于相机 znear。
+   * 结果按图像约定存储（第一行为顶部），深度为沿光轴的 z 深度（场景单位，通常为米），未命中像素为 0；
+   * 法线为相机空间（x 向右、y 向下、z 向前），由深度差分估计，可用 encodeDepthPNG16 / encodePFM 写出
+   * @param {Camera} camera - 相机（不会被修改）
+   * @param {Object} options - 选项
+   * @param {number} options.width - 宽度（像素，默认 camera.width）
+   * @param {number} options.height - 高度（像素，默认 camera.height）
+   * @param {boolean} options.normals - 是否估计法线（默认 true）
+   * @param {Function} options.filter - 对象过滤函数 (obj) => boolean，返回 false 的对象不参与
+   * @param {number} options.layerMask - 图层掩码（可选，默认使用 camera.layerMask）
+   * @param {number} options.tileSize - 分块尺寸上限（像素，可选，默认取 GPU 限制与 4096 的较小值）
+   * @returns {{ width: number, height: number, depth: Float32Array, normals: Float32Array|null, intrinsics: { fx: number, fy: number, cx: number, cy: number } }}
+   */
+  renderDepthMap(camera = this.camera, options = {}) {
+    const gl = this.gl;
+    const { normals = true, filter = null, tileSize = null } = options;
+
+    if (!gl) {
+      throw new Error('renderDepthMap requires a WebGL context');
+    }
+    if (!(camera instanceof Camera)) {
+      throw new Error('renderDepthMap: camera 须为 Camera 实例');
+    }
+    const width = Math.floor(options.width ?? camera.width);
+    const height = Math.floor(options.height ?? camera.height);
+    if (!(width > 0) || !(height > 0)) {
+      throw new Error(`renderDepthMap: invalid size ${options.width}x${options.height}`);
+    }
+
+    // 复制相机并适配输出尺寸；未使用 FOV 时按比例缩放焦距，保持视野不变（同 captureImage）
+    const depthCamera = camera.clone();
+    if (depthCamera.targetVerticalFOV === null || depthCamera.targetVerticalFOV === undefined) {
+      depthCamera.fx = camera.fx * (width / camera.width);
+      depthCamera.fy = camera.fy * (height / camera.height);
+    }
+    depthCamera.width = width;
+    depthCamera.height = height;
+    const layerMask = Number.isInteger(options.layerMask) ? options.layerMask : depthCamera.layerMask;
+
+    if (!this.pickingRenderer) {
+      this.pickingRenderer = new PickingRenderer(gl);
+    }
+
+    let objects = this.getAllObjects().filter(obj => obj.isVisibleTo(layerMask));
+    if (typeof filter === 'function') {
+      objects = objects.filter(filter);
+    }
+
+    const viewportDims = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    const maxTileSize = Math.min(
+      gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+      viewportDims[0],
+      viewportDims[1],
+      4096
+    );
+    let tile = Math.max(1, Math.min(tileSize > 0 ? Math.floor(tileSize) : maxTileSize, maxTileSize));
+
+    // 分块时 Bloom / FXAA 在块边缘的采样会被截断：每块四周多渲染一圈再裁掉（扩展后的区域不超过分块上限）
+    let padding = 0;
+    if ((tile < width || tile < height) && this.postProcessingRenderer && this.postProcessingRenderer.isActive()) {
+      padding = this.postProcessingRenderer.getTilePadding();
+      if (padding > 0) {
+        tile = Math.max(1, Math.min(tile, maxTileSize - 2 * padding - 2));
+      }
+    }
+
+    const cameraProjection = depthCamera.projectionMatrix;
+    const viewMatrix = depthCamera.viewMatrix;
+    const [a, b, c, d] = getDepthProjectionParams(cameraProjection);
+    const depth = new Float32Array(width * height);
+
+    try {
+      for (let y = 0; y < height; y += tile) {
+        for (let x = 0; x < width; x += tile) {
+          const tileWidth = Math.min(tile, width - x);
+          const tileHeight = Math.min(tile, height - y);
+          const region = { x, y, width: tileWidth, height: tileHeight, fullWidth: width, fullHeight: height };
+
+          this.pickingRenderer.setupFramebuffer(tileWidth, tileHeight);
+          this.pickingRenderer.render(objects, {
+            projectionMatrix: multiply4(createViewRegionMatrix(region), cameraProjection),
+            viewMatrix,
+            viewport: { width: tileWidth, height: tileHeight },
+            fx: depthCamera.fx,
+            fy: depthCamera.fy,
+            viewRegionTransform: getViewRegionTransform(region),
+            quadBuffer: this.vertexBuffer,
+            getObjectTime: (obj) => this.timeline.getLocalTime(obj.timeOffset, obj.timeDuration),
+            depthOpacityThreshold: this.depthOpacityThreshold,
+            centerOpacityThreshold: this.centerOpacityThreshold,
+            clipping: this.clipping,
+          });
+          const { ids, depths } = this.pickingRenderer.readPixels(0, 0, tileWidth, tileHeight);
+
+          // FBO 原点在左下角，写入时翻转为图像行序
+          for (let row = 0; row < tileHeight; row++) {
+            const dst = (y + tileHeight - 1 - row) * width + x;
+            for (let col = 0; col < tileWidth; col++) {
+              const offset = (row * tileWidth + col) * 4;
+              if (decodePickIndex(ids, offset) < 0) continue;
+              const ndc = decodePickDepth(depths, offset) * 2 - 1;
+              const z = -(b - ndc * d) / (ndc * c - a);
+              depth[dst + col] = z > 0 ? z : 0;
+            }
+          }
+        }
+      }
+    } finally {
+      // 导出尺寸通常较大，不保留到下次拾取
+      this.pickingRenderer.disposeFramebuffer();
+      this.stats.invalidateProgram();
+    }
+
+    const intrinsics = { fx: depthCamera.fx, fy: depthCamera.fy, cx: width / 2, cy: height / 2 };
+    return {
+      width,
+      height,
+      depth,
+      normals: normals ? estimateNormals(depth, width, height, intrinsics) : null,
+      intrinsics,
+    };
+  }
+
+  /**
+   * 渲染高分辨率截图
+   * 尺寸超过单个 FBO 上限时，将相机投影拆分为多个子区域分块渲染后拼接；后期处理的暗角按完整画面计算，
+   * 开启 Bloom / FXAA 时每块四周多渲染一圈再裁掉，避免块边缘出现接缝。
+   * 绘制前各高斯对象按截图相机的视图重新排序（等待 Worker 返回，超时后使用当前排序结果）。
+   * 截图中不包含选中描边。
+   * @param {Object} options - 选项
+   * @param {number} options.width - 图片宽度（像素）
+   * @param {number} options.height - 图片高度（像素）
+   * @param {Camera} options.camera - 截图相机（默认使用当前相机，不会被修改）
+   * @param {boolean} options.transparentBackground - 是否保留透明背景（默认 false，背景为黑色或 setBackground 设置的背景；为 true 时不绘制背景）
+   * @param {number} options.tileSize - 分块尺寸上限（像素，可选，默认取 GPU 限制与 4096 的较小值）
+   * @param {string[]} options.objectOrder - 对象渲染顺序（可选，同 render）
+   * @param {number} options.layerMask - 图层掩码（可选，默认使用 camera.layerMask），如导出时排除编辑器辅助图层
+   * @returns {Promise<Blob>} PNG 图片
+   */
+  async captureImage(options = {}) {
+    const gl = this.gl;
+    const {
+      camera = this.camera,
+      transparentBackground = false,
+      tileSize = null,
+      objectOrder = null,
+    } = options;
+    const width = Math.floor(options.width);
+    const height = Math.floor(options.height);
+
+    if (!gl) {
+      throw new Error('captureImage requires a WebGL context');
+    }
+    if (!(width > 0) || !(height > 0)) {
+      throw new Error(`captureImage: invalid size ${options.width}x${options.height}`);
+    }
+    if (!(camera instanceof Camera)) {
+      throw new Error('captureImage: camera 须为 Camera 实例');
+    }
+
+    // 分块尺寸受纹理、渲染缓冲和视口三者限制
+    const viewportDims = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    const maxTileSize = Math.min(
+      gl.getParameter(gl.MAX_TEXTURE_SIZE),
+      gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+      viewportDims[0],
+      viewportDims[1],
+      4096
+    );
+    let tile = Math.max(1, Math.min(tileSize > 0 ? Math.floor(tileSize) : maxTileSize, maxTileSize));
+
+    // 分块时 Bloom / FXAA 在块边缘的采样会被截断：每块四周多渲染一圈再裁掉（扩展后的区域不超过分块上限）
+    let padding = 0;
+    if ((tile < width || tile < height) && this.postProcessingRenderer && this.postProcessingRenderer.isActive()) {
+      padding = this.postProcessingRenderer.getTilePadding();
+      if (padding > 0) {
+        tile = Math.max(1, Math.min(tile, maxTileSize - 2 * padding - 2));
+      }
+    }
+
+    // 复制相机并适配输出尺寸；未使用 FOV 时按比例缩放焦距，保持视野不变
+    const captureCamera = camera.clone();
+    if (captureCamera.targetVerticalFOV === null || captureCamera.targetVerticalFOV === undefined) {
+      captureCamera.fx = camera.fx * (width / camera.width);
+      captureCamera.fy = camera.fy * (height / camera.height);
+    }
+    captureCamera.width = width;
+    captureCamera.height = height;
+    if (Number.isInteger(options.layerMask)) {
+      captureCamera.layerMask = options.layerMask;
+    }
+
+    const canvas = createCaptureCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      throw new Error('captureImage: 无法创建 2D canvas 上下文');
+    }
+
+    const target = new OffscreenRenderTarget(gl, Math.min(tile + 2 * padding + 2, width), Math.min(tile + 2 * padding + 2, height), {
+      camera: captureCamera,
+      clearColor: transparentBackground ? [0, 0, 0, 0] : [0, 0, 0, 1],
+    });
+
+    this._backgroundSuppressed = transparentBackground;
+    this._selectionSuppressed = true;
+    try {
+      // 高斯按截图相机的视图排序后再绘制（屏幕上的排序结果属于屏幕相机）；等待期间屏幕渲染不发送屏幕视图
+      this._splatSortHeld = true;
+      await this._sortSplatsForView(captureCamera.viewMatrix, captureCamera.projectionMatrix, captureCamera.layerMask);
+
+      for (let y = 0; y < height; y += tile) {
+        for (let x = 0; x < width; x += tile) {
+          const tileWidth = Math.min(tile, width - x);
+          const tileHeight = Math.min(tile, height - y);
+          // 扩展区域在画面边缘处截断（与不分块时一致）；起点取偶数，使 Bloom 的半分辨率纹素与完整画面对齐
+          const regionX = Math.max(0, x - padding) & ~1;
+          const regionY = Math.max(0, y - padding) & ~1;
+          const regionWidth = Math.min(width, x + tileWidth + padding) - regionX;
+          const regionHeight = Math.min(height, y + tileHeight + padding) - regionY;
+          target.resize(regionWidth, regionHeight);
+          target.setViewRegion({ x: regionX, y: regionY, width: regionWidth, height: regionHeight, fullWidth: width, fullHeight: height });
+          this.render(target, null, null, null, objectOrder);
+
+          const pixels = target.readPixels({ flipY: true, unpremultiply: transparentBackground });
+          if (!transparentBackground) {
+            for (let i = 3; i < pixels.length; i += 4) {
+              pixels[i] = 255;
+            }
+          }
+          // 只写入块本身，裁掉四周扩展的部分
+          ctx.putImageData(
+            new ImageData(new Uint8ClampedArray(pixels.buffer), regionWidth, regionHeight),
+            regionX, regionY,
+            x - regionX, y - regionY, tileWidth, tileHeight
+          );
+        }
+      }
+    } finally {
+      this._backgroundSuppressed = false;
+      this._selectionSuppressed = false;
+      this._splatSortHeld = false;
+      target.dispose();
+      // 屏幕渲染按屏幕视图重新排序
+      this.invalidate();
+    }
+
+    return canvasToPngBlob(canvas);
+  }
+
+  /**
+   * 替换内置渲染类型使用的 program 及 uniform/attribute 位置（只替换传入的字段）
+   * @param {Object} programs - { splatProgram, splatUniforms, splatAttributes, splat3DGSProgram, ..., meshProgram, ..., linesProgram, ..., pointCloudProgram, ... }
+   */
+  setPrograms(programs = {}) {
+    for (const field of PROGRAM_FIELDS) {
+      if (field in programs) {
+        this[field] = programs[field] || null;
+      }
+    }
+    // 向后兼容的旧属性名
+    this.program = this.splatProgram;
+    this.uniforms = this.splatUniforms;
+    this.attributes = this.splatAttributes;
+    this.stats.invalidateProgram();
+  }
+
+  /**
+   * WebGL 上下文恢复后重建管线（对象列表、相机、时间轴和各项配置保留）
+   * 丢失前的 GL 对象全部失效：内部渲染器与共享资源按当前配置重新创建，对象材质从 ShaderRegistry 重新获取 program，
+   * 渲染对象丢弃失效句柄后调用 restoreResources 从 CPU 数据重新上传；没有该回调的对象保持未就绪，由创建方重新加载
+   * 调用前须先恢复外部传入的 ShaderRegistry（ShaderRegistry.restore）并重新编译内置 program
+   * @param {Object} programs - 重新编译的内置 program，见 setPrograms
+   * @returns {{ restored: string[], lost: string[] }} 已恢复 / 需要重新加载资源的对象 ID
+   */
+  handleContextRestored(programs = {}) {
+    const gl = this.gl;
+    this.setPrograms(programs);
+
+    // 内部创建的 ShaderRegistry 由管线自行恢复
+    if (this.shaderRegistry && this._ownsShaderRegistry) {
+      this.shaderRegistry.restore();
+    }
+    this._defaultInstancedMaterial = undefined;
+
+    this.stats.restoreContext();
+    this._initSharedResources();
+
+    // 内部渲染器直接丢弃（不调用 dispose），按当前配置重新创建；拾取、选中描边与阴影在下次使用时创建
+    const postProcessing = this.getPostProcessing();
+    this.pickingRenderer = null;
+    this.shadowRenderer = null;
+    this._shadowRendererFailed = false;
+    this._shadowState = null;
+    this.selectionRenderer = null;
+    this._selectionRendererFailed = false;
+    if (this.mergedSplatRenderer) {
+      // 合并排序 Worker 不随上下文失效，需要停止；高斯中心在下次合并绘制时重新请求
+      this.mergedSplatRenderer.terminate();
+      this.mergedSplatRenderer = null;
+    }
+    this._mergedSplatRendererFailed = false;
+    this.postProcessingRenderer = null;
+    this.backgroundRenderer = null;
+    this.environmentMap = null;
+    this.depthVisualizationRenderer = null;
+    this.axisGridRenderer = null;
+    if (this._axisGridInitializer) {
+      this.initAxisGrid(this._axisGridInitializer);
+    }
+    if (this.showDepthVisualization) {
+      this.setShowDepthVisualization(true);
+    }
+    if (postProcessing) {
+      this.setPostProcessing(postProcessing);
+    }
+    if (this._background) {
+      this.setBackground(this._background);
+    }
+    if (this._environment) {
+      this.setEnvironment(this._environment);
+    }
+
+    for (const pass of this.renderPasses) {
+      restoreRenderPass(pass, gl);
+    }
+
+    const restored = [];
+    const lost = [];
+    const refreshedMaterials = new Set(); // 多个对象共用的材质只刷新一次
+    for (const obj of this.objects.values()) {
+      const material = obj.material;
+      if (material && !refreshedMaterials.has(material)) {
+        refreshedMaterials.add(material);
+        if (typeof material.refresh !== 'function' || !material.refresh(this.shaderRegistry)) {
+          console.warn(`[HoloRP] 对象 "${obj.id}" 的材质无法恢复（未记录 shaderName 或 shader 未注册）`);
+        }
+      }
+      if (obj.renderType === RenderType.GROUP) {
+        continue;
+      }
+      obj.discardLostResources();
+      if (typeof obj.restoreResources !== 'function') {
+        lost.push(obj.id);
+        continue;
+      }
+      try {
+        obj.restoreResources(gl, obj);
+        restored.push(obj.id);
+      } catch (err) {
+        console.error(`[HoloRP] 对象 "${obj.id}" 资源恢复失败:`, err);
+        obj.ready = false;
+        lost.push(obj.id);
+      }
+    }
+    return { restored, lost };
+  }
+
+  /**
+   * 获取当前存活的 GL 对象数量（需先对上下文调用 enableResourceTracking，useWebGL 已自动启用）
+   * @returns {{ live: Object, created: Object, deleted: Object, total: number }|null} 未启用统计时为 null
+   */
+  getResourceStats() {
+    return getResourceStats(this.gl);
+  }
+
   /**
    * 清理资源
+   * 释放管线创建的所有 GPU 资源和全部渲染对象的资源引用；构造时传入的 program 由创建方管理
    */
   dispose() {
     const gl = this.gl;
-    
+
+    // 停止时间轴并通知订阅者（useTimeline 据此重新绑定到新的管线）
+    this.timeline.dispose();
+
     // 清理坐标轴网格渲染器
     if (this.axisGridRenderer && this.axisGridRenderer.cleanup) {
       this.axisGridRenderer.cleanup();
@@ -1431,6 +3782,63 @@ export class HoloRP {
       this.depthVisualizationRenderer = null;
     }
 
+    // 清理内部创建的 ShaderRegistry（外部传入的由创建方管理）
+    if (this.shaderRegistry && this._ownsShaderRegistry) {
+      this.shaderRegistry.clear();
+    }
+    this.shaderRegistry = null;
+    this._ownsShaderRegistry = false;
+    this._defaultInstancedMaterial = undefined;
+
+    // 清理 GPU 计时查询
+    if (this.stats) {
+      this.stats.dispose();
+    }
+
+    // 清理背景渲染器
+    if (this.backgroundRenderer) {
+      this.backgroundRenderer.dispose();
+      this.backgroundRenderer = null;
+    }
+
+    // 清理环境贴图
+    if (this.environmentMap) {
+      this.environmentMap.dispose();
+      this.environmentMap = null;
+    }
+
+    // 清理后期处理渲染器
+    if (this.postProcessingRenderer) {
+      this.postProcessingRenderer.dispose();
+      this.postProcessingRenderer = null;
+    }
+
+    // 清理选中描边渲染器
+    if (this.selectionRenderer) {
+      this.selectionRenderer.dispose();
+      this.selectionRenderer = null;
+    }
+
+    // 清理合并高斯渲染器（同时停止合并排序 Worker）
+    if (this.mergedSplatRenderer) {
+      this.mergedSplatRenderer.dispose();
+      this.mergedSplatRenderer = null;
+    }
+    this.selectedIds = [];
+
+    // 清理拾取渲染器
+    if (this.pickingRenderer) {
+      this.pickingRenderer.dispose();
+      this.pickingRenderer = null;
+    }
+
+    // 清理阴影渲染器
+    if (this.shadowRenderer) {
+      this.shadowRenderer.dispose();
+      this.shadowRenderer = null;
+    }
+    this._shadowState = null;
+
     // 清理顶点缓冲区
     if (this.vertexBuffer && gl) {
       gl.deleteBuffer(this.vertexBuffer);
@@ -1443,10 +3851,56 @@ export class HoloRP {
       this.defaultTexture = null;
     }
 
-    // 清空对象列表
+    // 清理光源 uniform buffer
+    if (this.lightsBuffer && gl) {
+      gl.deleteBuffer(this.lightsBuffer);
+      this.lightsBuffer = null;
+    }
+    if (this.defaultShadowMap && gl) {
+      gl.deleteTexture(this.defaultShadowMap);
+      this.defaultShadowMap = null;
+    }
+
+    // 清理自定义 Pass
+    for (const pass of this.renderPasses) {
+      disposeRenderPass(pass, gl);
+    }
+    this.renderPasses = [];
+
+    // 释放全部渲染对象的资源引用并清空对象列表
     this.clearObjects();
   }
 }
 
+/**
+ * 创建用于拼接截图的 2D canvas（优先 OffscreenCanvas）
+ * @private
+ */
+function createCaptureCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
 
-
+/**
+ * 将 canvas 编码为 PNG Blob
+ * @private
+ */
+function canvasToPngBlob(canvas) {
+  if (typeof canvas.convertToBlob === 'function') {
+    return canvas.convertToBlob({ type: 'image/png' });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('captureImage: PNG 编码失败'));
+      }
+    }, 'image/png');
+  });
+}
@@ -0,0 +1,289 @@
+/**
+ * 光源列表
+ * 光源统一为世界空间；平行光、点光源和聚光灯打包到 Lights uniform block（见 lightingShaders.js），
+ * 每个视图上传一次，由所有包含该 block 的 program 共享。头灯为跟随相机朝向的平行光，占用一个光源槽位。
+ * 第一个 castShadow 的平行光投射阴影（阴影贴图由 shadowRenderer.js 渲染）
+ */
+
+import { MAX_LIGHTS, LIGHTS_BLOCK_NAME, LIGHTS_BLOCK_BINDING, LIGHT_TYPE_IDS, SHADOW_TEXTURE_UNIT } from '../shaders/lightingShaders';
+
+export { MAX_LIGHTS, LIGHTS_BLOCK_BINDING, SHADOW_TEXTURE_UNIT };
+
+/**
+ * 光源类型
+ */
+export const LightType = {
+  DIRECTIONAL: 'directional',
+  POINT: 'point',
+  SPOT: 'spot',
+};
+
+// std140 布局：4 个 vec4[MAX_LIGHTS] + 3 个 vec4 + 1 个 ivec4 + 1 个 mat4 + 1 个 vec4
+const LIGHTS_BLOCK_FLOATS = MAX_LIGHTS * 4 * 4 + 3 * 4 + 4 + 16 + 4;
+
+/**
+ * Lights uniform block 的字节数
+ */
+export const LIGHTS_BUFFER_SIZE = LIGHTS_BLOCK_FLOATS * 4;
+
+// program -> 是否包含 Lights block（已设置绑定点和阴影贴图纹理单元）
+const blockCache = new WeakMap();
+
+const isVec3 = (v) => (Array.isArray(v) || ArrayBuffer.isView(v)) && v.length >= 3
+  && Number.isFinite(v[0]) && Number.isFinite(v[1]) && Number.isFinite(v[2]);
+
+function normalizeVec3(v, name, owner) {
+  if (!isVec3(v)) {
+    throw new Error(`${owner}: ${name} 须为 [x, y, z]`);
+  }
+  const length = Math.hypot(v[0], v[1], v[2]);
+  if (length < 1e-8) {
+    throw new Error(`${owner}: ${name} 不能为零向量`);
+  }
+  return [v[0] / length, v[1] / length, v[2] / length];
+}
+
+function normalizeColor(color, owner) {
+  if (!isVec3(color) || color[0] < 0 || color[1] < 0 || color[2] < 0) {
+    throw new Error(`${owner}: color 须为非负的 [r, g, b]`);
+  }
+  return [color[0], color[1], color[2]];
+}
+
+function normalizeIntensity(intensity, owner) {
+  if (!Number.isFinite(intensity) || intensity < 0) {
+    throw new Error(`${owner}: intensity 须为非负数`);
+  }
+  return intensity;
+}
+
+/**
+ * 默认光源：与之前内置的单个平行光一致（方向 [-1, 5, 1]，白色，强度 0.6）
+ * @returns {Object[]}
+ */
+export function createDefaultLights() {
+  return [normalizeLight({ type: LightType.DIRECTIONAL, direction: [-1, 5, 1], intensity: 0.6 })];
+}
+
+/**
+ * 默认环境光：天空色与地面色相同，等价于之前的 ambientIntensity = 0.6
+ * @returns {Object}
+ */
+export function createDefaultAmbientLight() {
+  return { skyColor: [1, 1, 1], groundColor: [1, 1, 1], intensity: 0.6, up: [0, 1, 0] };
+}
+
+/**
+ * 默认头灯（关闭）
+ * @returns {Object}
+ */
+export function createDefaultHeadlight() {
+  return { enabled: false, color: [1, 1, 1], intensity: 0.6 };
+}
+
+/**
+ * 规范化光源
+ * @param {Object} light - 光源
+ * @param {string} light.type - 'directional' | 'point' | 'spot'
+ * @param {number[]} light.color - 颜色 [r, g, b]（默认白色）
+ * @param {number} light.intensity - 强度（默认 1）
+ * @param {number[]} light.direction - 光线传播方向（平行光、聚光灯）
+ * @param {number[]} light.position - 世界坐标（点光源、聚光灯）
+ * @param {number} light.range - 影响范围，超出后衰减为 0；0 表示无限（点光源、聚光灯，默认 0）
+ * @param {number} light.innerConeAngle - 聚光灯内锥角（弧度，默认 0）
+ * @param {number} light.outerConeAngle - 聚光灯外锥角（弧度，默认 π/4）
+ * @param {boolean} light.castShadow - 是否投射阴影（仅平行光，默认 false）
+ * @returns {Object} 新对象，方向已归一化
+ */
+export function normalizeLight(light) {
+  const owner = 'normalizeLight';
+  if (!light || !Object.values(LightType).includes(light.type)) {
+    throw new Error(`${owner}: type 须为 ${Object.values(LightType).join(' | ')}`);
+  }
+  const { type, color = [1, 1, 1], intensity = 1 } = light;
+  const result = {
+    type,
+    color: normalizeColor(color, owner),
+    intensity: normalizeIntensity(intensity, owner),
+  };
+
+  if (type !== LightType.POINT) {
+    result.direction = normalizeVec3(light.direction, 'direction', owner);
+  }
+  if (light.castShadow) {
+    if (type !== LightType.DIRECTIONAL) {
+      throw new Error(`${owner}: castShadow 只支持平行光`);
+    }
+    result.castShadow = true;
+  }
+  if (type !== LightType.DIRECTIONAL) {
+    if (!isVec3(light.position)) {
+      throw new Error(`${owner}: ${type} 光源须指定 position [x, y, z]`);
+    }
+    const { range = 0 } = light;
+    if (!Number.isFinite(range) || range < 0) {
+      throw new Error(`${owner}: range 须为非负数`);
+    }
+    result.position = [light.position[0], light.position[1], light.position[2]];
+    result.range = range;
+  }
+  if (type === LightType.SPOT) {
+    const { innerConeAngle = 0, outerConeAngle = Math.PI / 4 } = light;
+    if (!(outerConeAngle > 0 && outerConeAngle <= Math.PI / 2)) {
+      throw new Error(`${owner}: outerConeAngle 须在 (0, π/2] 内`);
+    }
+    if (!(innerConeAngle >= 0 && innerConeAngle < outerConeAngle)) {
+      throw new Error(`${owner}: innerConeAngle 须在 [0, outerConeAngle) 内`);
+    }
+    result.innerConeAngle = innerConeAngle;
+    result.outerConeAngle = outerConeAngle;
+  }
+  return result;
+}
+
+/**
+ * 规范化半球环境光（未指定的字段取 base 中的值）
+ * @param {Object} ambient - { skyColor, groundColor, intensity, up }
+ * @param {Object} base - 当前值
+ * @returns {Object}
+ */
+export function normalizeAmbientLight(ambient, base = createDefaultAmbientLight()) {
+  const owner = 'normalizeAmbientLight';
+  const merged = { ...base, ...ambient };
+  return {
+    skyColor: normalizeColor(merged.skyColor, owner),
+    groundColor: normalizeColor(merged.groundColor, owner),
+    intensity: normalizeIntensity(merged.intensity, owner),
+    up: normalizeVec3(merged.up, 'up', owner),
+  };
+}
+
+/**
+ * 规范化头灯（未指定的字段取 base 中的值）
+ * @param {Object} headlight - { enabled, color, intensity }
+ * @param {Object} base - 当前值
+ * @returns {Object}
+ */
+export function normalizeHeadlight(headlight, base = createDefaultHeadlight()) {
+  const owner = 'normalizeHeadlight';
+  const merged = { ...base, ...headlight };
+  return {
+    enabled: !!merged.enabled,
+    color: normalizeColor(merged.color, owner),
+    intensity: normalizeIntensity(merged.intensity, owner),
+  };
+}
+
+/**
+ * 由视图矩阵和投影矩阵计算相机在世界空间的朝向（头灯方向）
+ * Camera 类朝 +z，OpenGL/WebXR 朝 -z，按投影矩阵区分
+ * @param {number[]} viewMatrix - 视图矩阵
+ * @param {number[]} projectionMatrix - 投影矩阵
+ * @returns {number[]} 单位向量
+ */
+export function getCameraForward(viewMatrix, projectionMatrix) {
+  const c = projectionMatrix[11];
+  const sign = c !== 0 ? Math.sign(c) : Math.sign(projectionMatrix[10]) || -1;
+  const forward = [viewMatrix[2] * sign, viewMatrix[6] * sign, viewMatrix[10] * sign];
+  const length = Math.hypot(forward[0], forward[1], forward[2]) || 1;
+  return [forward[0] / length, forward[1] / length, forward[2] / length];
+}
+
+/**
+ * 打包 Lights uniform block 数据
+ * @param {ArrayBuffer} buffer - LIGHTS_BUFFER_SIZE 字节
+ * @param {Object[]} lights - 规范化后的光源（超出 MAX_LIGHTS 的部分忽略）
+ * @param {Object} ambient - 规范化后的环境光
+ * @param {Object|null} shadow - 阴影 { lightIndex, matrix, bias, normalBias, pcfRadius }，null 或 lightIndex 超出范围时不计算阴影
+ * @returns {number} 实际写入的光源数量
+ */
+export function packLights(buffer, lights, ambient, shadow = null) {
+  const floats = new Float32Array(buffer, 0, LIGHTS_BLOCK_FLOATS);
+  floats.fill(0);
+  const count = Math.min(lights.length, MAX_LIGHTS);
+  const positionType = 0;
+  const directionRange = MAX_LIGHTS * 4;
+  const colorIntensity = MAX_LIGHTS * 8;
+  const spotCone = MAX_LIGHTS * 12;
+
+  for (let i = 0; i < count; i++) {
+    const light = lights[i];
+    const o = i * 4;
+    if (light.position) floats.set(light.position, positionType + o);
+    floats[positionType + o + 3] = LIGHT_TYPE_IDS[light.type];
+    if (light.direction) floats.set(light.direction, directionRange + o);
+    floats[directionRange + o + 3] = light.range || 0;
+    floats.set(light.color, colorIntensity + o);
+    floats[colorIntensity + o + 3] = light.intensity;
+    if (light.type === LightType.SPOT) {
+      floats[spotCone + o] = Math.cos(light.outerConeAngle);
+      floats[spotCone + o + 1] = Math.cos(light.innerConeAngle);
+    }
+  }
+
+  const hemisphere = MAX_LIGHTS * 16;
+  for (let c = 0; c < 3; c++) {
+    floats[hemisphere + c] = ambient.skyColor[c] * ambient.intensity;
+    floats[hemisphere + 4 + c] = ambient.groundColor[c] * ambient.intensity;
+  }
+  floats.set(ambient.up, hemisphere + 8);
+  new Int32Array(buffer, (hemisphere + 12) * 4, 4)[0] = count;
+
+  const shadowOffset = hemisphere + 16;
+  if (shadow && shadow.lightIndex >= 0 && shadow.lightIndex < count) {
+    floats.set(shadow.matrix, shadowOffset);
+    floats[shadowOffset + 16] = shadow.lightIndex;
+    floats[shadowOffset + 17] = shadow.bias;
+    floats[shadowOffset + 18] = shadow.normalBias;
+    floats[shadowOffset + 19] = shadow.pcfRadius;
+  } else {
+    floats[shadowOffset + 16] = -1;
+  }
+  return count;
+}
+
+/**
+ * 为 program 的 Lights block 设置绑定点，并把 shadowMap 指向 SHADOW_TEXTURE_UNIT（结果按 program 缓存）
+ * 须在 useProgram(program) 之后调用
+ * @param {WebGL2RenderingContext} gl
+ * @param {WebGLProgram} program
+ * @returns {boolean} program 是否包含 Lights block
+ */
+export function bindLightsBlock(gl, program) {
+  let hasBlock = blockCache.get(program);
+  if (hasBlock === undefined) {
+    const index = gl.getUniformBlockIndex(program, LIGHTS_BLOCK_NAME);
+    hasBlock = index !== gl.INVALID_INDEX;
+    if (hasBlock) {
+      gl.uniformBlockBinding(program, index, LIGHTS_BLOCK_BINDING);
+      const shadowMap = gl.getUniformLocation(program, 'shadowMap');
+      if (shadowMap) {
+        gl.uniform1i(shadowMap, SHADOW_TEXTURE_UNIT);
+      }
+    }
+    blockCache.set(program, hasBlock);
+  }
+  return hasBlock;
+}
+
+/**
+ * 为声明了旧版单光源 uniform（lightDirection / lightColor / lightIntensity / ambientIntensity）的自定义 shader 设置值
+ * 取第一个平行光（含头灯）和环境光强度；program 不含这些 uniform 时忽略
+ * @param {WebGL2RenderingContext} gl
+ * @param {Object} uniforms - uniform 位置
+ * @param {{ direction: number[], color: number[], intensity: number, ambientIntensity: number }} legacy - 见 HoloRP._updateLights
+ */
+export function applyLegacyLightUniforms(gl, uniforms, legacy) {
+  if (uniforms.lightDirection) {
+    gl.uniform3fv(uniforms.lightDirection, legacy.direction);
+  }
+  if (uniforms.lightColor) {
+    gl.uniform3fv(uniforms.lightColor, legacy.color);
+  }
+  if (uniforms.lightIntensity) {
+    gl.uniform1f(uniforms.lightIntensity, legacy.intensity);
+  }
+  if (uniforms.ambientIntensity) {
+    gl.uniform1f(uniforms.ambientIntensity, legacy.ambientIntensity);
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * 材质属性 uniform
+ * 把 Material.properties 中与 program 的 active uniform 同名的属性按 uniform 类型上传，
+ * 自定义材质和内置材质的参数（如 Standard 的 baseColorFactor、各贴图）都通过这里设置
+ */
+
+// program -> { name: { type, size, location } }
+const uniformInfoCache = new WeakMap();
+
+/**
+ * 材质纹理可用的最高纹理单元（更高的单元保留给环境贴图和阴影贴图）
+ */
+export const MAX_MATERIAL_TEXTURE_UNIT = 12;
+
+/**
+ * 获取 program 的 active uniform（数组 uniform 去掉 [0] 后缀，按 program 缓存）
+ * @param {WebGL2RenderingContext} gl
+ * @param {WebGLProgram} program
+ * @returns {Object<string, { type: number, size: number, location: WebGLUniformLocation }>}
+ */
+export function getActiveUniforms(gl, program) {
+  let info = uniformInfoCache.get(program);
+  if (info) {
+    return info;
+  }
+  info = {};
+  const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS) || 0;
+  for (let i = 0; i < count; i++) {
+    const active = gl.getActiveUniform(program, i);
+    if (!active) {
+      continue;
+    }
+    const name = active.name.endsWith('[0]') ? active.name.slice(0, -3) : active.name;
+    const location = gl.getUniformLocation(program, active.name);
+    if (location) {
+      info[name] = { type: active.type, size: active.size, location };
+    }
+  }
+  uniformInfoCache.set(program, info);
+  return info;
+}
+
+/**
+ * 上传材质属性（调用前须已 useProgram(material.program)）
+ * - 数值 / 数组按 uniform 类型上传（float、vec2-4、int、bool、mat3、mat4，支持数组 uniform）
+ * - sampler2D 属性为 WebGLTexture，从 firstUnit 起依次占用纹理单元；值为 null 时绑定 fallbackTexture。
+ *   program 声明了 use<属性名>（首字母大写）的 bool uniform 且 properties 中没有同名属性时，按是否有纹理自动设置
+ * - 没有同名 uniform 的属性忽略
+ * @param {WebGL2RenderingContext} gl
+ * @param {Material} material
+ * @param {number} firstUnit - 第一个可用的纹理单元（0 号单元由对象的 diffuseTexture 使用）
+ * @param {WebGLTexture|null} fallbackTexture - 纹理属性为 null 时绑定的纹理
+ * @returns {number} 下一个可用的纹理单元
+ */
+export function applyMaterialProperties(gl, material, firstUnit = 1, fallbackTexture = null) {
+  const properties = material.properties;
+  if (!properties || !material.program) {
+    return firstUnit;
+  }
+  const uniforms = getActiveUniforms(gl, material.program);
+  let unit = firstUnit;
+
+  for (const name of Object.keys(properties)) {
+    const info = uniforms[name];
+    const value = properties[name];
+    if (!info || value === undefined) {
+      continue;
+    }
+
+    if (info.type === gl.SAMPLER_2D) {
+      if (unit > MAX_MATERIAL_TEXTURE_UNIT) {
+        console.warn(`[Material] "${material.name}" 的纹理属性超过可用纹理单元（${firstUnit}-${MAX_MATERIAL_TEXTURE_UNIT}），已忽略:`, name);
+        continue;
+      }
+      gl.activeTexture(gl.TEXTURE0 + unit);
+      gl.bindTexture(gl.TEXTURE_2D, value || fallbackTexture);
+      gl.uniform1i(info.location, unit);
+      unit++;
+
+      const flagName = `use${name[0].toUpperCase()}${name.slice(1)}`;
+      const flag = uniforms[flagName];
+      if (flag && !(flagName in properties)) {
+        gl.uniform1i(flag.location, value ? 1 : 0);
+      }
+      continue;
+    }
+
+    setUniformValue(gl, info, value);
+  }
+
+  gl.activeTexture(gl.TEXTURE0);
+  return unit;
+}
+
+/**
+ * 按 uniform 类型上传单个值
+ * @private
+ */
+function setUniformValue(gl, info, value) {
+  const { type, location } = info;
+  const array = typeof value === 'number' || typeof value === 'boolean' ? [Number(value)] : value;
+  if (!array || typeof array.length !== 'number') {
+    return;
+  }
+
+  switch (type) {
+    case gl.FLOAT: gl.uniform1fv(location, array); break;
+    case gl.FLOAT_VEC2: gl.uniform2fv(location, array); break;
+    case gl.FLOAT_VEC3: gl.uniform3fv(location, array); break;
+    case gl.FLOAT_VEC4: gl.uniform4fv(location, array); break;
+    case gl.INT:
+    case gl.BOOL: gl.uniform1iv(location, Array.from(array, Number)); break;
+    case gl.FLOAT_MAT3: gl.uniformMatrix3fv(location, false, array); break;
+    case gl.FLOAT_MAT4: gl.uniformMatrix4fv(location, false, array); break;
+    default:
+      break;
+  }
+}
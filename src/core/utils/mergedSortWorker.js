@@ -0,0 +1,137 @@
+/**
+ * 跨对象合并排序 Worker（HoloRP 'merged' 合成方式）
+ * 保存各高斯对象的中心点，按每个对象自己的视图投影矩阵（含 model 矩阵）计算裁剪空间深度，
+ * 所有对象的高斯一起做一次从远到近的计数排序，输出一条合并的索引流：
+ * 每项高 4 位为对象在本次请求中的槽位，低 28 位为对象内的高斯序号（见 mergedSplatShaders）
+ *
+ * 消息：
+ * - { positions, id, vertexCount }：设置对象的高斯中心（Float32Array，xyz 交错）
+ * - { remove: id }：移除对象
+ * - { view: { ids, viewProjs }, force }：按对象顺序（槽位）排序，viewProjs 为各对象 16 个数的视图投影矩阵依次拼接；
+ *   force 为 true 时立即排序，不节流，也不因视图变化小而跳过
+ * 结果：{ mergedIndex, ids, vertexCounts, viewProjs }
+ *
+ * 函数会被转换为字符串在 Worker 中运行，不能引用外部变量
+ * @param {Object} self - Worker 全局对象（测试时可传入替身）
+ */
+export function mergedSortWorker(self) {
+  const SLOT_SHIFT = 28;
+  const BUCKETS = 256 * 256;
+  const objects = new Map(); // id -> { positions, vertexCount }
+  let pending = null;        // 最近一次请求的视图
+  let lastSorted = null;     // 上次排序使用的视图
+  let sortRunning = false;
+
+  // 对象顺序和数量不变、各对象深度方向变化很小时跳过排序（与 depthWorker 相同的阈值）
+  function isSameView(a, b) {
+    if (!a || !b || a.ids.length !== b.ids.length) return false;
+    for (let slot = 0; slot < a.ids.length; slot++) {
+      if (a.ids[slot] !== b.ids[slot] || a.vertexCounts[slot] !== b.vertexCounts[slot]) return false;
+      const base = slot * 16;
+      const dist = Math.hypot(
+        a.viewProjs[base + 2] - b.viewProjs[base + 2],
+        a.viewProjs[base + 6] - b.viewProjs[base + 6],
+        a.viewProjs[base + 10] - b.viewProjs[base + 10],
+        a.viewProjs[base + 14] - b.viewProjs[base + 14]
+      );
+      if (dist >= 0.01) return false;
+    }
+    return true;
+  }
+
+  function runSort(view, force) {
+    const { ids, viewProjs } = view;
+    const entries = [];
+    let total = 0;
+    for (const id of ids) {
+      const entry = objects.get(id);
+      if (!entry) return; // 中心点尚未送达（HoloRP 先发送中心点再请求排序，正常不会出现）
+      entries.push(entry);
+      total += entry.vertexCount;
+    }
+    const vertexCounts = entries.map(entry => entry.vertexCount);
+    const sorted = { ids, viewProjs, vertexCounts };
+    if (!force && isSameView(sorted, lastSorted)) return;
+
+    // 深度：各对象视图投影矩阵第 3 行（裁剪空间 z），同一相机下各对象可直接比较
+    const depths = new Int32Array(total);
+    let minDepth = Infinity;
+    let maxDepth = -Infinity;
+    let offset = 0;
+    for (let slot = 0; slot < entries.length; slot++) {
+      const { positions, vertexCount } = entries[slot];
+      const base = slot * 16;
+      const m2 = viewProjs[base + 2], m6 = viewProjs[base + 6], m10 = viewProjs[base + 10], m14 = viewProjs[base + 14];
+      for (let i = 0; i < vertexCount; i++) {
+        const depth = ((m2 * positions[3 * i] + m6 * positions[3 * i + 1] + m10 * positions[3 * i + 2] + m14) * 4096) | 0;
+        depths[offset + i] = depth;
+        if (depth < minDepth) minDepth = depth;
+        if (depth > maxDepth) maxDepth = depth;
+      }
+      offset += vertexCount;
+    }
+
+    // 16 位计数排序，深度大的（远的）在前
+    const depthInv = maxDepth > minDepth ? (BUCKETS - 1) / (maxDepth - minDepth) : 0;
+    const counts = new Uint32Array(BUCKETS);
+    for (let i = 0; i < total; i++) {
+      depths[i] = ((depths[i] - minDepth) * depthInv) | 0;
+      counts[depths[i]]++;
+    }
+    const starts = new Uint32Array(BUCKETS);
+    let start = 0;
+    for (let b = BUCKETS - 1; b >= 0; b--) {
+      starts[b] = start;
+      start += counts[b];
+    }
+    const mergedIndex = new Uint32Array(total);
+    offset = 0;
+    for (let slot = 0; slot < entries.length; slot++) {
+      const tag = slot << SLOT_SHIFT;
+      const vertexCount = entries[slot].vertexCount;
+      for (let i = 0; i < vertexCount; i++) {
+        mergedIndex[starts[depths[offset + i]]++] = (tag | i) >>> 0;
+      }
+      offset += vertexCount;
+    }
+
+    lastSorted = sorted;
+    self.postMessage({ mergedIndex, ids, vertexCounts, viewProjs }, [mergedIndex.buffer]);
+  }
+
+  const throttledSort = () => {
+    if (sortRunning || !pending) return;
+    sortRunning = true;
+    const view = pending;
+    runSort(view, false);
+    setTimeout(() => {
+      sortRunning = false;
+      if (pending !== view) throttledSort();
+    }, 0);
+  };
+
+  self.onmessage = (e) => {
+    const data = e.data;
+    if (data.positions) {
+      objects.set(data.id, { positions: data.positions, vertexCount: data.vertexCount });
+    } else if (data.remove !== undefined) {
+      objects.delete(data.remove);
+    } else if (data.view) {
+      pending = data.view;
+      if (data.force) {
+        runSort(pending, true);
+      } else {
+        throttledSort();
+      }
+    }
+  };
+}
+
+/**
+ * 创建跨对象合并排序 Worker
+ */
+export function createMergedSortWorker() {
+  const workerCode = `(${mergedSortWorker.toString()})(self);`;
+  const blob = new Blob([workerCode], { type: 'application/javascript' });
+  return new Worker(URL.createObjectURL(blob));
+}
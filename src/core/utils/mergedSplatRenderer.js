@@ -0,0 +1,380 @@
+/**
+ * 合并高斯渲染器（HoloRP 'merged' 合成方式）
+ * 所有参与合并的 4DGS/3DGS 对象的高斯由合并排序 Worker 一起按深度排序，得到一条带对象槽位的索引流，
+ * 再用一个 program 在一次实例化绘制中按从远到近的顺序交错绘制，重叠对象之间的混合顺序与单个对象内部一致。
+ *
+ * 合并排序需要各对象的高斯中心：从对象自己的深度排序 Worker 请求一份副本（requestPositions），
+ * 对象的纹理或高斯数量变化后重新请求。中心点送达之前、没有 Worker 或超出槽位上限的对象不参与合并
+ */
+
+import { createShader, createProgram, multiply4 } from './webgl';
+import { applyClippingUniforms } from './clippingPlanes';
+import { createMergedSortWorker } from './mergedSortWorker';
+import { mergedSplatVertexShaderSource, MAX_MERGED_SPLAT_OBJECTS } from '../shaders/mergedSplatShaders';
+import { fragmentShaderSource } from '../../shaders/splatShaders';
+
+/**
+ * 合并高斯渲染器类
+ */
+export class MergedSplatRenderer {
+  /**
+   * @param {WebGL2RenderingContext} gl - WebGL 上下文
+   * @param {Object} options - 选项
+   * @param {Function} options.onSorted - 新的合并排序结果上传后调用（用于按需渲染时请求重绘）
+   */
+  constructor(gl, options = {}) {
+    this.gl = gl;
+    this.onSorted = options.onSorted || null;
+
+    // Shader 资源
+    this.program = null;
+    this.vertexShader = null;
+    this.fragmentShader = null;
+    this.uniforms = {};
+    this.attributes = {};
+
+    // 合并索引流（每项为 槽位 << 28 | 对象内序号）及其对应的对象
+    this.indexBuffer = null;
+    this.sorted = null;             // { ids, vertexCounts, count }，null 表示还没有排序结果
+
+    this._sources = new Map();       // id -> { worker, texture, vertexCount, ready }，已请求 / 已送达的高斯中心
+    this._workerListeners = new Map(); // 对象 Worker -> { id, handler }
+    this._pendingViews = new Set();  // 等待指定视图排序结果的回调（截图）
+
+    this._initShader();
+    this.indexBuffer = gl.createBuffer();
+    this.worker = createMergedSortWorker();
+    this.worker.onmessage = (e) => this._handleSorted(e.data);
+  }
+
+  /**
+   * 初始化合并绘制 shader
+   * @private
+   */
+  _initShader() {
+    const gl = this.gl;
+
+    try {
+      this.vertexShader = createShader(gl, gl.VERTEX_SHADER, mergedSplatVertexShaderSource);
+      this.fragmentShader = createShader(gl, gl.FRAGMENT_SHADER, fragmentShaderSource);
+      this.program = createProgram(gl, this.vertexShader, this.fragmentShader);
+
+      for (const name of [
+        'u_textures', 'models', 'times', 'splatTypes', 'clippable',
+        'projection', 'view', 'focal', 'viewport', 'viewRegionEnabled', 'viewRegionTransform',
+        'depthOpacityThreshold', 'centerOpacityThreshold', 'depthWriteOnly',
+      ]) {
+        this.uniforms[name] = gl.getUniformLocation(this.program, name);
+      }
+      this.attributes = {
+        position: gl.getAttribLocation(this.program, 'position'),
+        index: gl.getAttribLocation(this.program, 'index'),
+      };
+    } catch (err) {
+      console.error('[MergedSplatRenderer] Shader 初始化失败:', err);
+      this._disposeProgram();
+      throw err;
+    }
+  }
+
+  /**
+   * 从候选对象中选出参与合并的对象（按列表顺序分配槽位，最多 MAX_MERGED_SPLAT_OBJECTS 个），
+   * 尚未取得高斯中心的对象向其 Worker 请求
+   * @param {RenderableObject[]} objects - 已就绪的 4DGS/3DGS 对象
+   * @returns {{ merged: RenderableObject[], separate: RenderableObject[] }} 参与合并 / 需要逐对象绘制的对象
+   */
+  prepare(objects) {
+    const merged = [];
+    const separate = [];
+    for (const obj of objects) {
+      if (merged.length < MAX_MERGED_SPLAT_OBJECTS && this._ensureSource(obj)) {
+        merged.push(obj);
+      } else {
+        separate.push(obj);
+      }
+    }
+    return { merged, separate };
+  }
+
+  /**
+   * 对象的高斯中心是否已送达合并排序 Worker（未请求时发送请求）
+   * @private
+   */
+  _ensureSource(obj) {
+    const worker = obj.worker;
+    if (!worker || typeof worker.addEventListener !== 'function') {
+      return false;
+    }
+    let source = this._sources.get(obj.id);
+    if (source && source.worker === worker && source.texture === obj.texture && source.vertexCount === obj.vertexCount) {
+      return source.ready;
+    }
+
+    // 首次使用或对象数据已重新加载：重新请求
+    source = { worker, texture: obj.texture, vertexCount: obj.vertexCount, ready: false };
+    this._sources.set(obj.id, source);
+    let listener = this._workerListeners.get(worker);
+    if (!listener) {
+      listener = { id: obj.id, handler: null };
+      listener.handler = (e) => {
+        if (!e.data || !e.data.positions || !this.worker) return;
+        const current = this._sources.get(listener.id);
+        if (!current || current.worker !== worker || e.data.vertexCount !== current.vertexCount) return;
+        this.worker.postMessage({ positions: e.data.positions, id: listener.id, vertexCount: e.data.vertexCount }, [e.data.positions.buffer]);
+        current.ready = true;
+        if (this.onSorted) {
+          this.onSorted();
+        }
+      };
+      worker.addEventListener('message', listener.handler);
+      this._workerListeners.set(worker, listener);
+    }
+    listener.id = obj.id;
+    worker.postMessage({ requestPositions: true });
+    return false;
+  }
+
+  /**
+   * 按视图请求合并排序（Worker 内节流，视图变化很小时跳过）
+   * @param {RenderableObject[]} objects - 参与合并的对象（prepare 返回的 merged，顺序即槽位）
+   * @param {number[]} viewMatrix - 视图矩阵
+   * @param {number[]} projectionMatrix - 投影矩阵
+   * @param {boolean} force - 是否立即排序（截图）
+   * @returns {number[]} 各对象的视图投影矩阵依次拼接
+   */
+  sort(objects, viewMatrix, projectionMatrix, force = false) {
+    const viewProjs = [];
+    for (const obj of objects) {
+      viewProjs.push(...multiply4(projectionMatrix, multiply4(viewMatrix, obj.getModelMatrix())));
+    }
+    this.worker.postMessage({ view: { ids: objects.map(obj => obj.id), viewProjs }, force });
+    return viewProjs;
+  }
+
+  /**
+   * 按指定视图排序并等待结果（超时后使用已有结果）
+   * @returns {Promise<void>}
+   */
+  sortForView(objects, viewMatrix, projectionMatrix, timeout) {
+    return new Promise((resolve) => {
+      const viewProjs = this.sort(objects, viewMatrix, projectionMatrix, true);
+      // 收到 null 表示 Worker 已停止
+      const waiter = (sortedViewProjs) => {
+        if (!sortedViewProjs ||
+            (sortedViewProjs.length === viewProjs.length && sortedViewProjs.every((v, i) => v === viewProjs[i]))) {
+          finish();
+        }
+      };
+      const finish = () => {
+        clearTimeout(timer);
+        this._pendingViews.delete(waiter);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        console.warn('[MergedSplatRenderer] 截图视图的合并排序超时，使用当前排序结果');
+        finish();
+      }, timeout);
+      this._pendingViews.add(waiter);
+    });
+  }
+
+  /**
+   * 上传合并排序结果
+   * @private
+   */
+  _handleSorted(data) {
+    if (!data || !data.mergedIndex) return;
+    const gl = this.gl;
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.indexBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, data.mergedIndex, gl.DYNAMIC_DRAW);
+    this.sorted = { ids: data.ids, vertexCounts: data.vertexCounts, count: data.mergedIndex.length };
+    for (const waiter of [...this._pendingViews]) {
+      waiter(data.viewProjs);
+    }
+    if (this.onSorted) {
+      this.onSorted();
+    }
+  }
+
+  /**
+   * 最近的排序结果是否正好对应这些对象（同一组对象，高斯数量一致），是则按结果中的槽位顺序返回
+   * @param {RenderableObject[]} objects - 参与合并的对象
+   * @returns {RenderableObject[]|null} 按槽位排列的对象，不对应时为 null
+   */
+  getSortedOrder(objects) {
+    const sorted = this.sorted;
+    if (!sorted || sorted.ids.length !== objects.length) {
+      return null;
+    }
+    const byId = new Map(objects.map(obj => [obj.id, obj]));
+    const ordered = sorted.ids.map(id => byId.get(id));
+    const matches = ordered.every((obj, slot) => obj && obj.vertexCount === sorted.vertexCounts[slot]);
+    return matches ? ordered : null;
+  }
+
+  /**
+   * 移除对象在合并排序 Worker 中的数据（对象从管线移除时调用）
+   * @param {string} id - 对象 ID
+   */
+  forget(id) {
+    const source = this._sources.get(id);
+    if (!source) {
+      return;
+    }
+    this._sources.delete(id);
+    const listener = this._workerListeners.get(source.worker);
+    if (listener && listener.id === id) {
+      source.worker.removeEventListener('message', listener.handler);
+      this._workerListeners.delete(source.worker);
+    }
+    if (this.worker) {
+      this.worker.postMessage({ remove: id });
+    }
+  }
+
+  /**
+   * 按最近的合并排序结果绘制：先从远到近混合颜色，再写入深度
+   * @param {RenderableObject[]} objects - 参与合并的对象，须按槽位排列（getSortedOrder 的结果）
+   * @param {Object} params - 绘制参数
+   * @param {number[]} params.viewMatrix - 视图矩阵
+   * @param {number[]} params.projectionMatrix - 投影矩阵
+   * @param {ViewInfo} params.viewInfo - 视图信息（视口、焦距、子区域变换）
+   * @param {WebGLBuffer} params.quadBuffer - 高斯 quad 顶点缓冲
+   * @param {Object|null} params.clipping - 裁剪平面（见 applyClippingUniforms）
+   * @param {Function} params.is4DGS - 对象是否为 4DGS (obj) => boolean，否则按 3DGS 解码
+   * @param {Function} params.getObjectTime - 4DGS 对象的本地时间 (obj) => number
+   * @param {number} params.depthOpacityThreshold - 深度写入的不透明度阈值
+   * @param {number} params.centerOpacityThreshold - 深度写入的中心不透明度阈值
+   * @returns {number} 绘制调用次数
+   */
+  render(objects, params) {
+    const gl = this.gl;
+    const { uniforms, attributes } = this;
+    const { viewInfo } = params;
+    const aPosition = attributes.position;
+    const aIndex = attributes.index;
+    if (aPosition < 0 || aIndex < 0 || !params.quadBuffer || objects.length === 0) {
+      return 0;
+    }
+
+    gl.useProgram(this.program);
+    gl.uniformMatrix4fv(uniforms.projection, false, params.projectionMatrix);
+    gl.uniformMatrix4fv(uniforms.view, false, params.viewMatrix);
+    gl.uniform2f(uniforms.viewport, viewInfo.viewport.width, viewInfo.viewport.height);
+    gl.uniform2f(uniforms.focal, viewInfo.fx, viewInfo.fy);
+    gl.uniform1i(uniforms.viewRegionEnabled, viewInfo.viewRegionTransform ? 1 : 0);
+    if (viewInfo.viewRegionTransform) {
+      gl.uniform4fv(uniforms.viewRegionTransform, viewInfo.viewRegionTransform);
+    }
+    gl.uniform1f(uniforms.depthOpacityThreshold, params.depthOpacityThreshold);
+    gl.uniform1f(uniforms.centerOpacityThreshold, params.centerOpacityThreshold);
+    applyClippingUniforms(gl, this.program, params.clipping, true);
+
+    // 各槽位的 model 矩阵、时间、类型和裁剪开关；未使用的纹理单元绑定第一个对象的纹理（类型须与 usampler2D 一致）
+    const models = new Float32Array(MAX_MERGED_SPLAT_OBJECTS * 16);
+    const times = new Float32Array(MAX_MERGED_SPLAT_OBJECTS);
+    const types = new Int32Array(MAX_MERGED_SPLAT_OBJECTS);
+    const clippable = new Int32Array(MAX_MERGED_SPLAT_OBJECTS);
+    const units = new Int32Array(MAX_MERGED_SPLAT_OBJECTS);
+    for (let slot = 0; slot < MAX_MERGED_SPLAT_OBJECTS; slot++) {
+      const obj = objects[slot];
+      units[slot] = slot;
+      gl.activeTexture(gl.TEXTURE0 + slot);
+      gl.bindTexture(gl.TEXTURE_2D, (obj || objects[0]).texture);
+      if (!obj) continue;
+      models.set(obj.getModelMatrix(), slot * 16);
+      const is4DGS = params.is4DGS(obj);
+      times[slot] = is4DGS ? params.getObjectTime(obj) : 0;
+      types[slot] = is4DGS ? 0 : 1;
+      clippable[slot] = obj.clippable !== false ? 1 : 0;
+    }
+    gl.uniform1iv(uniforms.u_textures, units);
+    gl.uniformMatrix4fv(uniforms.models, false, models);
+    gl.uniform1fv(uniforms.times, times);
+    gl.uniform1iv(uniforms.splatTypes, types);
+    gl.uniform1iv(uniforms.clippable, clippable);
+
+    gl.enableVertexAttribArray(aPosition);
+    gl.bindBuffer(gl.ARRAY_BUFFER, params.quadBuffer);
+    gl.vertexAttribPointer(aPosition, 2, gl.FLOAT, false, 0, 0);
+    gl.vertexAttribDivisor(aPosition, 0);
+    gl.enableVertexAttribArray(aIndex);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.indexBuffer);
+    gl.vertexAttribIPointer(aIndex, 1, gl.UNSIGNED_INT, 0, 0);
+    gl.vertexAttribDivisor(aIndex, 1);
+
+    gl.enable(gl.DEPTH_TEST);
+    gl.depthFunc(gl.LEQUAL);
+    gl.enable(gl.BLEND);
+    gl.blendFuncSeparate(gl.ONE, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    gl.blendEquationSeparate(gl.FUNC_ADD, gl.FUNC_ADD);
+
+    // 颜色：全局从远到近，不写深度
+    gl.depthMask(false);
+    gl.uniform1i(uniforms.depthWriteOnly, 0);
+    gl.drawArraysInstanced(gl.TRIANGLE_FAN, 0, 4, this.sorted.count);
+
+    // 深度：按不透明度阈值写入（供之后绘制的线段、坐标轴等做深度测试）
+    gl.depthMask(true);
+    gl.uniform1i(uniforms.depthWriteOnly, 1);
+    gl.drawArraysInstanced(gl.TRIANGLE_FAN, 0, 4, this.sorted.count);
+
+    gl.vertexAttribDivisor(aIndex, 0);
+    gl.disableVertexAttribArray(aIndex);
+    for (let slot = MAX_MERGED_SPLAT_OBJECTS - 1; slot >= 0; slot--) {
+      gl.activeTexture(gl.TEXTURE0 + slot);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+    return 2;
+  }
+
+  /**
+   * 停止合并排序 Worker（上下文丢失后 GL 资源已失效，只需停止 Worker）
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    for (const [worker, listener] of this._workerListeners) {
+      worker.removeEventListener('message', listener.handler);
+    }
+    this._workerListeners.clear();
+    this._sources.clear();
+    for (const waiter of [...this._pendingViews]) {
+      waiter(null);
+    }
+  }
+
+  /**
+   * 删除 program
+   * @private
+   */
+  _disposeProgram() {
+    const gl = this.gl;
+    if (this.program) {
+      gl.deleteProgram(this.program);
+      this.program = null;
+    }
+    if (this.vertexShader) {
+      gl.deleteShader(this.vertexShader);
+      this.vertexShader = null;
+    }
+    if (this.fragmentShader) {
+      gl.deleteShader(this.fragmentShader);
+      this.fragmentShader = null;
+    }
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    this.terminate();
+    this._disposeProgram();
+    if (this.indexBuffer) {
+      this.gl.deleteBuffer(this.indexBuffer);
+      this.indexBuffer = null;
+    }
+  }
+}
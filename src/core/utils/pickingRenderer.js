@@ -0,0 +1,548 @@
+/**
+ * GPU 拾取渲染器
+ * 把对象绘制到 ID 缓冲（颜色附件 0 存对象序号，颜色附件 1 存打包深度），再读回像素得到命中对象与深度
+ * 支持 Mesh（含实例化）、点云、线段以及 4DGS/3DGS；高斯使用与 depthWriteOnly 遍相同的不透明度阈值
+ */
+
+import { createShader, createProgram } from './webgl';
+import {
+  pickingMeshVertexShader,
+  pickingInstancedMeshVertexShader,
+  pickingFragmentShader,
+  pickingClippedFragmentShader,
+  pickingSplatFragmentShader,
+} from '../shaders/pickingShaders';
+import { applyClippingUniforms } from './clippingPlanes';
+import { vertexShaderSource } from '../../shaders/splatShaders';
+import { vertexShader3DGSSource } from '../../shaders/gaussian3dShaders';
+import { pointCloudVertexShaderSource } from '../../shaders/pointCloudShaders';
+import { linesVertexShaderSource } from '../shaders/linesShaders';
+
+// 对象序号编码为 24 位（RGB），0 表示未命中
+const MAX_PICK_OBJECTS = 0xFFFFFF;
+
+/**
+ * 对象序号（从 0 开始）编码为 objectId uniform
+ * @param {number} index - 对象序号
+ * @returns {number[]} vec4（0-1）
+ */
+export function encodePickIndex(index) {
+  const id = index + 1;
+  return [
+    (id & 0xFF) / 255,
+    ((id >> 8) & 0xFF) / 255,
+    ((id >> 16) & 0xFF) / 255,
+    1.0,
+  ];
+}
+
+/**
+ * 从 ID 缓冲的像素解码对象序号
+ * @param {Uint8Array} pixels - RGBA 像素数据
+ * @param {number} offset - 像素起始下标
+ * @returns {number} 对象序号，未命中返回 -1
+ */
+export function decodePickIndex(pixels, offset = 0) {
+  const id = pixels[offset] | (pixels[offset + 1] << 8) | (pixels[offset + 2] << 16);
+  return id - 1;
+}
+
+/**
+ * 从深度缓冲的像素解码窗口深度（gl_FragCoord.z，0-1）
+ * @param {Uint8Array} pixels - RGBA 像素数据
+ * @param {number} offset - 像素起始下标
+ * @returns {number}
+ */
+export function decodePickDepth(pixels, offset = 0) {
+  return pixels[offset] / 255
+    + pixels[offset + 1] / 65025
+    + pixels[offset + 2] / 16581375
+    + pixels[offset + 3] / 4228250625;
+}
+
+/**
+ * GPU 拾取渲染器类
+ */
+export class PickingRenderer {
+  constructor(gl) {
+    this.gl = gl;
+
+    // FBO 资源
+    this.framebuffer = null;
+    this.idRenderbuffer = null;
+    this.depthColorRenderbuffer = null;
+    this.depthStencilRenderbuffer = null;
+    this.width = 0;
+    this.height = 0;
+
+    // 各渲染类型的拾取 program：{ program, shaders, uniforms, attributes }
+    this.programs = {};
+
+    this._initShaders();
+  }
+
+  /**
+   * 初始化拾取 shader（顶点着色器复用各渲染类型的原始实现）
+   * @private
+   */
+  _initShaders() {
+    const common = ['projection', 'view', 'model', 'objectId'];
+    const splat = [
+      ...common, 'focal', 'viewport', 'viewRegionEnabled', 'viewRegionTransform',
+      'u_texture', 'depthOpacityThreshold', 'centerOpacityThreshold',
+    ];
+
+    try {
+      this.programs.mesh = this._createProgram(pickingMeshVertexShader, pickingClippedFragmentShader,
+        common, ['position']);
+      this.programs.instancedMesh = this._createProgram(pickingInstancedMeshVertexShader, pickingClippedFragmentShader,
+        common, ['position', 'instanceMatrix']);
+      this.programs.pointCloud = this._createProgram(pointCloudVertexShaderSource, pickingFragmentShader,
+        [...common, 'viewport', 'pointSize'], ['position', 'instancePos', 'instanceColor']);
+      this.programs.lines = this._createProgram(linesVertexShaderSource, pickingClippedFragmentShader,
+        common, ['position']);
+      this.programs.splat4DGS = this._createProgram(vertexShaderSource, pickingSplatFragmentShader,
+        [...splat, 'time'], ['position', 'index']);
+      this.programs.splat3DGS = this._createProgram(vertexShader3DGSSource, pickingSplatFragmentShader,
+        [...splat, 'u_shTexture', 'sphericalHarmonicsDegree'], ['position', 'index']);
+    } catch (err) {
+      console.error('[PickingRenderer] Shader 初始化失败:', err);
+      this._disposePrograms();
+      throw err;
+    }
+  }
+
+  /**
+   * 编译单个拾取 program 并获取 uniform/attribute 位置
+   * @private
+   */
+  _createProgram(vertexSource, fragmentSource, uniformNames, attributeNames) {
+    const gl = this.gl;
+    const vertexShader = createShader(gl, gl.VERTEX_SHADER, vertexSource);
+    const fragmentShader = createShader(gl, gl.FRAGMENT_SHADER, fragmentSource);
+    const program = createProgram(gl, vertexShader, fragmentShader);
+
+    const uniforms = {};
+    for (const name of uniformNames) {
+      uniforms[name] = gl.getUniformLocation(program, name);
+    }
+    const attributes = {};
+    for (const name of attributeNames) {
+      attributes[name] = gl.getAttribLocation(program, name);
+    }
+    return { program, shaders: [vertexShader, fragmentShader], uniforms, attributes };
+  }
+
+  /**
+   * 创建或更新 FBO（尺寸不变时不重建）
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   */
+  setupFramebuffer(width, height) {
+    const gl = this.gl;
+
+    if (this.width === width && this.height === height && this.framebuffer) {
+      return;
+    }
+
+    this.disposeFramebuffer();
+
+    this.width = width;
+    this.height = height;
+
+    this.framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+
+    this.idRenderbuffer = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, this.idRenderbuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.RGBA8, width, height);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, this.idRenderbuffer);
+
+    this.depthColorRenderbuffer = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, this.depthColorRenderbuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.RGBA8, width, height);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1, gl.RENDERBUFFER, this.depthColorRenderbuffer);
+
+    this.depthStencilRenderbuffer = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, this.depthStencilRenderbuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH24_STENCIL8, width, height);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT, gl.RENDERBUFFER, this.depthStencilRenderbuffer);
+
+    gl.drawBuffers([gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1]);
+
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+      console.error('[PickingRenderer] FBO 不完整:', status);
+      this.disposeFramebuffer();
+      throw new Error('Framebuffer setup failed');
+    }
+  }
+
+  /**
+   * 渲染 ID 缓冲
+   * objects 中第 i 个对象写入序号 i，未就绪或类型不支持的对象会被跳过
+   * @param {RenderableObject[]} objects - 参与拾取的对象
+   * @param {Object} params - 渲染参数
+   * @param {number[]} params.projectionMatrix - 投影矩阵
+   * @param {number[]} params.viewMatrix - 视图矩阵
+   * @param {Object} params.viewport - 视口尺寸 { width, height }（高斯/点云的屏幕空间尺寸按它计算）
+   * @param {number} params.fx - 焦距 x
+   * @param {number} params.fy - 焦距 y
+   * @param {number[]|null} params.viewRegionTransform - 子区域变换（见 getViewRegionTransform）
+   * @param {WebGLBuffer} params.quadBuffer - 高斯/点云共享的 quad 顶点缓冲
+   * @param {Function} params.getObjectTime - 4DGS 对象的本地时间 (obj) => number
+   * @param {number} params.depthOpacityThreshold - 像素不透明度阈值
+   * @param {number} params.centerOpacityThreshold - 中心点不透明度阈值
+   * @param {Object|null} params.clipping - 打包后的裁剪平面 { planes, count }（见 HoloRP.setClippingPlanes）
+   */
+  render(objects, params) {
+    const gl = this.gl;
+    if (!this.framebuffer) {
+      return;
+    }
+    if (objects.length > MAX_PICK_OBJECTS) {
+      console.warn('[PickingRenderer] 对象数量超过 ID 编码上限，超出部分不参与拾取');
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.viewport(0, 0, this.width, this.height);
+
+    gl.depthMask(true);
+    gl.clearBufferfv(gl.COLOR, 0, [0, 0, 0, 0]);
+    gl.clearBufferfv(gl.COLOR, 1, [0, 0, 0, 0]);
+    gl.clearBufferfi(gl.DEPTH_STENCIL, 0, 1.0, 0);
+
+    this.drawObjects(objects, params);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  }
+
+  /**
+   * 把对象绘制到当前绑定的 framebuffer（不绑定、不清除；选中描边等复用拾取 program 时使用）
+   * objects 中第 i 个对象写入序号 i，参数同 render
+   * @param {RenderableObject[]} objects - 要绘制的对象
+   * @param {Object} params - 渲染参数
+   */
+  drawObjects(objects, params) {
+    const gl = this.gl;
+
+    gl.disable(gl.BLEND);
+    gl.disable(gl.STENCIL_TEST);
+    gl.disable(gl.CULL_FACE);
+    gl.enable(gl.DEPTH_TEST);
+    gl.depthFunc(gl.LEQUAL);
+    gl.depthMask(true);
+
+    const count = Math.min(objects.length, MAX_PICK_OBJECTS);
+    for (let i = 0; i < count; i++) {
+      const obj = objects[i];
+      if (!obj || !obj.isReady()) continue;
+
+      try {
+        // 取值与 holoRP.js 中的 RenderType 一致
+        switch (obj.renderType) {
+          case '4dgs':
+            this._drawSplat(this.programs.splat4DGS, obj, i, params, true);
+            break;
+          case '3dgs':
+            this._drawSplat(this.programs.splat3DGS, obj, i, params, false);
+            break;
+          case 'mesh':
+            this._drawMesh(obj, i, params);
+            break;
+          case 'instanced_mesh':
+            this._drawInstancedMesh(obj, i, params);
+            break;
+          case 'lines':
+            this._drawLines(obj, i, params);
+            break;
+          case 'point_cloud':
+            this._drawPointCloud(obj, i, params);
+            break;
+          default:
+            break;
+        }
+      } catch (err) {
+        console.error(`[PickingRenderer] 绘制 ${obj.renderType} 对象 ${obj.id} 时出错:`, err);
+      }
+    }
+  }
+
+  /**
+   * 读取 ID 缓冲与深度缓冲的像素（FBO 坐标，左下角为原点）
+   * @param {number} x - 起始 x
+   * @param {number} y - 起始 y
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   * @returns {{ ids: Uint8Array, depths: Uint8Array }}
+   */
+  readPixels(x = 0, y = 0, width = this.width, height = this.height) {
+    const gl = this.gl;
+    const ids = new Uint8Array(width * height * 4);
+    const depths = new Uint8Array(width * height * 4);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.readBuffer(gl.COLOR_ATTACHMENT0);
+    gl.readPixels(x, y, width, height, gl.RGBA, gl.UNSIGNED_BYTE, ids);
+    gl.readBuffer(gl.COLOR_ATTACHMENT1);
+    gl.readPixels(x, y, width, height, gl.RGBA, gl.UNSIGNED_BYTE, depths);
+    gl.readBuffer(gl.COLOR_ATTACHMENT0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    return { ids, depths };
+  }
+
+  /**
+   * 设置各 program 共用的矩阵和对象 ID
+   * @private
+   */
+  _setCommonUniforms(entry, obj, index, params) {
+    const gl = this.gl;
+    const { uniforms } = entry;
+    gl.useProgram(entry.program);
+    gl.uniformMatrix4fv(uniforms.projection, false, params.projectionMatrix);
+    gl.uniformMatrix4fv(uniforms.view, false, params.viewMatrix);
+    gl.uniformMatrix4fv(uniforms.model, false, obj.getModelMatrix());
+    gl.uniform4fv(uniforms.objectId, encodePickIndex(index));
+    applyClippingUniforms(gl, entry.program, params.clipping, obj.clippable !== false);
+  }
+
+  /**
+   * 绘制 4DGS/3DGS 对象
+   * @private
+   */
+  _drawSplat(entry, obj, index, params, is4DGS) {
+    const gl = this.gl;
+    const { uniforms, attributes } = entry;
+    this._setCommonUniforms(entry, obj, index, params);
+
+    gl.uniform2f(uniforms.viewport, params.viewport.width, params.viewport.height);
+    gl.uniform2f(uniforms.focal, params.fx, params.fy);
+    gl.uniform1i(uniforms.viewRegionEnabled, params.viewRegionTransform ? 1 : 0);
+    if (params.viewRegionTransform) {
+      gl.uniform4fv(uniforms.viewRegionTransform, params.viewRegionTransform);
+    }
+    gl.uniform1f(uniforms.depthOpacityThreshold, params.depthOpacityThreshold);
+    gl.uniform1f(uniforms.centerOpacityThreshold, params.centerOpacityThreshold);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, obj.texture);
+    gl.uniform1i(uniforms.u_texture, 0);
+
+    if (is4DGS) {
+      if (uniforms.time) {
+        gl.uniform1f(uniforms.time, params.getObjectTime ? params.getObjectTime(obj) : 0);
+      }
+    } else {
+      // 不透明度与 SH 无关，拾取时只用 0 阶颜色
+      if (uniforms.sphericalHarmonicsDegree) {
+        gl.uniform1i(uniforms.sphericalHarmonicsDegree, 0);
+      }
+      if (obj.shTexture && uniforms.u_shTexture) {
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, obj.shTexture);
+        gl.uniform1i(uniforms.u_shTexture, 1);
+      }
+    }
+
+    const aPosition = attributes.position;
+    const aIndex = attributes.index;
+    if (aPosition < 0 || aIndex < 0 || !params.quadBuffer) return;
+
+    gl.enableVertexAttribArray(aPosition);
+    gl.bindBuffer(gl.ARRAY_BUFFER, params.quadBuffer);
+    gl.vertexAttribPointer(aPosition, 2, gl.FLOAT, false, 0, 0);
+    gl.vertexAttribDivisor(aPosition, 0);
+
+    gl.enableVertexAttribArray(aIndex);
+    gl.bindBuffer(gl.ARRAY_BUFFER, obj.indexBuffer);
+    gl.vertexAttribIPointer(aIndex, 1, gl.INT, false, 0, 0);
+    gl.vertexAttribDivisor(aIndex, 1);
+
+    gl.drawArraysInstanced(gl.TRIANGLE_FAN, 0, 4, obj.vertexCount);
+
+    gl.vertexAttribDivisor(aIndex, 0);
+    gl.disableVertexAttribArray(aIndex);
+    gl.disableVertexAttribArray(aPosition);
+  }
+
+  /**
+   * 绘制 Mesh 对象（支持分离缓冲和交错缓冲两种布局）
+   * @private
+   */
+  _drawMesh(obj, index, params) {
+    const entry = this.programs.mesh;
+    if (entry.attributes.position < 0) return;
+    this._setCommonUniforms(entry, obj, index, params);
+    this._drawMeshGeometry(entry, obj, 1);
+  }
+
+  /**
+   * 绘制 INSTANCED_MESH 对象（所有实例共享对象 ID）
+   * @private
+   */
+  _drawInstancedMesh(obj, index, params) {
+    const gl = this.gl;
+    const entry = this.programs.instancedMesh;
+    const aInstanceMatrix = entry.attributes.instanceMatrix;
+    if (entry.attributes.position < 0 || aInstanceMatrix < 0) return;
+    this._setCommonUniforms(entry, obj, index, params);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, obj.instanceMatrixBuffer);
+    for (let i = 0; i < 4; i++) {
+      gl.enableVertexAttribArray(aInstanceMatrix + i);
+      gl.vertexAttribPointer(aInstanceMatrix + i, 4, gl.FLOAT, false, 64, i * 16);
+      gl.vertexAttribDivisor(aInstanceMatrix + i, 1);
+    }
+
+    this._drawMeshGeometry(entry, obj, obj.instanceCount);
+
+    for (let i = 0; i < 4; i++) {
+      gl.vertexAttribDivisor(aInstanceMatrix + i, 0);
+      gl.disableVertexAttribArray(aInstanceMatrix + i);
+    }
+  }
+
+  /**
+   * 绑定网格顶点和索引并绘制（INSTANCED_MESH 按 instanceCount 实例化绘制）
+   * @private
+   */
+  _drawMeshGeometry(entry, obj, instanceCount) {
+    const gl = this.gl;
+    const aPosition = entry.attributes.position;
+
+    // 与正常渲染保持一致：被剔除的面不可拾取
+    const cullMode = obj.material ? obj.material.cullMode : 'none';
+    if (cullMode && cullMode !== 'none') {
+      gl.enable(gl.CULL_FACE);
+      gl.cullFace(cullMode === 'front' ? gl.FRONT : gl.BACK);
+    }
+
+    const attrs = obj.vertexAttributes || {};
+    gl.enableVertexAttribArray(aPosition);
+    gl.vertexAttribDivisor(aPosition, 0);
+    if (attrs.positionBuffer) {
+      gl.bindBuffer(gl.ARRAY_BUFFER, attrs.positionBuffer);
+      gl.vertexAttribPointer(aPosition, 3, gl.FLOAT, false, 0, 0);
+    } else {
+      const stride = (attrs.stride !== undefined && attrs.stride !== null) ? Number(attrs.stride) : 32;
+      const posOffset = (attrs.position !== undefined && attrs.position !== null) ? Number(attrs.position) : 0;
+      gl.bindBuffer(gl.ARRAY_BUFFER, obj.vertexBuffer);
+      gl.vertexAttribPointer(aPosition, 3, gl.FLOAT, false, stride, posOffset);
+    }
+
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, obj.elementBuffer);
+    if (obj.renderType === 'instanced_mesh') {
+      gl.drawElementsInstanced(gl.TRIANGLES, obj.elementCount, gl.UNSIGNED_SHORT, 0, instanceCount);
+    } else {
+      gl.drawElements(gl.TRIANGLES, obj.elementCount, gl.UNSIGNED_SHORT, 0);
+    }
+
+    gl.disableVertexAttribArray(aPosition);
+    gl.disable(gl.CULL_FACE);
+  }
+
+  /**
+   * 绘制 LINES 对象
+   * @private
+   */
+  _drawLines(obj, index, params) {
+    const gl = this.gl;
+    const entry = this.programs.lines;
+    const aPosition = entry.attributes.position;
+    if (aPosition < 0) return;
+    this._setCommonUniforms(entry, obj, index, params);
+
+    gl.enableVertexAttribArray(aPosition);
+    gl.vertexAttribDivisor(aPosition, 0);
+    gl.bindBuffer(gl.ARRAY_BUFFER, obj.positionBuffer);
+    gl.vertexAttribPointer(aPosition, 3, gl.FLOAT, false, 24, 0);
+    gl.drawArrays(gl.LINES, 0, obj.linesVertexCount);
+    gl.disableVertexAttribArray(aPosition);
+  }
+
+  /**
+   * 绘制 POINT_CLOUD 对象
+   * @private
+   */
+  _drawPointCloud(obj, index, params) {
+    const gl = this.gl;
+    const entry = this.programs.pointCloud;
+    const { uniforms, attributes } = entry;
+    const aPosition = attributes.position;
+    const aInstancePos = attributes.instancePos;
+    if (aPosition < 0 || aInstancePos < 0 || !params.quadBuffer) return;
+    this._setCommonUniforms(entry, obj, index, params);
+
+    gl.uniform2f(uniforms.viewport, params.viewport.width, params.viewport.height);
+    gl.uniform1f(uniforms.pointSize, typeof obj.pointSize === 'number' ? obj.pointSize : 2.0);
+
+    gl.enableVertexAttribArray(aPosition);
+    gl.bindBuffer(gl.ARRAY_BUFFER, params.quadBuffer);
+    gl.vertexAttribPointer(aPosition, 2, gl.FLOAT, false, 0, 0);
+    gl.vertexAttribDivisor(aPosition, 0);
+
+    gl.enableVertexAttribArray(aInstancePos);
+    gl.bindBuffer(gl.ARRAY_BUFFER, obj.pointPositionBuffer);
+    gl.vertexAttribPointer(aInstancePos, 3, gl.FLOAT, false, 0, 0);
+    gl.vertexAttribDivisor(aInstancePos, 1);
+
+    gl.drawArraysInstanced(gl.TRIANGLE_FAN, 0, 4, obj.pointCount);
+
+    gl.vertexAttribDivisor(aInstancePos, 0);
+    gl.disableVertexAttribArray(aInstancePos);
+    gl.disableVertexAttribArray(aPosition);
+  }
+
+  /**
+   * 清理 FBO 资源
+   */
+  disposeFramebuffer() {
+    const gl = this.gl;
+
+    if (this.framebuffer) {
+      gl.deleteFramebuffer(this.framebuffer);
+      this.framebuffer = null;
+    }
+    if (this.idRenderbuffer) {
+      gl.deleteRenderbuffer(this.idRenderbuffer);
+      this.idRenderbuffer = null;
+    }
+    if (this.depthColorRenderbuffer) {
+      gl.deleteRenderbuffer(this.depthColorRenderbuffer);
+      this.depthColorRenderbuffer = null;
+    }
+    if (this.depthStencilRenderbuffer) {
+      gl.deleteRenderbuffer(this.depthStencilRenderbuffer);
+      this.depthStencilRenderbuffer = null;
+    }
+    this.width = 0;
+    this.height = 0;
+  }
+
+  /**
+   * 清理 program 资源
+   * @private
+   */
+  _disposePrograms() {
+    const gl = this.gl;
+    for (const entry of Object.values(this.programs)) {
+      for (const shader of entry.shaders) {
+        gl.deleteShader(shader);
+      }
+      gl.deleteProgram(entry.program);
+    }
+    this.programs = {};
+  }
+
+  /**
+   * 清理所有资源
+   */
+  dispose() {
+    this.disposeFramebuffer();
+    this._disposePrograms();
+  }
+}
@@ -0,0 +1,592 @@
+/**
+ * 后期处理渲染器
+ * 场景先渲染到 FBO，再按固定顺序执行：Bloom → 曝光/色调映射 → LUT 调色 → 暗角 → FXAA
+ * 只启用的效果参与计算；全部关闭时 HoloRP 直接渲染到目标，不经过 FBO
+ */
+
+import { createShader, createProgram } from './webgl';
+import {
+  postProcessingVertexShader,
+  bloomExtractFragmentShader,
+  blurFragmentShader,
+  compositeFragmentShader,
+  fxaaFragmentShader
+} from '../shaders/postProcessingShaders';
+
+const TONE_MAPPING_MODES = { reinhard: 0, aces: 1 };
+
+/**
+ * 默认配置
+ */
+export function createDefaultPostProcessingConfig() {
+  return {
+    fxaa: { enabled: false },
+    toneMapping: { enabled: false, mode: 'aces', exposure: 1.0 },       // mode: 'reinhard' | 'aces'
+    colorGrading: { enabled: false, lut: null, intensity: 1.0 },         // lut: { size, data } 或 parseCubeLUT 的返回值
+    vignette: { enabled: false, intensity: 0.3, smoothness: 0.5 },
+    bloom: { enabled: false, threshold: 0.8, intensity: 0.6, radius: 1.0 }
+  };
+}
+
+/**
+ * 解析 .cube 格式的 3D LUT（Adobe/Resolve 通用格式）
+ * @param {string} text - .cube 文件内容
+ * @returns {Object} { size, data: Float32Array }，data 为 RGB，按 r 最快、b 最慢排列
+ */
+export function parseCubeLUT(text) {
+  let size = 0;
+  const values = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (line.length === 0 || line.startsWith('#')) {
+      continue;
+    }
+    if (line.startsWith('LUT_3D_SIZE')) {
+      size = parseInt(line.split(/\s+/)[1], 10);
+      continue;
+    }
+    // TITLE、DOMAIN_MIN/MAX 等其他关键字忽略（假定定义域为 0-1）
+    if (/^[A-Za-z_]/.test(line)) {
+      continue;
+    }
+    const parts = line.split(/\s+/);
+    if (parts.length >= 3) {
+      values.push(parseFloat(parts[0]), parseFloat(parts[1]), parseFloat(parts[2]));
+    }
+  }
+  if (!(size > 1)) {
+    throw new Error('parseCubeLUT: 缺少有效的 LUT_3D_SIZE');
+  }
+  if (values.length !== size * size * size * 3) {
+    throw new Error(`parseCubeLUT: 数据数量不匹配（期望 ${size * size * size} 项，实际 ${values.length / 3} 项）`);
+  }
+  return { size, data: new Float32Array(values) };
+}
+
+/**
+ * 后期处理渲染器类
+ */
+export class PostProcessingRenderer {
+  constructor(gl) {
+    this.gl = gl;
+    this.config = createDefaultPostProcessingConfig();
+
+    // 场景 FBO（颜色纹理 + 深度模板缓冲）
+    this.sceneFramebuffer = null;
+    this.sceneTexture = null;
+    this.depthStencilBuffer = null;
+    // Bloom 半分辨率 ping-pong 纹理
+    this.bloomFramebuffers = [null, null];
+    this.bloomTextures = [null, null];
+    // 开启 FXAA 时合成结果先写入中间纹理
+    this.intermediateFramebuffer = null;
+    this.intermediateTexture = null;
+    this.width = 0;
+    this.height = 0;
+
+    // 支持浮点颜色缓冲时场景使用 RGBA16F，保留高光供 Bloom/色调映射使用
+    this.hdrSupported = !!gl.getExtension('EXT_color_buffer_float');
+
+    // LUT 纹理
+    this.lutTexture = null;
+    this.lutSize = 0;
+    this._lut = null;
+
+    // Shader 资源
+    this.vertexShader = null;
+    this.programs = {};
+    this.quadBuffer = null;
+
+    this._initShaders();
+    this._initQuad();
+    this._initFallbackLUT();
+  }
+
+  /**
+   * 初始化后期处理 shader
+   * @private
+   */
+  _initShaders() {
+    const gl = this.gl;
+
+    try {
+      this.vertexShader = createShader(gl, gl.VERTEX_SHADER, postProcessingVertexShader);
+      this.programs = {
+        bloomExtract: this._createProgram(bloomExtractFragmentShader, ['sceneTexture', 'threshold', 'knee']),
+        blur: this._createProgram(blurFragmentShader, ['sourceTexture', 'direction']),
+        composite: this._createProgram(compositeFragmentShader, [
+          'sceneTexture', 'bloomTexture', 'lutTexture',
+          'bloomEnabled', 'bloomIntensity',
+          'toneMappingEnabled', 'toneMappingMode', 'exposure',
+          'lutEnabled', 'lutSize', 'lutIntensity',
+          'vignetteEnabled', 'vignetteIntensity', 'vignetteSmoothness', 'viewRegionTransform'
+        ]),
+        fxaa: this._createProgram(fxaaFragmentShader, ['sourceTexture', 'inverseResolution'])
+      };
+    } catch (err) {
+      console.error('[PostProcessingRenderer] Shader 初始化失败:', err);
+      this._disposePrograms();
+      throw err;
+    }
+  }
+
+  /**
+   * 创建共享顶点着色器的 program
+   * @private
+   */
+  _createProgram(fragmentSource, uniformNames) {
+    const gl = this.gl;
+    const fragmentShader = createShader(gl, gl.FRAGMENT_SHADER, fragmentSource);
+    const program = createProgram(gl, this.vertexShader, fragmentShader);
+    const uniforms = {};
+    for (const name of uniformNames) {
+      uniforms[name] = gl.getUniformLocation(program, name);
+    }
+    return {
+      program,
+      fragmentShader,
+      uniforms,
+      position: gl.getAttribLocation(program, 'position')
+    };
+  }
+
+  /**
+   * 初始化全屏 quad
+   * @private
+   */
+  _initQuad() {
+    const gl = this.gl;
+
+    const quadVertices = new Float32Array([
+      -1.0, -1.0,  // 左下
+       1.0, -1.0,  // 右下
+      -1.0,  1.0,  // 左上
+       1.0,  1.0   // 右上
+    ]);
+
+    this.quadBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, quadVertices, gl.STATIC_DRAW);
+  }
+
+  /**
+   * 未设置 LUT 时绑定 1×1×1 纹理，避免 sampler3D 指向不完整纹理
+   * @private
+   */
+  _initFallbackLUT() {
+    const gl = this.gl;
+    this.fallbackLUTTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_3D, this.fallbackLUTTexture);
+    gl.texImage3D(gl.TEXTURE_3D, 0, gl.RGBA8, 1, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([0, 0, 0, 255]));
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.bindTexture(gl.TEXTURE_3D, null);
+  }
+
+  /**
+   * 设置配置（未传入的效果及参数使用默认值，即传入的配置描述完整的后期处理状态）
+   * @param {Object|null} config - { fxaa, toneMapping, colorGrading, vignette, bloom }，null 表示全部关闭
+   */
+  setConfig(config) {
+    const next = createDefaultPostProcessingConfig();
+    if (config) {
+      for (const key of Object.keys(next)) {
+        if (config[key]) {
+          next[key] = { ...next[key], ...config[key] };
+        }
+      }
+    }
+    if (!(next.toneMapping.mode in TONE_MAPPING_MODES)) {
+      console.warn('[PostProcessingRenderer] 未知的色调映射模式:', next.toneMapping.mode, '，已使用 aces');
+      next.toneMapping.mode = 'aces';
+    }
+    this.config = next;
+
+    if (next.colorGrading.lut !== this._lut) {
+      this._uploadLUT(next.colorGrading.lut);
+    }
+  }
+
+  /**
+   * 上传 LUT 到 3D 纹理
+   * @param {Object|null} lut - { size, data }，data 为 RGB 或 RGBA（Uint8Array 或 Float32Array）
+   * @private
+   */
+  _uploadLUT(lut) {
+    const gl = this.gl;
+    this._lut = lut;
+
+    const size = lut ? lut.size : 0;
+    const data = lut ? lut.data : null;
+    const count = size * size * size;
+    const channels = data && data.length === count * 4 ? 4 : 3;
+    const valid = size > 1 && !!data && data.length === count * channels;
+    if (lut && !valid) {
+      console.warn('[PostProcessingRenderer] LUT 数据无效，已忽略:', lut);
+    }
+    if (!valid) {
+      if (this.lutTexture) {
+        gl.deleteTexture(this.lutTexture);
+        this.lutTexture = null;
+      }
+      this.lutSize = 0;
+      return;
+    }
+
+    const isFloat = data instanceof Float32Array;
+    const format = channels === 4 ? gl.RGBA : gl.RGB;
+    let internalFormat;
+    if (isFloat) {
+      internalFormat = channels === 4 ? gl.RGBA16F : gl.RGB16F;
+    } else {
+      internalFormat = channels === 4 ? gl.RGBA8 : gl.RGB8;
+    }
+
+    if (!this.lutTexture) {
+      this.lutTexture = gl.createTexture();
+    }
+    gl.bindTexture(gl.TEXTURE_3D, this.lutTexture);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.texImage3D(gl.TEXTURE_3D, 0, internalFormat, size, size, size, 0, format, isFloat ? gl.FLOAT : gl.UNSIGNED_BYTE, data);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_3D, null);
+    this.lutSize = size;
+  }
+
+  /**
+   * 是否有启用的效果
+   * @returns {boolean}
+   */
+  isActive() {
+    const c = this.config;
+    return !!(
+      c.fxaa.enabled ||
+      c.toneMapping.enabled ||
+      (c.colorGrading.enabled && this.lutTexture) ||
+      c.vignette.enabled ||
+      c.bloom.enabled
+    );
+  }
+
+  /**
+   * 分块渲染时每块四周需要多渲染的像素数（Bloom 模糊和 FXAA 会采样邻近像素，块边缘的采样被截断会产生接缝）
+   * 分块渲染方按此值扩大每块的渲染区域，读回后裁掉四周
+   * @returns {number} 像素数（Bloom 和 FXAA 都关闭时为 0）
+   */
+  getTilePadding() {
+    const { fxaa, bloom } = this.config;
+    let padding = 0;
+    if (bloom.enabled) {
+      // 半分辨率上最远采样 3.23 × radius 个纹素，另加降采样的 1 个纹素
+      padding += Math.ceil((Math.max(0, bloom.radius) * 3.2307692308 + 1) * 2);
+    }
+    if (fxaa.enabled) {
+      // 邻域 1 像素 + 沿边缘方向最远 FXAA_SPAN_MAX / 2 像素
+      padding += 6;
+    }
+    return padding;
+  }
+
+  /**
+   * 创建颜色纹理及对应的 FBO
+   * @private
+   */
+  _createColorTarget(width, height, hdr) {
+    const gl = this.gl;
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    if (hdr) {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, width, height, 0, gl.RGBA, gl.HALF_FLOAT, null);
+    } else {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    }
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    return { texture, framebuffer };
+  }
+
+  /**
+   * 检查当前绑定的 FBO 是否完整
+   * @private
+   */
+  _checkFramebuffer(name) {
+    const gl = this.gl;
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+      console.error(`[PostProcessingRenderer] ${name} FBO 不完整:`, status);
+      this.disposeFramebuffer();
+      throw new Error('Framebuffer setup failed');
+    }
+  }
+
+  /**
+   * 创建或更新 FBO 和纹理（当渲染目标尺寸变化时调用）
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   */
+  setupFramebuffer(width, height) {
+    const gl = this.gl;
+
+    if (this.width === width && this.height === height && this.sceneFramebuffer) {
+      return;
+    }
+
+    this.disposeFramebuffer();
+
+    this.width = width;
+    this.height = height;
+
+    // 场景颜色 + 深度模板
+    const scene = this._createColorTarget(width, height, this.hdrSupported);
+    this.sceneTexture = scene.texture;
+    this.sceneFramebuffer = scene.framebuffer;
+    this.depthStencilBuffer = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, this.depthStencilBuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH24_STENCIL8, width, height);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT, gl.RENDERBUFFER, this.depthStencilBuffer);
+    this._checkFramebuffer('场景');
+
+    // Bloom 在半分辨率下模糊
+    const bloomWidth = Math.max(1, width >> 1);
+    const bloomHeight = Math.max(1, height >> 1);
+    for (let i = 0; i < 2; i++) {
+      const target = this._createColorTarget(bloomWidth, bloomHeight, this.hdrSupported);
+      this.bloomTextures[i] = target.texture;
+      this.bloomFramebuffers[i] = target.framebuffer;
+      this._checkFramebuffer('Bloom');
+    }
+
+    // FXAA 输入（色调映射之后，LDR 即可）
+    const intermediate = this._createColorTarget(width, height, false);
+    this.intermediateTexture = intermediate.texture;
+    this.intermediateFramebuffer = intermediate.framebuffer;
+    this._checkFramebuffer('FXAA');
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+  }
+
+  /**
+   * 绑定场景 FBO（用于渲染场景到 FBO）
+   * @returns {boolean} 是否绑定成功
+   */
+  bindSceneFramebuffer() {
+    if (!this.sceneFramebuffer) {
+      return false;
+    }
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.sceneFramebuffer);
+    return true;
+  }
+
+  /**
+   * 绘制全屏 quad
+   * @private
+   */
+  _drawQuad(info, framebuffer, width, height) {
+    const gl = this.gl;
+    if (framebuffer !== undefined) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    }
+    gl.viewport(0, 0, width, height);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    if (info.position >= 0) {
+      gl.enableVertexAttribArray(info.position);
+      gl.vertexAttribPointer(info.position, 2, gl.FLOAT, false, 0, 0);
+    }
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    if (info.position >= 0) {
+      gl.disableVertexAttribArray(info.position);
+    }
+  }
+
+  /**
+   * 执行后期处理并输出到最终渲染目标
+   * @param {Function} bindOutput - 绑定最终输出 framebuffer 的函数（如 renderTarget.bindFramebuffer）
+   * @param {number[]|null} viewRegionTransform - 只渲染完整画面子区域时的 NDC 变换（见 getViewRegionTransform），暗角按完整画面计算
+   * @returns {number} 绘制调用次数
+   */
+  render(bindOutput, viewRegionTransform = null) {
+    const gl = this.gl;
+    const { fxaa, toneMapping, colorGrading, vignette, bloom } = this.config;
+    const width = this.width;
+    const height = this.height;
+
+    if (!this.sceneTexture || !this.programs.composite) {
+      return 0;
+    }
+
+    let drawCalls = 0;
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.CULL_FACE);
+    gl.disable(gl.STENCIL_TEST);
+
+    // 1. Bloom：提取高亮 → 水平模糊 → 垂直模糊（结果在 bloomTextures[0]）
+    if (bloom.enabled) {
+      const bloomWidth = Math.max(1, width >> 1);
+      const bloomHeight = Math.max(1, height >> 1);
+      const radius = Math.max(0, bloom.radius);
+
+      const extract = this.programs.bloomExtract;
+      gl.useProgram(extract.program);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, this.sceneTexture);
+      gl.uniform1i(extract.uniforms.sceneTexture, 0);
+      gl.uniform1f(extract.uniforms.threshold, bloom.threshold);
+      gl.uniform1f(extract.uniforms.knee, Math.max(bloom.threshold * 0.5, 1e-3));
+      this._drawQuad(extract, this.bloomFramebuffers[0], bloomWidth, bloomHeight);
+
+      const blur = this.programs.blur;
+      gl.useProgram(blur.program);
+      gl.uniform1i(blur.uniforms.sourceTexture, 0);
+      gl.bindTexture(gl.TEXTURE_2D, this.bloomTextures[0]);
+      gl.uniform2f(blur.uniforms.direction, radius / bloomWidth, 0);
+      this._drawQuad(blur, this.bloomFramebuffers[1], bloomWidth, bloomHeight);
+      gl.bindTexture(gl.TEXTURE_2D, this.bloomTextures[1]);
+      gl.uniform2f(blur.uniforms.direction, 0, radius / bloomHeight);
+      this._drawQuad(blur, this.bloomFramebuffers[0], bloomWidth, bloomHeight);
+      drawCalls += 3;
+    }
+
+    // 2. 合成：Bloom 叠加、色调映射、LUT、暗角；开启 FXAA 时写入中间纹理
+    const composite = this.programs.composite;
+    const useLUT = colorGrading.enabled && !!this.lutTexture;
+    gl.useProgram(composite.program);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.sceneTexture);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.bloomTextures[0]);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_3D, useLUT ? this.lutTexture : this.fallbackLUTTexture);
+
+    const u = composite.uniforms;
+    gl.uniform1i(u.sceneTexture, 0);
+    gl.uniform1i(u.bloomTexture, 1);
+    gl.uniform1i(u.lutTexture, 2);
+    gl.uniform1i(u.bloomEnabled, bloom.enabled ? 1 : 0);
+    gl.uniform1f(u.bloomIntensity, bloom.intensity);
+    gl.uniform1i(u.toneMappingEnabled, toneMapping.enabled ? 1 : 0);
+    gl.uniform1i(u.toneMappingMode, TONE_MAPPING_MODES[toneMapping.mode]);
+    gl.uniform1f(u.exposure, toneMapping.exposure);
+    gl.uniform1i(u.lutEnabled, useLUT ? 1 : 0);
+    gl.uniform1f(u.lutSize, this.lutSize || 1);
+    gl.uniform1f(u.lutIntensity, colorGrading.intensity);
+    gl.uniform1i(u.vignetteEnabled, vignette.enabled ? 1 : 0);
+    gl.uniform1f(u.vignetteIntensity, vignette.intensity);
+    gl.uniform1f(u.vignetteSmoothness, vignette.smoothness);
+    gl.uniform4fv(u.viewRegionTransform, viewRegionTransform || [1, 1, 0, 0]);
+
+    if (fxaa.enabled) {
+      this._drawQuad(composite, this.intermediateFramebuffer, width, height);
+    } else {
+      bindOutput();
+      this._drawQuad(composite, undefined, width, height);
+    }
+    drawCalls++;
+
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_3D, null);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+
+    // 3. FXAA（输入为色调映射后的 LDR 图像）
+    if (fxaa.enabled) {
+      const pass = this.programs.fxaa;
+      gl.useProgram(pass.program);
+      gl.bindTexture(gl.TEXTURE_2D, this.intermediateTexture);
+      gl.uniform1i(pass.uniforms.sourceTexture, 0);
+      gl.uniform2f(pass.uniforms.inverseResolution, 1 / width, 1 / height);
+      bindOutput();
+      this._drawQuad(pass, undefined, width, height);
+      drawCalls++;
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.enable(gl.DEPTH_TEST);
+    return drawCalls;
+  }
+
+  /**
+   * 清理 FBO 资源
+   */
+  disposeFramebuffer() {
+    const gl = this.gl;
+
+    const framebuffers = [this.sceneFramebuffer, this.intermediateFramebuffer, ...this.bloomFramebuffers];
+    const textures = [this.sceneTexture, this.intermediateTexture, ...this.bloomTextures];
+    for (const framebuffer of framebuffers) {
+      if (framebuffer) gl.deleteFramebuffer(framebuffer);
+    }
+    for (const texture of textures) {
+      if (texture) gl.deleteTexture(texture);
+    }
+    if (this.depthStencilBuffer) {
+      gl.deleteRenderbuffer(this.depthStencilBuffer);
+    }
+
+    this.sceneFramebuffer = null;
+    this.sceneTexture = null;
+    this.depthStencilBuffer = null;
+    this.bloomFramebuffers = [null, null];
+    this.bloomTextures = [null, null];
+    this.intermediateFramebuffer = null;
+    this.intermediateTexture = null;
+    this.width = 0;
+    this.height = 0;
+  }
+
+  /**
+   * 清理 shader 资源
+   * @private
+   */
+  _disposePrograms() {
+    const gl = this.gl;
+    for (const info of Object.values(this.programs)) {
+      gl.deleteProgram(info.program);
+      gl.deleteShader(info.fragmentShader);
+    }
+    this.programs = {};
+    if (this.vertexShader) {
+      gl.deleteShader(this.vertexShader);
+      this.vertexShader = null;
+    }
+  }
+
+  /**
+   * 清理所有资源
+   */
+  dispose() {
+    const gl = this.gl;
+
+    this.disposeFramebuffer();
+    this._disposePrograms();
+
+    if (this.lutTexture) {
+      gl.deleteTexture(this.lutTexture);
+      this.lutTexture = null;
+    }
+    if (this.fallbackLUTTexture) {
+      gl.deleteTexture(this.fallbackLUTTexture);
+      this.fallbackLUTTexture = null;
+    }
+    this._lut = null;
+
+    if (this.quadBuffer) {
+      gl.deleteBuffer(this.quadBuffer);
+      this.quadBuffer = null;
+    }
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * 自定义渲染 Pass
+ * 通过 HoloRP.addPass 注册，在固定渲染顺序中的指定阶段执行，用于 Gizmo、叠加层、后期效果等
+ *
+ * 渲染顺序（每个视图）：背景 → Mesh → 点云 → [beforeSplats] → 4DGS → 3DGS → [afterSplats] → 线段 → 坐标轴网格 → [overlay]
+ * 所有视图绘制完成、后期处理/深度可视化合成之后执行一次 [post]
+ */
+
+/**
+ * Pass 阶段枚举
+ */
+export const RenderPassStage = {
+  BEFORE_SPLATS: 'beforeSplats',  // 不透明对象（Mesh、点云）之后，高斯之前
+  AFTER_SPLATS: 'afterSplats',    // 高斯之后，线段之前
+  OVERLAY: 'overlay',             // 坐标轴网格之后（每个视图）
+  POST: 'post'                    // 每帧最后执行一次，绘制到最终渲染目标
+};
+
+const BLEND_MODES = ['none', 'alpha', 'premultiplied', 'additive'];
+const CULL_MODES = ['none', 'back', 'front'];
+
+/**
+ * 校验并规范化 Pass 描述
+ * @param {Object} pass - { name, stage, render, enabled, order, dispose, restore }
+ * @returns {Object} 规范化后的 Pass
+ */
+export function normalizeRenderPass(pass) {
+  if (!pass || typeof pass !== 'object') {
+    throw new Error('addPass: pass 须为对象');
+  }
+  if (typeof pass.name !== 'string' || pass.name.length === 0) {
+    throw new Error('addPass: pass.name 须为非空字符串');
+  }
+  if (!Object.values(RenderPassStage).includes(pass.stage)) {
+    throw new Error(`addPass: 未知的 stage "${pass.stage}"（${pass.name}）`);
+  }
+  if (typeof pass.render !== 'function') {
+    throw new Error(`addPass: pass.render 须为函数（${pass.name}）`);
+  }
+  return {
+    name: pass.name,
+    stage: pass.stage,
+    render: pass.render,
+    enabled: pass.enabled !== false,
+    order: Number.isFinite(pass.order) ? pass.order : 0,  // 同一阶段内按 order 升序执行
+    dispose: typeof pass.dispose === 'function' ? pass.dispose : null,  // 移除 Pass 或销毁管线时调用 (gl) => void
+    restore: typeof pass.restore === 'function' ? pass.restore : null,  // WebGL 上下文恢复后调用，重新创建 Pass 自己的资源 (gl) => void
+  };
+}
+
+/**
+ * 创建 Pass 执行上下文
+ * @param {HoloRP} pipeline - 渲染管线
+ * @param {Object} params - { stage, renderTarget, viewInfo, viewIndex, viewMatrix, projectionMatrix, viewport }
+ * @returns {Object} 上下文
+ */
+export function createRenderPassContext(pipeline, params) {
+  const gl = pipeline.gl;
+  const { stage, renderTarget, viewInfo, viewIndex, viewMatrix, projectionMatrix } = params;
+  const viewport = params.viewport || viewInfo.viewport;
+
+  return {
+    gl,
+    pipeline,
+    stage,
+    renderTarget,
+    view: viewInfo,
+    viewIndex,
+    viewMatrix,
+    projectionMatrix,
+    viewport,
+    focal: [viewInfo.fx, viewInfo.fy],
+    time: pipeline.timeline.normalizedTime,   // 归一化时间（0-1）
+    seconds: pipeline.timeline.time,          // 当前时间（秒）
+    clipping: pipeline.clipping,              // 裁剪平面 { planes, count }，配合 clippingShaderChunk + applyClippingUniforms 使用
+
+    /**
+     * 设置混合模式：'none' | 'alpha' | 'premultiplied' | 'additive'
+     */
+    setBlend(mode = 'none') {
+      if (!BLEND_MODES.includes(mode)) {
+        console.warn('[RenderPass] 未知的混合模式:', mode);
+        return;
+      }
+      if (mode === 'none') {
+        gl.disable(gl.BLEND);
+        return;
+      }
+      gl.enable(gl.BLEND);
+      gl.blendEquation(gl.FUNC_ADD);
+      if (mode === 'alpha') {
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+      } else if (mode === 'premultiplied') {
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+      } else {
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+      }
+    },
+
+    /**
+     * 设置深度测试与写入
+     * @param {boolean} test - 是否启用深度测试
+     * @param {boolean} write - 是否写入深度
+     */
+    setDepth(test = true, write = true) {
+      if (test) {
+        gl.enable(gl.DEPTH_TEST);
+        gl.depthFunc(gl.LEQUAL);
+      } else {
+        gl.disable(gl.DEPTH_TEST);
+      }
+      gl.depthMask(!!write);
+    },
+
+    /**
+     * 设置面剔除：'none' | 'back' | 'front'
+     */
+    setCull(mode = 'none') {
+      if (!CULL_MODES.includes(mode)) {
+        console.warn('[RenderPass] 未知的剔除模式:', mode);
+        return;
+      }
+      if (mode === 'none') {
+        gl.disable(gl.CULL_FACE);
+      } else {
+        gl.enable(gl.CULL_FACE);
+        gl.cullFace(mode === 'front' ? gl.FRONT : gl.BACK);
+      }
+    },
+
+    /**
+     * 切换 program（计入渲染统计）
+     */
+    useProgram(program) {
+      pipeline.stats.useProgram(program);
+    },
+
+    /**
+     * 记录一次绘制调用（计入渲染统计）
+     */
+    recordDraw() {
+      pipeline.stats.recordDraw();
+    },
+  };
+}
+
+/**
+ * 恢复 Pass 执行后的 GL 状态（内置渲染依赖的默认状态）
+ * @param {WebGL2RenderingContext} gl
+ * @param {Object} viewport - 当前视口
+ */
+export function resetRenderPassState(gl, viewport) {
+  gl.disable(gl.BLEND);
+  gl.disable(gl.CULL_FACE);
+  gl.disable(gl.STENCIL_TEST);
+  gl.enable(gl.DEPTH_TEST);
+  gl.depthFunc(gl.LEQUAL);
+  gl.depthMask(true);
+  gl.viewport(viewport.x, viewport.y, viewport.width, viewport.height);
+}
+
+/**
+ * 调用 Pass 的 dispose 回调（出错时只记录，不影响其余清理）
+ * @param {Object} pass - 规范化后的 Pass
+ * @param {WebGL2RenderingContext} gl
+ */
+export function disposeRenderPass(pass, gl) {
+  if (!pass.dispose) {
+    return;
+  }
+  try {
+    pass.dispose(gl);
+  } catch (err) {
+    console.error(`[HoloRP] Pass "${pass.name}" dispose 出错:`, err);
+  }
+}
+
+/**
+ * 调用 Pass 的 restore 回调（出错时禁用该 Pass，避免使用失效资源）
+ * @param {Object} pass - 规范化后的 Pass
+ * @param {WebGL2RenderingContext} gl
+ */
+export function restoreRenderPass(pass, gl) {
+  if (!pass.restore) {
+    return;
+  }
+  try {
+    pass.restore(gl);
+  } catch (err) {
+    console.error(`[HoloRP] Pass "${pass.name}" restore 出错，已禁用:`, err);
+    pass.enabled = false;
+  }
+}
@@ -0,0 +1,347 @@
+/**
+ * 渲染统计
+ * 统计每帧的绘制调用、program 切换、高斯/点/线段数量，以及各渲染阶段的耗时
+ *
+ * - CPU 耗时：每个阶段的提交耗时（performance.now），始终可用
+ * - GPU 耗时：使用 EXT_disjoint_timer_query_webgl2 测量，查询结果异步返回，
+ *   因此 gpuStageTimes 通常是几帧之前的数据；扩展不可用或未启用时为 null
+ */
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+// 等待结果的帧数上限，超过后丢弃最旧的查询（避免 GPU 长时间不返回结果时无限堆积）
+const MAX_PENDING_FRAMES = 8;
+
+/**
+ * 渲染阶段名称
+ */
+export const RenderStage = {
+  SHADOW_MAP: 'shadowMap',
+  BACKGROUND: 'background',
+  MESH: 'mesh',
+  POINT_CLOUD: 'pointCloud',
+  SPLAT_4DGS: 'splat4DGS',
+  SPLAT_3DGS: 'splat3DGS',
+  SPLAT_MERGED: 'splatMerged',
+  LINES: 'lines',
+  AXIS_GRID: 'axisGrid',
+  SELECTION: 'selection',
+  DEPTH_VISUALIZATION: 'depthVisualization',
+  POST_PROCESSING: 'postProcessing'
+};
+
+function createEmptyStats(frame) {
+  return {
+    frame,                  // 帧序号
+    drawCalls: 0,           // 绘制调用次数
+    programSwitches: 0,     // program 切换次数
+    splats: 0,              // 高斯实例总数
+    splatsPerObject: {},    // 每个对象的高斯实例数 { [objectId]: count }
+    points: 0,              // 点云点数
+    lines: 0,               // 线段数
+    triangles: 0,           // Mesh 三角形数
+    cpuTime: 0,             // 整帧 CPU 提交耗时（毫秒）
+    stageTimes: {},         // 各阶段 CPU 耗时（毫秒）
+    gpuStageTimes: null,    // 各阶段 GPU 耗时（毫秒），不可用时为 null
+    gpuTime: null,          // GPU 总耗时（毫秒），不可用时为 null
+    gpuFrame: null,         // GPU 耗时对应的帧序号
+    fps: 0,                 // 帧率（按帧间隔的滑动平均计算）
+    gpuTimerSupported: false,
+    glObjects: null,        // 存活的 GL 对象数量（未启用资源统计时为 null），见 glResources.js
+    resolutionScale: 1      // Canvas 渲染分辨率缩放，见 CanvasRenderTarget.setResolutionScale
+  };
+}
+
+export class RenderStats {
+  /**
+   * @param {WebGL2RenderingContext} gl - WebGL2 上下文
+   */
+  constructor(gl) {
+    this.gl = gl;
+    this.enabled = false;           // 是否启用 GPU 计时（计数统计始终进行）
+
+    this._timerExt = gl ? gl.getExtension('EXT_disjoint_timer_query_webgl2') : null;
+    this._queryPool = [];
+    this._pendingFrames = [];       // [{ frame, queries: [{ stage, query }] }]
+    this._frameQueries = [];        // 当前帧已结束的查询
+    this._activeStage = null;       // 当前阶段 { stage, start, query }
+
+    this._frame = 0;
+    this._frameStart = 0;
+    this._lastFrameStart = null;
+    this._avgFrameInterval = 0;
+    this._lastProgram = null;
+    this._lastGpu = { frame: null, stageTimes: null, total: null };
+    this._recording = true;         // 当前帧是否计入统计（离屏渲染不计入）
+
+    this._current = createEmptyStats(0);
+    this._last = createEmptyStats(0);
+  }
+
+  /**
+   * 是否支持 GPU 计时
+   */
+  get gpuTimerSupported() {
+    return !!this._timerExt;
+  }
+
+  /**
+   * 开始一帧统计（在 HoloRP.render 开始时调用）
+   * @param {boolean} record - 是否计入统计，默认 true；离屏渲染（缩略图、截图分块）不计入帧数、帧率和各项计数
+   */
+  beginFrame(record = true) {
+    // 上一帧提前返回、没有调用 endFrame 时，丢弃其未完成的查询
+    this.endStage();
+    this._releaseFrameQueries({ queries: this._frameQueries }, true);
+    this._frameQueries = [];
+    this._lastProgram = null;
+    this._recording = record;
+
+    if (!record) {
+      // 计数写入临时对象后丢弃，不影响 getStats 返回的最近一帧
+      this._current = createEmptyStats(this._frame);
+      return;
+    }
+
+    const start = now();
+    if (this._lastFrameStart !== null) {
+      const interval = start - this._lastFrameStart;
+      this._avgFrameInterval = this._avgFrameInterval > 0
+        ? this._avgFrameInterval * 0.9 + interval * 0.1
+        : interval;
+    }
+    this._lastFrameStart = start;
+    this._frameStart = start;
+
+    this._frame++;
+    this._current = createEmptyStats(this._frame);
+
+    this._collectGpuResults();
+  }
+
+  /**
+   * 结束一帧统计
+   * @returns {Object|null} 本帧统计结果，不计入统计的帧返回 null
+   */
+  endFrame() {
+    this.endStage();
+    if (!this._recording) {
+      return null;
+    }
+
+    const stats = this._current;
+    stats.cpuTime = now() - this._frameStart;
+    stats.fps = this._avgFrameInterval > 0 ? 1000 / this._avgFrameInterval : 0;
+    stats.gpuTimerSupported = this.gpuTimerSupported;
+    stats.gpuStageTimes = this._lastGpu.stageTimes;
+    stats.gpuTime = this._lastGpu.total;
+    stats.gpuFrame = this._lastGpu.frame;
+
+    if (this._frameQueries.length > 0) {
+      this._pendingFrames.push({ frame: this._frame, queries: this._frameQueries });
+      this._frameQueries = [];
+      while (this._pendingFrames.length > MAX_PENDING_FRAMES) {
+        this._releaseFrameQueries(this._pendingFrames.shift(), true);
+      }
+    }
+
+    this._last = stats;
+    return stats;
+  }
+
+  /**
+   * 获取最近一帧的统计结果
+   * @returns {Object}
+   */
+  getStats() {
+    return this._last;
+  }
+
+  /**
+   * 切换 program，并统计切换次数（与上一次相同时不计数）
+   * @param {WebGLProgram} program
+   */
+  useProgram(program) {
+    if (program !== this._lastProgram) {
+      this._current.programSwitches++;
+      this._lastProgram = program;
+    }
+    this.gl.useProgram(program);
+  }
+
+  /**
+   * 外部渲染器（坐标轴网格、深度可视化等）自行切换过 program 后调用，下一次 useProgram 计为切换
+   */
+  invalidateProgram() {
+    this._lastProgram = null;
+  }
+
+  /**
+   * 记录一次绘制调用
+   */
+  recordDraw() {
+    this._current.drawCalls++;
+  }
+
+  /**
+   * 记录对象的高斯实例数
+   * @param {string} objectId - 对象 ID
+   * @param {number} count - 实例数
+   */
+  recordSplats(objectId, count) {
+    const stats = this._current;
+    stats.splats += count;
+    stats.splatsPerObject[objectId] = (stats.splatsPerObject[objectId] || 0) + count;
+  }
+
+  /**
+   * 记录点云点数
+   */
+  recordPoints(count) {
+    this._current.points += count;
+  }
+
+  /**
+   * 记录线段数
+   */
+  recordLines(count) {
+    this._current.lines += count;
+  }
+
+  /**
+   * 记录三角形数
+   */
+  recordTriangles(count) {
+    this._current.triangles += count;
+  }
+
+  /**
+   * 开始一个渲染阶段（同一时间只能有一个阶段，开始新阶段会结束上一个）
+   * @param {string} stage - 阶段名称（见 RenderStage）
+   */
+  beginStage(stage) {
+    this.endStage();
+
+    const active = { stage, start: now(), query: null };
+    if (this.enabled && this._timerExt && this._recording) {
+      const query = this._queryPool.pop() || this.gl.createQuery();
+      this.gl.beginQuery(this._timerExt.TIME_ELAPSED_EXT, query);
+      active.query = query;
+    }
+    this._activeStage = active;
+  }
+
+  /**
+   * 结束当前渲染阶段
+   */
+  endStage() {
+    const active = this._activeStage;
+    if (!active) {
+      return;
+    }
+    this._activeStage = null;
+
+    const stageTimes = this._current.stageTimes;
+    stageTimes[active.stage] = (stageTimes[active.stage] || 0) + (now() - active.start);
+
+    if (active.query) {
+      this.gl.endQuery(this._timerExt.TIME_ELAPSED_EXT);
+      this._frameQueries.push({ stage: active.stage, query: active.query });
+    }
+  }
+
+  /**
+   * 读取已完成帧的 GPU 查询结果
+   * @private
+   */
+  _collectGpuResults() {
+    const gl = this.gl;
+    const ext = this._timerExt;
+    if (!ext || this._pendingFrames.length === 0) {
+      return;
+    }
+
+    // 发生 disjoint（如 GPU 降频、上下文切换）时，所有未读取的结果都不可信
+    if (gl.getParameter(ext.GPU_DISJOINT_EXT)) {
+      for (const pending of this._pendingFrames) {
+        this._releaseFrameQueries(pending, false);
+      }
+      this._pendingFrames = [];
+      return;
+    }
+
+    // 查询按提交顺序完成，只需从最旧的帧开始检查
+    while (this._pendingFrames.length > 0) {
+      const pending = this._pendingFrames[0];
+      const lastQuery = pending.queries[pending.queries.length - 1].query;
+      if (!gl.getQueryParameter(lastQuery, gl.QUERY_RESULT_AVAILABLE)) {
+        break;
+      }
+
+      const stageTimes = {};
+      let total = 0;
+      for (const { stage, query } of pending.queries) {
+        const ms = gl.getQueryParameter(query, gl.QUERY_RESULT) / 1e6;
+        stageTimes[stage] = (stageTimes[stage] || 0) + ms;
+        total += ms;
+      }
+      this._lastGpu = { frame: pending.frame, stageTimes, total };
+
+      this._pendingFrames.shift();
+      this._releaseFrameQueries(pending, false);
+    }
+  }
+
+  /**
+   * 回收（或删除）一帧的查询对象
+   * @private
+   */
+  _releaseFrameQueries(pending, deleteQueries) {
+    for (const { query } of pending.queries) {
+      if (deleteQueries) {
+        this.gl.deleteQuery(query);
+      } else {
+        this._queryPool.push(query);
+      }
+    }
+  }
+
+  /**
+   * WebGL 上下文恢复后重新获取计时扩展（丢失前的查询对象均已失效，直接丢弃）
+   */
+  restoreContext() {
+    this._timerExt = this.gl ? this.gl.getExtension('EXT_disjoint_timer_query_webgl2') : null;
+    this._activeStage = null;
+    this._pendingFrames = [];
+    this._frameQueries = [];
+    this._queryPool = [];
+    this._lastProgram = null;
+  }
+
+  /**
+   * 清理所有查询对象
+   */
+  dispose() {
+    const gl = this.gl;
+    if (!gl) {
+      return;
+    }
+    if (this._activeStage && this._activeStage.query) {
+      gl.endQuery(this._timerExt.TIME_ELAPSED_EXT);
+      gl.deleteQuery(this._activeStage.query);
+    }
+    this._activeStage = null;
+    for (const pending of this._pendingFrames) {
+      this._releaseFrameQueries(pending, true);
+    }
+    for (const { query } of this._frameQueries) {
+      gl.deleteQuery(query);
+    }
+    for (const query of this._queryPool) {
+      gl.deleteQuery(query);
+    }
+    this._pendingFrames = [];
+    this._frameQueries = [];
+    this._queryPool = [];
+  }
+}
@@ -3,7 +3,7 @@
  * 封装不同的渲染输出路径（Canvas、WebXR等）
  */
 
-import { multiply4, identity4 } from './webgl';
+import { multiply4, identity4, getViewRegionTransform } from './webgl';
 
 /**
  * 视图信息
@@ -15,6 +15,8 @@ export class ViewInfo {
     this.viewport = { x: 0, y: 0, width: 0, height: 0 };  // 视口信息
     this.fx = 0;                    // 焦距 x
     this.fy = 0;                    // 焦距 y
+    this.viewRegionTransform = null; // 子区域渲染时的 NDC 变换 [scaleX, scaleY, offsetX, offsetY]，null 表示完整画面
+    this.layerMask = null;          // 图层掩码，null 表示使用相机的 layerMask
   }
 }
 
@@ -71,6 +73,7 @@ export class RenderTarget {
 
 /**
  * Canvas 渲染目标（普通模式）
+ * 分辨率缩放小于 1 时先渲染到缩小的离屏 FBO，endFrame 时线性插值放大到 canvas
  */
 export class CanvasRenderTarget extends RenderTarget {
   constructor(canvas, gl) {
@@ -78,6 +81,11 @@ export class CanvasRenderTarget extends RenderTarget {
     this.canvas = canvas;
     this.gl = gl;
     this.currentView = new ViewInfo();
+    this.width = 0;                 // canvas 像素尺寸（updateSize 更新）
+    this.height = 0;
+    this.resolutionScale = 1;       // 渲染分辨率缩放（0-1]
+    this._scaledTarget = null;      // 缩放渲染使用的 OffscreenRenderTarget
+    this._antialiasWarned = false;
     // 这些值会在 render 过程中由 HoloRP 设置
     this._projectionMatrix = null;
     this._viewMatrix = null;
@@ -85,32 +93,97 @@ export class CanvasRenderTarget extends RenderTarget {
     this._fy = 0;
   }
 
-  beginFrame() {
-    if (!this.canvas || !this.gl) {
-      return false;
-    }
-
-    // 获取 canvas 的实际尺寸
+  /**
+   * 将 canvas 的绘图缓冲尺寸同步为显示尺寸
+   * @returns {{ width: number, height: number }} canvas 像素尺寸
+   */
+  updateSize() {
     const canvasWidth = this.canvas.clientWidth || this.canvas.width || window.innerWidth;
     const canvasHeight = this.canvas.clientHeight || this.canvas.height || window.innerHeight;
 
-    // 更新 canvas 尺寸
     if (this.canvas.width !== canvasWidth || this.canvas.height !== canvasHeight) {
       this.canvas.width = canvasWidth;
       this.canvas.height = canvasHeight;
     }
+    this.width = canvasWidth;
+    this.height = canvasHeight;
+    return { width: canvasWidth, height: canvasHeight };
+  }
+
+  /**
+   * 设置渲染分辨率缩放（1 为原生分辨率）
+   * 多重采样的 canvas 无法作为放大的目标，此时保持原生分辨率
+   * @param {number} scale - 缩放（0-1]
+   */
+  setResolutionScale(scale) {
+    if (!(scale > 0 && scale <= 1)) {
+      throw new Error('CanvasRenderTarget: resolutionScale 须在 (0, 1] 内');
+    }
+    const attributes = this.gl ? this.gl.getContextAttributes() : null;
+    if (scale < 1 && attributes && attributes.antialias) {
+      if (!this._antialiasWarned) {
+        console.warn('[CanvasRenderTarget] 上下文启用了 antialias，不支持分辨率缩放');
+        this._antialiasWarned = true;
+      }
+      scale = 1;
+    }
+    this.resolutionScale = scale;
+  }
+
+  /**
+   * 丢弃已失效的缩放 FBO（上下文恢复后调用，下一帧重新创建）
+   */
+  discardLostResources() {
+    this._scaledTarget = null;
+  }
+
+  beginFrame() {
+    if (!this.canvas || !this.gl) {
+      return false;
+    }
+    const gl = this.gl;
+
+    // 获取并同步 canvas 的实际尺寸
+    const { width: canvasWidth, height: canvasHeight } = this.updateSize();
 
     // 检查 canvas 尺寸
     if (canvasWidth === 0 || canvasHeight === 0) {
       return false;
     }
 
+    if (this.resolutionScale < 1) {
+      // 缩放渲染：绑定缩小的 FBO（与 canvas 使用相同的清除颜色）
+      const width = Math.max(1, Math.round(canvasWidth * this.resolutionScale));
+      const height = Math.max(1, Math.round(canvasHeight * this.resolutionScale));
+      try {
+        if (this._scaledTarget) {
+          this._scaledTarget.resize(width, height);
+        } else {
+          this._scaledTarget = new OffscreenRenderTarget(gl, width, height);
+        }
+      } catch (err) {
+        console.error('[CanvasRenderTarget] 缩放 FBO 创建失败，已回退到原生分辨率:', err);
+        this._disposeScaledTarget();
+        this.resolutionScale = 1;
+      }
+    } else if (this._scaledTarget) {
+      this._disposeScaledTarget();
+    }
+
+    if (this._scaledTarget) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this._scaledTarget.framebuffer);
+      gl.viewport(0, 0, this._scaledTarget.width, this._scaledTarget.height);
+      gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT | gl.STENCIL_BUFFER_BIT);
+      this.currentView.viewport = { x: 0, y: 0, width: this._scaledTarget.width, height: this._scaledTarget.height };
+      return true;
+    }
+
     // 绑定默认帧缓冲区
-    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
     // 清除画布
-    this.gl.viewport(0, 0, canvasWidth, canvasHeight);
-    this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
+    gl.viewport(0, 0, canvasWidth, canvasHeight);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
     // 更新视图信息的视口（投影矩阵和视图矩阵会在 render 过程中设置）
     this.currentView.viewport = { x: 0, y: 0, width: canvasWidth, height: canvasHeight };
@@ -128,12 +201,21 @@ export class CanvasRenderTarget extends RenderTarget {
   }
 
   endFrame() {
-    // Canvas 模式不需要特殊处理
+    if (!this._scaledTarget) {
+      return;
+    }
+    // 缩放渲染：线性插值放大到 canvas
+    const gl = this.gl;
+    const { framebuffer, width, height } = this._scaledTarget;
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, framebuffer);
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+    gl.blitFramebuffer(0, 0, width, height, 0, 0, this.width, this.height, gl.COLOR_BUFFER_BIT, gl.LINEAR);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
   }
 
   bindFramebuffer() {
-    // Canvas 模式使用默认帧缓冲区
-    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+    // Canvas 模式使用默认帧缓冲区（缩放渲染时为缩放 FBO）
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this._scaledTarget ? this._scaledTarget.framebuffer : null);
   }
 
   getGL() {
@@ -165,6 +247,21 @@ export class CanvasRenderTarget extends RenderTarget {
     this._fx = fx;
     this._fy = fy;
   }
+
+  /**
+   * 清理缩放 FBO
+   * @private
+   */
+  _disposeScaledTarget() {
+    if (this._scaledTarget) {
+      this._scaledTarget.dispose();
+      this._scaledTarget = null;
+    }
+  }
+
+  dispose() {
+    this._disposeScaledTarget();
+  }
 }
 
 /**
@@ -288,3 +385,274 @@ export class WebXRRenderTarget extends RenderTarget {
   }
 }
 
+
+/**
+ * 离屏渲染目标
+ * 使用独立的 FBO（RGBA8 颜色纹理 + DEPTH24_STENCIL8 渲染缓冲），可按任意分辨率渲染并回读像素，
+ * 用于缩略图、截图等不影响屏幕 canvas 的场景
+ */
+export class OffscreenRenderTarget extends RenderTarget {
+  /**
+   * @param {WebGL2RenderingContext} gl - WebGL2 上下文
+   * @param {number} width - 宽度（像素）
+   * @param {number} height - 高度（像素）
+   * @param {Object} options - 选项
+   * @param {Camera} options.camera - 渲染使用的相机（可选，不提供时使用 HoloRP 当前相机）
+   * @param {number[]} options.clearColor - 清除颜色 [r, g, b, a]（可选，默认透明黑）
+   */
+  constructor(gl, width, height, options = {}) {
+    super();
+    this.gl = gl;
+    this.width = 0;
+    this.height = 0;
+    this.camera = options.camera || null;
+    this.clearColor = options.clearColor || [0, 0, 0, 0];
+    this.viewRegion = null;  // 只渲染完整画面的子区域（分块渲染），null 表示完整画面
+    this.currentView = new ViewInfo();
+
+    // FBO 资源
+    this.framebuffer = null;
+    this.colorTexture = null;
+    this.depthStencilBuffer = null;
+
+    // 这些值会在 render 过程中由 HoloRP 设置
+    this._projectionMatrix = null;
+    this._viewMatrix = null;
+    this._fx = 0;
+    this._fy = 0;
+
+    this.resize(width, height);
+  }
+
+  /**
+   * 调整渲染目标尺寸（尺寸不变时不重新创建）
+   * @param {number} width - 宽度（像素）
+   * @param {number} height - 高度（像素）
+   */
+  resize(width, height) {
+    const gl = this.gl;
+    width = Math.max(1, Math.floor(width));
+    height = Math.max(1, Math.floor(height));
+    if (this.framebuffer && this.width === width && this.height === height) {
+      return;
+    }
+
+    const maxSize = gl.getParameter(gl.MAX_RENDERBUFFER_SIZE);
+    if (width > maxSize || height > maxSize) {
+      throw new Error(`OffscreenRenderTarget size ${width}x${height} exceeds MAX_RENDERBUFFER_SIZE (${maxSize})`);
+    }
+
+    this._disposeFramebuffer();
+    this.width = width;
+    this.height = height;
+
+    // 创建颜色纹理
+    this.colorTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this.colorTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    // 创建深度 + 模板缓冲（GS 渲染会使用 stencil）
+    this.depthStencilBuffer = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, this.depthStencilBuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH24_STENCIL8, width, height);
+
+    this.framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.colorTexture, 0);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT, gl.RENDERBUFFER, this.depthStencilBuffer);
+
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+      console.error('[OffscreenRenderTarget] FBO 不完整:', status);
+      this._disposeFramebuffer();
+      throw new Error('Framebuffer setup failed');
+    }
+  }
+
+  beginFrame() {
+    if (!this.gl || !this.framebuffer) {
+      return false;
+    }
+    const gl = this.gl;
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.viewport(0, 0, this.width, this.height);
+
+    // 使用自己的清除颜色，完成后恢复，避免影响 canvas 的清除颜色
+    const previousClearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+    gl.clearColor(this.clearColor[0], this.clearColor[1], this.clearColor[2], this.clearColor[3]);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT | gl.STENCIL_BUFFER_BIT);
+    gl.clearColor(previousClearColor[0], previousClearColor[1], previousClearColor[2], previousClearColor[3]);
+
+    this.currentView.viewport = { x: 0, y: 0, width: this.width, height: this.height };
+    return true;
+  }
+
+  getViews() {
+    this.currentView.projectionMatrix = this._projectionMatrix;
+    this.currentView.viewMatrix = this._viewMatrix;
+    this.currentView.fx = this._fx;
+    this.currentView.fy = this._fy;
+    this.currentView.viewRegionTransform = this.viewRegion ? getViewRegionTransform(this.viewRegion) : null;
+    return [this.currentView];
+  }
+
+  endFrame() {
+    // 解绑，避免后续 canvas 渲染误写入离屏 FBO
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+  }
+
+  bindFramebuffer() {
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.framebuffer);
+  }
+
+  getGL() {
+    return this.gl;
+  }
+
+  /**
+   * 设置渲染使用的相机（null 表示使用 HoloRP 当前相机）
+   * @param {Camera|null} camera - Camera 实例
+   */
+  setCamera(camera) {
+    this.camera = camera || null;
+  }
+
+  /**
+   * 设置要渲染的画面子区域（分块渲染）
+   * 相机按 fullWidth x fullHeight 计算投影，本目标只输出其中 (x, y, width, height) 这一块
+   * @param {Object|null} region - { x, y, width, height, fullWidth, fullHeight }（像素，左上角为原点），null 表示完整画面
+   */
+  setViewRegion(region) {
+    this.viewRegion = region || null;
+  }
+
+  /**
+   * 设置投影矩阵（由 HoloRP 调用）
+   * @param {number[]} projectionMatrix - 4x4 投影矩阵
+   */
+  setProjectionMatrix(projectionMatrix) {
+    this._projectionMatrix = projectionMatrix;
+  }
+
+  /**
+   * 设置视图矩阵（由 HoloRP 调用）
+   * @param {number[]} viewMatrix - 4x4 视图矩阵
+   */
+  setViewMatrix(viewMatrix) {
+    this._viewMatrix = viewMatrix;
+  }
+
+  /**
+   * 设置焦距（由 HoloRP 调用）
+   * @param {number} fx - 焦距 x
+   * @param {number} fy - 焦距 y
+   */
+  setFocal(fx, fy) {
+    this._fx = fx;
+    this._fy = fy;
+  }
+
+  /**
+   * 回读 RGBA 像素
+   * @param {Object} options - 选项
+   * @param {boolean} options.flipY - 是否翻转为自上而下的行顺序（默认 true，与图片坐标一致）
+   * @param {boolean} options.unpremultiply - 是否将预乘 alpha 还原为直通 alpha（默认 false）
+   * @returns {Uint8Array} width * height * 4 字节
+   */
+  readPixels(options = {}) {
+    const { flipY = true, unpremultiply = false } = options;
+    const gl = this.gl;
+    const { width, height } = this;
+    const pixels = new Uint8Array(width * height * 4);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.pixelStorei(gl.PACK_ALIGNMENT, 1);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    if (flipY) {
+      flipRowsInPlace(pixels, width, height);
+    }
+    if (unpremultiply) {
+      unpremultiplyAlphaInPlace(pixels);
+    }
+    return pixels;
+  }
+
+  /**
+   * 回读为 ImageData（自上而下、直通 alpha，可直接 putImageData 到 2D canvas）
+   * @returns {ImageData}
+   */
+  readImageData() {
+    const pixels = this.readPixels({ flipY: true, unpremultiply: true });
+    return new ImageData(new Uint8ClampedArray(pixels.buffer), this.width, this.height);
+  }
+
+  /**
+   * 清理 FBO 资源
+   * @private
+   */
+  _disposeFramebuffer() {
+    const gl = this.gl;
+    if (this.framebuffer) {
+      gl.deleteFramebuffer(this.framebuffer);
+      this.framebuffer = null;
+    }
+    if (this.colorTexture) {
+      gl.deleteTexture(this.colorTexture);
+      this.colorTexture = null;
+    }
+    if (this.depthStencilBuffer) {
+      gl.deleteRenderbuffer(this.depthStencilBuffer);
+      this.depthStencilBuffer = null;
+    }
+    this.width = 0;
+    this.height = 0;
+  }
+
+  dispose() {
+    this._disposeFramebuffer();
+  }
+}
+
+/**
+ * 原地翻转像素行（readPixels 的结果自下而上，图片自上而下）
+ * @param {Uint8Array} pixels - RGBA 像素
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ */
+export function flipRowsInPlace(pixels, width, height) {
+  const rowSize = width * 4;
+  const temp = new Uint8Array(rowSize);
+  for (let y = 0; y < Math.floor(height / 2); y++) {
+    const top = y * rowSize;
+    const bottom = (height - 1 - y) * rowSize;
+    temp.set(pixels.subarray(top, top + rowSize));
+    pixels.copyWithin(top, bottom, bottom + rowSize);
+    pixels.set(temp, bottom);
+  }
+}
+
+/**
+ * 原地将预乘 alpha 像素还原为直通 alpha（GS 片段着色器输出预乘 alpha）
+ * @param {Uint8Array} pixels - RGBA 像素
+ */
+export function unpremultiplyAlphaInPlace(pixels) {
+  for (let i = 0; i < pixels.length; i += 4) {
+    const a = pixels[i + 3];
+    if (a > 0 && a < 255) {
+      const scale = 255 / a;
+      pixels[i] = Math.min(255, Math.round(pixels[i] * scale));
+      pixels[i + 1] = Math.min(255, Math.round(pixels[i + 1] * scale));
+      pixels[i + 2] = Math.min(255, Math.round(pixels[i + 2] * scale));
+    }
+  }
+}
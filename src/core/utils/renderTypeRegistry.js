@@ -0,0 +1,155 @@
+/**
+ * 渲染类型注册表
+ * 内置类型（4DGS/3DGS/MESH/INSTANCED_MESH/LINES/POINT_CLOUD/GROUP）与第三方类型（Billboard、文字、体切片等）统一在这里登记，
+ * RenderableObject.isReady 和 HoloRP.render 的分组都通过注册表查询，新增类型不需要修改 holoRP.js
+ *
+ * 注册表为全局（模块级），同一页面中的所有 HoloRP 实例共享；program 按 WebGL 上下文各自懒编译
+ */
+
+/**
+ * 第三方类型在每个视图中的绘制位置（与自定义 Pass 的阶段一致）
+ */
+export const RenderTypeStage = {
+  BEFORE_SPLATS: 'beforeSplats',  // Mesh、点云之后，高斯之前（不透明类型）
+  AFTER_SPLATS: 'afterSplats',    // 高斯之后，线段之前（半透明类型）
+  OVERLAY: 'overlay'              // 坐标轴网格之后（叠加层）
+};
+
+const registry = new Map(); // type -> definition
+
+/**
+ * 注册内置类型（只提供 isReady，绘制由 HoloRP 内部完成）
+ * @private
+ */
+function registerBuiltin(type, isReady) {
+  registry.set(type, { type, builtin: true, isReady, render: null, programs: {}, stage: null });
+}
+
+const isSplatReady = (obj) => !!(obj.ready && obj.texture && obj.indexBuffer && obj.vertexCount > 0);
+registerBuiltin('4dgs', isSplatReady);
+registerBuiltin('3dgs', isSplatReady);
+const isMeshReady = (obj) => !!(obj.ready && obj.vertexBuffer && obj.elementBuffer && obj.elementCount > 0);
+registerBuiltin('mesh', isMeshReady);
+registerBuiltin('instanced_mesh', (obj) => isMeshReady(obj) && !!obj.instanceMatrixBuffer && obj.instanceCount > 0);
+registerBuiltin('lines', (obj) => !!(obj.ready && obj.positionBuffer && obj.linesVertexCount >= 2));
+registerBuiltin('point_cloud', (obj) => !!(obj.ready && obj.pointPositionBuffer && obj.pointColorBuffer && obj.pointCount > 0));
+registerBuiltin('group', () => true);  // 分组节点只提供变换，没有可绘制资源
+
+/**
+ * 注册渲染类型
+ * @param {string} type - 类型名称（RenderableObject.renderType 的取值）
+ * @param {Object} definition - 类型定义
+ * @param {Function} definition.render - 绘制函数 (ctx, objects) => void；ctx 同自定义 Pass，另含 ctx.programs
+ * @param {Function} definition.isReady - 对象是否可绘制 (obj) => boolean，默认检查 obj.ready
+ * @param {Object} definition.programs - program 定义 { [name]: { vertex, fragment, uniforms: string[], attributes: string[] } }，首次绘制时编译
+ * @param {string} definition.stage - 绘制位置：'beforeSplats'（默认）| 'afterSplats' | 'overlay'
+ * @returns {Object} 注册后的定义
+ */
+export function registerRenderType(type, definition = {}) {
+  if (typeof type !== 'string' || type.length === 0) {
+    throw new Error('registerRenderType: type 须为非空字符串');
+  }
+  const existing = registry.get(type);
+  if (existing && existing.builtin) {
+    throw new Error(`registerRenderType: 不能覆盖内置类型 "${type}"`);
+  }
+  if (!definition || typeof definition.render !== 'function') {
+    throw new Error(`registerRenderType: definition.render 须为函数（${type}）`);
+  }
+  const stage = definition.stage || RenderTypeStage.BEFORE_SPLATS;
+  if (!Object.values(RenderTypeStage).includes(stage)) {
+    throw new Error(`registerRenderType: 未知的 stage "${stage}"（${type}）`);
+  }
+  const programs = definition.programs || {};
+  for (const [name, source] of Object.entries(programs)) {
+    if (!source || typeof source.vertex !== 'string' || typeof source.fragment !== 'string') {
+      throw new Error(`registerRenderType: program "${name}" 须包含 vertex 和 fragment 源码（${type}）`);
+    }
+  }
+  if (existing) {
+    console.warn(`[RenderTypeRegistry] 类型 "${type}" 已存在，将被替换`);
+  }
+
+  const normalized = {
+    type,
+    builtin: false,
+    isReady: typeof definition.isReady === 'function' ? definition.isReady : (obj) => !!obj.ready,
+    render: definition.render,
+    programs,
+    stage,
+  };
+  registry.set(type, normalized);
+  return normalized;
+}
+
+/**
+ * 注销渲染类型（内置类型不可注销）
+ * @param {string} type - 类型名称
+ * @returns {boolean} 是否注销成功
+ */
+export function unregisterRenderType(type) {
+  const definition = registry.get(type);
+  if (!definition || definition.builtin) {
+    return false;
+  }
+  registry.delete(type);
+  return true;
+}
+
+/**
+ * 获取渲染类型定义
+ * @param {string} type - 类型名称
+ * @returns {Object|null}
+ */
+export function getRenderTypeDefinition(type) {
+  return registry.get(type) || null;
+}
+
+/**
+ * 获取所有已注册的类型名称
+ * @returns {string[]}
+ */
+export function getRegisteredRenderTypes() {
+  return Array.from(registry.keys());
+}
+
+/**
+ * 获取某个类型的 program 在 ShaderRegistry 中的名称
+ * @param {string} type - 类型名称
+ * @param {string} name - program 名称
+ * @returns {string}
+ */
+export function getRenderTypeShaderName(type, name) {
+  return `rendertype-${type}-${name}`;
+}
+
+/**
+ * 确保类型的 program 已在 ShaderRegistry 中编译（已编译的直接复用）
+ * @param {ShaderRegistry} shaderRegistry - Shader 注册表
+ * @param {string} type - 类型名称
+ * @returns {Object|null} { [name]: { program, uniforms, attributes } }，类型未注册时返回 null
+ */
+export function ensureRenderTypePrograms(shaderRegistry, type) {
+  const definition = registry.get(type);
+  if (!definition || !shaderRegistry) {
+    return null;
+  }
+
+  const programs = {};
+  for (const [name, source] of Object.entries(definition.programs)) {
+    const shaderName = getRenderTypeShaderName(type, name);
+    let info = shaderRegistry.get(shaderName);
+    // 类型被重新注册、源码变化时重新编译
+    if (!info || info.vertexSource !== source.vertex || info.fragmentSource !== source.fragment) {
+      info = shaderRegistry.register(
+        shaderName,
+        source.vertex,
+        source.fragment,
+        source.uniforms || [],
+        source.attributes || []
+      );
+    }
+    programs[name] = info;
+  }
+  return programs;
+}
@@ -0,0 +1,314 @@
+/**
+ * 选中描边渲染器
+ * 每个视图把选中对象用拾取 program 绘制到遮罩 FBO（高斯使用与拾取相同的不透明度阈值，得到实际轮廓），
+ * 再把屏幕空间描边和可选的高亮色合成到当前 framebuffer。
+ * 遮罩 FBO 的深度先从场景 framebuffer 复制，被其他对象遮挡的部分不进入遮罩，只描出可见部分的轮廓
+ */
+
+import { createShader, createProgram } from './webgl';
+import { selectionVertexShader, selectionOutlineFragmentShader, MAX_OUTLINE_WIDTH } from '../shaders/selectionShaders';
+
+/**
+ * 默认选中样式
+ * @returns {{ outlineColor: number[], outlineWidth: number, tintColor: number[]|null }}
+ */
+export function createDefaultSelectionStyle() {
+  return {
+    outlineColor: [1.0, 0.6, 0.1, 1.0],
+    outlineWidth: 2,
+    tintColor: null,
+  };
+}
+
+/**
+ * 规范化颜色为 [r, g, b, a]（0-1）
+ * @private
+ */
+function toColor(value, name) {
+  if (!Array.isArray(value) || value.length < 3 || value.some((v) => !Number.isFinite(v))) {
+    throw new Error(`SelectionRenderer: ${name} 须为 [r, g, b] 或 [r, g, b, a]`);
+  }
+  return [value[0], value[1], value[2], value.length >= 4 ? value[3] : 1];
+}
+
+/**
+ * 规范化选中样式（未指定的字段取 base 中的值）
+ * @param {Object} style - 样式
+ * @param {number[]} style.outlineColor - 描边颜色 [r, g, b, a]
+ * @param {number} style.outlineWidth - 描边宽度（像素，0-8），0 表示不描边
+ * @param {number[]|null} style.tintColor - 高亮色 [r, g, b, a]（alpha 为叠加强度），null 表示不叠加
+ * @param {Object} base - 基础样式
+ * @returns {{ outlineColor: number[], outlineWidth: number, tintColor: number[]|null }}
+ */
+export function normalizeSelectionStyle(style = {}, base = createDefaultSelectionStyle()) {
+  const next = { ...base };
+  if (style.outlineColor !== undefined) {
+    next.outlineColor = toColor(style.outlineColor, 'outlineColor');
+  }
+  if (style.outlineWidth !== undefined) {
+    if (!Number.isFinite(style.outlineWidth)) {
+      throw new Error('SelectionRenderer: outlineWidth 须为数字');
+    }
+    next.outlineWidth = Math.max(0, Math.min(MAX_OUTLINE_WIDTH, style.outlineWidth));
+  }
+  if (style.tintColor !== undefined) {
+    next.tintColor = style.tintColor === null ? null : toColor(style.tintColor, 'tintColor');
+  }
+  return next;
+}
+
+/**
+ * 选中描边渲染器类
+ */
+export class SelectionRenderer {
+  constructor(gl) {
+    this.gl = gl;
+
+    this.style = createDefaultSelectionStyle();
+
+    // 遮罩 FBO（颜色纹理 + 深度模板，尺寸与渲染目标一致）
+    this.framebuffer = null;
+    this.maskTexture = null;
+    this.depthStencilRenderbuffer = null;
+    this.width = 0;
+    this.height = 0;
+    this._depthCopyChecked = false;   // 首次复制场景深度后检查是否成功（深度格式不一致时 blit 失败）
+    this._depthCopySupported = true;
+
+    // Shader 资源
+    this.program = null;
+    this.vertexShader = null;
+    this.fragmentShader = null;
+    this.uniforms = {};
+    this.attributes = {};
+    this.quadBuffer = null;
+
+    this._initShader();
+    this._initQuad();
+  }
+
+  /**
+   * 初始化描边 shader
+   * @private
+   */
+  _initShader() {
+    const gl = this.gl;
+
+    try {
+      this.vertexShader = createShader(gl, gl.VERTEX_SHADER, selectionVertexShader);
+      this.fragmentShader = createShader(gl, gl.FRAGMENT_SHADER, selectionOutlineFragmentShader);
+      this.program = createProgram(gl, this.vertexShader, this.fragmentShader);
+
+      for (const name of ['maskTexture', 'viewportRect', 'outlineColor', 'outlineWidth', 'tintColor']) {
+        this.uniforms[name] = gl.getUniformLocation(this.program, name);
+      }
+      this.attributes = {
+        position: gl.getAttribLocation(this.program, 'position')
+      };
+    } catch (err) {
+      console.error('[SelectionRenderer] Shader 初始化失败:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * 初始化全屏 quad
+   * @private
+   */
+  _initQuad() {
+    const gl = this.gl;
+    this.quadBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+  }
+
+  /**
+   * 设置选中样式（未指定的字段保留当前值），见 normalizeSelectionStyle
+   * @param {Object} style - 样式
+   */
+  setStyle(style = {}) {
+    this.style = normalizeSelectionStyle(style, this.style);
+  }
+
+  /**
+   * 创建或更新遮罩 FBO（尺寸不变时不重建）
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   */
+  setupFramebuffer(width, height) {
+    const gl = this.gl;
+
+    if (this.width === width && this.height === height && this.framebuffer) {
+      return;
+    }
+
+    this.disposeFramebuffer();
+
+    this.width = width;
+    this.height = height;
+
+    this.maskTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this.maskTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    this.depthStencilRenderbuffer = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, this.depthStencilRenderbuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH24_STENCIL8, width, height);
+    gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+
+    this.framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.maskTexture, 0);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT, gl.RENDERBUFFER, this.depthStencilRenderbuffer);
+
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+      console.error('[SelectionRenderer] FBO 不完整:', status);
+      this.disposeFramebuffer();
+      throw new Error('Framebuffer setup failed');
+    }
+  }
+
+  /**
+   * 绘制一个视图的选中描边
+   * @param {PickingRenderer} pickingRenderer - 提供各渲染类型的拾取 program
+   * @param {RenderableObject[]} objects - 本视图中可见的选中对象
+   * @param {Object} params - 拾取绘制参数（见 PickingRenderer.render）
+   * @param {{x: number, y: number, width: number, height: number}} viewport - 视图在渲染目标中的像素范围
+   * @param {Function} bindOutput - 重新绑定场景 framebuffer 的函数
+   * @param {boolean} sceneDepth - 是否从当前绑定的场景 framebuffer 复制深度做遮挡测试（XR 等无法读取深度的目标传 false）
+   * @returns {number} 绘制调用次数（不含遮罩）
+   */
+  render(pickingRenderer, objects, params, viewport, bindOutput, sceneDepth = true) {
+    const gl = this.gl;
+    const { outlineColor, outlineWidth, tintColor } = this.style;
+    if (!this.framebuffer || objects.length === 0 || (outlineWidth <= 0 && !tintColor)) {
+      return 0;
+    }
+
+    // 1. 遮罩：只清除并绘制当前视图的区域（多视图共享同一张遮罩）
+    const x0 = viewport.x;
+    const y0 = viewport.y;
+    const x1 = viewport.x + viewport.width;
+    const y1 = viewport.y + viewport.height;
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, this.framebuffer);
+    gl.viewport(viewport.x, viewport.y, viewport.width, viewport.height);
+    gl.enable(gl.SCISSOR_TEST);
+    gl.scissor(viewport.x, viewport.y, viewport.width, viewport.height);
+    gl.depthMask(true);
+    gl.clearBufferfv(gl.COLOR, 0, [0, 0, 0, 0]);
+    gl.clearBufferfi(gl.DEPTH_STENCIL, 0, 1.0, 0);
+    const occlusion = sceneDepth && this._depthCopySupported;
+    if (occlusion) {
+      gl.blitFramebuffer(x0, y0, x1, y1, x0, y0, x1, y1, gl.DEPTH_BUFFER_BIT, gl.NEAREST);
+      if (!this._depthCopyChecked) {
+        this._depthCopyChecked = true;
+        if (gl.getError() !== gl.NO_ERROR) {
+          console.warn('[SelectionRenderer] 无法复制场景深度，选中描边不做遮挡测试');
+          this._depthCopySupported = false;
+          gl.clearBufferfi(gl.DEPTH_STENCIL, 0, 1.0, 0);
+        }
+      }
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    // 选中对象自身的深度与场景中相同，向相机方向偏移避免被自己遮挡
+    gl.enable(gl.POLYGON_OFFSET_FILL);
+    gl.polygonOffset(-1, -4);
+    pickingRenderer.drawObjects(objects, params);
+    gl.disable(gl.POLYGON_OFFSET_FILL);
+    gl.polygonOffset(0, 0);
+    gl.disable(gl.SCISSOR_TEST);
+
+    // 2. 合成到场景 framebuffer
+    bindOutput();
+    gl.viewport(viewport.x, viewport.y, viewport.width, viewport.height);
+    gl.useProgram(this.program);
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.depthMask(false);
+    gl.disable(gl.CULL_FACE);
+    gl.disable(gl.STENCIL_TEST);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+    const u = this.uniforms;
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.maskTexture);
+    gl.uniform1i(u.maskTexture, 0);
+    gl.uniform4i(u.viewportRect, viewport.x, viewport.y, viewport.width, viewport.height);
+    gl.uniform4fv(u.outlineColor, outlineColor);
+    gl.uniform1f(u.outlineWidth, outlineWidth);
+    gl.uniform4fv(u.tintColor, tintColor || [0, 0, 0, 0]);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    if (this.attributes.position >= 0) {
+      gl.enableVertexAttribArray(this.attributes.position);
+      gl.vertexAttribPointer(this.attributes.position, 2, gl.FLOAT, false, 0, 0);
+      gl.vertexAttribDivisor(this.attributes.position, 0);
+    }
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    if (this.attributes.position >= 0) {
+      gl.disableVertexAttribArray(this.attributes.position);
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.depthMask(true);
+    gl.enable(gl.DEPTH_TEST);
+    return 1;
+  }
+
+  /**
+   * 清理 FBO 资源
+   */
+  disposeFramebuffer() {
+    const gl = this.gl;
+
+    if (this.framebuffer) {
+      gl.deleteFramebuffer(this.framebuffer);
+      this.framebuffer = null;
+    }
+    if (this.maskTexture) {
+      gl.deleteTexture(this.maskTexture);
+      this.maskTexture = null;
+    }
+    if (this.depthStencilRenderbuffer) {
+      gl.deleteRenderbuffer(this.depthStencilRenderbuffer);
+      this.depthStencilRenderbuffer = null;
+    }
+    this.width = 0;
+    this.height = 0;
+  }
+
+  /**
+   * 清理所有资源
+   */
+  dispose() {
+    const gl = this.gl;
+
+    this.disposeFramebuffer();
+
+    if (this.program) {
+      gl.deleteProgram(this.program);
+      this.program = null;
+    }
+    if (this.vertexShader) {
+      gl.deleteShader(this.vertexShader);
+      this.vertexShader = null;
+    }
+    if (this.fragmentShader) {
+      gl.deleteShader(this.fragmentShader);
+      this.fragmentShader = null;
+    }
+    if (this.quadBuffer) {
+      gl.deleteBuffer(this.quadBuffer);
+      this.quadBuffer = null;
+    }
+  }
+}
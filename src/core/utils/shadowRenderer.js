@@ -0,0 +1,304 @@
+/**
+ * 阴影贴图渲染器
+ * 从投射阴影的平行光方向正交渲染 castShadow 的 Mesh 对象的深度；接收阴影的 shader 通过 lightingShaderChunk 中的
+ * getShadow 采样（深度纹理开启比较模式，配合线性过滤由硬件做 2x2 比较，shader 中再做 PCF）
+ * 阴影范围为包围球：正交投影的宽高为球的直径，中心按 texel 对齐，相机移动时阴影边缘不闪烁
+ */
+
+import { createShader, createProgram, lookAtViewMatrix, multiply4 } from './webgl';
+import { pickingMeshVertexShader } from '../shaders/pickingShaders';
+import { shadowDepthFragmentShader } from '../shaders/shadowShaders';
+import { applyClippingUniforms } from './clippingPlanes';
+
+// NDC [-1, 1] -> 纹理坐标和深度 [0, 1]
+const BIAS_MATRIX = [
+  0.5, 0, 0, 0,
+  0, 0.5, 0, 0,
+  0, 0, 0.5, 0,
+  0.5, 0.5, 0.5, 1,
+];
+
+/**
+ * 计算平行光的阴影矩阵
+ * @param {number[]} direction - 光线传播方向（单位向量）
+ * @param {number[]} center - 阴影范围中心（世界坐标）
+ * @param {number} radius - 阴影范围半径（世界单位）
+ * @param {number} mapSize - 阴影贴图尺寸（像素），用于 texel 对齐
+ * @returns {{ lightMatrix: number[], shadowMatrix: number[], texelSize: number }}
+ *   lightMatrix 为世界坐标到光源裁剪空间（渲染阴影贴图用），shadowMatrix 为世界坐标到阴影贴图坐标（0-1，采样用），
+ *   texelSize 为一个 texel 对应的世界尺寸
+ */
+export function computeShadowMatrices(direction, center, radius, mapSize) {
+  const up = Math.abs(direction[1]) > 0.99 ? [0, 0, 1] : [0, 1, 0];
+  const view = lookAtViewMatrix([0, 0, 0], direction, up);
+
+  // 中心在光源视图空间的坐标（视图矩阵无平移）
+  const cx = view[0] * center[0] + view[4] * center[1] + view[8] * center[2];
+  const cy = view[1] * center[0] + view[5] * center[1] + view[9] * center[2];
+  const cz = view[2] * center[0] + view[6] * center[1] + view[10] * center[2];
+
+  const texelSize = (radius * 2) / mapSize;
+  const sx = Math.round(cx / texelSize) * texelSize;
+  const sy = Math.round(cy / texelSize) * texelSize;
+  const left = sx - radius;
+  const right = sx + radius;
+  const bottom = sy - radius;
+  const top = sy + radius;
+  const near = -cz - radius;
+  const far = -cz + radius;
+
+  const projection = [
+    2 / (right - left), 0, 0, 0,
+    0, 2 / (top - bottom), 0, 0,
+    0, 0, -2 / (far - near), 0,
+    -(right + left) / (right - left), -(top + bottom) / (top - bottom), -(far + near) / (far - near), 1,
+  ];
+
+  const lightMatrix = multiply4(projection, view);
+  return {
+    lightMatrix,
+    shadowMatrix: multiply4(BIAS_MATRIX, lightMatrix),
+    texelSize,
+  };
+}
+
+/**
+ * 计算局部包围盒变换到世界空间后的轴对齐包围盒
+ * @param {{ min: number[], max: number[] }} bounds - 局部包围盒
+ * @param {number[]} matrix - 世界矩阵
+ * @returns {{ min: number[], max: number[] }}
+ */
+export function transformBounds(bounds, matrix) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < 8; i++) {
+    const x = i & 1 ? bounds.max[0] : bounds.min[0];
+    const y = i & 2 ? bounds.max[1] : bounds.min[1];
+    const z = i & 4 ? bounds.max[2] : bounds.min[2];
+    for (let k = 0; k < 3; k++) {
+      const v = matrix[k] * x + matrix[4 + k] * y + matrix[8 + k] * z + matrix[12 + k];
+      if (v < min[k]) min[k] = v;
+      if (v > max[k]) max[k] = v;
+    }
+  }
+  return { min, max };
+}
+
+/**
+ * 创建 1x1 的默认阴影贴图（深度为 1，即不在阴影中）
+ * 接收阴影的 shader 中 shadowMap 固定使用 SHADOW_TEXTURE_UNIT，没有阴影时也须绑定一个比较模式的深度纹理
+ * @param {WebGL2RenderingContext} gl
+ * @returns {WebGLTexture}
+ */
+export function createDefaultShadowMap(gl) {
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.DEPTH_COMPONENT24, 1, 1, 0, gl.DEPTH_COMPONENT, gl.UNSIGNED_INT, new Uint32Array([0xFFFFFFFF]));
+  setShadowTextureParameters(gl);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
+
+/**
+ * 设置当前绑定的深度纹理为比较模式
+ * @private
+ */
+function setShadowTextureParameters(gl) {
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_COMPARE_MODE, gl.COMPARE_REF_TO_TEXTURE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_COMPARE_FUNC, gl.LEQUAL);
+}
+
+/**
+ * 阴影贴图渲染器类
+ */
+export class ShadowRenderer {
+  constructor(gl) {
+    this.gl = gl;
+
+    // FBO 资源
+    this.framebuffer = null;
+    this.depthTexture = null;
+    this.size = 0;
+
+    // 深度 program
+    this.program = null;
+    this.shaders = [];
+    this.uniforms = {};
+    this.positionLocation = -1;
+
+    this._initShaders();
+  }
+
+  /**
+   * 初始化深度 shader
+   * @private
+   */
+  _initShaders() {
+    const gl = this.gl;
+    try {
+      const vertexShader = createShader(gl, gl.VERTEX_SHADER, pickingMeshVertexShader);
+      this.shaders.push(vertexShader);
+      const fragmentShader = createShader(gl, gl.FRAGMENT_SHADER, shadowDepthFragmentShader);
+      this.shaders.push(fragmentShader);
+      this.program = createProgram(gl, vertexShader, fragmentShader);
+    } catch (err) {
+      console.error('[ShadowRenderer] Shader 初始化失败:', err);
+      this._disposeProgram();
+      throw err;
+    }
+
+    for (const name of ['projection', 'view', 'model']) {
+      this.uniforms[name] = gl.getUniformLocation(this.program, name);
+    }
+    this.positionLocation = gl.getAttribLocation(this.program, 'position');
+  }
+
+  /**
+   * 创建或更新阴影贴图（尺寸不变时不重建）
+   * @param {number} size - 阴影贴图边长（像素）
+   */
+  setupFramebuffer(size) {
+    const gl = this.gl;
+
+    if (this.size === size && this.framebuffer) {
+      return;
+    }
+
+    this.disposeFramebuffer();
+    this.size = size;
+
+    this.depthTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this.depthTexture);
+    gl.texStorage2D(gl.TEXTURE_2D, 1, gl.DEPTH_COMPONENT24, size, size);
+    setShadowTextureParameters(gl);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    this.framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, this.depthTexture, 0);
+    gl.drawBuffers([gl.NONE]);
+    gl.readBuffer(gl.NONE);
+
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+      console.error('[ShadowRenderer] FBO 不完整:', status);
+      this.disposeFramebuffer();
+      throw new Error('Framebuffer setup failed');
+    }
+  }
+
+  /**
+   * 渲染阴影贴图
+   * @param {RenderableObject[]} objects - 投射阴影的 Mesh 对象（未就绪的对象会被跳过）
+   * @param {number[]} lightMatrix - 世界坐标到光源裁剪空间的矩阵（见 computeShadowMatrices）
+   * @param {Object|null} clipping - 打包后的裁剪平面 { planes, count }（见 HoloRP.setClippingPlanes）
+   * @returns {number} 绘制调用次数
+   */
+  render(objects, lightMatrix, clipping) {
+    const gl = this.gl;
+    if (!this.framebuffer || this.positionLocation < 0) {
+      return 0;
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.viewport(0, 0, this.size, this.size);
+
+    gl.disable(gl.BLEND);
+    gl.disable(gl.STENCIL_TEST);
+    // 不剔除：单面的建筑体块和薄片也要投射阴影
+    gl.disable(gl.CULL_FACE);
+    gl.enable(gl.DEPTH_TEST);
+    gl.depthFunc(gl.LEQUAL);
+    gl.depthMask(true);
+    gl.clear(gl.DEPTH_BUFFER_BIT);
+    gl.enable(gl.POLYGON_OFFSET_FILL);
+    gl.polygonOffset(2.0, 4.0);
+
+    gl.useProgram(this.program);
+    gl.uniformMatrix4fv(this.uniforms.projection, false, lightMatrix);
+    gl.uniformMatrix4fv(this.uniforms.view, false, [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+
+    const aPosition = this.positionLocation;
+    gl.enableVertexAttribArray(aPosition);
+    gl.vertexAttribDivisor(aPosition, 0);
+
+    let drawCalls = 0;
+    for (const obj of objects) {
+      if (!obj.isReady() || !obj.elementBuffer || obj.elementCount <= 0) continue;
+
+      try {
+        gl.uniformMatrix4fv(this.uniforms.model, false, obj.getModelMatrix());
+        applyClippingUniforms(gl, this.program, clipping, obj.clippable !== false);
+
+        const attrs = obj.vertexAttributes || {};
+        if (attrs.positionBuffer) {
+          gl.bindBuffer(gl.ARRAY_BUFFER, attrs.positionBuffer);
+          gl.vertexAttribPointer(aPosition, 3, gl.FLOAT, false, 0, 0);
+        } else {
+          const stride = (attrs.stride !== undefined && attrs.stride !== null) ? Number(attrs.stride) : 32;
+          const posOffset = (attrs.position !== undefined && attrs.position !== null) ? Number(attrs.position) : 0;
+          gl.bindBuffer(gl.ARRAY_BUFFER, obj.vertexBuffer);
+          gl.vertexAttribPointer(aPosition, 3, gl.FLOAT, false, stride, posOffset);
+        }
+
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, obj.elementBuffer);
+        gl.drawElements(gl.TRIANGLES, obj.elementCount, gl.UNSIGNED_SHORT, 0);
+        drawCalls++;
+      } catch (err) {
+        console.error(`[ShadowRenderer] 绘制 Mesh 对象 ${obj.id} 时出错:`, err);
+      }
+    }
+
+    gl.disableVertexAttribArray(aPosition);
+    gl.disable(gl.POLYGON_OFFSET_FILL);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return drawCalls;
+  }
+
+  /**
+   * 清理 FBO 资源
+   */
+  disposeFramebuffer() {
+    const gl = this.gl;
+
+    if (this.framebuffer) {
+      gl.deleteFramebuffer(this.framebuffer);
+      this.framebuffer = null;
+    }
+    if (this.depthTexture) {
+      gl.deleteTexture(this.depthTexture);
+      this.depthTexture = null;
+    }
+    this.size = 0;
+  }
+
+  /**
+   * 清理 program 资源
+   * @private
+   */
+  _disposeProgram() {
+    const gl = this.gl;
+    for (const shader of this.shaders) {
+      gl.deleteShader(shader);
+    }
+    this.shaders = [];
+    if (this.program) {
+      gl.deleteProgram(this.program);
+      this.program = null;
+    }
+  }
+
+  /**
+   * 清理所有资源
+   */
+  dispose() {
+    this.disposeFramebuffer();
+    this._disposeProgram();
+  }
+}
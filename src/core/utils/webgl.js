@@ -298,6 +298,37 @@ export function createScaleMatrix(sx, sy, sz) {
   ];
 }
 
+/**
+ * 计算画面子区域的 NDC 变换（用于分块渲染）
+ * 区域使用图片像素坐标（左上角为原点），返回把该区域映射到整个 NDC 的缩放和偏移
+ * @param {Object} region - { x, y, width, height, fullWidth, fullHeight }
+ * @returns {number[]} [scaleX, scaleY, offsetX, offsetY]
+ */
+export function getViewRegionTransform(region) {
+  const { x, y, width, height, fullWidth, fullHeight } = region;
+  const scaleX = fullWidth / width;
+  const scaleY = fullHeight / height;
+  // 区域中心的 NDC 坐标（NDC 的 y 轴向上，图片的 y 轴向下）
+  const centerX = (2 * x + width) / fullWidth - 1;
+  const centerY = 1 - (2 * y + height) / fullHeight;
+  return [scaleX, scaleY, -centerX * scaleX, -centerY * scaleY];
+}
+
+/**
+ * 创建画面子区域矩阵（左乘到投影矩阵上，使投影只覆盖该区域）
+ * @param {Object} region - { x, y, width, height, fullWidth, fullHeight }
+ * @returns {number[]} 4x4 矩阵（列主序）
+ */
+export function createViewRegionMatrix(region) {
+  const [sx, sy, tx, ty] = getViewRegionTransform(region);
+  return [
+    sx, 0, 0, 0,
+    0, sy, 0, 0,
+    0, 0, 1, 0,
+    tx, ty, 0, 1,
+  ];
+}
+
 /**
  * 创建绕X轴旋转矩阵
  */
@@ -0,0 +1,219 @@
+import { useEffect, useRef, useCallback, useState } from 'react';
+
+/**
+ * 时间轴控制 Hook
+ * 读取 HoloRP.timeline 的状态供 UI（时间滑条、播放按钮等）使用，并提供播放控制与快捷键
+ *
+ * 快捷键（可通过 options.keyboardShortcuts 关闭）：
+ * - Space：播放/暂停
+ * - ArrowLeft / ArrowRight：后退/前进一帧（按 options.frameRate 计算帧长）
+ * 焦点在输入框，或在 options.canvasRef 对应的 canvas 上时（相机控制占用 Space/方向键）不响应。
+ *
+ * @param {Object} pipelineRef - HoloRP 实例的 ref（pipelineRef.current 可以在之后才就绪）
+ * @param {Object} options - 选项
+ * @param {Function} options.onTimeChange - 时间变化回调 (normalizedTime, seconds) => void
+ * @param {boolean} options.keyboardShortcuts - 是否启用快捷键，默认 true
+ * @param {number} options.frameRate - 逐帧步进使用的帧率，默认 30
+ * @param {Object} options.canvasRef - 渲染 canvas 的 ref（可选）
+ */
+export function useTimeline(pipelineRef, options = {}) {
+  const {
+    onTimeChange = null,
+    keyboardShortcuts = true,
+    frameRate = 30,
+    canvasRef = null,
+  } = options;
+
+  const [time, setTimeState] = useState(0);            // 归一化时间（0-1）
+  const [currentTime, setCurrentTime] = useState(0);   // 当前时间（秒）
+  const [duration, setDuration] = useState(0);         // 总时长（秒）
+  const [playing, setPlaying] = useState(false);
+
+  const onTimeChangeRef = useRef(onTimeChange);
+  const lastSnapshotRef = useRef({ time: null, duration: null, playing: null });
+
+  useEffect(() => {
+    onTimeChangeRef.current = onTimeChange;
+  }, [onTimeChange]);
+
+  const getPipeline = useCallback(() => {
+    return pipelineRef && pipelineRef.current ? pipelineRef.current : null;
+  }, [pipelineRef]);
+
+  const getTimeline = useCallback(() => {
+    const pipeline = getPipeline();
+    return pipeline ? pipeline.timeline || null : null;
+  }, [getPipeline]);
+
+  // 读取时间轴状态，只在变化时更新 React 状态
+  // 只在播放中逐帧轮询；暂停时停止，等时间轴通知（播放、暂停、跳转、管线销毁）后再读取
+  useEffect(() => {
+    let frameId = null;
+    let timeline = null;
+    let unsubscribe = null;
+
+    const snapshot = () => {
+      const last = lastSnapshotRef.current;
+      const seconds = timeline.time;
+      if (seconds !== last.time) {
+        last.time = seconds;
+        setCurrentTime(seconds);
+        setTimeState(timeline.normalizedTime);
+        if (onTimeChangeRef.current) {
+          onTimeChangeRef.current(timeline.normalizedTime, seconds);
+        }
+      }
+      if (timeline.duration !== last.duration) {
+        last.duration = timeline.duration;
+        setDuration(timeline.duration);
+      }
+      if (timeline.playing !== last.playing) {
+        last.playing = timeline.playing;
+        setPlaying(timeline.playing);
+      }
+    };
+
+    const schedule = () => {
+      if (frameId === null) {
+        frameId = requestAnimationFrame(poll);
+      }
+    };
+
+    // 绑定到当前管线的时间轴（管线可能之后才就绪，或被重建）
+    const bind = () => {
+      const current = getTimeline();
+      if (current === timeline) return;
+      if (unsubscribe) {
+        unsubscribe();
+      }
+      timeline = current;
+      unsubscribe = timeline ? timeline.subscribe(schedule) : null;
+    };
+
+    const poll = () => {
+      frameId = null;
+      bind();
+      if (!timeline) {
+        // 管线尚未就绪
+        schedule();
+        return;
+      }
+      snapshot();
+      if (timeline.playing) {
+        schedule();
+      }
+    };
+
+    schedule();
+    return () => {
+      if (frameId !== null) {
+        cancelAnimationFrame(frameId);
+      }
+      if (unsubscribe) {
+        unsubscribe();
+      }
+    };
+  }, [getTimeline]);
+
+  // 播放控制通过管线方法调用，以便按需渲染时唤醒渲染循环
+  const play = useCallback(() => {
+    const pipeline = getPipeline();
+    if (pipeline) pipeline.play();
+  }, [getPipeline]);
+
+  const pause = useCallback(() => {
+    const pipeline = getPipeline();
+    if (pipeline) pipeline.pause();
+  }, [getPipeline]);
+
+  const togglePlay = useCallback(() => {
+    const pipeline = getPipeline();
+    if (!pipeline) return;
+    if (pipeline.timeline.playing) {
+      pipeline.pause();
+    } else {
+      pipeline.play();
+    }
+  }, [getPipeline]);
+
+  // 按秒跳转
+  const seek = useCallback((seconds) => {
+    const pipeline = getPipeline();
+    if (pipeline) pipeline.seek(seconds);
+  }, [getPipeline]);
+
+  // 按归一化时间（0-1）跳转
+  const setTime = useCallback((t) => {
+    const pipeline = getPipeline();
+    if (pipeline) pipeline.setTime(t);
+  }, [getPipeline]);
+
+  // 逐帧步进（会暂停播放）
+  const stepFrame = useCallback((frames = 1) => {
+    const pipeline = getPipeline();
+    if (!pipeline) return;
+    const frameDuration = 1 / (frameRate > 0 ? frameRate : 30);
+    pipeline.pause();
+    pipeline.seek(pipeline.timeline.time + frames * frameDuration);
+  }, [getPipeline, frameRate]);
+
+  const setPlaybackRate = useCallback((rate) => {
+    const pipeline = getPipeline();
+    if (pipeline) pipeline.setPlaybackRate(rate);
+  }, [getPipeline]);
+
+  const setLoopMode = useCallback((mode) => {
+    const pipeline = getPipeline();
+    if (pipeline) pipeline.setLoopMode(mode);
+  }, [getPipeline]);
+
+  // 快捷键
+  useEffect(() => {
+    if (!keyboardShortcuts) return;
+
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+
+      // 在输入框中不处理
+      const target = e.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+        return;
+      }
+      // canvas 获得焦点时 Space/方向键属于相机控制
+      if (canvasRef && canvasRef.current && document.activeElement === canvasRef.current) {
+        return;
+      }
+
+      if (e.code === 'Space') {
+        e.preventDefault();
+        togglePlay();
+      } else if (e.code === 'ArrowLeft') {
+        e.preventDefault();
+        stepFrame(-1);
+      } else if (e.code === 'ArrowRight') {
+        e.preventDefault();
+        stepFrame(1);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [keyboardShortcuts, canvasRef, togglePlay, stepFrame]);
+
+  return {
+    time,
+    currentTime,
+    duration,
+    playing,
+    play,
+    pause,
+    togglePlay,
+    seek,
+    setTime,
+    stepFrame,
+    setPlaybackRate,
+    setLoopMode,
+  };
+}
@@ -1,5 +1,7 @@
 // 3DGS Shader（静态高斯，原 Holotech shaders/gaussian3dShaders.js）
 
+import { clippingShaderChunk } from '../core/shaders/clippingShaders';
+
 export const vertexShader3DGSSource = `
   #version 300 es
   precision highp float;
@@ -10,8 +12,10 @@ export const vertexShader3DGSSource = `
   uniform mat4 projection, view, model;
   uniform vec2 focal;
   uniform vec2 viewport;
+  uniform bool viewRegionEnabled;   // 是否只渲染完整画面的子区域（分块截图）
+  uniform vec4 viewRegionTransform; // 子区域 NDC 变换 (scaleX, scaleY, offsetX, offsetY)
   uniform int sphericalHarmonicsDegree;
-  
+  ${clippingShaderChunk}
   in vec2 position;
   in int index;
   
@@ -29,11 +33,17 @@ export const vertexShader3DGSSource = `
       uvec4 static1 = texelFetch(u_texture, ivec2(((uint(index) & 0xffu) << 2) | 1u, uint(index) >> 8), 0);
 
       vec3 pos = uintBitsToFloat(static0.xyz);
-      vec4 cam = view * model * vec4(pos, 1);
+      vec4 worldCenter = model * vec4(pos, 1);
+      if (isClipped(worldCenter.xyz)) return;
+      vec4 cam = view * worldCenter;
       vec4 pos_proj = projection * cam;
   
+      // 子区域渲染时投影已包含区域变换，剔除需在完整画面空间中进行，避免区域边缘的大高斯被误剔除
+      vec2 cullXY = viewRegionEnabled
+        ? (pos_proj.xy - viewRegionTransform.zw * pos_proj.w) / viewRegionTransform.xy
+        : pos_proj.xy;
       float clip = 1.2 * pos_proj.w;
-      if (pos_proj.z < -clip || pos_proj.x < -clip || pos_proj.x > clip || pos_proj.y < -clip || pos_proj.y > clip) return;
+      if (pos_proj.z < -clip || cullXY.x < -clip || cullXY.x > clip || cullXY.y < -clip || cullXY.y > clip) return;
 
       vec4 rot = vec4(unpackHalf2x16(static0.w).xy, unpackHalf2x16(static1.x).xy);
       vec3 gaussianScale = vec3(unpackHalf2x16(static1.y).xy, unpackHalf2x16(static1.z).x);
@@ -0,0 +1,167 @@
+/**
+ * Mesh Instanced Shader（实例化绘制）
+ * 每个实例有自己的变换矩阵（相对对象的 model 矩阵）和颜色，颜色与材质颜色/纹理相乘
+ * instanceMatrix 占用 4 个连续的 attribute location（每列一个 vec4）
+ */
+
+import { clippingShaderChunk } from '../core/shaders/clippingShaders';
+import { lightingShaderChunk } from '../core/shaders/lightingShaders';
+
+export const meshLitInstancedVertexShaderSource = `#version 300 es
+precision highp float;
+
+uniform mat4 projection;
+uniform mat4 view;
+uniform mat4 model;
+
+in vec3 position;
+in vec3 normal;
+in vec2 uv;
+in mat4 instanceMatrix;
+in vec4 instanceColor;
+
+out vec3 vNormal;
+out vec2 vUv;
+out vec3 vPosition;
+out vec4 vInstanceColor;
+
+void main() {
+  mat4 instanceModel = model * instanceMatrix;
+  vec4 worldPos = instanceModel * vec4(position, 1.0);
+
+  vPosition = worldPos.xyz;
+
+  mat3 normalMatrix = mat3(transpose(inverse(instanceModel)));
+  vNormal = normalize(normalMatrix * normal);
+  vUv = uv;
+  vInstanceColor = instanceColor;
+
+  gl_Position = projection * view * worldPos;
+}
+`;
+
+export const meshLitInstancedFragmentShaderSource = `#version 300 es
+precision highp float;
+
+in vec3 vNormal;
+in vec2 vUv;
+in vec3 vPosition;
+in vec4 vInstanceColor;
+
+uniform vec3 color;
+uniform sampler2D diffuseTexture;
+uniform bool useTexture;
+
+uniform int debugMode;
+
+// 用于背面检测和渲染
+uniform vec3 backFaceColor;     // 背面颜色
+uniform float backFaceOpacity; // 背面透明度
+uniform bool showBackFace;     // 是否显示背面
+
+${clippingShaderChunk}
+${lightingShaderChunk}
+out vec4 fragColor;
+
+void main() {
+  if (isClipped(vPosition)) discard;
+
+  if (debugMode == 0) {
+    vec3 normalColor = (vNormal + 1.0) * 0.5;
+    normalColor = clamp(normalColor, 0.0, 1.0);
+    fragColor = vec4(normalColor, 1.0);
+    return;
+  }
+
+  // 检测是否从背面看
+  bool isBackFace = !gl_FrontFacing;
+
+  // 获取基础颜色（纹理或纯色），再乘以实例颜色
+  vec3 baseColor = (useTexture ? texture(diffuseTexture, vUv).rgb : color) * vInstanceColor.rgb;
+
+  // 如果是背面且启用背面显示，混合纯色和半透明图片
+  if (isBackFace && showBackFace) {
+    float textureAlpha = 0.3;
+    vec3 mixedColor = baseColor * textureAlpha + backFaceColor * (1.0 - textureAlpha) * backFaceOpacity;
+    float finalAlpha = textureAlpha + backFaceOpacity * (1.0 - textureAlpha);
+    fragColor = vec4(mixedColor, finalAlpha);
+    return;
+  }
+
+  // 正面：计算光照
+  vec3 finalColor = computeLighting(baseColor, vNormal, vPosition);
+
+  fragColor = vec4(finalColor, vInstanceColor.a);
+}
+`;
+
+export const meshUnlitInstancedVertexShaderSource = `#version 300 es
+precision highp float;
+
+uniform mat4 projection;
+uniform mat4 view;
+uniform mat4 model;
+
+in vec3 position;
+in vec3 normal;
+in vec2 uv;
+in mat4 instanceMatrix;
+in vec4 instanceColor;
+
+out vec2 vUv;
+out vec3 vPosition;
+out vec4 vInstanceColor;
+
+void main() {
+  vec4 worldPos = model * instanceMatrix * vec4(position, 1.0);
+
+  vPosition = worldPos.xyz;
+  vUv = uv;
+  vInstanceColor = instanceColor;
+
+  gl_Position = projection * view * worldPos;
+}
+`;
+
+export const meshUnlitInstancedFragmentShaderSource = `#version 300 es
+precision highp float;
+
+in vec2 vUv;
+in vec3 vPosition;
+in vec4 vInstanceColor;
+
+uniform vec3 color;
+uniform sampler2D diffuseTexture;
+uniform bool useTexture;
+uniform float alpha;  // 透明度（0-1）
+
+// 用于背面检测和渲染
+uniform vec3 backFaceColor;     // 背面颜色
+uniform float backFaceOpacity; // 背面透明度
+uniform bool showBackFace;     // 是否显示背面
+
+${clippingShaderChunk}
+out vec4 fragColor;
+
+void main() {
+  if (isClipped(vPosition)) discard;
+
+  // 检测是否从背面看
+  bool isBackFace = !gl_FrontFacing;
+
+  // 获取基础颜色（纹理或纯色），再乘以实例颜色
+  vec3 baseColor = (useTexture ? texture(diffuseTexture, vUv).rgb : color) * vInstanceColor.rgb;
+  float finalAlpha = alpha * vInstanceColor.a;
+
+  // 如果是背面且启用背面显示，混合纯色和半透明图片
+  if (isBackFace && showBackFace) {
+    float textureAlpha = 0.3 * finalAlpha; // 应用 alpha
+    vec3 mixedColor = baseColor * textureAlpha + backFaceColor * (1.0 - textureAlpha) * backFaceOpacity;
+    fragColor = vec4(mixedColor, textureAlpha + backFaceOpacity * (1.0 - textureAlpha));
+    return;
+  }
+
+  // 正面：直接输出颜色（Unlit），应用 alpha
+  fragColor = vec4(baseColor, finalAlpha);
+}
+`;
@@ -1,8 +1,11 @@
 /**
  * Mesh Lit Shader（有光照）
- * 计算漫反射和环境光
+ * 多光源漫反射（Lights uniform block）与半球环境光
  */
 
+import { clippingShaderChunk } from '../core/shaders/clippingShaders';
+import { lightingShaderChunk } from '../core/shaders/lightingShaders';
+
 export const meshLitVertexShaderSource = `#version 300 es
 precision highp float;
 
@@ -43,10 +46,6 @@ uniform vec3 color;
 uniform sampler2D diffuseTexture;
 uniform bool useTexture;
 
-uniform vec3 lightDirection;
-uniform vec3 lightColor;
-uniform float lightIntensity;
-uniform float ambientIntensity;
 uniform int debugMode;
 
 // 用于背面检测和渲染
@@ -54,9 +53,13 @@ uniform vec3 backFaceColor;     // 背面颜色
 uniform float backFaceOpacity; // 背面透明度
 uniform bool showBackFace;     // 是否显示背面
 
+${clippingShaderChunk}
+${lightingShaderChunk}
 out vec4 fragColor;
 
 void main() {
+  if (isClipped(vPosition)) discard;
+
   if (debugMode == 0) {
     vec3 normalColor = (vNormal + 1.0) * 0.5;
     normalColor = clamp(normalColor, 0.0, 1.0);
@@ -81,11 +84,7 @@ void main() {
   }
   
   // 正面：计算光照
-  vec3 lightDir = normalize(-lightDirection);
-  float NdotL = max(dot(vNormal, lightDir), 0.0);
-  vec3 diffuse = baseColor * lightColor * NdotL * lightIntensity;
-  vec3 ambient = baseColor * ambientIntensity;
-  vec3 finalColor = ambient + diffuse;
+  vec3 finalColor = computeLighting(baseColor, vNormal, vPosition);
   
   fragColor = vec4(finalColor, 1.0);
 }
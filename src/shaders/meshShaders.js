@@ -1,5 +1,8 @@
 // Mesh 渲染 Shader（原 Holotech shaders/meshShaders.js）
 
+import { clippingShaderChunk } from '../core/shaders/clippingShaders';
+import { lightingShaderChunk } from '../core/shaders/lightingShaders';
+
 export const meshVertexShaderSource = `#version 300 es
 precision highp float;
 
@@ -40,10 +43,6 @@ uniform vec3 color;
 uniform sampler2D diffuseTexture;
 uniform bool useTexture;
 
-uniform vec3 lightDirection;
-uniform vec3 lightColor;
-uniform float lightIntensity;
-uniform float ambientIntensity;
 uniform int debugMode;
 
 // 用于背面检测和渲染
@@ -52,9 +51,13 @@ uniform vec3 backFaceColor;     // 背面颜色
 uniform float backFaceOpacity; // 背面透明度
 uniform bool showBackFace;     // 是否显示背面
 
+${clippingShaderChunk}
+${lightingShaderChunk}
 out vec4 fragColor;
 
 void main() {
+  if (isClipped(vPosition)) discard;
+
   if (debugMode == 0) {
     vec3 normalColor = (vNormal + 1.0) * 0.5;
     normalColor = clamp(normalColor, 0.0, 1.0);
@@ -99,11 +102,7 @@ void main() {
     finalColor = baseColor;
   } else {
     // 有光照模式：计算漫反射和环境光
-    vec3 lightDir = normalize(-lightDirection);
-    float NdotL = max(dot(vNormal, lightDir), 0.0);
-    vec3 diffuse = baseColor * lightColor * NdotL * lightIntensity;
-    vec3 ambient = baseColor * ambientIntensity;
-    finalColor = ambient + diffuse;
+    finalColor = computeLighting(baseColor, vNormal, vPosition);
   }
   
   fragColor = vec4(finalColor, 1.0);
@@ -0,0 +1,36 @@
+/**
+ * Mesh Shadow Catcher Shader（阴影接收面）
+ * 只输出阴影：不在阴影中的部分丢弃，阴影中按 alpha 混合 shadowColor
+ */
+
+import { clippingShaderChunk } from '../core/shaders/clippingShaders';
+import { lightingShaderChunk } from '../core/shaders/lightingShaders';
+import { meshLitVertexShaderSource } from './meshLitShaders';
+
+export const meshShadowCatcherVertexShaderSource = meshLitVertexShaderSource;
+
+export const meshShadowCatcherFragmentShaderSource = `#version 300 es
+precision highp float;
+
+in vec3 vNormal;
+in vec2 vUv;
+in vec3 vPosition;
+
+uniform vec3 shadowColor;
+uniform float alpha;
+
+${clippingShaderChunk}
+${lightingShaderChunk}
+out vec4 fragColor;
+
+void main() {
+  if (isClipped(vPosition)) discard;
+
+  // 法线偏移朝向观察的一面（接收面通常不剔除背面）
+  vec3 normal = gl_FrontFacing ? normalize(vNormal) : -normalize(vNormal);
+  float shadow = 1.0 - getShadow(vPosition, normal);
+  if (shadow <= 0.0) discard;
+
+  fragColor = vec4(shadowColor, alpha * shadow);
+}
+`;
@@ -0,0 +1,188 @@
+/**
+ * Mesh Standard Shader（PBR，glTF metallic-roughness）
+ * 直接光照：GGX 法线分布、高度相关 Smith 可见性、Schlick 菲涅尔，与 Lit 材质一样按 π 缩放，光源强度含义一致
+ * 环境光照：有环境贴图时使用预过滤的镜面反射和漫反射辐照度（split-sum 的 BRDF 项用解析近似），否则使用半球环境光
+ * 颜色贴图（baseColor、emissive）按 sRGB 解码，计算在线性空间进行，输出编码为 sRGB
+ * 没有切线 attribute，法线贴图使用屏幕空间导数构造的切线空间
+ */
+
+import { clippingShaderChunk } from '../core/shaders/clippingShaders';
+import { lightingShaderChunk, MAX_LIGHTS } from '../core/shaders/lightingShaders';
+import { environmentShaderChunk } from '../core/shaders/environmentShaders';
+import { meshLitVertexShaderSource } from './meshLitShaders';
+
+export const meshStandardVertexShaderSource = meshLitVertexShaderSource;
+
+export const meshStandardFragmentShaderSource = `#version 300 es
+precision highp float;
+
+in vec3 vNormal;
+in vec2 vUv;
+in vec3 vPosition;
+
+uniform vec4 baseColorFactor;
+uniform float metallicFactor;
+uniform float roughnessFactor;
+uniform vec3 emissiveFactor;
+uniform float normalScale;
+uniform float occlusionStrength;
+
+uniform sampler2D baseColorTexture;
+uniform bool useBaseColorTexture;
+uniform sampler2D metallicRoughnessTexture;  // G = 粗糙度，B = 金属度
+uniform bool useMetallicRoughnessTexture;
+uniform sampler2D normalTexture;
+uniform bool useNormalTexture;
+uniform sampler2D occlusionTexture;          // R = 环境光遮蔽
+uniform bool useOcclusionTexture;
+uniform sampler2D emissiveTexture;
+uniform bool useEmissiveTexture;
+
+// 对象自带的纹理（加载的 Mesh），没有 baseColorTexture 时作为基础色贴图
+uniform sampler2D diffuseTexture;
+uniform bool useTexture;
+
+uniform int alphaMode;       // 0 = OPAQUE，1 = MASK，2 = BLEND
+uniform float alphaCutoff;
+uniform float alpha;
+uniform int debugMode;
+uniform vec3 cameraPosition;
+
+${clippingShaderChunk}
+${lightingShaderChunk}
+${environmentShaderChunk}
+out vec4 fragColor;
+
+const float PI = 3.14159265359;
+
+vec3 srgbToLinear(vec3 c) {
+  return mix(c / 12.92, pow((c + 0.055) / 1.055, vec3(2.4)), step(0.04045, c));
+}
+
+vec3 linearToSrgb(vec3 c) {
+  c = clamp(c, 0.0, 1.0);
+  return mix(c * 12.92, 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, c));
+}
+
+// 由屏幕空间导数构造切线空间（Schüler, "Normal Mapping Without Precomputed Tangents"）
+vec3 perturbNormal(vec3 n, vec3 position, vec2 uv) {
+  vec3 dp1 = dFdx(position);
+  vec3 dp2 = dFdy(position);
+  vec2 duv1 = dFdx(uv);
+  vec2 duv2 = dFdy(uv);
+  vec3 dp2perp = cross(dp2, n);
+  vec3 dp1perp = cross(n, dp1);
+  vec3 t = dp2perp * duv1.x + dp1perp * duv2.x;
+  vec3 b = dp2perp * duv1.y + dp1perp * duv2.y;
+  float invmax = inversesqrt(max(dot(t, t), dot(b, b)));
+  if (invmax > 1e8) return n;  // UV 退化
+  vec3 mapped = texture(normalTexture, uv).xyz * 2.0 - 1.0;
+  mapped.xy *= normalScale;
+  return normalize(mat3(t * invmax, b * invmax, n) * mapped);
+}
+
+float distributionGGX(float NdotH, float a) {
+  float a2 = a * a;
+  float d = NdotH * NdotH * (a2 - 1.0) + 1.0;
+  return a2 / (PI * d * d);
+}
+
+float visibilitySmithGGXCorrelated(float NdotV, float NdotL, float a) {
+  float a2 = a * a;
+  float ggxV = NdotL * sqrt(NdotV * NdotV * (1.0 - a2) + a2);
+  float ggxL = NdotV * sqrt(NdotL * NdotL * (1.0 - a2) + a2);
+  return 0.5 / max(ggxV + ggxL, 1e-5);
+}
+
+vec3 fresnelSchlick(vec3 f0, float VdotH) {
+  return f0 + (1.0 - f0) * pow(1.0 - VdotH, 5.0);
+}
+
+// split-sum 的 BRDF 积分项（Karis, "Physically Based Shading on Mobile"）
+vec3 environmentBRDF(vec3 f0, float roughness, float NdotV) {
+  const vec4 c0 = vec4(-1.0, -0.0275, -0.572, 0.022);
+  const vec4 c1 = vec4(1.0, 0.0425, 1.04, -0.04);
+  vec4 r = roughness * c0 + c1;
+  float a004 = min(r.x * r.x, exp2(-9.28 * NdotV)) * r.x + r.y;
+  vec2 ab = vec2(-1.04, 1.04) * a004 + r.zw;
+  return f0 * ab.x + ab.y;
+}
+
+void main() {
+  if (isClipped(vPosition)) discard;
+
+  vec4 baseColor = baseColorFactor;
+  if (useBaseColorTexture) {
+    vec4 texel = texture(baseColorTexture, vUv);
+    baseColor *= vec4(srgbToLinear(texel.rgb), texel.a);
+  } else if (useTexture) {
+    vec4 texel = texture(diffuseTexture, vUv);
+    baseColor *= vec4(srgbToLinear(texel.rgb), texel.a);
+  }
+  float opacity = baseColor.a * alpha;
+  if (alphaMode == 1 && baseColor.a < alphaCutoff) discard;
+
+  vec3 faceNormal = gl_FrontFacing ? normalize(vNormal) : -normalize(vNormal);
+  vec3 n = useNormalTexture ? perturbNormal(faceNormal, vPosition, vUv) : faceNormal;
+
+  if (debugMode == 0) {
+    fragColor = vec4(clamp((n + 1.0) * 0.5, 0.0, 1.0), 1.0);
+    return;
+  }
+
+  float metallic = metallicFactor;
+  float roughness = roughnessFactor;
+  if (useMetallicRoughnessTexture) {
+    vec4 mr = texture(metallicRoughnessTexture, vUv);
+    roughness *= mr.g;
+    metallic *= mr.b;
+  }
+  metallic = clamp(metallic, 0.0, 1.0);
+  roughness = clamp(roughness, 0.045, 1.0);
+  float a = roughness * roughness;
+
+  vec3 diffuseColor = baseColor.rgb * (1.0 - metallic);
+  vec3 f0 = mix(vec3(0.04), baseColor.rgb, metallic);
+
+  vec3 v = normalize(cameraPosition - vPosition);
+  float NdotV = clamp(abs(dot(n, v)), 1e-4, 1.0);
+
+  // 直接光照
+  int shadowLight = receiveShadow ? int(shadowParams.x) : -1;
+  float shadow = shadowLight >= 0 ? getShadow(vPosition, faceNormal) : 1.0;
+  vec3 color = vec3(0.0);
+  for (int i = 0; i < ${MAX_LIGHTS}; i++) {
+    if (i >= lightCount.x) break;
+    vec3 l;
+    vec3 radiance = getLightRadiance(i, vPosition, l);
+    if (i == shadowLight) radiance *= shadow;
+    float NdotL = dot(n, l);
+    if (NdotL <= 0.0) continue;
+
+    vec3 h = normalize(v + l);
+    float NdotH = max(dot(n, h), 0.0);
+    float VdotH = max(dot(v, h), 0.0);
+    vec3 f = fresnelSchlick(f0, VdotH);
+    vec3 specular = f * (PI * distributionGGX(NdotH, a) * visibilitySmithGGXCorrelated(NdotV, NdotL, a));
+    color += ((1.0 - f) * diffuseColor + specular) * radiance * NdotL;
+  }
+
+  // 环境光照
+  vec3 r = reflect(-v, n);
+  vec3 irradiance = useEnvironment ? sampleEnvironmentIrradiance(n) : getHemisphereLight(n);
+  vec3 prefiltered = useEnvironment ? sampleEnvironmentSpecular(r, roughness) : getHemisphereLight(r);
+  vec3 ambient = irradiance * diffuseColor + prefiltered * environmentBRDF(f0, roughness, NdotV);
+  if (useOcclusionTexture) {
+    ambient *= 1.0 + occlusionStrength * (texture(occlusionTexture, vUv).r - 1.0);
+  }
+  color += ambient;
+
+  vec3 emissive = emissiveFactor;
+  if (useEmissiveTexture) {
+    emissive *= srgbToLinear(texture(emissiveTexture, vUv).rgb);
+  }
+  color += emissive;
+
+  fragColor = vec4(linearToSrgb(color), alphaMode == 2 ? opacity : 1.0);
+}
+`;
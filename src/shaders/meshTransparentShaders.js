@@ -3,6 +3,8 @@
  * 支持透明度混合
  */
 
+import { clippingShaderChunk } from '../core/shaders/clippingShaders';
+
 export const meshTransparentVertexShaderSource = `#version 300 es
 precision highp float;
 
@@ -39,9 +41,12 @@ uniform sampler2D diffuseTexture;
 uniform bool useTexture;
 uniform float alpha;  // 透明度（0-1）
 
+${clippingShaderChunk}
 out vec4 fragColor;
 
 void main() {
+  if (isClipped(vPosition)) discard;
+
   vec3 baseColor = useTexture ? texture(diffuseTexture, vUv).rgb : color;
   float finalAlpha = useTexture ? texture(diffuseTexture, vUv).a * alpha : alpha;
   
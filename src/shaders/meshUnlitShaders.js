@@ -3,6 +3,8 @@
  * 直接输出纹理或颜色，不进行光照计算
  */
 
+import { clippingShaderChunk } from '../core/shaders/clippingShaders';
+
 export const meshUnlitVertexShaderSource = `#version 300 es
 precision highp float;
 
@@ -44,9 +46,12 @@ uniform vec3 backFaceColor;     // 背面颜色
 uniform float backFaceOpacity; // 背面透明度
 uniform bool showBackFace;     // 是否显示背面
 
+${clippingShaderChunk}
 out vec4 fragColor;
 
 void main() {
+  if (isClipped(vPosition)) discard;
+
   // 检测是否从背面看
   bool isBackFace = !gl_FrontFacing;
   
@@ -4,6 +4,8 @@
  * 每点 = 边缘刚好等于点尺寸的 quad，solid color。
  */
 
+import { clippingShaderChunk } from '../core/shaders/clippingShaders';
+
 export const pointCloudVertexShaderSource = `#version 300 es
 precision highp float;
 
@@ -12,7 +14,7 @@ uniform mat4 view;
 uniform mat4 model;
 uniform vec2 viewport;
 uniform float pointSize;
-
+${clippingShaderChunk}
 in vec2 position;
 in vec3 instancePos;
 in vec3 instanceColor;
@@ -21,6 +23,10 @@ out vec3 vColor;
 
 void main() {
   vec4 world = model * vec4(instancePos, 1.0);
+  if (isClipped(world.xyz)) {
+    gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+    return;
+  }
   vec4 clip = projection * view * world;
   vec2 ndc = clip.xy / clip.w;
   float depthNDC = clip.z / clip.w;
@@ -3,6 +3,8 @@
  * 原 Holotech src/shaders.js
  */
 
+import { clippingShaderChunk } from '../core/shaders/clippingShaders';
+
 export const vertexShaderSource = `
   #version 300 es
   precision highp float;
@@ -12,8 +14,10 @@ export const vertexShaderSource = `
   uniform mat4 projection, view, model;
   uniform vec2 focal;
   uniform vec2 viewport;
+  uniform bool viewRegionEnabled;   // 是否只渲染完整画面的子区域（分块截图）
+  uniform vec4 viewRegionTransform; // 子区域 NDC 变换 (scaleX, scaleY, offsetX, offsetY)
   uniform float time;
-  
+  ${clippingShaderChunk}
   in vec2 position;
   in int index;
   
@@ -39,11 +43,17 @@ export const vertexShaderSource = `
       vec4 trot = vec4(unpackHalf2x16(motion1.y).xy, unpackHalf2x16(motion1.z).xy) * dt;
       vec3 tpos = (vec3(m0.xy, m1.x) * dt + vec3(m1.y, m2.xy) * dt*dt + vec3(m3.xy, m4.x) * dt*dt*dt);
       
-      vec4 cam = view * model * vec4(uintBitsToFloat(static0.xyz) + tpos, 1);
+      vec4 worldCenter = model * vec4(uintBitsToFloat(static0.xyz) + tpos, 1);
+      if (isClipped(worldCenter.xyz)) return;
+      vec4 cam = view * worldCenter;
       vec4 pos = projection * cam;
   
+      // 子区域渲染时投影已包含区域变换，剔除需在完整画面空间中进行，避免区域边缘的大高斯被误剔除
+      vec2 cullXY = viewRegionEnabled
+        ? (pos.xy - viewRegionTransform.zw * pos.w) / viewRegionTransform.xy
+        : pos.xy;
       float clip = 1.2 * pos.w;
-      if (pos.z < -clip || pos.x < -clip || pos.x > clip || pos.y < -clip || pos.y > clip) return;
+      if (pos.z < -clip || cullXY.x < -clip || cullXY.x > clip || cullXY.y < -clip || cullXY.y > clip) return;
       uvec4 static1 = texelFetch(u_texture, ivec2(((uint(index) & 0x3ffu) << 2) | 1u, uint(index) >> 10), 0);
 
       vec4 rot = vec4(unpackHalf2x16(static0.w).xy, unpackHalf2x16(static1.x).xy) + trot;
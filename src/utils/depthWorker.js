@@ -35,7 +35,7 @@ function createWorker(self) {
     let sizeList = new Int32Array(vertexCount);
     for (let i = 0; i < vertexCount; i++) {
       let depth =
-        ((viewProj[2] * positions[3 * i + 0] + viewProj[6] * positions[3 * i + 1] + viewProj[10] * positions[3 * i + 2]) * 4096) | 0;
+        ((viewProj[2] * positions[3 * i + 0] + viewProj[6] * positions[3 * i + 1] + viewProj[10] * positions[3 * i + 2] + viewProj[14]) * 4096) | 0;
       sizeList[i] = depth;
       if (depth > maxDepth) maxDepth = depth;
       if (depth < minDepth) minDepth = depth;
@@ -133,9 +133,20 @@ function createWorker(self) {
       } else {
         lastSortStrategy = oldStrategy;
       }
+    } else if (e.data.requestPositions) {
+      // 合并排序（HoloRP 'merged' 合成方式）需要高斯中心：返回一份副本，本 Worker 继续使用自己的数据
+      if (positions) {
+        const copy = positions.slice(0, vertexCount * 3);
+        self.postMessage({ positions: copy, vertexCount }, [copy.buffer]);
+      }
     } else if (e.data.view) {
       viewProj = e.data.view;
-      throttledSort();
+      if (e.data.force) {
+        // 截图等需要该视图排序结果的请求：立即排序，不节流，也不因视图变化小而跳过
+        runSort(viewProj, true);
+      } else {
+        throttledSort();
+      }
     }
   };
 }
@@ -0,0 +1,194 @@
+/**
+ * 实例化网格工具（INSTANCED_MESH RenderType）
+ * 网格资源与 MESH 相同（createMeshBuffers），另有逐实例的变换矩阵（N×16，列主序）和颜色（N×4，rgba 0–1）缓冲。
+ * 单个实例通过 bufferSubData 更新，不重新上传整个缓冲。
+ */
+
+import { RenderableObject, RenderType } from '../core/utils/holoRP';
+import { releaseResource } from '../core/utils/glResources';
+import { createMeshBuffers } from './meshLoader';
+
+/**
+ * 把矩阵输入整理为 N×16 的 Float32Array
+ * @private
+ * @param {Float32Array|number[]|Array<number[]>} matrices - 扁平数组或 16 元素矩阵的数组
+ * @returns {Float32Array}
+ */
+function toMatrixArray(matrices) {
+  if (matrices instanceof Float32Array) {
+    return matrices;
+  }
+  if (Array.isArray(matrices) && matrices.length > 0 && typeof matrices[0] !== 'number') {
+    const flat = new Float32Array(matrices.length * 16);
+    matrices.forEach((m, i) => flat.set(m, i * 16));
+    return flat;
+  }
+  return new Float32Array(matrices || []);
+}
+
+/**
+ * 把颜色输入整理为 N×4 的 Float32Array（缺省为白色，rgb 输入补 alpha = 1）
+ * @private
+ * @param {Float32Array|number[]|Array<number[]>|null} colors - N×3 或 N×4
+ * @param {number} count - 实例数量
+ * @returns {Float32Array}
+ */
+function toColorArray(colors, count) {
+  const result = new Float32Array(count * 4).fill(1);
+  if (!colors) {
+    return result;
+  }
+  if (Array.isArray(colors) && colors.length > 0 && typeof colors[0] !== 'number') {
+    colors.slice(0, count).forEach((c, i) => result.set(c.slice(0, 4), i * 4));
+    return result;
+  }
+  const components = colors.length >= count * 4 ? 4 : 3;
+  for (let i = 0; i < count && (i + 1) * components <= colors.length; i++) {
+    for (let c = 0; c < components; c++) {
+      result[i * 4 + c] = colors[i * components + c];
+    }
+  }
+  return result;
+}
+
+/**
+ * 创建逐实例 WebGL buffer
+ * @param {WebGL2RenderingContext} gl
+ * @param {Float32Array|number[]|Array<number[]>} matrices - N×16 实例矩阵（相对对象 modelMatrix）
+ * @param {Float32Array|number[]|Array<number[]>} [colors] - N×3 或 N×4 实例颜色，缺省为白色
+ * @returns {{ instanceMatrixBuffer: WebGLBuffer, instanceColorBuffer: WebGLBuffer, instanceCount: number, instanceMatrices: Float32Array, instanceColors: Float32Array }}
+ */
+export function createInstanceBuffers(gl, matrices, colors = null) {
+  const matrixArray = toMatrixArray(matrices);
+  const n = Math.floor(matrixArray.length / 16);
+  if (n === 0) {
+    return { instanceMatrixBuffer: null, instanceColorBuffer: null, instanceCount: 0, instanceMatrices: null, instanceColors: null };
+  }
+  const instanceMatrices = matrixArray.length === n * 16 ? matrixArray : matrixArray.slice(0, n * 16);
+  const instanceColors = toColorArray(colors, n);
+
+  const instanceMatrixBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, instanceMatrixBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, instanceMatrices, gl.DYNAMIC_DRAW);
+
+  const instanceColorBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, instanceColorBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, instanceColors, gl.DYNAMIC_DRAW);
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, null);
+  return {
+    instanceMatrixBuffer,
+    instanceColorBuffer,
+    instanceCount: n,
+    instanceMatrices,
+    instanceColors,
+  };
+}
+
+/**
+ * 创建并填充 INSTANCED_MESH RenderableObject
+ * @param {WebGL2RenderingContext} gl
+ * @param {string} id - 对象 id
+ * @param {{ positions: Float32Array, normals: Float32Array, uvs: Float32Array, indices: Uint16Array }} meshData - 网格数据（parseOBJ 的返回值）
+ * @param {Float32Array|number[]|Array<number[]>} matrices - N×16 实例矩阵
+ * @param {Float32Array|number[]|Array<number[]>} [colors] - N×3 或 N×4 实例颜色
+ * @returns {RenderableObject}
+ */
+export function createInstancedMeshObject(gl, id, meshData, matrices, colors = null) {
+  const obj = new RenderableObject(id, RenderType.INSTANCED_MESH);
+  const uploadMesh = (context, target) => {
+    const { vertexBuffer, elementBuffer, elementCount, vertexAttributes } = createMeshBuffers(context, meshData);
+    target.vertexBuffer = vertexBuffer;
+    target.elementBuffer = elementBuffer;
+    target.elementCount = elementCount;
+    target.vertexAttributes = vertexAttributes;
+  };
+  uploadMesh(gl, obj);
+  updateInstances(gl, obj, matrices, colors);
+  // WebGL 上下文恢复后从网格数据和实例的 CPU 副本（含单个实例的更新）重新上传
+  obj.restoreResources = (context, target) => {
+    uploadMesh(context, target);
+    if (target.instanceMatrices) {
+      updateInstances(context, target, target.instanceMatrices, target.instanceColors);
+    }
+  };
+  return obj;
+}
+
+/**
+ * 替换全部实例（实例数量变化时使用，会重建逐实例缓冲）
+ * @param {WebGL2RenderingContext} gl
+ * @param {RenderableObject} obj - INSTANCED_MESH 对象
+ * @param {Float32Array|number[]|Array<number[]>} matrices - N×16 实例矩阵
+ * @param {Float32Array|number[]|Array<number[]>} [colors] - N×3 或 N×4 实例颜色
+ * @param {HoloRP} [pipeline] - 对象所在的渲染管线，传入时更新后请求重绘（按需渲染）；不传时需自行调用 pipeline.invalidate()
+ */
+export function updateInstances(gl, obj, matrices, colors = null, pipeline = null) {
+  if (obj.renderType !== RenderType.INSTANCED_MESH) return;
+  releaseResource(gl, obj.instanceMatrixBuffer);
+  releaseResource(gl, obj.instanceColorBuffer);
+  const buffers = createInstanceBuffers(gl, matrices, colors);
+  obj.instanceMatrixBuffer = buffers.instanceMatrixBuffer;
+  obj.instanceColorBuffer = buffers.instanceColorBuffer;
+  obj.instanceCount = buffers.instanceCount;
+  obj.instanceMatrices = buffers.instanceMatrices;
+  obj.instanceColors = buffers.instanceColors;
+  obj.ready = !!obj.elementBuffer && buffers.instanceCount > 0;
+  if (pipeline) {
+    pipeline.invalidate();
+  }
+}
+
+/**
+ * 更新单个实例的变换矩阵
+ * @param {WebGL2RenderingContext} gl
+ * @param {RenderableObject} obj - INSTANCED_MESH 对象
+ * @param {number} index - 实例序号
+ * @param {Float32Array|number[]} matrix - 4x4 矩阵（16元素，列主序）
+ * @param {HoloRP} [pipeline] - 对象所在的渲染管线，传入时更新后请求重绘（同 updateInstances）
+ * @returns {boolean} 是否更新成功
+ */
+export function setInstanceMatrix(gl, obj, index, matrix, pipeline = null) {
+  if (obj.renderType !== RenderType.INSTANCED_MESH || !obj.instanceMatrixBuffer) return false;
+  if (!Number.isInteger(index) || index < 0 || index >= obj.instanceCount || !matrix || matrix.length < 16) {
+    console.warn(`[instancedMeshLoader] 无效的实例矩阵更新：${obj.id}[${index}]`);
+    return false;
+  }
+  obj.instanceMatrices.set(Array.prototype.slice.call(matrix, 0, 16), index * 16);
+  gl.bindBuffer(gl.ARRAY_BUFFER, obj.instanceMatrixBuffer);
+  gl.bufferSubData(gl.ARRAY_BUFFER, index * 64, obj.instanceMatrices, index * 16, 16);
+  gl.bindBuffer(gl.ARRAY_BUFFER, null);
+  if (pipeline) {
+    pipeline.invalidate();
+  }
+  return true;
+}
+
+/**
+ * 更新单个实例的颜色
+ * @param {WebGL2RenderingContext} gl
+ * @param {RenderableObject} obj - INSTANCED_MESH 对象
+ * @param {number} index - 实例序号
+ * @param {number[]} color - [r, g, b] 或 [r, g, b, a]，0–1
+ * @param {HoloRP} [pipeline] - 对象所在的渲染管线，传入时更新后请求重绘（同 updateInstances）
+ * @returns {boolean} 是否更新成功
+ */
+export function setInstanceColor(gl, obj, index, color, pipeline = null) {
+  if (obj.renderType !== RenderType.INSTANCED_MESH || !obj.instanceColorBuffer) return false;
+  if (!Number.isInteger(index) || index < 0 || index >= obj.instanceCount || !color || color.length < 3) {
+    console.warn(`[instancedMeshLoader] 无效的实例颜色更新：${obj.id}[${index}]`);
+    return false;
+  }
+  const offset = index * 4;
+  obj.instanceColors[offset] = color[0];
+  obj.instanceColors[offset + 1] = color[1];
+  obj.instanceColors[offset + 2] = color[2];
+  obj.instanceColors[offset + 3] = color.length > 3 ? color[3] : 1;
+  gl.bindBuffer(gl.ARRAY_BUFFER, obj.instanceColorBuffer);
+  gl.bufferSubData(gl.ARRAY_BUFFER, index * 16, obj.instanceColors, offset, 4);
+  gl.bindBuffer(gl.ARRAY_BUFFER, null);
+  if (pipeline) {
+    pipeline.invalidate();
+  }
+  return true;
+}
@@ -2,28 +2,26 @@
  * 线段渲染对象工具（LINES RenderType）
  * 从 positions (N×3) + colors (N×3) 创建 LINES RenderableObject。
  * 格式：单 buffer 交错 position+color，stride 24。
+ * 交错数据保留在 restoreResources 中，WebGL 上下文恢复后重新上传。
  */
 
 import { RenderableObject, RenderType } from '../core/utils/holoRP';
+import { releaseResource } from '../core/utils/glResources';
 
 /**
- * 创建 LINES RenderableObject
- * @param {WebGL2RenderingContext} gl
- * @param {string} id - 对象 id
- * @param {Float32Array|number[]} positions - N×3, xyz
- * @param {Float32Array|number[]} colors - N×3, rgb 0–1
- * @returns {RenderableObject}
+ * 交错 position + color 并上传到对象（restoreResources 保留交错数据）
+ * @private
  */
-export function createLinesObject(gl, id, positions, colors) {
+function uploadLinesData(gl, obj, positions, colors) {
   const pos = positions instanceof Float32Array ? positions : new Float32Array(positions);
   const col = colors instanceof Float32Array ? colors : new Float32Array(colors);
   const n = Math.min(Math.floor(pos.length / 3), Math.floor(col.length / 3));
   if (n === 0) {
-    const obj = new RenderableObject(id, RenderType.LINES);
     obj.positionBuffer = null;
     obj.linesVertexCount = 0;
     obj.ready = false;
-    return obj;
+    obj.restoreResources = null;
+    return;
   }
   const interleaved = new Float32Array(n * 6);
   for (let i = 0; i < n; i++) {
@@ -34,14 +32,30 @@ export function createLinesObject(gl, id, positions, colors) {
     interleaved[i * 6 + 4] = col[i * 3 + 1];
     interleaved[i * 6 + 5] = col[i * 3 + 2];
   }
-  const buf = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, buf);
-  gl.bufferData(gl.ARRAY_BUFFER, interleaved, gl.STATIC_DRAW);
-  gl.bindBuffer(gl.ARRAY_BUFFER, null);
+  const upload = (context, target) => {
+    const buf = context.createBuffer();
+    context.bindBuffer(context.ARRAY_BUFFER, buf);
+    context.bufferData(context.ARRAY_BUFFER, interleaved, context.STATIC_DRAW);
+    context.bindBuffer(context.ARRAY_BUFFER, null);
+    target.positionBuffer = buf;
+    target.linesVertexCount = n;
+    target.ready = true;
+  };
+  upload(gl, obj);
+  obj.restoreResources = upload;
+}
+
+/**
+ * 创建 LINES RenderableObject
+ * @param {WebGL2RenderingContext} gl
+ * @param {string} id - 对象 id
+ * @param {Float32Array|number[]} positions - N×3, xyz
+ * @param {Float32Array|number[]} colors - N×3, rgb 0–1
+ * @returns {RenderableObject}
+ */
+export function createLinesObject(gl, id, positions, colors) {
   const obj = new RenderableObject(id, RenderType.LINES);
-  obj.positionBuffer = buf;
-  obj.linesVertexCount = n;
-  obj.ready = true;
+  uploadLinesData(gl, obj, positions, colors);
   return obj;
 }
 
@@ -54,30 +68,6 @@ export function createLinesObject(gl, id, positions, colors) {
  */
 export function updateLinesObject(gl, obj, positions, colors) {
   if (obj.renderType !== RenderType.LINES) return;
-  if (obj.positionBuffer) gl.deleteBuffer(obj.positionBuffer);
-  const pos = positions instanceof Float32Array ? positions : new Float32Array(positions);
-  const col = colors instanceof Float32Array ? colors : new Float32Array(colors);
-  const n = Math.min(Math.floor(pos.length / 3), Math.floor(col.length / 3));
-  if (n === 0) {
-    obj.positionBuffer = null;
-    obj.linesVertexCount = 0;
-    obj.ready = false;
-    return;
-  }
-  const interleaved = new Float32Array(n * 6);
-  for (let i = 0; i < n; i++) {
-    interleaved[i * 6 + 0] = pos[i * 3 + 0];
-    interleaved[i * 6 + 1] = pos[i * 3 + 1];
-    interleaved[i * 6 + 2] = pos[i * 3 + 2];
-    interleaved[i * 6 + 3] = col[i * 3 + 0];
-    interleaved[i * 6 + 4] = col[i * 3 + 1];
-    interleaved[i * 6 + 5] = col[i * 3 + 2];
-  }
-  const buf = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, buf);
-  gl.bufferData(gl.ARRAY_BUFFER, interleaved, gl.STATIC_DRAW);
-  gl.bindBuffer(gl.ARRAY_BUFFER, null);
-  obj.positionBuffer = buf;
-  obj.linesVertexCount = n;
-  obj.ready = true;
+  releaseResource(gl, obj.positionBuffer);
+  uploadLinesData(gl, obj, positions, colors);
 }
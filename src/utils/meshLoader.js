@@ -200,6 +200,23 @@ export async function loadOBJFile(url) {
   }
 }
 
+/**
+ * 计算顶点位置的轴对齐包围盒（局部坐标），没有顶点时返回 null
+ */
+export function computeMeshBounds(positions) {
+  if (!positions || positions.length < 3) return null;
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      const v = positions[i + k];
+      if (v < min[k]) min[k] = v;
+      if (v > max[k]) max[k] = v;
+    }
+  }
+  return { min, max };
+}
+
 export function createMeshBuffers(gl, meshData) {
   const { positions, normals, uvs, indices } = meshData;
   const vertexCount = positions.length / 3;
@@ -244,26 +261,29 @@ export function createMeshBuffers(gl, meshData) {
     vertexBuffer,
     elementBuffer,
     elementCount: indices.length,
-    vertexAttributes
+    vertexAttributes,
+    bounds: computeMeshBounds(positions)
   };
 }
 
 export async function loadAndSetupMeshObject({ gl, objUrl, targetObject }) {
   if (!gl || !objUrl) throw new Error('loadAndSetupMeshObject: gl and objUrl are required');
   const meshData = await loadOBJFile(objUrl);
-  const { vertexBuffer, elementBuffer, elementCount, vertexAttributes } = createMeshBuffers(gl, meshData);
+  const { vertexBuffer, elementBuffer, elementCount, vertexAttributes, bounds } = createMeshBuffers(gl, meshData);
   if (targetObject) {
     targetObject.renderType = 'mesh';
     targetObject.vertexBuffer = vertexBuffer;
     targetObject.elementBuffer = elementBuffer;
     targetObject.elementCount = elementCount;
     targetObject.vertexAttributes = vertexAttributes;
+    targetObject.localBounds = bounds;
     targetObject.ready = true;
   }
   return {
     vertexBuffer,
     elementBuffer,
     elementCount,
-    vertexAttributes
+    vertexAttributes,
+    bounds
   };
 }
@@ -47,12 +47,17 @@ export function createPointCloudBuffers(gl, positions, colors) {
  * @returns {RenderableObject}
  */
 export function createPointCloudObject(gl, id, positions, colors, pointSize = 2) {
-  const { pointPositionBuffer, pointColorBuffer, pointCount } = createPointCloudBuffers(gl, positions, colors);
   const obj = new RenderableObject(id, RenderType.POINT_CLOUD);
-  obj.pointPositionBuffer = pointPositionBuffer;
-  obj.pointColorBuffer = pointColorBuffer;
-  obj.pointCount = pointCount;
+  // 保留输入数组，WebGL 上下文恢复后重新上传
+  const upload = (context, target) => {
+    const { pointPositionBuffer, pointColorBuffer, pointCount } = createPointCloudBuffers(context, positions, colors);
+    target.pointPositionBuffer = pointPositionBuffer;
+    target.pointColorBuffer = pointColorBuffer;
+    target.pointCount = pointCount;
+    target.ready = pointCount > 0;
+  };
+  upload(gl, obj);
+  obj.restoreResources = upload;
   obj.pointSize = typeof pointSize === 'number' ? pointSize : 2;
-  obj.ready = pointCount > 0;
   return obj;
 }
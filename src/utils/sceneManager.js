@@ -2,6 +2,8 @@
  * 场景管理器 - 管理多个高斯点云对象（HoloEngineRuntime 内置）
  */
 
+import { releaseObjectResources } from '../core/utils/glResources';
+
 export class SplatObject {
   constructor(id, modelUrl, position = [0, 0, 0], rotation = [0, 0, 0], scale = [1, 1, 1], assetId = null, name = null, type = null) {
     this.id = id;
@@ -22,18 +24,42 @@ export class SplatObject {
     this.shTexture = null;
     this.sphericalHarmonicsDegree = 0;
     this.worker = null;
+    this.visible = true;   // 同步到 RenderableObject.visible
+    this.layers = 1;       // 同步到 RenderableObject.layers
+    this.clippable = true; // 同步到 RenderableObject.clippable（是否受裁剪平面和剖切盒影响）
+    this.parentId = null;  // 父对象 ID，position/rotation/scale 为相对父对象的局部变换
   }
 
   getModelMatrix(createTransformMatrix) {
     const rotationRad = this.rotation.map(deg => (deg * Math.PI) / 180);
     return createTransformMatrix(this.position, rotationRad, this.scale);
   }
+
+  /**
+   * 释放加载时创建的 GPU 资源引用并终止排序 Worker（渲染管线中的对象持有自己的引用，两者都释放后才真正删除）
+   * @param {WebGL2RenderingContext|null} gl - 为 null 时只终止 Worker
+   */
+  dispose(gl) {
+    releaseObjectResources(gl, this);
+    this.vertexCount = 0;
+    this.loaded = false;
+    this.loading = false;
+  }
 }
 
 export class SceneManager {
   constructor() {
     this.objects = new Map();
     this.objectList = [];
+    this.gl = null; // 加载对象使用的 WebGL 上下文，移除对象时用于释放资源
+  }
+
+  /**
+   * 设置加载对象使用的 WebGL 上下文（未设置时移除对象只终止 Worker，不释放 GPU 资源）
+   * @param {WebGL2RenderingContext|null} gl
+   */
+  attachContext(gl) {
+    this.gl = gl || null;
   }
 
   addObject(id, modelUrl, position = [0, 0, 0], rotation = [0, 0, 0], scale = [1, 1, 1], assetId = null, name = null, type = null) {
@@ -42,7 +68,7 @@ export class SceneManager {
       const oldObj = this.objects.get(id);
       const index = this.objectList.indexOf(oldObj);
       if (index > -1) this.objectList.splice(index, 1);
-      if (oldObj.worker) oldObj.worker.terminate();
+      oldObj.dispose(this.gl);
     }
     const obj = new SplatObject(id, modelUrl, position, rotation, scale, assetId, name, type);
     this.objects.set(id, obj);
@@ -64,7 +90,7 @@ export class SceneManager {
       this.objects.delete(id);
       const index = this.objectList.indexOf(obj);
       if (index > -1) this.objectList.splice(index, 1);
-      if (obj.worker) obj.worker.terminate();
+      obj.dispose(this.gl);
     }
   }
 
@@ -82,6 +108,32 @@ export class SceneManager {
     }
   }
 
+  setObjectParent(id, parentId) {
+    const obj = this.objects.get(id);
+    if (!obj) return false;
+    // 不允许挂到自身或子孙对象下
+    for (let current = parentId; current; current = this.objects.get(current)?.parentId) {
+      if (current === id) {
+        console.warn(`[SceneManager] 不能把对象 ${id} 挂到自身或其子对象下`);
+        return false;
+      }
+    }
+    obj.parentId = parentId || null;
+    return true;
+  }
+
+  getChildren(id) {
+    return this.objectList.filter(obj => obj.parentId === id);
+  }
+
+  updateObjectVisibility(id, visible, layers) {
+    const obj = this.objects.get(id);
+    if (obj) {
+      if (visible !== undefined && visible !== null) obj.visible = visible !== false;
+      if (Number.isInteger(layers)) obj.layers = layers >>> 0;
+    }
+  }
+
   moveObjectUp(id) {
     const index = this.objectList.findIndex(obj => obj.id === id);
     if (index === -1 || index === 0) return false;
@@ -100,11 +152,22 @@ export class SceneManager {
     return true;
   }
 
-  dispose() {
-    this.objectList.forEach(obj => {
-      if (obj.worker) obj.worker.terminate();
+  /**
+   * WebGL 上下文恢复后把所有对象重置为未加载，以便从 modelUrl 重新加载
+   * 失效的 GL 句柄直接丢弃（不调用 gl.delete*），排序 Worker 释放引用
+   * @returns {string[]} 需要重新加载的对象 ID
+   */
+  handleContextRestored() {
+    return this.objectList.map(obj => {
+      obj.dispose(null);
+      return obj.id;
     });
+  }
+
+  dispose() {
+    this.objectList.forEach(obj => obj.dispose(this.gl));
     this.objects.clear();
     this.objectList = [];
+    this.gl = null;
   }
 }
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { Camera } from '../src/core/utils/Camera';
+import { invert4 } from '../src/core/utils/webgl';
+import { getDepthProjectionParams, getProjectionNearFar, linearizeDepth } from '../src/core/utils/colormaps';
+
+// 列主序矩阵乘向量
+function transform(m, v) {
+  return [0, 1, 2, 3].map((row) => m[row] * v[0] + m[4 + row] * v[1] + m[8 + row] * v[2] + m[12 + row] * v[3]);
+}
+
+describe('depth linearization', () => {
+  it('returns the positive eye distance for the Camera projection (looking down +z)', () => {
+    const camera = new Camera({ position: [1, 2, 3], yawRad: 0.4, pitchRad: -0.2, znear: 0.1, zfar: 100 });
+    const params = getDepthProjectionParams(camera.projectionMatrix);
+
+    for (const distance of [0.5, 7, 42]) {
+      // 相机空间中光轴上距离为 distance 的点
+      const world = transform(invert4(camera.viewMatrix), [0, 0, distance, 1]);
+      const clip = transform(camera.viewProjMatrix, world);
+      const ndc = clip[2] / clip[3];
+      expect(linearizeDepth(ndc, params)).toBeCloseTo(distance, 4);
+    }
+
+    expect(getProjectionNearFar(camera.projectionMatrix).far).toBeCloseTo(100, 3);
+  });
+
+  it('keeps the OpenGL convention (looking down -z) positive', () => {
+    const near = 0.1;
+    const far = 50;
+    const projection = [
+      1, 0, 0, 0,
+      0, 1, 0, 0,
+      0, 0, -(far + near) / (far - near), -1,
+      0, 0, (-2 * far * near) / (far - near), 0,
+    ];
+    const params = getDepthProjectionParams(projection);
+    const clip = transform(projection, [0, 0, -12, 1]);
+    expect(linearizeDepth(clip[2] / clip[3], params)).toBeCloseTo(12, 4);
+    expect(getProjectionNearFar(projection)).toEqual({ near: expect.closeTo(near, 6), far: expect.closeTo(far, 3) });
+  });
+});
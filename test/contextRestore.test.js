@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { HoloRP, RenderableObject, RenderType } from '../src/core/utils/holoRP';
+
+// 只用于构造管线的最小 WebGL 替身：常量返回 1，方法返回空对象
+function createFakeGL() {
+  return new Proxy({}, {
+    get: (target, key) => (typeof key === 'string' && key === key.toUpperCase() ? 1 : () => ({})),
+  });
+}
+
+function createPipeline() {
+  return new HoloRP(createFakeGL(), {}, null, null, {}, null, null, {}, null, null, {});
+}
+
+describe('上下文恢复', () => {
+  it('handleContextRestored 丢弃失效句柄并区分可恢复与需重新加载的对象', () => {
+    const pipeline = createPipeline();
+    const restorable = new RenderableObject('restorable', RenderType.MESH);
+    const plain = new RenderableObject('plain', RenderType.MESH);
+    restorable.vertexBuffer = {};
+    restorable.ready = true;
+    plain.vertexBuffer = {};
+    plain.ready = true;
+    let restoredWith = null;
+    restorable.restoreResources = (gl, obj) => {
+      restoredWith = obj;
+      obj.vertexBuffer = {};
+      obj.ready = true;
+    };
+    pipeline.addObject(restorable);
+    pipeline.addObject(plain);
+
+    const result = pipeline.handleContextRestored({});
+
+    expect(result).toEqual({ restored: ['restorable'], lost: ['plain'] });
+    expect(restoredWith).toBe(restorable);
+    expect(restorable.ready).toBe(true);
+    expect(plain.ready).toBe(false);
+    expect(plain.vertexBuffer).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { HoloRP, RenderableObject, RenderType } from '../src/core/utils/holoRP';
+import { createTransformMatrix } from '../src/core/utils/webgl';
+
+// 只用于构造管线的最小 WebGL 替身：常量返回 1，方法返回空对象
+function createFakeGL() {
+  return new Proxy({}, {
+    get: (target, key) => (typeof key === 'string' && key === key.toUpperCase() ? 1 : () => ({})),
+  });
+}
+
+function createPipeline() {
+  return new HoloRP(createFakeGL(), {}, null, null, {}, null, null, {}, null, null, {});
+}
+
+describe('层级变换', () => {
+  it('removeObject 使子对象脱离层级并保持世界变换', () => {
+    const pipeline = createPipeline();
+    const root = new RenderableObject('root', RenderType.GROUP);
+    const group = new RenderableObject('group', RenderType.GROUP);
+    const child = new RenderableObject('child', RenderType.MESH);
+    root.modelMatrix = createTransformMatrix([0, 1, 0], [0, 0, 0], [2, 2, 2]);
+    group.modelMatrix = createTransformMatrix([3, 0, 0], [0, Math.PI / 2, 0], [1, 1, 1]);
+    child.modelMatrix = createTransformMatrix([0, 0, 1], [0, 0, 0], [1, 1, 1]);
+    pipeline.addObject(root);
+    pipeline.addObject(group);
+    pipeline.addObject(child);
+    pipeline.setObjectParent('group', 'root');
+    pipeline.setObjectParent('child', 'group');
+    const world = [...child.getModelMatrix()];
+
+    pipeline.removeObject('group', { dispose: false });
+
+    expect(child.parent).toBeNull();
+    expect(group.children).toEqual([]);
+    expect(root.children).toEqual([]);
+    child.getModelMatrix().forEach((v, i) => expect(v).toBeCloseTo(world[i]));
+
+    // 之后修改原父对象不再影响子对象
+    root.modelMatrix = createTransformMatrix([5, 5, 5], [0, 0, 0], [1, 1, 1]);
+    child.getModelMatrix().forEach((v, i) => expect(v).toBeCloseTo(world[i]));
+  });
+
+  it('原地修改 modelMatrix 后须调用 markTransformDirty', () => {
+    const parent = new RenderableObject('parent', RenderType.GROUP);
+    const child = new RenderableObject('child', RenderType.MESH);
+    parent.modelMatrix = createTransformMatrix([1, 0, 0], [0, 0, 0], [1, 1, 1]);
+    parent.add(child);
+    expect(child.getModelMatrix()[12]).toBe(1);
+
+    parent.modelMatrix[12] = 4;
+    expect(child.getModelMatrix()[12]).toBe(1);
+    parent.markTransformDirty();
+    expect(child.getModelMatrix()[12]).toBe(4);
+  });
+});
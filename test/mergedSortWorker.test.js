@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { mergedSortWorker } from '../src/core/utils/mergedSortWorker';
+
+// Worker 全局对象替身：记录 postMessage 的结果
+function createWorkerScope() {
+  const scope = { messages: [] };
+  scope.postMessage = (data) => scope.messages.push(data);
+  mergedSortWorker(scope);
+  scope.send = (data) => scope.onmessage({ data });
+  return scope;
+}
+
+// 只有第 3 行参与深度计算：depth = z + offset
+function depthViewProj(offset = 0) {
+  const m = new Array(16).fill(0);
+  m[10] = 1;
+  m[14] = offset;
+  return m;
+}
+
+const decode = (value) => [value >>> 28, value & 0x0fffffff];
+
+describe('mergedSortWorker', () => {
+  it('按各对象的视图投影矩阵合并排序，从远到近交错输出槽位和序号', () => {
+    const scope = createWorkerScope();
+    scope.send({ id: 'a', positions: new Float32Array([0, 0, 1, 0, 0, 5, 0, 0, 3]), vertexCount: 3 });
+    scope.send({ id: 'b', positions: new Float32Array([0, 0, 0, 0, 0, 2]), vertexCount: 2 });
+
+    // b 整体向远处平移 2：深度 a = [1, 5, 3]，b = [2, 4]
+    scope.send({ view: { ids: ['a', 'b'], viewProjs: [...depthViewProj(0), ...depthViewProj(2)] }, force: true });
+
+    expect(scope.messages).toHaveLength(1);
+    const { mergedIndex, ids, vertexCounts } = scope.messages[0];
+    expect(ids).toEqual(['a', 'b']);
+    expect(vertexCounts).toEqual([3, 2]);
+    expect(Array.from(mergedIndex, decode)).toEqual([[0, 1], [1, 1], [0, 2], [1, 0], [0, 0]]);
+  });
+
+  it('视图变化很小时跳过排序，force 时总是排序', async () => {
+    const scope = createWorkerScope();
+    scope.send({ id: 'a', positions: new Float32Array([0, 0, 1]), vertexCount: 1 });
+    scope.send({ id: 'b', positions: new Float32Array([0, 0, 2]), vertexCount: 1 });
+    const view = { ids: ['a', 'b'], viewProjs: [...depthViewProj(), ...depthViewProj()] };
+
+    scope.send({ view, force: true });
+    scope.send({ view: { ...view, viewProjs: [...depthViewProj(0.001), ...depthViewProj()] }, force: false });
+    expect(scope.messages).toHaveLength(1);
+
+    scope.send({ view, force: true });
+    expect(scope.messages).toHaveLength(2);
+
+    // 对象顺序变化时重新排序（节流中的请求在下一轮处理）
+    scope.send({ view: { ids: ['b', 'a'], viewProjs: view.viewProjs }, force: false });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(scope.messages).toHaveLength(3);
+    expect(Array.from(scope.messages[2].mergedIndex, decode)).toEqual([[0, 0], [1, 0]]);
+  });
+
+  it('槽位 8 以上按无符号数输出，缺少中心点的对象不排序', () => {
+    const scope = createWorkerScope();
+    const ids = [];
+    const viewProjs = [];
+    for (let i = 0; i < 16; i++) {
+      scope.send({ id: `o${i}`, positions: new Float32Array([0, 0, i]), vertexCount: 1 });
+      ids.push(`o${i}`);
+      viewProjs.push(...depthViewProj());
+    }
+    scope.send({ view: { ids, viewProjs }, force: true });
+    const slots = Array.from(scope.messages[0].mergedIndex, value => decode(value)[0]);
+    expect(slots).toEqual(ids.map((_, i) => 15 - i));
+
+    scope.send({ remove: 'o3' });
+    scope.send({ view: { ids, viewProjs }, force: true });
+    expect(scope.messages).toHaveLength(1);
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { RenderStats } from '../src/core/utils/renderStats';
+
+describe('RenderStats', () => {
+  it('不计入统计的帧不改变帧数和最近一帧的计数', () => {
+    const stats = new RenderStats(null);
+
+    stats.beginFrame();
+    stats.recordDraw();
+    stats.recordSplats('a', 100);
+    const first = stats.endFrame();
+    expect(first.frame).toBe(1);
+    expect(first.drawCalls).toBe(1);
+
+    stats.beginFrame(false);
+    stats.recordDraw();
+    stats.recordSplats('a', 100);
+    expect(stats.endFrame()).toBeNull();
+    expect(stats.getStats()).toBe(first);
+    expect(first.drawCalls).toBe(1);
+    expect(first.splats).toBe(100);
+
+    stats.beginFrame();
+    expect(stats.endFrame().frame).toBe(2);
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect } from 'vitest';
+import { Timeline } from '../src/core/utils/Timeline';
+
+describe('Timeline.subscribe', () => {
+  it('通知播放、暂停、跳转和时长变化，不通知逐帧推进', () => {
+    let now = 0;
+    const timeline = new Timeline({ clock: () => now, duration: 10, loopMode: 'loop' });
+    const calls = [];
+    const unsubscribe = timeline.subscribe((t) => calls.push([t.playing, t.time]));
+
+    timeline.update();
+    now = 500;
+    timeline.update();
+    expect(timeline.time).toBeCloseTo(0.5);
+    expect(calls).toEqual([]);
+
+    timeline.pause();
+    timeline.seek(4);
+    timeline.duration = 2;
+    timeline.play();
+    expect(calls).toEqual([[false, 0.5], [false, 4], [false, 2], [true, 2]]);
+
+    unsubscribe();
+    timeline.pause();
+    expect(calls).toHaveLength(4);
+  });
+
+  it('dispose 停止播放、通知后清空订阅', () => {
+    const timeline = new Timeline();
+    let count = 0;
+    timeline.subscribe(() => count++);
+    timeline.dispose();
+    expect(timeline.playing).toBe(false);
+    expect(count).toBe(1);
+    timeline.play();
+    expect(count).toBe(1);
+  });
+});
+
+// 可控时钟：advance(ms) 推进时钟后调用一次 update
+function createTimeline(options) {
+  let now = 0;
+  const timeline = new Timeline({ clock: () => now, ...options });
+  timeline.update();
+  const advance = (ms) => {
+    now += ms;
+    return timeline.update();
+  };
+  return { timeline, advance };
+}
+
+describe('Timeline.update', () => {
+  it('第一次 update 只记录时钟，不推进时间', () => {
+    let now = 1000;
+    const timeline = new Timeline({ clock: () => now, duration: 10 });
+    expect(timeline.update()).toBe(0);
+    now = 1250;
+    expect(timeline.update()).toBeCloseTo(0.25);
+  });
+
+  it('loop 模式到达终点后回到起点，步长超过时长时取余', () => {
+    const { timeline, advance } = createTimeline({ duration: 2, loopMode: 'loop' });
+    expect(advance(1500)).toBeCloseTo(1.5);
+    expect(advance(1000)).toBeCloseTo(0.5);
+    expect(advance(5250)).toBeCloseTo(1.75);
+    expect(timeline.playing).toBe(true);
+
+    // 反向播放从起点绕回终点
+    timeline.playbackRate = -1;
+    expect(advance(2000)).toBeCloseTo(1.75);
+    expect(advance(1000)).toBeCloseTo(0.75);
+    expect(advance(1000)).toBeCloseTo(1.75);
+  });
+
+  it('pingpong 模式在端点反向，步长超过往返周期时取余', () => {
+    const { timeline, advance } = createTimeline({ duration: 2, loopMode: 'pingpong' });
+    expect(advance(1500)).toBeCloseTo(1.5);
+    expect(advance(1000)).toBeCloseTo(1.5);
+    expect(timeline._direction).toBe(-1);
+    expect(advance(1000)).toBeCloseTo(0.5);
+    expect(advance(1000)).toBeCloseTo(0.5);
+    expect(timeline._direction).toBe(1);
+
+    // 4 秒为一个完整往返：9 秒等同于 1 秒
+    expect(advance(9000)).toBeCloseTo(1.5);
+    expect(timeline._direction).toBe(1);
+    // 一步越过终点再越过起点（7 秒取余后为 3 秒：1.5 → 2 → 0 → 0.5）
+    expect(advance(7000)).toBeCloseTo(0.5);
+    expect(timeline._direction).toBe(1);
+  });
+
+  it('切换为非 pingpong 模式时恢复正向', () => {
+    const { timeline, advance } = createTimeline({ duration: 2, loopMode: 'pingpong' });
+    advance(2500);
+    expect(timeline._direction).toBe(-1);
+    timeline.loopMode = 'loop';
+    expect(advance(250)).toBeCloseTo(1.75);
+  });
+
+  it('once 模式到达终点后停止，play 从头开始', () => {
+    const { timeline, advance } = createTimeline({ duration: 2, loopMode: 'once' });
+    expect(advance(1500)).toBeCloseTo(1.5);
+    expect(timeline.playing).toBe(true);
+    expect(advance(5000)).toBe(2);
+    expect(timeline.playing).toBe(false);
+    expect(advance(1000)).toBe(2);
+
+    timeline.play();
+    expect(timeline.time).toBe(0);
+    advance(500);
+    expect(advance(500)).toBeCloseTo(0.5);
+  });
+
+  it('once 模式反向播放到达起点后停止', () => {
+    const { timeline, advance } = createTimeline({ duration: 2, loopMode: 'once', playbackRate: -2 });
+    timeline.seek(1.5);
+    timeline.play();
+    advance(0);
+    expect(advance(250)).toBeCloseTo(1);
+    expect(advance(1000)).toBe(0);
+    expect(timeline.playing).toBe(false);
+  });
+
+  it('暂停期间时钟推进不影响时间，恢复播放后不补偿暂停时长', () => {
+    const { timeline, advance } = createTimeline({ duration: 10, loopMode: 'loop' });
+    advance(1000);
+    timeline.pause();
+    expect(advance(3000)).toBeCloseTo(1);
+    timeline.play();
+    expect(advance(3000)).toBeCloseTo(1);
+    expect(advance(500)).toBeCloseTo(1.5);
+  });
+
+  it('相同的时钟序列得到相同的时间序列', () => {
+    const steps = [16, 17, 700, 33, 2500, 16, 4100, 8];
+    const run = (loopMode) => {
+      const { advance } = createTimeline({ duration: 3, loopMode, playbackRate: 1.5 });
+      return steps.map(advance);
+    };
+    for (const mode of ['loop', 'pingpong', 'once']) {
+      expect(run(mode)).toEqual(run(mode));
+    }
+  });
+});
+
+describe('Timeline.getLocalTime', () => {
+  it('按偏移和片段时长计算本地时间并限制在 [0, 1]', () => {
+    const timeline = new Timeline({ duration: 10, playing: false });
+    timeline.seek(4);
+    expect(timeline.getLocalTime()).toBeCloseTo(0.4);
+    expect(timeline.getLocalTime(2)).toBeCloseTo(0.2);
+    expect(timeline.getLocalTime(2, 4)).toBeCloseTo(0.5);
+    expect(timeline.getLocalTime(5, 4)).toBe(0);
+    expect(timeline.getLocalTime(0, 2)).toBe(1);
+    // 片段时长无效时使用整条时间轴
+    expect(timeline.getLocalTime(1, 0)).toBeCloseTo(0.3);
+    expect(timeline.getLocalTime(1, null)).toBeCloseTo(0.3);
+  });
+});